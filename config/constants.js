@@ -7,6 +7,34 @@ module.exports = {
   email: {
     from: process.env.EMAIL_FROM || 'noreply@ats.local'
   },
+  billing: {
+    // Supplier details printed on invoices; the state code decides CGST/SGST vs IGST
+    companyName: process.env.BILLING_COMPANY_NAME || process.env.APP_NAME || 'ATS Platform',
+    companyAddress: process.env.BILLING_COMPANY_ADDRESS || '',
+    gstNumber: process.env.BILLING_GST_NUMBER || '',
+    stateCode: process.env.BILLING_STATE_CODE || (process.env.BILLING_GST_NUMBER || '').slice(0, 2),
+    gstRate: parseFloat(process.env.BILLING_GST_RATE) || 18,
+    invoicePrefix: process.env.INVOICE_PREFIX || 'INV',
+    defaultPaymentTerms: 30 // days
+  },
+  margin: {
+    // Minimum margin after MSP fee and leave cost, by business type; Client.marginPolicy overrides it
+    floors: {
+      'Contract': parseFloat(process.env.MARGIN_FLOOR_CONTRACT) || 15,
+      'Contract MSP': parseFloat(process.env.MARGIN_FLOOR_CONTRACT_MSP) || 10
+    },
+    workingDaysPerMonth: 21
+  },
+  verification: {
+    // Break between courses a "no gap" education policy still allows, e.g. results to the next admission
+    academicBreakMonths: parseInt(process.env.ACADEMIC_BREAK_MONTHS) || 12
+  },
+  magicLink: {
+    // Lifetime of the self-service link sent to a candidate
+    candidateOnboardingHours: parseInt(process.env.CANDIDATE_PORTAL_LINK_HOURS) || 72,
+    // Lifetime of the client portal link sent to a client SPOC
+    clientPortalHours: parseInt(process.env.CLIENT_PORTAL_LINK_HOURS) || 168
+  },
   redis: {
     url: process.env.REDIS_URL || 'redis://localhost:6379'
   },
@@ -22,7 +50,8 @@ module.exports = {
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
       'application/vnd.ms-excel',
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'text/csv'
+      'text/csv',
+      'text/plain'
     ]
   }
 };
\ No newline at end of file
@@ -0,0 +1,144 @@
+// config/permissions.js
+//
+// Central role -> permission policy. A permission is a module, an action and a scope;
+// routes check module + action, controllers narrow records by the scope.
+// Roles defined here are built in; custom roles are stored in the Role collection.
+
+// Narrowest first. 'own' covers records the user created or is assigned to,
+// 'team' adds those of everyone in the teams they lead or belong to, 'all' is unrestricted.
+const SCOPES = ['own', 'team', 'all'];
+
+// Every action that can be granted, by module
+const MODULES = {
+  users: ['manage'],
+  roles: ['read', 'manage'],
+  candidates: ['read', 'update', 'export', 'status', 'assign', 'merge', 'reveal', 'portal_link'],
+  applications: ['update', 'override_blocklist', 'override_policy', 'approve_margin'],
+  matching: ['read'],
+  clients: ['create', 'update', 'delete', 'stats', 'blocklist', 'portal_link'],
+  requirements: ['read', 'create', 'update', 'delete', 'bulk_create', 'stats', 'allocate', 'status', 'clone', 'simulate_margin'],
+  interviews: ['create', 'update'],
+  bgv_vendors: ['create', 'update', 'delete', 'statements', 'record_payment'],
+  bgv_cases: ['create', 'update'],
+  agencies: ['read', 'update', 'delete', 'verify'],
+  files: ['verify'],
+  status_workflows: ['create', 'update', 'delete'],
+  reports: ['read', 'export'],
+  invoices: ['read', 'create', 'record_payment', 'cancel'],
+  timesheets: ['read', 'create', 'update', 'billable', 'approve'],
+  leave: ['read', 'encash', 'adjust'],
+  offers: ['read', 'create', 'update', 'send', 'withdraw'],
+  job_postings: ['create'],
+  recruiters: ['team'],
+  teams: ['read', 'manage'],
+  audit: ['history', 'reveals']
+};
+
+// Every action of every module at one scope
+const everything = (scope = 'all') => Object.fromEntries(
+  Object.entries(MODULES).map(([module, actions]) => [
+    module,
+    Object.fromEntries(actions.map(action => [action, scope]))
+  ])
+);
+
+const recruiter = {
+  candidates: { read: 'own', update: 'own', status: 'all', portal_link: 'all' },
+  applications: { update: 'all' },
+  matching: { read: 'all' },
+  requirements: { read: 'own', create: 'all', simulate_margin: 'all' },
+  interviews: { create: 'all', update: 'all' },
+  timesheets: { read: 'all', create: 'all', update: 'all' },
+  leave: { read: 'all' },
+  offers: { read: 'all', create: 'all', update: 'all', send: 'all' },
+  teams: { read: 'team' }
+};
+
+// Built-in roles: { module: { action: scope } }
+const ROLES = {
+  super_admin: {
+    label: 'Super Admin',
+    permissions: everything()
+  },
+
+  admin: {
+    label: 'Admin',
+    permissions: {
+      ...everything(),
+      // Margin approvals sit with finance
+      applications: { update: 'all', override_blocklist: 'all', override_policy: 'all' }
+    }
+  },
+
+  hr: {
+    label: 'HR',
+    permissions: {
+      candidates: { read: 'all', update: 'own', export: 'all', status: 'all', assign: 'all', merge: 'all', portal_link: 'all' },
+      applications: { update: 'all' },
+      matching: { read: 'all' },
+      clients: { create: 'all', update: 'all', blocklist: 'all', portal_link: 'all' },
+      requirements: { read: 'all', create: 'all', update: 'all', stats: 'all', allocate: 'all', status: 'all', clone: 'all', simulate_margin: 'all' },
+      interviews: { create: 'all', update: 'all' },
+      bgv_vendors: { create: 'all', update: 'all', statements: 'all' },
+      bgv_cases: { create: 'all', update: 'all' },
+      agencies: { read: 'all', update: 'all' },
+      files: { verify: 'all' },
+      status_workflows: { create: 'all', update: 'all' },
+      reports: { read: 'all', export: 'all' },
+      invoices: { read: 'all', create: 'all', record_payment: 'all' },
+      timesheets: { read: 'all', create: 'all', update: 'all', billable: 'all', approve: 'all' },
+      leave: { read: 'all', encash: 'all' },
+      offers: { read: 'all', create: 'all', update: 'all', send: 'all', withdraw: 'all' },
+      job_postings: { create: 'all' },
+      teams: { read: 'all', manage: 'all' },
+      audit: { history: 'all' }
+    }
+  },
+
+  team_lead: {
+    label: 'Team Lead',
+    permissions: {
+      ...recruiter,
+      candidates: { ...recruiter.candidates, read: 'team', update: 'team' },
+      requirements: { ...recruiter.requirements, read: 'team' },
+      recruiters: { team: 'team' }
+    }
+  },
+
+  recruiter: {
+    label: 'Recruiter',
+    permissions: recruiter
+  },
+
+  finance: {
+    label: 'Finance',
+    permissions: {
+      candidates: { read: 'all', update: 'own' },
+      applications: { approve_margin: 'all' },
+      requirements: { read: 'all', simulate_margin: 'all' }
+    }
+  },
+
+  client: {
+    label: 'Client',
+    permissions: {
+      candidates: { read: 'all', update: 'own' },
+      requirements: { read: 'all' },
+      job_postings: { create: 'all' }
+    }
+  },
+
+  vendor: {
+    label: 'Vendor',
+    permissions: {
+      candidates: { read: 'all', update: 'own' },
+      requirements: { read: 'all' }
+    }
+  }
+};
+
+module.exports = {
+  SCOPES,
+  MODULES,
+  ROLES
+};
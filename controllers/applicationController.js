@@ -0,0 +1,274 @@
+// controllers/applicationController.js
+const Application = require('../models/Application');
+const ApplicationService = require('../services/applicationService');
+const MarginService = require('../services/marginService');
+const DataScopeService = require('../services/dataScopeService');
+const { AppError } = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+
+class ApplicationController {
+  // Get applications of a candidate
+  getCandidateApplications = catchAsync(async (req, res, next) => {
+    await DataScopeService.assertAccess(req.user, 'candidate', req.params.id);
+
+    const query = { candidateId: req.params.id };
+
+    if (req.query.stage) query.stage = req.query.stage;
+
+    await DataScopeService.scopeQuery(req.user, 'application', query);
+
+    const applications = await Application
+      .find(query)
+      .populate({
+        path: 'requirementId',
+        select: 'jobTitle jobLocation status clientId',
+        populate: { path: 'clientId', select: 'businessDetails.clientName' }
+      })
+      .populate('owner', 'firstName lastName')
+      .sort('-updatedAt');
+
+    res.status(200).json({
+      status: 'success',
+      results: applications.length,
+      data: {
+        applications: await DataScopeService.presentApplications(req.user, applications)
+      }
+    });
+  });
+
+  // Get applications of a requirement
+  getRequirementApplications = catchAsync(async (req, res, next) => {
+    const { stage, page = 1, limit = 20, sort = '-updatedAt' } = req.query;
+
+    await DataScopeService.assertAccess(req.user, 'requirement', req.params.id);
+
+    const query = { requirementId: req.params.id };
+
+    if (stage) query.stage = stage;
+
+    await DataScopeService.scopeQuery(req.user, 'application', query);
+
+    const applications = await Application
+      .find(query)
+      .populate('candidateId', 'personalDetails contactInfo status')
+      .populate('owner', 'firstName lastName')
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Application.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: applications.length,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: {
+        applications: await DataScopeService.presentApplications(req.user, applications)
+      }
+    });
+  });
+
+  // Move application to another stage
+  moveStage = catchAsync(async (req, res, next) => {
+    const { stage, reason } = req.body;
+
+    if (!stage) {
+      return next(new AppError('Please provide the stage to move to', 400));
+    }
+
+    const application = await this.findApplication(req);
+
+    if (!application) {
+      return next(new AppError('No application found with that ID', 404));
+    }
+
+    await ApplicationService.moveStage(application, stage, {
+      user: req.user,
+      reason,
+      payload: req.body,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        application
+      }
+    });
+  });
+
+  // Withdraw application
+  withdraw = catchAsync(async (req, res, next) => {
+    const application = await this.findApplication(req);
+
+    if (!application) {
+      return next(new AppError('No application found with that ID', 404));
+    }
+
+    await ApplicationService.withdraw(application, {
+      user: req.user,
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        application
+      }
+    });
+  });
+
+  // Re-run blocklist screening of an application
+  rescreenBlocklist = catchAsync(async (req, res, next) => {
+    const application = await this.findApplication(req);
+
+    if (!application) {
+      return next(new AppError('No application found with that ID', 404));
+    }
+
+    await ApplicationService.rescreenBlocklist(application);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        blocklist: application.compliance.blocklist
+      }
+    });
+  });
+
+  // Override a blocklist match with a note
+  overrideBlocklist = catchAsync(async (req, res, next) => {
+    if (!req.body.note) {
+      return next(new AppError('Please provide a note explaining the override', 400));
+    }
+
+    const application = await this.findApplication(req);
+
+    if (!application) {
+      return next(new AppError('No application found with that ID', 404));
+    }
+
+    await ApplicationService.overrideBlocklist(application, {
+      user: req.user,
+      note: req.body.note,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        application
+      }
+    });
+  });
+
+  // Re-check the verification policy of an application
+  recheckPolicy = catchAsync(async (req, res, next) => {
+    const application = await this.findApplication(req);
+
+    if (!application) {
+      return next(new AppError('No application found with that ID', 404));
+    }
+
+    await ApplicationService.recheckPolicy(application);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        policy: application.compliance.policy
+      }
+    });
+  });
+
+  // Override a verification policy failure with a note
+  overridePolicy = catchAsync(async (req, res, next) => {
+    if (!req.body.note) {
+      return next(new AppError('Please provide a note explaining the override', 400));
+    }
+
+    const application = await this.findApplication(req);
+
+    if (!application) {
+      return next(new AppError('No application found with that ID', 404));
+    }
+
+    await ApplicationService.overridePolicy(application, {
+      user: req.user,
+      note: req.body.note,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        application
+      }
+    });
+  });
+
+  // Run the margin check for the offer to be made
+  requestMarginApproval = catchAsync(async (req, res, next) => {
+    if (!req.body.offeredCTC) {
+      return next(new AppError('Please provide the offered CTC', 400));
+    }
+
+    const application = await this.findApplication(req);
+
+    if (!application) {
+      return next(new AppError('No application found with that ID', 404));
+    }
+
+    const { simulation } = await MarginService.requestApproval(application, req.body, {
+      user: req.user,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        marginApproval: application.marginApproval,
+        simulation
+      }
+    });
+  });
+
+  // Finance decision on an offer below the margin floor
+  decideMarginApproval = catchAsync(async (req, res, next) => {
+    const application = await this.findApplication(req);
+
+    if (!application) {
+      return next(new AppError('No application found with that ID', 404));
+    }
+
+    await MarginService.decideApproval(application, req.body, {
+      user: req.user,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        marginApproval: application.marginApproval
+      }
+    });
+  });
+
+  // Find an application nested under a candidate or requirement route
+  findApplication(req) {
+    return Application.findOne({
+      _id: req.params.applicationId,
+      $or: [
+        { candidateId: req.params.id },
+        { requirementId: req.params.id }
+      ]
+    });
+  }
+}
+
+module.exports = new ApplicationController();
@@ -0,0 +1,61 @@
+// controllers/auditController.js
+const AuditService = require('../services/auditService');
+const RevealService = require('../services/revealService');
+const catchAsync = require('../utils/catchAsync');
+
+class AuditController {
+  // Change history of a record, optionally with its state at a point in time
+  getEntityHistory = catchAsync(async (req, res, next) => {
+    const { entityType, entityId } = req.params;
+    const { page = 1, limit = 50, asOf } = req.query;
+
+    const { activities, total } = await AuditService.getHistory(entityType, entityId, { page, limit });
+    const state = asOf ? await AuditService.reconstruct(entityType, entityId, asOf) : undefined;
+
+    res.status(200).json({
+      status: 'success',
+      results: activities.length,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: {
+        activities,
+        ...(asOf && { asOf, state })
+      }
+    });
+  });
+
+  // List reveals of sensitive fields
+  getReveals = catchAsync(async (req, res, next) => {
+    const { page = 1, limit = 50 } = req.query;
+
+    const { reveals, total } = await RevealService.getReveals(req.query);
+
+    res.status(200).json({
+      status: 'success',
+      results: reveals.length,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: {
+        reveals
+      }
+    });
+  });
+
+  // Reveal counts per candidate or per user
+  getRevealSummary = catchAsync(async (req, res, next) => {
+    const { groupBy = 'candidate', ...filters } = req.query;
+
+    const summary = await RevealService.getSummary(groupBy, filters);
+
+    res.status(200).json({
+      status: 'success',
+      results: summary.length,
+      data: {
+        groupBy,
+        summary
+      }
+    });
+  });
+}
+
+module.exports = new AuditController();
@@ -0,0 +1,185 @@
+// controllers/bgvCaseController.js
+const BGVCase = require('../models/BGVCase');
+const BGVService = require('../services/bgvService');
+const { AppError } = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+
+class BGVCaseController {
+  // Initiate a BGV case
+  initiateCase = catchAsync(async (req, res, next) => {
+    const { candidateId, vendorId, checks } = req.body;
+
+    if (!candidateId || !vendorId || !Array.isArray(checks)) {
+      return next(new AppError('Please provide candidateId, vendorId and the checks to run', 400));
+    }
+
+    const bgvCase = await BGVService.initiateCase(req.body, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        case: bgvCase
+      }
+    });
+  });
+
+  // Get all BGV cases
+  getCases = catchAsync(async (req, res, next) => {
+    const {
+      page = 1,
+      limit = 20,
+      sort = 'dueDate',
+      status,
+      priority,
+      candidateId,
+      vendorId,
+      clientId,
+      overdue
+    } = req.query;
+
+    const query = {};
+
+    if (status) query.status = status;
+    if (priority) query.priority = priority;
+    if (candidateId) query.candidateId = candidateId;
+    if (vendorId) query.vendorId = vendorId;
+    if (clientId) query.clientId = clientId;
+
+    if (overdue === 'true') {
+      query.status = { $nin: ['closed', 'cancelled'] };
+      query.dueDate = { $lt: new Date() };
+    }
+
+    const cases = await BGVCase
+      .find(query)
+      .populate('candidateId', 'personalDetails contactInfo')
+      .populate('vendorId', 'vendorName')
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await BGVCase.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: cases.length,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: {
+        cases
+      }
+    });
+  });
+
+  // Get single BGV case
+  getCase = catchAsync(async (req, res, next) => {
+    const bgvCase = await BGVCase
+      .findById(req.params.id)
+      .populate('candidateId', 'personalDetails contactInfo')
+      .populate('vendorId', 'vendorName spocDetails slaDetails')
+      .populate('requirementId', 'jobTitle')
+      .populate('reportFileId', 'originalName url fileType')
+      .populate('initiatedBy closedBy', 'firstName lastName email');
+
+    if (!bgvCase) {
+      return next(new AppError('No BGV case found with that ID', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        case: bgvCase
+      }
+    });
+  });
+
+  // Update case remarks
+  updateCase = catchAsync(async (req, res, next) => {
+    const bgvCase = await BGVCase.findById(req.params.id);
+
+    if (!bgvCase) {
+      return next(new AppError('No BGV case found with that ID', 404));
+    }
+
+    if (!bgvCase.isOpen()) {
+      return next(new AppError(`Case is already ${bgvCase.status}`, 400));
+    }
+
+    // Status follows the checks; SLA fields are fixed at initiation
+    if (req.body.remarks !== undefined) bgvCase.remarks = req.body.remarks;
+    bgvCase.lastUpdatedBy = req.user._id;
+
+    await bgvCase.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        case: bgvCase
+      }
+    });
+  });
+
+  // Update a check of the case
+  updateCheck = catchAsync(async (req, res, next) => {
+    const bgvCase = await BGVCase.findById(req.params.id);
+
+    if (!bgvCase) {
+      return next(new AppError('No BGV case found with that ID', 404));
+    }
+
+    await BGVService.updateCheck(bgvCase, req.params.checkId, req.body, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        case: bgvCase
+      }
+    });
+  });
+
+  // Close the case with the vendor report
+  closeCase = catchAsync(async (req, res, next) => {
+    const bgvCase = await BGVCase.findById(req.params.id);
+
+    if (!bgvCase) {
+      return next(new AppError('No BGV case found with that ID', 404));
+    }
+
+    await BGVService.closeCase(bgvCase, {
+      reportFile: req.file,
+      reportFileId: req.body.reportFileId,
+      remarks: req.body.remarks
+    }, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        case: bgvCase
+      }
+    });
+  });
+
+  // Cancel the case
+  cancelCase = catchAsync(async (req, res, next) => {
+    const bgvCase = await BGVCase.findById(req.params.id);
+
+    if (!bgvCase) {
+      return next(new AppError('No BGV case found with that ID', 404));
+    }
+
+    if (!req.body.reason) {
+      return next(new AppError('Please provide a reason for cancelling the case', 400));
+    }
+
+    await BGVService.cancelCase(bgvCase, req.body, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        case: bgvCase
+      }
+    });
+  });
+}
+
+module.exports = new BGVCaseController();
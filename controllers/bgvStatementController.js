@@ -0,0 +1,131 @@
+// controllers/bgvStatementController.js
+const BGVStatement = require('../models/BGVStatement');
+const BGVVendor = require('../models/BGVVendor');
+const BGVBillingService = require('../services/bgvBillingService');
+const { AppError } = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+
+class BGVStatementController {
+  // Generate a monthly statement for a vendor
+  generateStatement = catchAsync(async (req, res, next) => {
+    const { year, month, regenerate } = req.body;
+
+    if (!year || !month) {
+      return next(new AppError('Please provide the year and month to bill', 400));
+    }
+
+    const statement = await BGVBillingService.generateStatement(req.params.id, {
+      year,
+      month,
+      regenerate: regenerate === true || regenerate === 'true'
+    }, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        statement
+      }
+    });
+  });
+
+  // Get statements of a vendor
+  getStatements = catchAsync(async (req, res, next) => {
+    const { paymentStatus, year, page = 1, limit = 12, sort = '-period.year -period.month' } = req.query;
+
+    const query = { vendorId: req.params.id };
+
+    if (paymentStatus) query.paymentStatus = paymentStatus;
+    if (year) query['period.year'] = parseInt(year, 10);
+
+    const statements = await BGVStatement
+      .find(query)
+      .select('-lineItems')
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await BGVStatement.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: statements.length,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: {
+        statements
+      }
+    });
+  });
+
+  // Get single statement with its line items
+  getStatement = catchAsync(async (req, res, next) => {
+    const statement = await this.findStatement(req);
+
+    if (!statement) {
+      return next(new AppError('No statement found with that ID', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        statement
+      }
+    });
+  });
+
+  // Download statement as PDF or Excel
+  downloadStatement = catchAsync(async (req, res, next) => {
+    const { format = 'pdf' } = req.query;
+
+    if (!['pdf', 'excel'].includes(format)) {
+      return next(new AppError('Invalid statement format', 400));
+    }
+
+    const statement = await this.findStatement(req);
+
+    if (!statement) {
+      return next(new AppError('No statement found with that ID', 404));
+    }
+
+    const vendor = await BGVVendor.findById(statement.vendorId).select('vendorName');
+
+    const file = format === 'pdf'
+      ? await BGVBillingService.exportToPdf(statement, vendor)
+      : await BGVBillingService.exportToExcel(statement, vendor);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename=${statement.statementNumber}.${format === 'pdf' ? 'pdf' : 'xlsx'}`
+    );
+    res.send(file.buffer);
+  });
+
+  // Update payment status
+  updatePayment = catchAsync(async (req, res, next) => {
+    const statement = await this.findStatement(req);
+
+    if (!statement) {
+      return next(new AppError('No statement found with that ID', 404));
+    }
+
+    await BGVBillingService.updatePayment(statement, req.body, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        statement
+      }
+    });
+  });
+
+  // Find a statement nested under its vendor
+  findStatement(req) {
+    return BGVStatement.findOne({
+      _id: req.params.statementId,
+      vendorId: req.params.id
+    });
+  }
+}
+
+module.exports = new BGVStatementController();
@@ -1,6 +1,7 @@
 // controllers/bgvVendorController.js
 const BGVVendor = require('../models/BGVVendor');
 const FileService = require('../services/fileService');
+const BGVService = require('../services/bgvService');
 const { AppError } = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 
@@ -117,6 +118,8 @@ class BGVVendorController {
     // Remove fields that shouldn't be updated
     delete updates._id;
     delete updates.createdBy;
+    // Computed from closed BGV cases
+    delete updates.performanceMetrics;
     
     const vendor = await BGVVendor.findByIdAndUpdate(
       req.params.id,
@@ -286,6 +289,16 @@ class BGVVendorController {
       data: null
     });
   });
+  
+  // SLA dashboard - open, breached and escalated cases
+  getSlaDashboard = catchAsync(async (req, res, next) => {
+    const dashboard = await BGVService.getSlaDashboard(req.params.id);
+    
+    res.status(200).json({
+      status: 'success',
+      data: dashboard
+    });
+  });
 }
 
 module.exports = new BGVVendorController();
\ No newline at end of file
@@ -0,0 +1,65 @@
+// controllers/calendarController.js
+const crypto = require('crypto');
+const User = require('../models/User');
+const InterviewService = require('../services/interviewService');
+const config = require('../config/constants');
+const { AppError } = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+
+class CalendarController {
+  // Create (or regenerate) the current user's iCal feed URL
+  createFeedUrl = catchAsync(async (req, res, next) => {
+    const user = await User.findById(req.user._id);
+
+    const feedToken = user.createCalendarFeedToken();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Any previously issued feed URL no longer works',
+      data: {
+        feedUrl: `${config.app.url}/api/v1/calendar/feed/${feedToken}.ics`
+      }
+    });
+  });
+
+  // Revoke the current user's iCal feed URL
+  revokeFeedUrl = catchAsync(async (req, res, next) => {
+    await User.findByIdAndUpdate(req.user._id, {
+      $unset: { calendarFeedToken: 1 }
+    });
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  });
+
+  // Public iCal feed of a user's upcoming interviews
+  getFeed = catchAsync(async (req, res, next) => {
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      calendarFeedToken: hashedToken,
+      isActive: true
+    });
+
+    if (!user) {
+      return next(new AppError('Calendar feed not found', 404));
+    }
+
+    const calendar = await InterviewService.buildInterviewerFeed(user);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="interviews.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.status(200).send(calendar);
+  });
+}
+
+module.exports = new CalendarController();
@@ -1,8 +1,15 @@
 // controllers/candidateController.js
 const Candidate = require('../models/Candidate');
-const FileService = require('../services/fileService');
 const EmailService = require('../services/emailService');
 const WorkflowService = require('../services/workflowService');
+const StatusWorkflowService = require('../services/statusWorkflowService');
+const ResumeParserService = require('../services/resumeParserService');
+const DuplicateService = require('../services/duplicateService');
+const VerificationPolicyService = require('../services/verificationPolicyService');
+const CandidatePortalService = require('../services/candidatePortalService');
+const RevealService = require('../services/revealService');
+const PermissionService = require('../services/permissionService');
+const DataScopeService = require('../services/dataScopeService');
 const { AppError } = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 
@@ -22,11 +29,23 @@ class CandidateController {
       }
       
       // Check permissions
-      if (candidate.createdBy.toString() !== req.user._id.toString() && 
-          req.user.role !== 'admin' && req.user.role !== 'super_admin') {
+      if (!(await PermissionService.hasAccess(req.user, req.permissionScope, candidate, ['createdBy']))) {
         return next(new AppError('You do not have permission to update this candidate', 403));
       }
     } else {
+      // Return likely duplicates instead of creating another record
+      if (req.body.ignoreDuplicates !== true && req.body.ignoreDuplicates !== 'true') {
+        const duplicates = await DuplicateService.findDuplicates(data || {});
+        
+        if (duplicates.length) {
+          return next(new AppError(
+            'Possible duplicate candidates found. Review them or resubmit with ignoreDuplicates',
+            409,
+            { duplicates: await DataScopeService.presentDuplicates(req.user, duplicates) }
+          ));
+        }
+      }
+      
       // Create new candidate
       candidate = new Candidate({
         createdBy: req.user._id
@@ -34,89 +53,7 @@ class CandidateController {
     }
     
     // Update based on step
-    switch (step) {
-      case 'personal':
-        candidate.personalDetails = data.personalDetails;
-        candidate.contactInfo = data.contactInfo;
-        candidate.emergencyContact = data.emergencyContact;
-        
-        // Handle passport image upload
-        if (req.files?.passportImage) {
-          const uploadedFile = await FileService.uploadSingle(
-            req.files.passportImage[0],
-            'Candidate',
-            candidate._id,
-            req.user._id,
-            'photo'
-          );
-          candidate.personalDetails.passportImageId = uploadedFile._id;
-        }
-        
-        candidate.workflowStage = 'Education';
-        break;
-        
-      case 'education':
-        candidate.education = data.education;
-        
-        // Handle certificate uploads
-        if (req.files) {
-          for (let i = 0; i < candidate.education.length; i++) {
-            const fileKey = `certificate_${i}`;
-            if (req.files[fileKey]) {
-              const uploadedFile = await FileService.uploadSingle(
-                req.files[fileKey][0],
-                'Candidate',
-                candidate._id,
-                req.user._id,
-                'education_certificate'
-              );
-              candidate.education[i].certificateId = uploadedFile._id;
-            }
-          }
-        }
-        
-        candidate.workflowStage = 'Employment';
-        break;
-        
-      case 'employment':
-        candidate.employment = data.employment;
-        candidate.offerStatus = data.offerStatus;
-        
-        // Handle document uploads
-        // Similar pattern for employment documents
-        
-        candidate.workflowStage = 'KYC';
-        break;
-        
-      case 'kyc':
-        candidate.kyc = data.kyc;
-        candidate.bankDetails = data.bankDetails;
-        candidate.address = data.address;
-        
-        // Handle KYC document uploads
-        // Similar pattern for KYC documents
-        
-        candidate.workflowStage = 'Financial';
-        break;
-        
-      case 'financial':
-        candidate.financialInfo = data.financialInfo;
-        
-        // Calculate financial metrics
-        candidate.financialInfo.calculated = WorkflowService.calculateFinancialMetrics(
-          data.financialInfo
-        );
-        
-        candidate.workflowStage = 'Review';
-        break;
-        
-      case 'recruiterCall':
-        candidate.recruiterCallData = data;
-        break;
-        
-      default:
-        return next(new AppError('Invalid step provided', 400));
-    }
+    await WorkflowService.applyCandidateStep(candidate, step, data, req.files, req.user._id);
     
     candidate.lastUpdatedBy = req.user._id;
     await candidate.save();
@@ -142,6 +79,8 @@ class CandidateController {
       workflowStage,
       search,
       assignedTo,
+      pan,
+      aadhaar,
       dateFrom,
       dateTo,
       page = 1,
@@ -156,6 +95,17 @@ class CandidateController {
     if (workflowStage) query.workflowStage = workflowStage;
     if (assignedTo) query.assignedTo = assignedTo;
     
+    // PAN and Aadhaar are encrypted - exact lookups go through the blind index
+    for (const [type, value] of [['pan', pan], ['aadhaar', aadhaar]]) {
+      if (value === undefined) continue;
+      
+      const hash = Candidate.hashIdentifier(type, value);
+      if (!hash) {
+        return next(new AppError(`Please provide a valid ${type === 'pan' ? 'PAN' : 'Aadhaar number'}`, 400));
+      }
+      query[`kyc.${type}Hash`] = hash;
+    }
+    
     if (dateFrom || dateTo) {
       query.createdAt = {};
       if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
@@ -171,14 +121,15 @@ class CandidateController {
       ];
     }
     
-    // Apply role-based filtering
-    if (req.user.role === 'recruiter') {
-      query.$or = [
-        { createdBy: req.user._id },
-        { assignedTo: req.user._id }
-      ];
+    // Limit to the records the user's permission scope covers
+    const scopeFilter = await PermissionService.scopeFilter(req.user, req.permissionScope);
+    if (scopeFilter.$or) {
+      query.$and = [scopeFilter];
     }
     
+    // Client and vendor users only see candidates submitted to or by them
+    await DataScopeService.scopeQuery(req.user, 'candidate', query);
+    
     const candidates = await Candidate
       .find(query)
       .select('personalDetails contactInfo status workflowStage createdAt')
@@ -196,13 +147,15 @@ class CandidateController {
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       data: {
-        candidates
+        candidates: await DataScopeService.presentCandidates(req.user, candidates)
       }
     });
   });
   
   // Get single candidate
   getCandidate = catchAsync(async (req, res, next) => {
+    await DataScopeService.assertAccess(req.user, 'candidate', req.params.id);
+    
     const candidate = await Candidate
       .findById(req.params.id)
       .populate('createdBy', 'firstName lastName email')
@@ -217,16 +170,14 @@ class CandidateController {
     }
     
     // Check permissions
-    if (req.user.role === 'recruiter' && 
-        candidate.createdBy.toString() !== req.user._id.toString() &&
-        candidate.assignedTo?.toString() !== req.user._id.toString()) {
+    if (!(await PermissionService.hasAccess(req.user, req.permissionScope, candidate))) {
       return next(new AppError('You do not have permission to view this candidate', 403));
     }
     
     res.status(200).json({
       status: 'success',
       data: {
-        candidate
+        candidate: await DataScopeService.presentCandidate(req.user, candidate)
       }
     });
   });
@@ -234,7 +185,7 @@ class CandidateController {
   // Update candidate status
   updateCandidateStatus = catchAsync(async (req, res, next) => {
     const { id } = req.params;
-    const { status, notes } = req.body;
+    const { status, notes, requirementId, clientId } = req.body;
     
     const candidate = await Candidate.findById(id);
     
@@ -242,20 +193,15 @@ class CandidateController {
       return next(new AppError('No candidate found with that ID', 404));
     }
     
-    // Validate status transition
-    const validTransitions = {
-      'New': ['Screening', 'Rejected'],
-      'Screening': ['Submitted', 'Rejected', 'On Hold'],
-      'Submitted': ['Interview', 'Rejected', 'On Hold'],
-      'Interview': ['Selected', 'Rejected', 'On Hold'],
-      'Selected': ['Offered', 'Rejected'],
-      'Offered': ['Joined', 'Rejected'],
-      'On Hold': ['Screening', 'Submitted', 'Interview', 'Rejected']
-    };
-    
-    if (!validTransitions[candidate.status]?.includes(status)) {
-      return next(new AppError(`Cannot transition from ${candidate.status} to ${status}`, 400));
-    }
+    // Validate status transition against the applicable workflow
+    const workflow = await StatusWorkflowService.resolveWorkflow({ requirementId, clientId });
+    const fromStatus = candidate.status;
+    const transition = await StatusWorkflowService.assertTransition(workflow, fromStatus, status, {
+      user: req.user,
+      payload: req.body,
+      candidate,
+      requirementId
+    });
     
     candidate.status = status;
     candidate.lastUpdatedBy = req.user._id;
@@ -269,8 +215,17 @@ class CandidateController {
     
     await candidate.save();
     
-    // Send status update notification
-    await EmailService.sendCandidateStatusUpdate(candidate);
+    // Fire transition side effects (email, metrics, activity)
+    await StatusWorkflowService.runHooks(transition, {
+      candidate,
+      requirementId,
+      from: fromStatus,
+      to: status,
+      user: req.user,
+      reason: notes,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
     
     res.status(200).json({
       status: 'success',
@@ -309,11 +264,92 @@ class CandidateController {
     });
   });
   
+  // Reveal one sensitive field - the reveal is audited
+  revealField = catchAsync(async (req, res, next) => {
+    const { field, reason } = req.body;
+    
+    const revealed = await RevealService.revealCandidateField(req.params.id, { field, reason }, {
+      user: req.user,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    
+    // The value must not be cached anywhere on the way back
+    res.set('Cache-Control', 'no-store');
+    
+    res.status(200).json({
+      status: 'success',
+      data: revealed
+    });
+  });
+  
+  // Send the candidate a self-service link to complete their own profile
+  sendPortalLink = catchAsync(async (req, res, next) => {
+    const candidate = await Candidate.findById(req.params.id);
+    
+    if (!candidate) {
+      return next(new AppError('No candidate found with that ID', 404));
+    }
+    
+    const link = await CandidatePortalService.invite(candidate, req.user, {
+      expiresInHours: req.body.expiresInHours
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      data: {
+        portalLink: {
+          _id: link._id,
+          email: link.email,
+          expiresAt: link.expiresAt
+        }
+      }
+    });
+  });
+  
+  // Status of the candidate's self-service link
+  getPortalLink = catchAsync(async (req, res, next) => {
+    const candidate = await Candidate.findById(req.params.id).select('_id');
+    
+    if (!candidate) {
+      return next(new AppError('No candidate found with that ID', 404));
+    }
+    
+    const link = await CandidatePortalService.getActiveLink(candidate);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        portalLink: link
+      }
+    });
+  });
+  
+  // Revoke the candidate's self-service link
+  revokePortalLink = catchAsync(async (req, res, next) => {
+    const candidate = await Candidate.findById(req.params.id).select('_id');
+    
+    if (!candidate) {
+      return next(new AppError('No candidate found with that ID', 404));
+    }
+    
+    const revoked = await CandidatePortalService.revoke(candidate, req.user);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        revoked
+      }
+    });
+  });
+  
   // Add note to candidate
   addNote = catchAsync(async (req, res, next) => {
     const { id } = req.params;
     const { text } = req.body;
     
+    await DataScopeService.assertAccess(req.user, 'candidate', id);
+    
     const candidate = await Candidate.findById(id);
     
     if (!candidate) {
@@ -335,6 +371,98 @@ class CandidateController {
     });
   });
   
+  // Get likely duplicates of a candidate
+  getDuplicates = catchAsync(async (req, res, next) => {
+    await DataScopeService.assertAccess(req.user, 'candidate', req.params.id);
+    
+    const duplicates = await DataScopeService.presentDuplicates(
+      req.user,
+      await DuplicateService.findDuplicatesOf(req.params.id)
+    );
+    
+    res.status(200).json({
+      status: 'success',
+      results: duplicates.length,
+      data: {
+        duplicates
+      }
+    });
+  });
+  
+  // Check education against client verification policies
+  getPolicyChecks = catchAsync(async (req, res, next) => {
+    await DataScopeService.assertAccess(req.user, 'candidate', req.params.id);
+    
+    const candidate = await Candidate.findById(req.params.id);
+    
+    if (!candidate) {
+      return next(new AppError('No candidate found with that ID', 404));
+    }
+    
+    // Defaults to the clients the candidate is mapped to - client users only see their own
+    const party = DataScopeService.getParty(req.user);
+    const clientIds = party?.type === 'client'
+      ? [party.id]
+      : req.query.clientId ? [req.query.clientId] : undefined;
+    
+    const checks = await VerificationPolicyService.evaluateCandidate(candidate, clientIds);
+    
+    res.status(200).json({
+      status: 'success',
+      results: checks.length,
+      data: {
+        checks
+      }
+    });
+  });
+  
+  // Merge a duplicate candidate into this one
+  mergeCandidate = catchAsync(async (req, res, next) => {
+    const { duplicateId } = req.body;
+    
+    if (!duplicateId) {
+      return next(new AppError('Please provide the duplicateId to merge', 400));
+    }
+    
+    const { candidate, summary } = await DuplicateService.mergeCandidates(req.params.id, duplicateId, {
+      user: req.user,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        candidate,
+        summary
+      }
+    });
+  });
+  
+  // Parse a resume into a draft for review (nothing is saved)
+  parseResume = catchAsync(async (req, res, next) => {
+    const { fileId } = req.body;
+    
+    if (!req.file && !fileId) {
+      return next(new AppError('Please upload a resume or provide a fileId', 400));
+    }
+    
+    const result = req.file
+      ? await ResumeParserService.parse(req.file.buffer, {
+        mimeType: req.file.mimetype,
+        fileName: req.file.originalname
+      })
+      : await ResumeParserService.parseFile(fileId, req.user);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        fileId,
+        ...result
+      }
+    });
+  });
+  
   // Search candidates
   searchCandidates = catchAsync(async (req, res, next) => {
     const { 
@@ -378,6 +506,8 @@ class CandidateController {
       query['employment.expectedJoiningDate'] = { $lte: date };
     }
     
+    await DataScopeService.scopeQuery(req.user, 'candidate', query);
+    
     const candidates = await Candidate
       .find(query)
       .select('personalDetails contactInfo recruiterCallData status')
@@ -388,7 +518,7 @@ class CandidateController {
       status: 'success',
       results: candidates.length,
       data: {
-        candidates
+        candidates: await DataScopeService.presentCandidates(req.user, candidates)
       }
     });
   });
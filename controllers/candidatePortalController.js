@@ -0,0 +1,66 @@
+// controllers/candidatePortalController.js
+const CandidatePortalService = require('../services/candidatePortalService');
+const { AppError } = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+
+// Candidate self-service - req.candidate is set from the link by protectCandidateLink
+class CandidatePortalController {
+  // Get own profile
+  getProfile = catchAsync(async (req, res, next) => {
+    res.status(200).json({
+      status: 'success',
+      data: CandidatePortalService.toPortalView(req.candidate)
+    });
+  });
+
+  // Save one step of the form
+  saveStep = catchAsync(async (req, res, next) => {
+    let { data } = req.body;
+
+    // Multipart requests carry the step data as a JSON string
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        return next(new AppError('Step data must be valid JSON', 400));
+      }
+    }
+
+    const candidate = await CandidatePortalService.saveStep(
+      req.candidate,
+      req.magicLink,
+      req.params.step,
+      data,
+      req.files
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: CandidatePortalService.toPortalView(candidate)
+    });
+  });
+
+  // List own documents
+  getFiles = catchAsync(async (req, res, next) => {
+    const files = await CandidatePortalService.getFiles(req.candidate);
+
+    res.status(200).json({
+      status: 'success',
+      results: files.length,
+      data: {
+        files
+      }
+    });
+  });
+
+  // Download one of own documents
+  downloadFile = catchAsync(async (req, res, next) => {
+    const { file, buffer, mimeType } = await CandidatePortalService.getFile(req.candidate, req.params.fileId);
+
+    res.setHeader('Content-Type', mimeType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${file.originalName}"`);
+    res.send(buffer);
+  });
+}
+
+module.exports = new CandidatePortalController();
@@ -1,7 +1,9 @@
 // controllers/clientController.js
 const Client = require('../models/Client');
-const FileService = require('../services/fileService');
+const { FileService } = require('../services/fileService');
 const WorkflowService = require('../services/workflowService');
+const DataScopeService = require('../services/dataScopeService');
+const ClientPortalService = require('../services/clientPortalService');
 const { AppError } = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 
@@ -94,10 +96,8 @@ class ClientController {
       query.$text = { $search: search };
     }
     
-    // Apply role-based filtering
-    if (req.user.role === 'client') {
-      query._id = req.user.clientId;
-    }
+    // Client and vendor users only see the clients they work with
+    await DataScopeService.scopeQuery(req.user, 'client', query);
     
     // Execute query
     const clients = await Client
@@ -122,6 +122,8 @@ class ClientController {
   
   // Get single client
   getClient = catchAsync(async (req, res, next) => {
+    await DataScopeService.assertAccess(req.user, 'client', req.params.id);
+    
     const client = await Client
       .findById(req.params.id)
       .populate('createdBy', 'firstName lastName email')
@@ -271,6 +273,66 @@ class ClientController {
     });
   });
   
+  // Send a SPOC a link to the client portal
+  sendPortalLink = catchAsync(async (req, res, next) => {
+    const client = await Client.findById(req.params.id);
+    
+    if (!client) {
+      return next(new AppError('No client found with that ID', 404));
+    }
+    
+    const link = await ClientPortalService.invite(client, req.params.spocId, req.user, {
+      expiresInHours: req.body.expiresInHours
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      data: {
+        portalLink: {
+          _id: link._id,
+          email: link.email,
+          expiresAt: link.expiresAt
+        }
+      }
+    });
+  });
+  
+  // Status of a SPOC's client portal link
+  getPortalLink = catchAsync(async (req, res, next) => {
+    const client = await Client.findById(req.params.id).select('_id');
+    
+    if (!client) {
+      return next(new AppError('No client found with that ID', 404));
+    }
+    
+    const link = await ClientPortalService.getActiveLink(client, req.params.spocId);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        portalLink: link
+      }
+    });
+  });
+  
+  // Revoke a SPOC's client portal link
+  revokePortalLink = catchAsync(async (req, res, next) => {
+    const client = await Client.findById(req.params.id).select('_id');
+    
+    if (!client) {
+      return next(new AppError('No client found with that ID', 404));
+    }
+    
+    const revoked = await ClientPortalService.revoke(client, req.params.spocId, req.user);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        revoked
+      }
+    });
+  });
+  
   // Get client statistics
   getClientStats = catchAsync(async (req, res, next) => {
     const stats = await Client.aggregate([
@@ -0,0 +1,168 @@
+// controllers/clientPortalController.js
+const ClientPortalService = require('../services/clientPortalService');
+const catchAsync = require('../utils/catchAsync');
+
+// Client SPOC self-service - req.client and req.spoc are set from the link by protectClientLink
+class ClientPortalController {
+  // Who the link belongs to
+  getProfile = catchAsync(async (req, res, next) => {
+    res.status(200).json({
+      status: 'success',
+      data: {
+        client: {
+          _id: req.client._id,
+          clientName: req.client.businessDetails.clientName
+        },
+        spoc: {
+          _id: req.spoc._id,
+          name: req.spoc.name,
+          email: req.spoc.email,
+          designation: req.spoc.designation
+        },
+        expiresAt: req.magicLink.expiresAt
+      }
+    });
+  });
+
+  // Open requirements of the client
+  getRequirements = catchAsync(async (req, res, next) => {
+    const { page = 1, limit = 20 } = req.query;
+    const { requirements, total } = await ClientPortalService.getRequirements(req.client, {
+      status: req.query.status,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: requirements.length,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: {
+        requirements
+      }
+    });
+  });
+
+  // Candidates submitted to the client
+  getSubmissions = catchAsync(async (req, res, next) => {
+    const { page = 1, limit = 20 } = req.query;
+    const { submissions, total } = await ClientPortalService.getSubmissions(req.client, {
+      requirementId: req.query.requirementId,
+      stage: req.query.stage,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: submissions.length,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: {
+        submissions
+      }
+    });
+  });
+
+  // One submission with the redacted resume
+  getSubmission = catchAsync(async (req, res, next) => {
+    const submission = await ClientPortalService.getSubmission(req.client, req.params.applicationId);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        submission
+      }
+    });
+  });
+
+  // Shortlist or reject a submission
+  decide = catchAsync(async (req, res, next) => {
+    const application = await ClientPortalService.decide(
+      req.client,
+      req.spoc,
+      req.magicLink,
+      req.params.applicationId,
+      { decision: req.body.decision, reason: req.body.reason },
+      { ipAddress: req.ip }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        application: {
+          _id: application._id,
+          stage: application.stage
+        }
+      }
+    });
+  });
+
+  // Propose interview slots for a submission
+  proposeSlots = catchAsync(async (req, res, next) => {
+    const application = await ClientPortalService.proposeSlots(
+      req.client,
+      req.spoc,
+      req.magicLink,
+      req.params.applicationId,
+      { slots: req.body.slots, notes: req.body.notes },
+      { ipAddress: req.ip }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        clientAction: application.clientActions[application.clientActions.length - 1]
+      }
+    });
+  });
+
+  // Timesheets waiting for the client
+  getTimesheets = catchAsync(async (req, res, next) => {
+    const { page = 1, limit = 20 } = req.query;
+    const { timesheets, total } = await ClientPortalService.getTimesheets(req.client, {
+      status: req.query.status,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: timesheets.length,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: {
+        timesheets
+      }
+    });
+  });
+
+  approveTimesheet = catchAsync(async (req, res, next) => {
+    await this.reviewTimesheet(req, res, 'approved');
+  });
+
+  rejectTimesheet = catchAsync(async (req, res, next) => {
+    await this.reviewTimesheet(req, res, 'rejected');
+  });
+
+  async reviewTimesheet(req, res, decision) {
+    const timesheet = await ClientPortalService.reviewTimesheet(
+      req.client,
+      req.spoc,
+      req.magicLink,
+      req.params.id,
+      { decision, remarks: req.body.remarks },
+      { ipAddress: req.ip }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        timesheet
+      }
+    });
+  }
+}
+
+module.exports = new ClientPortalController();
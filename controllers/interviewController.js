@@ -0,0 +1,217 @@
+// controllers/interviewController.js
+const Interview = require('../models/Interview');
+const InterviewService = require('../services/interviewService');
+const { AppError } = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+
+class InterviewController {
+  // Schedule interview
+  scheduleInterview = catchAsync(async (req, res, next) => {
+    const { roundIndex, scheduledStart, scheduledEnd } = req.body;
+
+    if (roundIndex === undefined || !scheduledStart || !scheduledEnd) {
+      return next(new AppError('Please provide roundIndex, scheduledStart and scheduledEnd', 400));
+    }
+
+    const interview = await InterviewService.scheduleInterview(req.body, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        interview
+      }
+    });
+  });
+
+  // Get all interviews
+  getInterviews = catchAsync(async (req, res, next) => {
+    const {
+      page = 1,
+      limit = 20,
+      sort = 'scheduledStart',
+      status,
+      candidateId,
+      requirementId,
+      applicationId,
+      interviewer,
+      from,
+      to
+    } = req.query;
+
+    const query = {};
+
+    if (status) query.status = status;
+    if (candidateId) query.candidateId = candidateId;
+    if (requirementId) query.requirementId = requirementId;
+    if (applicationId) query.applicationId = applicationId;
+    if (interviewer) query.interviewers = interviewer;
+
+    if (from || to) {
+      query.scheduledStart = {};
+      if (from) query.scheduledStart.$gte = new Date(from);
+      if (to) query.scheduledStart.$lte = new Date(to);
+    }
+
+    const interviews = await Interview
+      .find(query)
+      .populate('candidateId', 'personalDetails contactInfo')
+      .populate('requirementId', 'jobTitle')
+      .populate('interviewers', 'firstName lastName email')
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Interview.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: interviews.length,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: {
+        interviews
+      }
+    });
+  });
+
+  // Check interviewer availability for a slot
+  checkConflicts = catchAsync(async (req, res, next) => {
+    const { interviewers, start, end, excludeId } = req.query;
+
+    if (!interviewers || !start || !end) {
+      return next(new AppError('Please provide interviewers, start and end', 400));
+    }
+
+    const conflicts = await InterviewService.findConflicts(
+      [].concat(interviewers).flatMap(i => i.split(',')),
+      start,
+      end,
+      excludeId
+    );
+
+    res.status(200).json({
+      status: 'success',
+      results: conflicts.length,
+      data: {
+        conflicts
+      }
+    });
+  });
+
+  // Get single interview
+  getInterview = catchAsync(async (req, res, next) => {
+    const interview = await Interview
+      .findById(req.params.id)
+      .populate('candidateId', 'personalDetails contactInfo')
+      .populate('requirementId', 'jobTitle interviewRounds')
+      .populate('interviewers', 'firstName lastName email')
+      .populate('feedback.interviewer', 'firstName lastName');
+
+    if (!interview) {
+      return next(new AppError('No interview found with that ID', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        interview
+      }
+    });
+  });
+
+  // Update interview details (slot changes go through reschedule)
+  updateInterview = catchAsync(async (req, res, next) => {
+    const { location, meetingLink, instructions } = req.body;
+
+    const interview = await Interview.findByIdAndUpdate(
+      req.params.id,
+      {
+        location,
+        meetingLink,
+        instructions,
+        lastUpdatedBy: req.user._id
+      },
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!interview) {
+      return next(new AppError('No interview found with that ID', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        interview
+      }
+    });
+  });
+
+  // Reschedule interview
+  rescheduleInterview = catchAsync(async (req, res, next) => {
+    const { scheduledStart, scheduledEnd } = req.body;
+
+    if (!scheduledStart || !scheduledEnd) {
+      return next(new AppError('Please provide scheduledStart and scheduledEnd', 400));
+    }
+
+    const interview = await Interview.findById(req.params.id);
+
+    if (!interview) {
+      return next(new AppError('No interview found with that ID', 404));
+    }
+
+    await InterviewService.rescheduleInterview(interview, req.body, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        interview
+      }
+    });
+  });
+
+  // Update interview status
+  updateInterviewStatus = catchAsync(async (req, res, next) => {
+    const interview = await Interview.findById(req.params.id);
+
+    if (!interview) {
+      return next(new AppError('No interview found with that ID', 404));
+    }
+
+    await InterviewService.updateStatus(interview, req.body.status, req.body, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        interview
+      }
+    });
+  });
+
+  // Submit interview feedback
+  submitFeedback = catchAsync(async (req, res, next) => {
+    if (!req.body.recommendation) {
+      return next(new AppError('Please provide a recommendation', 400));
+    }
+
+    const interview = await Interview.findById(req.params.id);
+
+    if (!interview) {
+      return next(new AppError('No interview found with that ID', 404));
+    }
+
+    await InterviewService.submitFeedback(interview, req.body, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        interview
+      }
+    });
+  });
+}
+
+module.exports = new InterviewController();
@@ -0,0 +1,169 @@
+// controllers/invoiceController.js
+const Invoice = require('../models/Invoice');
+const InvoiceService = require('../services/invoiceService');
+const { AppError } = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+
+class InvoiceController {
+  // Generate an invoice for a client
+  generateInvoice = catchAsync(async (req, res, next) => {
+    if (!req.body.clientId) {
+      return next(new AppError('Please provide the client to invoice', 400));
+    }
+
+    const { invoice, skipped } = await InvoiceService.generateInvoice(req.body, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        invoice,
+        skipped
+      }
+    });
+  });
+
+  // Get all invoices
+  getInvoices = catchAsync(async (req, res, next) => {
+    const {
+      page = 1,
+      limit = 20,
+      sort = '-invoiceDate',
+      clientId,
+      status,
+      invoiceType,
+      financialYear,
+      overdue,
+      from,
+      to
+    } = req.query;
+
+    const query = {};
+
+    if (clientId) query.clientId = clientId;
+    if (status) query.status = status;
+    if (invoiceType) query.invoiceType = invoiceType;
+    if (financialYear) query.financialYear = financialYear;
+
+    if (overdue === 'true') {
+      query.status = { $in: ['issued', 'partially_paid'] };
+      query.dueDate = { $lt: new Date() };
+    }
+
+    if (from || to) {
+      query.invoiceDate = {};
+      if (from) query.invoiceDate.$gte = new Date(from);
+      if (to) query.invoiceDate.$lte = new Date(to);
+    }
+
+    const invoices = await Invoice
+      .find(query)
+      .select('-lineItems')
+      .populate('clientId', 'businessDetails.clientName')
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Invoice.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: invoices.length,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: {
+        invoices
+      }
+    });
+  });
+
+  // Get receivables ageing
+  getAgeing = catchAsync(async (req, res, next) => {
+    const ageing = await InvoiceService.getAgeing({
+      clientId: req.query.clientId,
+      asOf: req.query.asOf ? new Date(req.query.asOf) : new Date()
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ageing
+      }
+    });
+  });
+
+  // Get single invoice
+  getInvoice = catchAsync(async (req, res, next) => {
+    const invoice = await Invoice
+      .findById(req.params.id)
+      .populate('clientId', 'businessDetails.clientName billingInfo')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!invoice) {
+      return next(new AppError('No invoice found with that ID', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        invoice
+      }
+    });
+  });
+
+  // Download invoice PDF
+  downloadInvoice = catchAsync(async (req, res, next) => {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return next(new AppError('No invoice found with that ID', 404));
+    }
+
+    const file = await InvoiceService.exportToPdf(invoice);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`);
+    res.send(file.buffer);
+  });
+
+  // Record a payment
+  recordPayment = catchAsync(async (req, res, next) => {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return next(new AppError('No invoice found with that ID', 404));
+    }
+
+    await InvoiceService.recordPayment(invoice, req.body, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        invoice
+      }
+    });
+  });
+
+  // Cancel invoice
+  cancelInvoice = catchAsync(async (req, res, next) => {
+    if (!req.body.reason) {
+      return next(new AppError('Please provide a reason for cancelling the invoice', 400));
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return next(new AppError('No invoice found with that ID', 404));
+    }
+
+    await InvoiceService.cancelInvoice(invoice, req.body, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        invoice
+      }
+    });
+  });
+}
+
+module.exports = new InvoiceController();
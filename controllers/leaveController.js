@@ -0,0 +1,80 @@
+// controllers/leaveController.js
+const Application = require('../models/Application');
+const Client = require('../models/Client');
+const LeaveService = require('../services/leaveService');
+const { AppError } = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+
+class LeaveController {
+  // Get the leave ledger and balances of a placed consultant
+  getLedger = catchAsync(async (req, res, next) => {
+    const { application, client } = await this.loadPlacement(req.params.applicationId);
+
+    const ledger = await LeaveService.getLedger(application);
+    const balances = LeaveService.computeBalances(
+      ledger,
+      client.leavePolicy,
+      req.query.asOf ? new Date(req.query.asOf) : new Date()
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ledger,
+        balances
+      }
+    });
+  });
+
+  // Encash leave
+  encashLeave = catchAsync(async (req, res, next) => {
+    const { application, client } = await this.loadPlacement(req.params.applicationId);
+
+    const ledger = await LeaveService.encashLeave(application, client.leavePolicy, req.body, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        ledger,
+        balances: LeaveService.computeBalances(ledger, client.leavePolicy)
+      }
+    });
+  });
+
+  // Adjust a leave balance
+  adjustLeave = catchAsync(async (req, res, next) => {
+    const { application, client } = await this.loadPlacement(req.params.applicationId);
+
+    const ledger = await LeaveService.adjustLeave(application, req.body, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        ledger,
+        balances: LeaveService.computeBalances(ledger, client.leavePolicy)
+      }
+    });
+  });
+
+  async loadPlacement(applicationId) {
+    const application = await Application.findById(applicationId);
+
+    if (!application) {
+      throw new AppError('No application found with that ID', 404);
+    }
+
+    if (application.stage !== 'Joined') {
+      throw new AppError('Leave is only tracked for joined candidates', 400);
+    }
+
+    const client = await Client.findById(application.clientId).select('leavePolicy');
+
+    if (!client) {
+      throw new AppError('No client found for the application', 404);
+    }
+
+    return { application, client };
+  }
+}
+
+module.exports = new LeaveController();
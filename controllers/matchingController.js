@@ -0,0 +1,67 @@
+// controllers/matchingController.js
+const Candidate = require('../models/Candidate');
+const Requirement = require('../models/Requirement');
+const MatchingService = require('../services/matchingService');
+const { AppError } = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+
+class MatchingController {
+  // Get best matching candidates for a requirement
+  getRequirementMatches = catchAsync(async (req, res, next) => {
+    const requirement = await Requirement.findById(req.params.id);
+
+    if (!requirement) {
+      return next(new AppError('No requirement found with that ID', 404));
+    }
+
+    const options = this.getOptions(req.query);
+    const { total, matches } = await MatchingService.matchCandidates(requirement, options);
+
+    res.status(200).json({
+      status: 'success',
+      results: matches.length,
+      totalPages: Math.ceil(total / options.limit),
+      currentPage: options.page,
+      data: {
+        matches
+      }
+    });
+  });
+
+  // Get best matching open requirements for a candidate
+  getCandidateMatches = catchAsync(async (req, res, next) => {
+    const candidate = await Candidate.findById(req.params.id);
+
+    if (!candidate) {
+      return next(new AppError('No candidate found with that ID', 404));
+    }
+
+    const options = {
+      ...this.getOptions(req.query),
+      clientId: req.query.clientId
+    };
+    const { total, matches } = await MatchingService.matchRequirements(candidate, options);
+
+    res.status(200).json({
+      status: 'success',
+      results: matches.length,
+      totalPages: Math.ceil(total / options.limit),
+      currentPage: options.page,
+      data: {
+        matches
+      }
+    });
+  });
+
+  // Paging and filter options from the query string
+  getOptions({ page = 1, limit = 20, minScore = 0, eligibleOnly }) {
+    return {
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20,
+      minScore: Number(minScore) || 0,
+      eligibleOnly: eligibleOnly === 'true'
+    };
+  }
+}
+
+module.exports = new MatchingController();
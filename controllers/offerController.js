@@ -0,0 +1,236 @@
+// controllers/offerController.js
+const Offer = require('../models/Offer');
+const OfferService = require('../services/offerService');
+const { FileService } = require('../services/fileService');
+const { AppError } = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+
+class OfferController {
+  // Create an offer
+  createOffer = catchAsync(async (req, res, next) => {
+    const { applicationId, designation, ctc, joiningDate, validUntil } = req.body;
+
+    if (!applicationId || !designation || !Array.isArray(ctc?.components) || !joiningDate || !validUntil) {
+      return next(new AppError('Please provide applicationId, designation, ctc components, joiningDate and validUntil', 400));
+    }
+
+    const offer = await OfferService.createOffer(req.body, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        offer
+      }
+    });
+  });
+
+  // Get all offers
+  getOffers = catchAsync(async (req, res, next) => {
+    const {
+      page = 1,
+      limit = 20,
+      sort = '-createdAt',
+      status,
+      candidateId,
+      applicationId,
+      clientId
+    } = req.query;
+
+    const query = {};
+
+    if (status) query.status = status;
+    if (candidateId) query.candidateId = candidateId;
+    if (applicationId) query.applicationId = applicationId;
+    if (clientId) query.clientId = clientId;
+
+    const offers = await Offer
+      .find(query)
+      .populate('candidateId', 'personalDetails contactInfo')
+      .populate('clientId', 'businessDetails.clientName')
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Offer.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: offers.length,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: {
+        offers
+      }
+    });
+  });
+
+  // Get single offer
+  getOffer = catchAsync(async (req, res, next) => {
+    const offer = await Offer
+      .findById(req.params.id)
+      .populate('candidateId', 'personalDetails contactInfo')
+      .populate('clientId', 'businessDetails.clientName')
+      .populate('requirementId', 'jobTitle jobLocation')
+      .populate('createdBy sentBy withdrawal.withdrawnBy', 'firstName lastName email');
+
+    if (!offer) {
+      return next(new AppError('No offer found with that ID', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        offer
+      }
+    });
+  });
+
+  // Revise the offer as a new version
+  reviseOffer = catchAsync(async (req, res, next) => {
+    const offer = await Offer.findById(req.params.id);
+
+    if (!offer) {
+      return next(new AppError('No offer found with that ID', 404));
+    }
+
+    await OfferService.reviseOffer(offer, req.body, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        offer
+      }
+    });
+  });
+
+  // Send the offer to the candidate
+  sendOffer = catchAsync(async (req, res, next) => {
+    const offer = await Offer.findById(req.params.id);
+
+    if (!offer) {
+      return next(new AppError('No offer found with that ID', 404));
+    }
+
+    await OfferService.sendOffer(offer, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        offer
+      }
+    });
+  });
+
+  // Withdraw the offer
+  withdrawOffer = catchAsync(async (req, res, next) => {
+    if (!req.body.reason) {
+      return next(new AppError('Please provide a reason for withdrawing the offer', 400));
+    }
+
+    const offer = await Offer.findById(req.params.id);
+
+    if (!offer) {
+      return next(new AppError('No offer found with that ID', 404));
+    }
+
+    await OfferService.withdrawOffer(offer, req.body, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        offer
+      }
+    });
+  });
+
+  // Download the offer letter of a version (current by default)
+  downloadOffer = catchAsync(async (req, res, next) => {
+    const offer = await Offer.findById(req.params.id);
+
+    if (!offer) {
+      return next(new AppError('No offer found with that ID', 404));
+    }
+
+    await this.sendLetter(res, offer, req.query.version ? Number(req.query.version) : offer.currentVersion);
+  });
+
+  // ===== CANDIDATE LINK =====
+
+  // View the offer behind a link
+  viewOffer = catchAsync(async (req, res, next) => {
+    const offer = await OfferService.resolveToken(req.params.token);
+    const version = offer.current;
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        offer: {
+          offerCode: offer.offerCode,
+          status: offer.status,
+          designation: version.designation,
+          location: version.location,
+          ctc: version.ctc,
+          joiningDate: version.joiningDate,
+          validUntil: version.validUntil,
+          respondedAt: offer.response?.respondedAt
+        }
+      }
+    });
+  });
+
+  // Download the offer letter behind a link
+  downloadOfferByToken = catchAsync(async (req, res, next) => {
+    const offer = await OfferService.resolveToken(req.params.token);
+
+    await this.sendLetter(res, offer, offer.currentVersion);
+  });
+
+  // Accept the offer
+  acceptOffer = catchAsync(async (req, res, next) => {
+    const offer = await OfferService.respond(req.params.token, 'accepted', {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        status: offer.status,
+        respondedAt: offer.response.respondedAt
+      }
+    });
+  });
+
+  // Decline the offer
+  declineOffer = catchAsync(async (req, res, next) => {
+    const offer = await OfferService.respond(req.params.token, 'declined', {
+      reason: req.body.reason,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        status: offer.status,
+        respondedAt: offer.response.respondedAt
+      }
+    });
+  });
+
+  async sendLetter(res, offer, versionNumber) {
+    const version = offer.versions.find(v => v.version === versionNumber);
+
+    if (!version?.fileId) {
+      throw new AppError('No offer letter found for that version', 404);
+    }
+
+    const file = await FileService.getFileBuffer(version.fileId);
+
+    res.setHeader('Content-Type', file.mimeType || 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=OFR${offer._id.toString().slice(-6).toUpperCase()}-V${version.version}.pdf`);
+    res.send(file.buffer);
+  }
+}
+
+module.exports = new OfferController();
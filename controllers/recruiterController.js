@@ -3,6 +3,13 @@ const Candidate = require('../models/Candidate');
 const Requirement = require('../models/Requirement');
 const User = require('../models/User');
 const Activity = require('../models/Activity');
+const Application = require('../models/Application');
+const Team = require('../models/Team');
+const ApplicationService = require('../services/applicationService');
+const EmailService = require('../services/emailService');
+const DuplicateService = require('../services/duplicateService');
+const DataScopeService = require('../services/dataScopeService');
+const TeamService = require('../services/teamService');
 const { AppError } = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 
@@ -19,8 +26,7 @@ class RecruiterController {
         return next(new AppError('Candidate not found', 404));
       }
     } else {
-      // Create new candidate with basic info
-      candidate = new Candidate({
+      const basicInfo = {
         personalDetails: {
           firstName: callData.candidateName.split(' ')[0],
           lastName: callData.candidateName.split(' ').slice(1).join(' ')
@@ -28,7 +34,25 @@ class RecruiterController {
         contactInfo: {
           phoneNo: callData.contactNumber,
           email: callData.email
-        },
+        }
+      };
+      
+      // Return likely duplicates instead of creating another record
+      if (req.body.ignoreDuplicates !== true) {
+        const duplicates = await DuplicateService.findDuplicates(basicInfo);
+        
+        if (duplicates.length) {
+          return next(new AppError(
+            'Possible duplicate candidates found. Save the call against one of them or resubmit with ignoreDuplicates',
+            409,
+            { duplicates: await DataScopeService.presentDuplicates(req.user, duplicates) }
+          ));
+        }
+      }
+      
+      // Create new candidate with basic info
+      candidate = new Candidate({
+        ...basicInfo,
         createdBy: req.user._id
       });
     }
@@ -77,6 +101,31 @@ class RecruiterController {
       return next(new AppError('Candidate not found', 404));
     }
     
+    // Move the candidate's application for the requirement to Selected
+    if (requirementId) {
+      const application = await Application.findOne({ candidateId, requirementId });
+      
+      if (application?.isOpen()) {
+        await ApplicationService.moveStage(application, 'Selected', {
+          user: req.user,
+          reason: 'Selection recorded'
+        });
+      } else {
+        const requirement = await Requirement.findById(requirementId);
+        if (!requirement) {
+          return next(new AppError('Requirement not found', 404));
+        }
+        
+        await ApplicationService.createApplication({
+          candidate,
+          requirement,
+          stage: 'Selected',
+          user: req.user,
+          reason: 'Selection recorded'
+        });
+      }
+    }
+    
     candidate.status = 'Selected';
     candidate.selectionDetails = {
       businessType,
@@ -89,11 +138,17 @@ class RecruiterController {
     
     await candidate.save();
     
-    // Update requirement metrics
-    if (requirementId) {
-      await Requirement.findByIdAndUpdate(requirementId, {
-        $inc: { 'metrics.selected': 1 }
-      });
+    // Put the joining date in the candidate's calendar
+    if (expectedJoiningDate && candidate.contactInfo?.email) {
+      try {
+        await EmailService.sendJoiningDateReminder(candidate, {
+          position: offeredDesignation,
+          companyName: client,
+          joiningDate: expectedJoiningDate
+        });
+      } catch (error) {
+        console.error('Joining date invite error:', error.message);
+      }
     }
     
     res.status(201).json({
@@ -139,12 +194,10 @@ class RecruiterController {
       .limit(10);
     
     // Get assigned requirements
+    const teamIds = await TeamService.getTeamIds(userId);
     const assignedRequirements = await Requirement
       .find({
-        $or: [
-          { 'allocation.recruiters.recruiterId': userId },
-          { 'allocation.all': true }
-        ],
+        $or: Requirement.allocatedTo(userId, teamIds),
         status: 'Active'
       })
       .select('jobTitle vacancyCount filledCount')
@@ -229,11 +282,11 @@ class RecruiterController {
   
   // Get my requirements
   getMyRequirements = catchAsync(async (req, res, next) => {
+    const teamIds = await TeamService.getTeamIds(req.user._id);
     const requirements = await Requirement
       .find({
         $or: [
-          { 'allocation.recruiters.recruiterId': req.user._id },
-          { 'allocation.all': true },
+          ...Requirement.allocatedTo(req.user._id, teamIds),
           { createdBy: req.user._id }
         ],
         status: 'Active'
@@ -312,10 +365,11 @@ class RecruiterController {
   
   // Get team members
   getTeamMembers = catchAsync(async (req, res, next) => {
-    // This would typically fetch from a Team model
+    const teams = await this.findTeams(req);
+    
     const teamMembers = await User
       .find({
-        role: 'recruiter',
+        _id: { $in: teams.flatMap(team => team.members) },
         isActive: true
       })
       .select('firstName lastName email role');
@@ -324,6 +378,7 @@ class RecruiterController {
       status: 'success',
       results: teamMembers.length,
       data: {
+        teams,
         teamMembers
       }
     });
@@ -331,26 +386,10 @@ class RecruiterController {
   
   // Get team performance
   getTeamPerformance = catchAsync(async (req, res, next) => {
-    // Aggregate team performance metrics
-    const teamPerformance = await Candidate.aggregate([
-      {
-        $match: {
-          createdBy: { $in: req.body.teamMemberIds || [] }
-        }
-      },
-      {
-        $group: {
-          _id: '$createdBy',
-          totalCandidates: { $sum: 1 },
-          submitted: {
-            $sum: { $cond: [{ $eq: ['$status', 'Submitted'] }, 1, 0] }
-          },
-          selected: {
-            $sum: { $cond: [{ $eq: ['$status', 'Selected'] }, 1, 0] }
-          }
-        }
-      }
-    ]);
+    const { dateFrom, dateTo } = req.query;
+    
+    const teams = await this.findTeams(req);
+    const teamPerformance = await TeamService.getPerformance(teams, { dateFrom, dateTo });
     
     res.status(200).json({
       status: 'success',
@@ -359,6 +398,26 @@ class RecruiterController {
       }
     });
   });
+  
+  // Teams the request covers - the user's own unless their scope is all,
+  // narrowed to one team with ?teamId
+  async findTeams(req) {
+    const { teamId } = req.query;
+    
+    if (teamId) {
+      const team = await TeamService.getTeam(teamId);
+      if (req.permissionScope !== 'all' && !TeamService.isMember(team, req.user._id)) {
+        throw new AppError('You do not have access to this team', 403);
+      }
+      return [team];
+    }
+    
+    const query = req.permissionScope === 'all'
+      ? Team.find({ isActive: true })
+      : Team.findForUser(req.user._id);
+    
+    return query.populate('lead', 'firstName lastName email').sort('name');
+  }
 }
 
 module.exports = new RecruiterController();
\ No newline at end of file
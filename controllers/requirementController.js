@@ -1,8 +1,14 @@
 // controllers/requirementController.js
 const Requirement = require('../models/Requirement');
 const Client = require('../models/Client');
+const Candidate = require('../models/Candidate');
 const EmailService = require('../services/emailService');
 const WorkflowService = require('../services/workflowService');
+const ApplicationService = require('../services/applicationService');
+const MarginService = require('../services/marginService');
+const TeamService = require('../services/teamService');
+const DataScopeService = require('../services/dataScopeService');
+const PermissionService = require('../services/permissionService');
 const { AppError } = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 
@@ -67,20 +73,15 @@ class RequirementController {
       ];
     }
     
-    // Apply role-based filtering
-    if (req.user.role === 'recruiter') {
-      query.$or = [
-        { createdBy: req.user._id },
-        { 'allocation.all': true },
-        { 'allocation.recruiters.recruiterId': req.user._id }
-      ];
-    } else if (req.user.role === 'vendor') {
-      query.$or = [
-        { 'allocation.all': true },
-        { 'allocation.vendors.vendorId': req.user._id }
-      ];
+    // Limit to the requirements the user's permission scope covers
+    const scopeFilter = await this.scopeFilter(req.user, req.permissionScope);
+    if (scopeFilter) {
+      query.$and = [scopeFilter];
     }
     
+    // Client users only see their client's requirements, vendor users those allocated to their agency
+    await DataScopeService.scopeQuery(req.user, 'requirement', query);
+    
     // Execute query
     const requirements = await Requirement
       .find(query)
@@ -106,6 +107,8 @@ class RequirementController {
   
   // Get single requirement
   getRequirement = catchAsync(async (req, res, next) => {
+    await DataScopeService.assertAccess(req.user, 'requirement', req.params.id);
+    
     const requirement = await Requirement
       .findById(req.params.id)
       .populate('clientId')
@@ -118,16 +121,16 @@ class RequirementController {
       return next(new AppError('No requirement found with that ID', 404));
     }
     
-    // Check access
-    if (!requirement.hasAccess(req.user._id) && 
-        !['admin', 'super_admin', 'hr'].includes(req.user.role)) {
+    // Check access - client and vendor users were checked against their scope above
+    const scopeFilter = await this.scopeFilter(req.user, req.permissionScope);
+    if (scopeFilter && !(await Requirement.exists({ $and: [{ _id: requirement._id }, scopeFilter] }))) {
       return next(new AppError('You do not have access to this requirement', 403));
     }
     
     res.status(200).json({
       status: 'success',
       data: {
-        requirement
+        requirement: DataScopeService.presentRequirement(req.user, requirement)
       }
     });
   });
@@ -291,6 +294,13 @@ class RequirementController {
       query.employmentType = employmentType;
     }
     
+    const scopeFilter = await this.scopeFilter(req.user, req.permissionScope);
+    if (scopeFilter) {
+      query.$and = [scopeFilter];
+    }
+    
+    await DataScopeService.scopeQuery(req.user, 'requirement', query);
+    
     const requirements = await Requirement
       .find(query)
       .populate('clientId', 'businessDetails.clientName')
@@ -309,7 +319,7 @@ class RequirementController {
   // Map candidate to requirement
   mapCandidateToRequirement = catchAsync(async (req, res, next) => {
     const { id, candidateId } = req.params;
-    const { status = 'Submitted' } = req.body;
+    const { status, reason, owner } = req.body;
     
     const requirement = await Requirement.findById(id);
     
@@ -317,26 +327,29 @@ class RequirementController {
       return next(new AppError('No requirement found with that ID', 404));
     }
     
-    // Update metrics based on status
-    if (status === 'Submitted') {
-      requirement.metrics.totalApplications += 1;
-    } else if (status === 'Shortlisted') {
-      requirement.metrics.shortlisted += 1;
-    } else if (status === 'Interview') {
-      requirement.metrics.interviewed += 1;
-    } else if (status === 'Selected') {
-      requirement.metrics.selected += 1;
-    } else if (status === 'Joined') {
-      requirement.metrics.joined += 1;
-      requirement.filledCount += 1;
+    const candidate = await Candidate.findById(candidateId);
+    
+    if (!candidate) {
+      return next(new AppError('No candidate found with that ID', 404));
     }
     
-    await requirement.save();
+    // Create the application; metrics are recomputed from applications
+    const application = await ApplicationService.createApplication({
+      candidate,
+      requirement,
+      stage: status,
+      user: req.user,
+      owner,
+      reason
+    });
     
-    res.status(200).json({
+    const updatedRequirement = await Requirement.findById(id).select('metrics filledCount vacancyCount');
+    
+    res.status(201).json({
       status: 'success',
       data: {
-        requirement
+        application,
+        requirement: updatedRequirement
       }
     });
   });
@@ -355,6 +368,7 @@ class RequirementController {
     delete cloneData.createdAt;
     delete cloneData.updatedAt;
     delete cloneData.metrics;
+    delete cloneData.filledCount;
     delete cloneData.allocation;
     
     cloneData.status = 'Draft';
@@ -371,6 +385,24 @@ class RequirementController {
     });
   });
   
+  // Simulate the margin of an offer and the highest offer within the floor
+  simulateMargin = catchAsync(async (req, res, next) => {
+    const requirement = await Requirement.findById(req.params.id).select('clientId salaryType');
+    
+    if (!requirement) {
+      return next(new AppError('No requirement found with that ID', 404));
+    }
+    
+    const simulation = await MarginService.simulate(requirement, req.body);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        simulation
+      }
+    });
+  });
+  
   // Get requirement statistics
   getRequirementStats = catchAsync(async (req, res, next) => {
     const stats = await Requirement.aggregate([
@@ -452,6 +484,20 @@ class RequirementController {
     });
   });
   
+  // Requirements within a read scope: created by the user (or their teammates) or
+  // allocated to them or their teams. Null when the scope covers everything.
+  async scopeFilter(user, scope) {
+    if (scope === 'all') return null;
+    
+    const [created, owners, teamIds] = await Promise.all([
+      PermissionService.scopeFilter(user, scope, ['createdBy']),
+      PermissionService.getOwnerIds(user, scope),
+      TeamService.getTeamIds(user._id)
+    ]);
+    
+    return { $or: [...created.$or, ...Requirement.allocatedTo({ $in: owners }, teamIds)] };
+  }
+  
   // Send allocation notifications
   async sendAllocationNotifications(requirement, allocation) {
     const notifications = [];
@@ -472,7 +518,15 @@ class RequirementController {
         }
       }
       
-      // Similar for teams, freelancers, vendors
+      // Everyone in an allocated team
+      if (allocation.teams?.length) {
+        const members = await TeamService.getMembersOf(allocation.teams.map(team => team.teamId));
+        for (const member of members) {
+          notifications.push(EmailService.sendRequirementAllocation(member, requirement));
+        }
+      }
+      
+      // Similar for freelancers, vendors
     }
     
     await Promise.all(notifications);
@@ -0,0 +1,105 @@
+// controllers/roleController.js
+const PermissionService = require('../services/permissionService');
+const { SCOPES, MODULES } = require('../config/permissions');
+const { AppError } = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+
+class RoleController {
+  // Permissions of the logged in user
+  getMyPermissions = catchAsync(async (req, res, next) => {
+    const permissions = await PermissionService.describe(req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        role: req.user.role,
+        permissions
+      }
+    });
+  });
+
+  // Every module, action and scope that can be granted
+  getCatalog = catchAsync(async (req, res, next) => {
+    res.status(200).json({
+      status: 'success',
+      data: {
+        scopes: SCOPES,
+        modules: MODULES
+      }
+    });
+  });
+
+  getRoles = catchAsync(async (req, res, next) => {
+    const roles = await PermissionService.listRoles();
+
+    res.status(200).json({
+      status: 'success',
+      results: roles.length,
+      data: {
+        roles
+      }
+    });
+  });
+
+  getRole = catchAsync(async (req, res, next) => {
+    const role = await PermissionService.getRole(req.params.name);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        role
+      }
+    });
+  });
+
+  createRole = catchAsync(async (req, res, next) => {
+    const role = await PermissionService.createRole(req.body, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        role
+      }
+    });
+  });
+
+  updateRole = catchAsync(async (req, res, next) => {
+    const role = await PermissionService.updateRole(req.params.name, req.body, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        role
+      }
+    });
+  });
+
+  deleteRole = catchAsync(async (req, res, next) => {
+    await PermissionService.deleteRole(req.params.name);
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  });
+
+  // Give a user this role
+  assignRole = catchAsync(async (req, res, next) => {
+    const { userId } = req.body;
+
+    if (!userId) {
+      return next(new AppError('Please provide a userId', 400));
+    }
+
+    const user = await PermissionService.assignRole(userId, req.params.name, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user
+      }
+    });
+  });
+}
+
+module.exports = new RoleController();
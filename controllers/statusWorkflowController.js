@@ -0,0 +1,161 @@
+// controllers/statusWorkflowController.js
+const StatusWorkflow = require('../models/StatusWorkflow');
+const StatusWorkflowService = require('../services/statusWorkflowService');
+const { AppError } = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+
+class StatusWorkflowController {
+  // Create status workflow
+  createWorkflow = catchAsync(async (req, res, next) => {
+    const { clientId, requirementId, isDefault } = req.body;
+
+    StatusWorkflowService.assertHookTemplates(req.body.transitions);
+
+    const conflict = await this.findScopeConflict({ clientId, requirementId, isDefault });
+    if (conflict) {
+      return next(new AppError('An active workflow already exists for this scope', 400));
+    }
+
+    const workflow = await StatusWorkflow.create({
+      ...req.body,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        workflow
+      }
+    });
+  });
+
+  // Get all status workflows
+  getWorkflows = catchAsync(async (req, res, next) => {
+    const { clientId, requirementId } = req.query;
+
+    const query = { isActive: true };
+    if (clientId) query.clientId = clientId;
+    if (requirementId) query.requirementId = requirementId;
+
+    const workflows = await StatusWorkflow
+      .find(query)
+      .populate('clientId', 'businessDetails.clientName')
+      .populate('requirementId', 'jobTitle')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      status: 'success',
+      results: workflows.length,
+      data: {
+        workflows
+      }
+    });
+  });
+
+  // Get the workflow that applies to a client or requirement
+  getEffectiveWorkflow = catchAsync(async (req, res, next) => {
+    const { clientId, requirementId } = req.query;
+
+    const workflow = await StatusWorkflowService.resolveWorkflow({ clientId, requirementId });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        workflow
+      }
+    });
+  });
+
+  // Get single status workflow
+  getWorkflow = catchAsync(async (req, res, next) => {
+    const workflow = await StatusWorkflow.findById(req.params.id);
+
+    if (!workflow) {
+      return next(new AppError('No workflow found with that ID', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        workflow
+      }
+    });
+  });
+
+  // Update status workflow
+  updateWorkflow = catchAsync(async (req, res, next) => {
+    const workflow = await StatusWorkflow.findById(req.params.id);
+
+    if (!workflow) {
+      return next(new AppError('No workflow found with that ID', 404));
+    }
+
+    const updates = req.body;
+    delete updates._id;
+    delete updates.createdBy;
+
+    if (updates.transitions !== undefined) {
+      StatusWorkflowService.assertHookTemplates(updates.transitions);
+    }
+
+    const scope = {
+      clientId: updates.clientId !== undefined ? updates.clientId : workflow.clientId,
+      requirementId: updates.requirementId !== undefined ? updates.requirementId : workflow.requirementId,
+      isDefault: updates.isDefault !== undefined ? updates.isDefault : workflow.isDefault
+    };
+
+    const conflict = await this.findScopeConflict(scope, workflow._id);
+    if (conflict) {
+      return next(new AppError('An active workflow already exists for this scope', 400));
+    }
+
+    // Save instead of findByIdAndUpdate so state references are validated
+    Object.assign(workflow, updates, { lastUpdatedBy: req.user._id });
+    await workflow.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        workflow
+      }
+    });
+  });
+
+  // Delete status workflow (soft delete)
+  deleteWorkflow = catchAsync(async (req, res, next) => {
+    const workflow = await StatusWorkflow.findByIdAndUpdate(req.params.id, {
+      isActive: false,
+      lastUpdatedBy: req.user._id
+    });
+
+    if (!workflow) {
+      return next(new AppError('No workflow found with that ID', 404));
+    }
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  });
+
+  // Find another active workflow with the same scope
+  findScopeConflict({ clientId, requirementId, isDefault }, excludeId) {
+    let query;
+
+    if (requirementId) {
+      query = { requirementId };
+    } else if (clientId) {
+      query = { clientId, requirementId: null };
+    } else if (isDefault) {
+      query = { isDefault: true };
+    } else {
+      return null;
+    }
+
+    if (excludeId) query._id = { $ne: excludeId };
+
+    return StatusWorkflow.findOne({ ...query, isActive: true });
+  }
+}
+
+module.exports = new StatusWorkflowController();
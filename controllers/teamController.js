@@ -0,0 +1,137 @@
+// controllers/teamController.js
+const Team = require('../models/Team');
+const TeamService = require('../services/teamService');
+const { AppError } = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+
+class TeamController {
+  // Create team
+  createTeam = catchAsync(async (req, res, next) => {
+    const { name, lead } = req.body;
+
+    if (!name || !lead) {
+      return next(new AppError('Please provide a team name and lead', 400));
+    }
+
+    const team = await TeamService.createTeam(req.body, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        team
+      }
+    });
+  });
+
+  // Get teams - limited to the user's own unless their scope is all
+  getTeams = catchAsync(async (req, res, next) => {
+    const { page = 1, limit = 20, sort = 'name', isActive, clientId, memberId, search } = req.query;
+
+    const query = {};
+
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (clientId) query.clients = clientId;
+    if (memberId) query.members = memberId;
+    if (search) query.name = new RegExp(search, 'i');
+
+    if (req.permissionScope !== 'all') {
+      query.$and = [{ $or: [{ lead: req.user._id }, { members: req.user._id }] }];
+    }
+
+    const teams = await Team
+      .find(query)
+      .populate('lead', 'firstName lastName email')
+      .populate('clients', 'businessDetails.clientName')
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Team.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: teams.length,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: {
+        teams
+      }
+    });
+  });
+
+  // Get single team
+  getTeam = catchAsync(async (req, res, next) => {
+    const team = await TeamService.getTeam(req.params.id);
+
+    if (req.permissionScope !== 'all' && !TeamService.isMember(team, req.user._id)) {
+      return next(new AppError('You do not have access to this team', 403));
+    }
+
+    await team.populate([
+      { path: 'lead', select: 'firstName lastName email' },
+      { path: 'members', select: 'firstName lastName email role' },
+      { path: 'clients', select: 'businessDetails.clientName' }
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        team
+      }
+    });
+  });
+
+  // Update team
+  updateTeam = catchAsync(async (req, res, next) => {
+    const team = await TeamService.updateTeam(req.params.id, req.body, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        team
+      }
+    });
+  });
+
+  // Delete team
+  deleteTeam = catchAsync(async (req, res, next) => {
+    await TeamService.deleteTeam(req.params.id);
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  });
+
+  // Add members
+  addMembers = catchAsync(async (req, res, next) => {
+    const { userIds } = req.body;
+
+    if (!Array.isArray(userIds) || !userIds.length) {
+      return next(new AppError('Please provide the userIds to add', 400));
+    }
+
+    const team = await TeamService.addMembers(req.params.id, userIds, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        team
+      }
+    });
+  });
+
+  // Remove a member
+  removeMember = catchAsync(async (req, res, next) => {
+    const team = await TeamService.removeMember(req.params.id, req.params.userId, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        team
+      }
+    });
+  });
+}
+
+module.exports = new TeamController();
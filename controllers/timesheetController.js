@@ -0,0 +1,183 @@
+// controllers/timesheetController.js
+const Timesheet = require('../models/Timesheet');
+const TimesheetService = require('../services/timesheetService');
+const { AppError } = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+
+class TimesheetController {
+  // Create a timesheet
+  createTimesheet = catchAsync(async (req, res, next) => {
+    const { applicationId, periodStart, periodEnd } = req.body;
+
+    if (!applicationId || !periodStart || !periodEnd) {
+      return next(new AppError('Please provide applicationId, periodStart and periodEnd', 400));
+    }
+
+    const timesheet = await TimesheetService.createTimesheet(req.body, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        timesheet
+      }
+    });
+  });
+
+  // Get all timesheets
+  getTimesheets = catchAsync(async (req, res, next) => {
+    const {
+      page = 1,
+      limit = 20,
+      sort = '-period.start',
+      status,
+      clientId,
+      candidateId,
+      applicationId,
+      from,
+      to
+    } = req.query;
+
+    const query = {};
+
+    if (status) query.status = status;
+    if (clientId) query.clientId = clientId;
+    if (candidateId) query.candidateId = candidateId;
+    if (applicationId) query.applicationId = applicationId;
+    if (from) query['period.end'] = { $gte: new Date(from) };
+    if (to) query['period.start'] = { $lte: new Date(to) };
+
+    const timesheets = await Timesheet
+      .find(query)
+      .select('-entries -history')
+      .populate('candidateId', 'personalDetails')
+      .populate('clientId', 'businessDetails.clientName')
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Timesheet.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: timesheets.length,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: {
+        timesheets
+      }
+    });
+  });
+
+  // Get billable days and hours of a client's placements for a period
+  getBillableSummary = catchAsync(async (req, res, next) => {
+    const { clientId, periodStart, periodEnd } = req.query;
+
+    if (!clientId || !periodStart || !periodEnd) {
+      return next(new AppError('Please provide clientId, periodStart and periodEnd', 400));
+    }
+
+    const placements = await TimesheetService.getBillableSummary({ clientId, periodStart, periodEnd });
+
+    res.status(200).json({
+      status: 'success',
+      results: placements.length,
+      data: {
+        placements
+      }
+    });
+  });
+
+  // Get single timesheet
+  getTimesheet = catchAsync(async (req, res, next) => {
+    const timesheet = await Timesheet
+      .findById(req.params.id)
+      .populate('candidateId', 'personalDetails contactInfo')
+      .populate('clientId', 'businessDetails.clientName timesheetConfig')
+      .populate('requirementId', 'jobTitle')
+      .populate('submittedBy review.recordedBy', 'firstName lastName email');
+
+    if (!timesheet) {
+      return next(new AppError('No timesheet found with that ID', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        timesheet
+      }
+    });
+  });
+
+  // Update the daily entries
+  updateTimesheet = catchAsync(async (req, res, next) => {
+    if (!Array.isArray(req.body.entries)) {
+      return next(new AppError('Please provide the timesheet entries', 400));
+    }
+
+    const timesheet = await Timesheet.findById(req.params.id);
+
+    if (!timesheet) {
+      return next(new AppError('No timesheet found with that ID', 404));
+    }
+
+    await TimesheetService.updateEntries(timesheet, req.body.entries, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        timesheet
+      }
+    });
+  });
+
+  // Submit for client approval
+  submitTimesheet = catchAsync(async (req, res, next) => {
+    const timesheet = await Timesheet.findById(req.params.id);
+
+    if (!timesheet) {
+      return next(new AppError('No timesheet found with that ID', 404));
+    }
+
+    await TimesheetService.submitTimesheet(timesheet, req.body, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        timesheet
+      }
+    });
+  });
+
+  // Record the client SPOC's approval
+  approveTimesheet = catchAsync(async (req, res, next) => {
+    await this.review(req, res, next, 'approved');
+  });
+
+  // Record the client SPOC's rejection
+  rejectTimesheet = catchAsync(async (req, res, next) => {
+    await this.review(req, res, next, 'rejected');
+  });
+
+  async review(req, res, next, decision) {
+    if (!req.body.spocId) {
+      return next(new AppError('Please provide the client SPOC who reviewed the timesheet', 400));
+    }
+
+    const timesheet = await Timesheet.findById(req.params.id);
+
+    if (!timesheet) {
+      return next(new AppError('No timesheet found with that ID', 404));
+    }
+
+    await TimesheetService.reviewTimesheet(timesheet, { ...req.body, decision }, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        timesheet
+      }
+    });
+  }
+}
+
+module.exports = new TimesheetController();
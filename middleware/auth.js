@@ -5,6 +5,10 @@ const User = require('../models/User');
 const { AppError } = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const TokenService = require('../services/tokenService');
+const CandidatePortalService = require('../services/candidatePortalService');
+const ClientPortalService = require('../services/clientPortalService');
+const PermissionService = require('../services/permissionService');
+const RequestContext = require('../utils/requestContext');
 
 // Protect routes
 exports.protect = catchAsync(async (req, res, next) => {
@@ -79,6 +83,7 @@ exports.protect = catchAsync(async (req, res, next) => {
   // Grant access to protected route
   req.user = currentUser;
   res.locals.user = currentUser;
+  RequestContext.setActor({ user: currentUser });
   
   // Store token in request for potential blacklisting on logout
   req.token = token;
@@ -93,6 +98,35 @@ exports.protect = catchAsync(async (req, res, next) => {
   next();
 });
 
+// Protect candidate portal routes - the link token stands in for a login and
+// scopes the request to the one candidate it was issued for
+exports.protectCandidateLink = catchAsync(async (req, res, next) => {
+  const { link, candidate } = await CandidatePortalService.authenticate(req.params.token, {
+    ipAddress: req.ip
+  });
+  
+  req.magicLink = link;
+  req.candidate = candidate;
+  RequestContext.setActor({ candidate, magicLink: link });
+  
+  next();
+});
+
+// Protect client portal routes - the link token scopes the request to the client
+// and the SPOC it was issued for
+exports.protectClientLink = catchAsync(async (req, res, next) => {
+  const { link, client, spoc } = await ClientPortalService.authenticate(req.params.token, {
+    ipAddress: req.ip
+  });
+  
+  req.magicLink = link;
+  req.client = client;
+  req.spoc = spoc;
+  RequestContext.setActor({ client, spoc, magicLink: link });
+  
+  next();
+});
+
 // Restrict to certain roles
 exports.restrictTo = (...roles) => {
   return (req, res, next) => {
@@ -103,19 +137,19 @@ exports.restrictTo = (...roles) => {
   };
 };
 
-// Check specific permissions
+// Check a permission from the role policy (config/permissions.js) or the user's own grants.
+// The granted scope is left on req.permissionScope for controllers to narrow records by.
 exports.checkPermission = (module, action) => {
-  return (req, res, next) => {
-    const hasPermission = req.user.permissions.some(
-      perm => perm.module === module && perm.actions.includes(action)
-    );
+  return catchAsync(async (req, res, next) => {
+    const scope = await PermissionService.resolve(req.user, module, action);
     
-    if (!hasPermission && !['admin', 'super_admin'].includes(req.user.role)) {
+    if (!scope) {
       return next(new AppError('You do not have permission to perform this action', 403));
     }
     
+    req.permissionScope = scope;
     next();
-  };
+  });
 };
 
 // Optional authentication - doesn't fail if no token
@@ -1,4 +1,5 @@
 // middleware/upload.js
+const { AsyncResource } = require('async_hooks');
 const multer = require('multer');
 const sharp = require('sharp');
 const { v4: uuidv4 } = require('uuid');
@@ -19,7 +20,8 @@ const multerFilter = (req, file, cb) => {
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
     'application/vnd.ms-excel',
     'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'text/csv'
+    'text/csv',
+    'text/plain'
   ];
   
   if (allowedMimes.includes(file.mimetype)) {
@@ -38,14 +40,18 @@ const upload = multer({
   }
 });
 
+// Multer calls next from the request stream's events, outside the request context -
+// bind it to the context so the audit trail still knows the actor after an upload
+const keepContext = (middleware) => (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+
 // Upload single file
-exports.uploadSingle = (fieldName) => upload.single(fieldName);
+exports.uploadSingle = (fieldName) => keepContext(upload.single(fieldName));
 
 // Upload multiple files
-exports.uploadMultiple = (fieldName, maxCount) => upload.array(fieldName, maxCount);
+exports.uploadMultiple = (fieldName, maxCount) => keepContext(upload.array(fieldName, maxCount));
 
 // Upload fields
-exports.uploadFields = (fields) => upload.fields(fields);
+exports.uploadFields = (fields) => keepContext(upload.fields(fields));
 
 // Resize and optimize images
 exports.resizeImage = (width, height) => {
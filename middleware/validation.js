@@ -186,8 +186,13 @@ exports.validateSpoc = [
 // Status update validation
 exports.validateStatusUpdate = [
   body('status')
-    .isIn(['New', 'Screening', 'Submitted', 'Interview', 'Selected', 'Offered', 'Joined', 'Rejected', 'On Hold'])
-    .withMessage('Invalid status'),
+    .trim()
+    .notEmpty()
+    .withMessage('Status is required'),
+  body('requirementId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid requirement ID'),
   body('notes')
     .optional()
     .trim()
@@ -222,7 +227,52 @@ exports.validatePagination = [
 ];
 
 // Leave Policy validation
+const leaveTypeRules = (phase) => [
+  body(`leavePolicy.${phase}.leaveTypes`)
+    .optional()
+    .isArray()
+    .withMessage(`${phase} leave types must be a list`)
+    .custom((leaveTypes) => {
+      const codes = leaveTypes.map(type => String(type?.code || '').trim().toUpperCase());
+      if (new Set(codes).size !== codes.length) {
+        throw new Error(`${phase} leave type codes must be unique`);
+      }
+      return true;
+    }),
+  body(`leavePolicy.${phase}.leaveTypes.*.code`)
+    .trim()
+    .notEmpty()
+    .withMessage('Leave type code is required'),
+  body(`leavePolicy.${phase}.leaveTypes.*.accrualPerMonth`)
+    .isFloat({ min: 0, max: 31 })
+    .withMessage('Accrual per month must be between 0 and 31 days'),
+  body(`leavePolicy.${phase}.leaveTypes.*.paid`)
+    .optional()
+    .isBoolean()
+    .withMessage('Paid must be true or false'),
+  body(`leavePolicy.${phase}.leaveTypes.*.carryForward.allowed`)
+    .optional()
+    .isBoolean()
+    .withMessage('Carry forward allowed must be true or false'),
+  body(`leavePolicy.${phase}.leaveTypes.*.carryForward.maxDays`)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Carry forward limit must be a positive number of days'),
+  body(`leavePolicy.${phase}.leaveTypes.*.encashment.allowed`)
+    .optional()
+    .isBoolean()
+    .withMessage('Encashment allowed must be true or false'),
+  body(`leavePolicy.${phase}.leaveTypes.*.encashment.maxDaysPerYear`)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Encashment limit must be a positive number of days')
+];
+
 exports.validateLeavePolicy = [
+  body('leavePolicy.probationMonths')
+    .optional()
+    .isInt({ min: 0, max: 24 })
+    .withMessage('Probation must be between 0 and 24 months'),
   body('leavePolicy.preProbation')
     .optional()
     .isObject()
@@ -231,6 +281,8 @@ exports.validateLeavePolicy = [
     .optional()
     .isObject()
     .withMessage('Post-probation leave policy must be an object'),
+  ...leaveTypeRules('preProbation'),
+  ...leaveTypeRules('postProbation'),
   handleValidationErrors
 ];
 
@@ -4,7 +4,7 @@ const mongoose = require('mongoose');
 const activitySchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['create', 'update', 'delete', 'status_change', 'assignment', 'note', 'document_upload'],
+    enum: ['create', 'update', 'delete', 'status_change', 'assignment', 'note', 'document_upload', 'merge'],
     required: true
   },
   description: {
@@ -13,7 +13,7 @@ const activitySchema = new mongoose.Schema({
   },
   entityType: {
     type: String,
-    enum: ['Candidate', 'Client', 'Requirement', 'BGVVendor', 'Agency'],
+    enum: ['Candidate', 'Client', 'Requirement', 'BGVVendor', 'Agency', 'Team'],
     required: true
   },
   entityId: {
@@ -22,10 +22,25 @@ const activitySchema = new mongoose.Schema({
     refPath: 'entityType'
   },
   metadata: mongoose.Schema.Types.Mixed,
+  // Field-level diff written by the audit trail plugin
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Candidates and client SPOCs acting through a link, and system jobs, have no user
+  actorType: {
+    type: String,
+    enum: ['user', 'candidate', 'client_spoc', 'system'],
+    default: 'user'
+  },
   performedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return this.actorType === 'user';
+    }
   },
   ipAddress: String,
   userAgent: String
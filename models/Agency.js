@@ -1,5 +1,7 @@
 // models/Agency.js
 const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/encryptedFields');
+const auditTrail = require('./plugins/auditTrail');
 
 const agencySchema = new mongoose.Schema({
   // Section 1: Company Details
@@ -249,4 +251,14 @@ agencySchema.methods.isOnboardingComplete = function() {
   );
 };
 
+// Bank account number is encrypted at rest
+agencySchema.plugin(encryptedFields, {
+  fields: ['bankDetails.accountNumber']
+});
+
+// Every change is recorded as an Activity
+agencySchema.plugin(auditTrail, {
+  entityType: 'Agency'
+});
+
 module.exports = mongoose.model('Agency', agencySchema);
\ No newline at end of file
@@ -0,0 +1,232 @@
+// models/Application.js
+const mongoose = require('mongoose');
+
+const applicationSchema = new mongoose.Schema({
+  // Candidate-requirement pair
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate',
+    required: true,
+    index: true
+  },
+  requirementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Requirement',
+    required: true,
+    index: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    index: true
+  },
+
+  // Pipeline
+  // Allowed stages and transitions come from the applicable StatusWorkflow
+  stage: {
+    type: String,
+    required: true
+  },
+  stageHistory: [{
+    fromStage: String,
+    stage: {
+      type: String,
+      required: true
+    },
+    reason: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Ownership
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Withdrawal
+  withdrawnAt: Date,
+  withdrawnBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  withdrawReason: String,
+
+  // Compliance screening against the client's verification policy
+  compliance: {
+    blocklist: {
+      status: {
+        type: String,
+        enum: ['clear', 'flagged', 'overridden', 'error'],
+        default: 'clear'
+      },
+      matches: [{
+        type: {
+          type: String,
+          enum: ['company', 'university']
+        },
+        field: String,
+        value: String,
+        matchedEntry: String,
+        entryReason: String,
+        matchReason: {
+          type: String,
+          enum: ['exact', 'contains', 'similar']
+        },
+        score: Number
+      }],
+      error: String,
+      checkedAt: Date,
+      override: {
+        note: String,
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        at: Date
+      }
+    },
+    policy: {
+      status: {
+        type: String,
+        enum: ['pass', 'fail', 'needs_review', 'overridden']
+      },
+      rules: [{
+        rule: String,
+        description: String,
+        status: {
+          type: String,
+          enum: ['pass', 'fail', 'needs_review']
+        },
+        reasons: [String],
+        educationIndexes: [Number]
+      }],
+      checkedAt: Date,
+      override: {
+        note: String,
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        at: Date
+      }
+    }
+  },
+
+  // Margin check of the proposed offer - below the floor needs finance approval before Offered
+  marginApproval: {
+    status: {
+      type: String,
+      enum: ['not_required', 'pending', 'approved', 'rejected']
+    },
+    offeredCTC: Number,
+    ctcPeriod: {
+      type: String,
+      enum: ['annual', 'monthly']
+    },
+    monthlyBillRate: Number,
+    monthlySalary: Number,
+    marginPercentage: Number,
+    floorPercentage: Number,
+    maxOffer: Number,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    remarks: String
+  },
+
+  // Everything a client SPOC did through the client portal
+  clientActions: [{
+    action: {
+      type: String,
+      enum: ['shortlisted', 'rejected', 'interview_slots_proposed', 'timesheet_approved', 'timesheet_rejected'],
+      required: true
+    },
+    spoc: {
+      spocId: mongoose.Schema.Types.ObjectId,
+      name: String,
+      email: String
+    },
+    reason: String,
+    slots: [{
+      _id: false,
+      start: Date,
+      end: Date
+    }],
+    timesheetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Timesheet'
+    },
+    magicLinkId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MagicLink'
+    },
+    ipAddress: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+applicationSchema.index({ candidateId: 1, requirementId: 1 }, { unique: true });
+applicationSchema.index({ requirementId: 1, stage: 1 });
+applicationSchema.index({ owner: 1, stage: 1 });
+
+// Virtual for application code
+applicationSchema.virtual('applicationCode').get(function() {
+  return `APP${this._id.toString().slice(-6).toUpperCase()}`;
+});
+
+// Method to check if a blocklist match is holding the application back
+applicationSchema.methods.isBlocklisted = function() {
+  return ['flagged', 'error'].includes(this.compliance?.blocklist?.status);
+};
+
+// Method to check if the candidate fails the client's verification policy without an override
+applicationSchema.methods.failsPolicy = function() {
+  return this.compliance?.policy?.status === 'fail';
+};
+
+// Method to check if application is still in the pipeline
+applicationSchema.methods.isOpen = function() {
+  return this.isActive && !['Joined', 'Rejected', 'Withdrawn'].includes(this.stage);
+};
+
+// Method to get the date the candidate joined
+applicationSchema.methods.getJoinedAt = function() {
+  const joined = [...(this.stageHistory || [])].reverse().find(entry => entry.stage === 'Joined');
+  return joined ? new Date(joined.changedAt) : null;
+};
+
+module.exports = mongoose.model('Application', applicationSchema);
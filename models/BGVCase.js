@@ -0,0 +1,170 @@
+// models/BGVCase.js
+const mongoose = require('mongoose');
+
+// Check types map to BGVVendor.servicesOffered
+const CHECK_TYPES = [
+  'educationVerification', 'employmentVerification', 'addressVerification',
+  'criminalCheck', 'referenceCheck', 'drugTest', 'creditCheck'
+];
+
+const bgvCaseSchema = new mongoose.Schema({
+  // Associations
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate',
+    required: true,
+    index: true
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BGVVendor',
+    required: true,
+    index: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  },
+  requirementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Requirement'
+  },
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
+
+  // SLA
+  priority: {
+    type: String,
+    enum: ['standard', 'express'],
+    default: 'standard'
+  },
+  tatDays: {
+    type: Number,
+    required: true
+  },
+  initiatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+
+  // Checks requested from the vendor
+  checks: [{
+    type: {
+      type: String,
+      enum: CHECK_TYPES,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'in_progress', 'insufficiency', 'completed'],
+      default: 'pending'
+    },
+    result: {
+      type: String,
+      enum: ['clear', 'discrepancy', 'unable_to_verify']
+    },
+    remarks: String,
+    completedAt: Date,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+
+  // Status
+  status: {
+    type: String,
+    enum: ['initiated', 'in_progress', 'insufficiency', 'closed', 'cancelled'],
+    default: 'initiated'
+  },
+  overallResult: {
+    type: String,
+    enum: ['clear', 'discrepancy', 'unable_to_verify']
+  },
+  remarks: String,
+
+  // Escalations raised once the due date is missed - see slaDetails.escalationMatrix
+  escalationLevel: {
+    type: Number,
+    default: 0
+  },
+  escalations: [{
+    level: Number,
+    escalationTo: String,
+    recipients: [String],
+    hoursOverdue: Number,
+    escalatedAt: {
+      type: Date,
+      default: Date.now
+    },
+    notified: {
+      type: Boolean,
+      default: false
+    },
+    error: String
+  }],
+
+  // Closure
+  reportFileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FileDocument'
+  },
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actualTATDays: Number,
+  deliveredOnTime: Boolean,
+  cancellation: {
+    reason: String,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date
+  },
+
+  // Metadata
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+bgvCaseSchema.index({ vendorId: 1, status: 1 });
+bgvCaseSchema.index({ status: 1, dueDate: 1 });
+bgvCaseSchema.index({ vendorId: 1, escalationLevel: 1 });
+
+// Virtual for case code
+bgvCaseSchema.virtual('caseCode').get(function() {
+  return `BGC${this._id.toString().slice(-6).toUpperCase()}`;
+});
+
+// Method to check if the case is still with the vendor
+bgvCaseSchema.methods.isOpen = function() {
+  return !['closed', 'cancelled'].includes(this.status);
+};
+
+// Method to check if the case has missed its due date
+bgvCaseSchema.methods.isOverdue = function() {
+  return this.isOpen() && this.dueDate < new Date();
+};
+
+bgvCaseSchema.statics.CHECK_TYPES = CHECK_TYPES;
+
+module.exports = mongoose.model('BGVCase', bgvCaseSchema);
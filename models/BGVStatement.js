@@ -0,0 +1,131 @@
+// models/BGVStatement.js
+const mongoose = require('mongoose');
+
+const bgvStatementSchema = new mongoose.Schema({
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BGVVendor',
+    required: true,
+    index: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  },
+
+  // Billing period - one statement per vendor per month
+  period: {
+    year: {
+      type: Number,
+      required: true
+    },
+    month: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 12
+    },
+    start: {
+      type: Date,
+      required: true
+    },
+    end: {
+      type: Date,
+      required: true
+    }
+  },
+
+  // Cases closed in the period
+  lineItems: [{
+    caseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BGVCase'
+    },
+    caseCode: String,
+    candidateName: String,
+    priority: {
+      type: String,
+      enum: ['standard', 'express']
+    },
+    checks: [String],
+    closedAt: Date,
+    rate: Number,
+    surcharge: Number,
+    amount: Number
+  }],
+
+  // Pricing applied - copied from BGVVendor.pricing at generation
+  pricing: {
+    standardRate: Number,
+    expressRate: Number,
+    surchargePercentage: Number,
+    discountTier: {
+      minCases: Number,
+      maxCases: Number,
+      discountPercentage: Number
+    }
+  },
+
+  totals: {
+    caseCount: Number,
+    standardCases: Number,
+    expressCases: Number,
+    standardAmount: Number,
+    expressAmount: Number,
+    expressSurcharge: Number,
+    discountAmount: Number,
+    total: Number
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+
+  // Payment
+  statementDate: {
+    type: Date,
+    default: Date.now
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  paymentStatus: {
+    type: String,
+    enum: ['pending', 'paid', 'cancelled'],
+    default: 'pending'
+  },
+  paidAt: Date,
+  paymentReference: String,
+  remarks: String,
+
+  // Metadata
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+bgvStatementSchema.index({ vendorId: 1, 'period.year': 1, 'period.month': 1 }, { unique: true });
+bgvStatementSchema.index({ paymentStatus: 1, dueDate: 1 });
+
+// Virtual for statement number
+bgvStatementSchema.virtual('statementNumber').get(function() {
+  const month = String(this.period.month).padStart(2, '0');
+  return `BGS-${this.period.year}${month}-${this.vendorId.toString().slice(-6).toUpperCase()}`;
+});
+
+// Method to check if payment is past its due date
+bgvStatementSchema.methods.isOverdue = function() {
+  return this.paymentStatus === 'pending' && this.dueDate < new Date();
+};
+
+module.exports = mongoose.model('BGVStatement', bgvStatementSchema);
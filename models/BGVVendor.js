@@ -1,5 +1,6 @@
 // models/BGVVendor.js
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const bgvVendorSchema = new mongoose.Schema({
   // Vendor Details
@@ -201,4 +202,9 @@ bgvVendorSchema.methods.hasValidDocuments = function() {
   });
 };
 
+// Every change is recorded as an Activity
+bgvVendorSchema.plugin(auditTrail, {
+  entityType: 'BGVVendor'
+});
+
 module.exports = mongoose.model('BGVVendor', bgvVendorSchema);
\ No newline at end of file
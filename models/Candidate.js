@@ -1,5 +1,9 @@
 // models/Candidate.js
 const mongoose = require('mongoose');
+const encryption = require('../utils/encryption');
+const encryptedFields = require('./plugins/encryptedFields');
+const auditTrail = require('./plugins/auditTrail');
+const { skillKeys } = require('../utils/similarity');
 
 const candidateSchema = new mongoose.Schema({
   // Personal Details
@@ -42,6 +46,11 @@ const candidateSchema = new mongoose.Schema({
     },
     whatsappNo: String,
     alternatePhone: String,
+    // Last 10 digits of every phone number - used for duplicate detection
+    phoneKeys: {
+      type: [String],
+      index: true
+    },
     email: {
       type: String,
       required: true,
@@ -119,6 +128,21 @@ const candidateSchema = new mongoose.Schema({
     }
   }],
   
+  // Key Skills - matched against Requirement.keySkills
+  keySkills: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    experience: Number // in years
+  }],
+  // Normalised skill names the matching pre-filter queries on
+  skillKeys: {
+    type: [String],
+    index: true
+  },
+  
   // Offer Status
   offerStatus: {
     inAnotherPipeline: Boolean,
@@ -157,6 +181,17 @@ const candidateSchema = new mongoose.Schema({
       type: String,
       select: false
     },
+    // Blind index (HMAC) of the normalised PAN/Aadhaar - used for duplicate detection and lookup
+    panHash: {
+      type: String,
+      select: false,
+      index: true
+    },
+    aadhaarHash: {
+      type: String,
+      select: false,
+      index: true
+    },
     passportFileId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'FileDocument'
@@ -207,6 +242,11 @@ const candidateSchema = new mongoose.Schema({
   
   // Financial Information
   financialInfo: {
+    // Client whose leave policy is used to cost leave
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client'
+    },
     businessType: String,
     lastWithdrawnSalary: Number,
     offeredSalary: Number,
@@ -218,6 +258,7 @@ const candidateSchema = new mongoose.Schema({
       grossMarginPercentage: Number,
       grossMarginAmountAfterMSP: Number,
       grossMarginPercentageAfterMSP: Number,
+      leaveDaysPerMonth: Number,
       leaveCost: Number,
       afterLeaveCostMarginAmount: Number,
       afterLeaveCostMarginPercentage: Number
@@ -266,9 +307,9 @@ const candidateSchema = new mongoose.Schema({
   },
   
   // Status and Workflow
+  // Allowed statuses and transitions come from the applicable StatusWorkflow
   status: {
     type: String,
-    enum: ['New', 'Screening', 'Submitted', 'Interview', 'Selected', 'Offered', 'Joined', 'Rejected', 'On Hold'],
     default: 'New'
   },
   workflowStage: {
@@ -306,6 +347,13 @@ const candidateSchema = new mongoose.Schema({
     }
   }],
   
+  // Set when this record was merged into another candidate
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate'
+  },
+  mergedAt: Date,
+  
   isActive: {
     type: Boolean,
     default: true
@@ -320,6 +368,52 @@ candidateSchema.index({ 'personalDetails.firstName': 'text', 'personalDetails.la
 candidateSchema.index({ 'contactInfo.email': 1, 'contactInfo.phoneNo': 1 });
 candidateSchema.index({ status: 1, workflowStage: 1 });
 candidateSchema.index({ createdAt: -1 });
+candidateSchema.index({ 'keySkills.name': 1 });
+
+// Pre-save middleware for duplicate detection and skill matching keys
+candidateSchema.pre('save', function(next) {
+  if (this.isModified('contactInfo')) {
+    const { phoneNo, whatsappNo, alternatePhone } = this.contactInfo || {};
+    this.contactInfo.phoneKeys = [...new Set(
+      [phoneNo, whatsappNo, alternatePhone]
+        .map(phone => this.constructor.normalizePhone(phone))
+        .filter(Boolean)
+    )];
+  }
+  
+  if (this.isModified('keySkills')) {
+    this.skillKeys = skillKeys(this.keySkills);
+  }
+  
+  if (this.isModified('kyc.panNumber')) {
+    this.kyc.panHash = this.constructor.hashIdentifier('pan', this.kyc.panNumber);
+  }
+  
+  if (this.isModified('kyc.aadhaarNumber')) {
+    this.kyc.aadhaarHash = this.constructor.hashIdentifier('aadhaar', this.kyc.aadhaarNumber);
+  }
+  
+  next();
+});
+
+// Static method to normalise a phone number to its last 10 digits
+candidateSchema.statics.normalizePhone = function(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+};
+
+// Static method for the blind index of a normalised PAN or Aadhaar number
+candidateSchema.statics.hashIdentifier = function(type, value) {
+  if (!value) return undefined;
+  
+  const normalised = type === 'pan'
+    ? String(value).toUpperCase().replace(/[^A-Z0-9]/g, '')
+    : String(value).replace(/\D/g, '');
+  
+  if (!normalised) return undefined;
+  
+  return encryption.blindIndex(`${type}:${normalised}`);
+};
 
 // Virtual for full name
 candidateSchema.virtual('fullName').get(function() {
@@ -352,4 +446,16 @@ candidateSchema.methods.canMoveToNextStage = function() {
   return true;
 };
 
+// KYC and bank numbers are encrypted at rest
+candidateSchema.plugin(encryptedFields, {
+  fields: ['kyc.aadhaarNumber', 'kyc.panNumber', 'kyc.passportNumber', 'bankDetails.accountNumber']
+});
+
+// Every change is recorded as an Activity
+candidateSchema.plugin(auditTrail, {
+  entityType: 'Candidate',
+  // Derived from other fields
+  ignore: ['contactInfo.phoneKeys', 'kyc.panHash', 'kyc.aadhaarHash', 'skillKeys']
+});
+
 module.exports = mongoose.model('Candidate', candidateSchema);
\ No newline at end of file
@@ -1,5 +1,42 @@
 // models/Client.js
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// A leave type of the client's leave policy
+const leaveTypeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  name: String,
+  // Days credited at the start of each month on board
+  accrualPerMonth: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  paid: {
+    type: Boolean,
+    default: true
+  },
+  // Unused days taken into the next calendar year
+  carryForward: {
+    allowed: {
+      type: Boolean,
+      default: false
+    },
+    maxDays: Number
+  },
+  encashment: {
+    allowed: {
+      type: Boolean,
+      default: false
+    },
+    maxDaysPerYear: Number
+  }
+}, { _id: false });
 
 const clientSchema = new mongoose.Schema({
   // Business Information
@@ -108,8 +145,37 @@ const clientSchema = new mongoose.Schema({
   
   // Leave Policy
   leavePolicy: {
-    preProbation: mongoose.Schema.Types.Mixed,
-    postProbation: mongoose.Schema.Types.Mixed
+    probationMonths: {
+      type: Number,
+      default: 6
+    },
+    preProbation: {
+      leaveTypes: [leaveTypeSchema]
+    },
+    postProbation: {
+      leaveTypes: [leaveTypeSchema]
+    },
+    remarks: String
+  },
+  
+  // Margin Policy - floor for contract offers, below which finance must approve
+  marginPolicy: {
+    minMarginPercentage: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    remarks: String
+  },
+  
+  // Offer Letter Template - {{placeholders}} are filled in from the offer
+  offerTemplate: {
+    issuerName: String,
+    subject: String,
+    body: String,
+    terms: [String],
+    signatoryName: String,
+    signatoryDesignation: String
   },
   
   // Background Verification Policy
@@ -186,4 +252,9 @@ clientSchema.virtual('clientCode').get(function() {
   return `CL${this._id.toString().slice(-6).toUpperCase()}`;
 });
 
+// Every change is recorded as an Activity
+clientSchema.plugin(auditTrail, {
+  entityType: 'Client'
+});
+
 module.exports = mongoose.model('Client', clientSchema);
\ No newline at end of file
@@ -0,0 +1,26 @@
+// models/Counter.js
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. invoice numbers per financial year
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Static method to take the next number of a sequence atomically
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findByIdAndUpdate(
+    name,
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
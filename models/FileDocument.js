@@ -44,7 +44,7 @@ const fileDocumentSchema = new mongoose.Schema({
       'resume', 'education_certificate', 'experience_letter', 
       'relieving_letter', 'payslip', 'bank_statement', 
       'offer_letter', 'kyc_document', 'photo', 
-      'agreement', 'policy_document', 'other'
+      'agreement', 'policy_document', 'blocklist', 'bgv_report', 'other'
     ],
     required: true
   },
@@ -0,0 +1,163 @@
+// models/Interview.js
+const mongoose = require('mongoose');
+
+const interviewSchema = new mongoose.Schema({
+  // Associations
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true,
+    index: true
+  },
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate',
+    required: true
+  },
+  requirementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Requirement',
+    required: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  },
+
+  // Round - copied from Requirement.interviewRounds
+  round: {
+    index: {
+      type: Number,
+      required: true
+    },
+    name: String,
+    mode: String,
+    type: { type: String },
+    isMandatory: {
+      type: Boolean,
+      default: true
+    }
+  },
+
+  // Slot
+  scheduledStart: {
+    type: Date,
+    required: true
+  },
+  scheduledEnd: {
+    type: Date,
+    required: true
+  },
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata'
+  },
+  interviewers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  location: String,
+  meetingLink: String,
+  instructions: String,
+
+  // Status
+  status: {
+    type: String,
+    enum: ['scheduled', 'rescheduled', 'no-show', 'completed', 'cancelled'],
+    default: 'scheduled'
+  },
+  rescheduleHistory: [{
+    previousStart: Date,
+    previousEnd: Date,
+    reason: String,
+    rescheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rescheduledAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  cancellation: {
+    reason: String,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date
+  },
+
+  // Structured feedback - one entry per interviewer
+  feedback: [{
+    interviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
+    recommendation: {
+      type: String,
+      enum: ['strong_hire', 'hire', 'hold', 'no_hire'],
+      required: true
+    },
+    competencies: [{
+      name: String,
+      rating: {
+        type: Number,
+        min: 1,
+        max: 5
+      },
+      comments: String
+    }],
+    strengths: String,
+    concerns: String,
+    comments: String,
+    submittedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Metadata
+  scheduledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+interviewSchema.index({ interviewers: 1, scheduledStart: 1 });
+interviewSchema.index({ candidateId: 1, requirementId: 1 });
+interviewSchema.index({ status: 1, scheduledStart: 1 });
+
+// Validate the slot
+interviewSchema.pre('validate', function(next) {
+  if (this.scheduledStart && this.scheduledEnd && this.scheduledEnd <= this.scheduledStart) {
+    this.invalidate('scheduledEnd', 'Interview must end after it starts');
+  }
+  next();
+});
+
+// Virtual for interview code
+interviewSchema.virtual('interviewCode').get(function() {
+  return `INT${this._id.toString().slice(-6).toUpperCase()}`;
+});
+
+// Method to check if the interview still occupies its slot
+interviewSchema.methods.isActiveSlot = function() {
+  return ['scheduled', 'rescheduled'].includes(this.status);
+};
+
+module.exports = mongoose.model('Interview', interviewSchema);
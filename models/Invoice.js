@@ -0,0 +1,182 @@
+// models/Invoice.js
+const mongoose = require('mongoose');
+
+const invoiceSchema = new mongoose.Schema({
+  // Numbering - sequential within each financial year (April to March)
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+    index: true
+  },
+  invoiceType: {
+    type: String,
+    enum: ['permanent', 'contract', 'rpo'],
+    required: true
+  },
+
+  // Billing period of contract invoices
+  period: {
+    start: Date,
+    end: Date
+  },
+
+  // Snapshot of the billing party at the time of invoicing
+  billTo: {
+    name: String,
+    address: String,
+    gstNumber: String,
+    stateCode: String
+  },
+
+  lineItems: [{
+    candidateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Candidate'
+    },
+    applicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Application'
+    },
+    requirementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Requirement'
+    },
+    description: String,
+    billingRule: String,
+    quantity: Number,
+    unit: String,
+    rate: Number,
+    amount: Number,
+    // Approved timesheets the quantity was taken from
+    timesheetIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Timesheet'
+    }]
+  }],
+
+  // Amounts
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  tax: {
+    supplyType: {
+      type: String,
+      enum: ['intra_state', 'inter_state']
+    },
+    placeOfSupply: String,
+    gstRate: Number,
+    cgstAmount: Number,
+    sgstAmount: Number,
+    igstAmount: Number,
+    totalTax: Number
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+
+  // Payment
+  invoiceDate: {
+    type: Date,
+    default: Date.now
+  },
+  paymentTerms: Number, // days
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  payments: [{
+    amount: {
+      type: Number,
+      required: true
+    },
+    paidAt: {
+      type: Date,
+      default: Date.now
+    },
+    mode: String,
+    reference: String,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  balance: Number,
+  status: {
+    type: String,
+    enum: ['issued', 'partially_paid', 'paid', 'cancelled'],
+    default: 'issued'
+  },
+  cancellation: {
+    reason: String,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date
+  },
+  notes: String,
+
+  // Metadata
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+invoiceSchema.index({ financialYear: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+invoiceSchema.index({ 'lineItems.applicationId': 1 });
+
+// Keep payment totals in step with the payments recorded
+invoiceSchema.pre('save', function(next) {
+  this.amountPaid = Math.round(this.payments.reduce((sum, payment) => sum + payment.amount, 0) * 100) / 100;
+  this.balance = Math.round((this.total - this.amountPaid) * 100) / 100;
+
+  if (this.status !== 'cancelled') {
+    if (this.balance <= 0) this.status = 'paid';
+    else if (this.amountPaid > 0) this.status = 'partially_paid';
+    else this.status = 'issued';
+  }
+
+  next();
+});
+
+// Method to get days past the due date (0 when not yet due)
+invoiceSchema.methods.getDaysOverdue = function(asOf = new Date()) {
+  return Math.max(0, Math.floor((asOf - this.dueDate) / (24 * 60 * 60 * 1000)));
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,68 @@
+// models/LeaveLedger.js
+const mongoose = require('mongoose');
+
+// One ledger per placed consultant. Accruals follow from the client's leave
+// policy and the joining date; only the movements below are stored.
+const leaveLedgerSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true,
+    unique: true
+  },
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate',
+    required: true,
+    index: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+    index: true
+  },
+  joinedAt: {
+    type: Date,
+    required: true
+  },
+
+  transactions: [{
+    kind: {
+      type: String,
+      enum: ['availed', 'encashed', 'adjustment'],
+      required: true
+    },
+    leaveType: {
+      type: String,
+      required: true,
+      uppercase: true
+    },
+    // Positive for availed and encashed days; signed for adjustments
+    days: {
+      type: Number,
+      required: true
+    },
+    date: {
+      type: Date,
+      required: true
+    },
+    timesheetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Timesheet'
+    },
+    remarks: String,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('LeaveLedger', leaveLedgerSchema);
@@ -0,0 +1,66 @@
+// models/MagicLink.js
+const mongoose = require('mongoose');
+
+// Expiring link that lets someone without a user account act on one record.
+// Only the hash of the token is stored; issuing a new link revokes the old one.
+const magicLinkSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  purpose: {
+    type: String,
+    enum: ['candidate_onboarding', 'client_portal'],
+    required: true
+  },
+  subjectType: {
+    type: String,
+    enum: ['Candidate', 'Client'],
+    required: true
+  },
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'subjectType'
+  },
+  // Client SPOC the link was issued to - a client has one link per SPOC
+  spocId: mongoose.Schema.Types.ObjectId,
+  email: String,
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  useCount: {
+    type: Number,
+    default: 0
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+magicLinkSchema.index({ subjectType: 1, subjectId: 1, purpose: 1 });
+
+// Method to check if the link can still be used
+magicLinkSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('MagicLink', magicLinkSchema);
@@ -0,0 +1,181 @@
+// models/Offer.js
+const mongoose = require('mongoose');
+
+// One revision of the offer - every change is issued as a new version
+const offerVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  designation: {
+    type: String,
+    required: true
+  },
+  location: String,
+  ctc: {
+    currency: {
+      type: String,
+      default: 'INR'
+    },
+    // Annual amounts
+    components: [{
+      name: {
+        type: String,
+        required: true
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      type: {
+        type: String,
+        enum: ['fixed', 'variable', 'benefit'],
+        default: 'fixed'
+      }
+    }],
+    fixed: Number,
+    variable: Number,
+    benefits: Number,
+    total: Number
+  },
+  joiningDate: {
+    type: Date,
+    required: true
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  notes: String,
+  // Why this revision was made
+  reason: String,
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FileDocument'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Keep the CTC totals in step with the components
+offerVersionSchema.pre('validate', function(next) {
+  const sum = (type) => this.ctc.components
+    .filter(component => component.type === type)
+    .reduce((total, component) => total + component.amount, 0);
+
+  this.ctc.fixed = sum('fixed');
+  this.ctc.variable = sum('variable');
+  this.ctc.benefits = sum('benefit');
+  this.ctc.total = this.ctc.fixed + this.ctc.variable + this.ctc.benefits;
+
+  if (this.validUntil && this.joiningDate && this.validUntil > this.joiningDate) {
+    this.invalidate('validUntil', 'Offer must be accepted before the joining date');
+  }
+
+  next();
+});
+
+const offerSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true,
+    index: true
+  },
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate',
+    required: true,
+    index: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  requirementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Requirement'
+  },
+
+  versions: [offerVersionSchema],
+  currentVersion: {
+    type: Number,
+    default: 1
+  },
+
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'accepted', 'declined', 'expired', 'withdrawn'],
+    default: 'draft'
+  },
+
+  // Link sent to the candidate - only the hash is kept; a new version revokes it
+  tokenHash: {
+    type: String,
+    select: false
+  },
+  tokenVersion: Number,
+  sentAt: Date,
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Candidate's response, kept as evidence
+  response: {
+    action: {
+      type: String,
+      enum: ['accepted', 'declined']
+    },
+    version: Number,
+    reason: String,
+    respondedAt: Date,
+    ipAddress: String,
+    userAgent: String
+  },
+
+  withdrawal: {
+    reason: String,
+    withdrawnBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    withdrawnAt: Date
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+offerSchema.index({ status: 1, createdAt: -1 });
+
+// Virtual for offer code
+offerSchema.virtual('offerCode').get(function() {
+  return `OFR${this._id.toString().slice(-6).toUpperCase()}-V${this.currentVersion}`;
+});
+
+// Virtual for the version in force
+offerSchema.virtual('current').get(function() {
+  return this.versions.find(version => version.version === this.currentVersion);
+});
+
+// Method to check if the offer can still be answered
+offerSchema.methods.isOpen = function() {
+  return ['draft', 'sent'].includes(this.status);
+};
+
+module.exports = mongoose.model('Offer', offerSchema);
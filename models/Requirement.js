@@ -1,5 +1,7 @@
 // models/Requirement.js
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const { skillKeys } = require('../utils/similarity');
 
 const requirementSchema = new mongoose.Schema({
   // Job Details
@@ -33,6 +35,11 @@ const requirementSchema = new mongoose.Schema({
       default: true
     }
   }],
+  // Normalised skill names the matching pre-filter queries on
+  skillKeys: {
+    type: [String],
+    index: true
+  },
   
   departmentCategory: String,
   
@@ -83,7 +90,11 @@ const requirementSchema = new mongoose.Schema({
   interviewRounds: [{
     name: String,
     mode: String,
-    type: String,
+    type: { type: String }, // nested so mongoose doesn't read it as the round's type
+    isMandatory: {
+      type: Boolean,
+      default: true
+    },
     interviewers: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -247,6 +258,23 @@ requirementSchema.index({ 'keySkills.name': 1 });
 requirementSchema.index({ jobLocation: 1 });
 requirementSchema.index({ createdAt: -1 });
 
+// Skill keys kept in step with keySkills - validate also runs for insertMany
+requirementSchema.pre('validate', function(next) {
+  if (this.isModified('keySkills')) {
+    this.skillKeys = skillKeys(this.keySkills);
+  }
+  next();
+});
+
+requirementSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const keySkills = update.keySkills || update.$set?.keySkills;
+  if (keySkills) {
+    this.set('skillKeys', skillKeys(keySkills));
+  }
+  next();
+});
+
 // Virtual for requirement code
 requirementSchema.virtual('requirementCode').get(function() {
   const date = new Date(this.createdAt);
@@ -263,17 +291,38 @@ requirementSchema.methods.isFulfilled = function() {
 };
 
 // Method to check if user has access
-requirementSchema.methods.hasAccess = function(userId) {
+// teamIds are the teams the user belongs to (TeamService.getTeamIds)
+requirementSchema.methods.hasAccess = function(userId, teamIds = []) {
   if (this.allocation.all) return true;
   
+  // Allocation refs may be populated
+  const idOf = ref => (ref?._id || ref)?.toString();
   const userIdStr = userId.toString();
+  const teamIdStrs = teamIds.map(id => id.toString());
   
   return (
-    this.allocation.recruiters.some(r => r.recruiterId.toString() === userIdStr) ||
-    this.allocation.freelancers.some(f => f.freelancerId.toString() === userIdStr) ||
-    this.allocation.vendors.some(v => v.vendorId.toString() === userIdStr)
-    // Note: For teams, you'd need to check team membership separately
+    this.allocation.recruiters.some(r => idOf(r.recruiterId) === userIdStr) ||
+    this.allocation.teams.some(t => teamIdStrs.includes(idOf(t.teamId))) ||
+    this.allocation.freelancers.some(f => idOf(f.freelancerId) === userIdStr) ||
+    this.allocation.vendors.some(v => idOf(v.vendorId) === userIdStr)
   );
 };
 
+// Query conditions matching requirements allocated to a user or their teams
+// userId may also be a condition such as { $in: userIds }
+requirementSchema.statics.allocatedTo = function(userId, teamIds = []) {
+  return [
+    { 'allocation.all': true },
+    { 'allocation.recruiters.recruiterId': userId },
+    { 'allocation.teams.teamId': { $in: teamIds } }
+  ];
+};
+
+// Every change is recorded as an Activity
+requirementSchema.plugin(auditTrail, {
+  entityType: 'Requirement',
+  // Derived from keySkills
+  ignore: ['skillKeys']
+});
+
 module.exports = mongoose.model('Requirement', requirementSchema);
\ No newline at end of file
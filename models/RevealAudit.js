@@ -0,0 +1,60 @@
+// models/RevealAudit.js
+const mongoose = require('mongoose');
+
+// One record per reveal of a sensitive field. Records are written once and never changed.
+const revealAuditSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: ['Candidate'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'entityType'
+  },
+  field: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  revealedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: String,
+  ipAddress: String,
+  userAgent: String,
+  revealedAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+// Indexes
+revealAuditSchema.index({ entityType: 1, entityId: 1, revealedAt: -1 });
+revealAuditSchema.index({ revealedBy: 1, revealedAt: -1 });
+
+// Append only
+revealAuditSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Reveal audit records cannot be modified'));
+  }
+  next();
+});
+
+revealAuditSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  function(next) {
+    next(new Error('Reveal audit records cannot be modified'));
+  }
+);
+
+module.exports = mongoose.model('RevealAudit', revealAuditSchema);
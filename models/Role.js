@@ -0,0 +1,59 @@
+// models/Role.js
+const mongoose = require('mongoose');
+
+// Custom role defined by an admin. Built-in roles live in config/permissions.js.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Role name may only contain lowercase letters, digits and underscores']
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  // Start from another role's permissions; entries below add to or widen them
+  inherits: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  permissions: [{
+    _id: false,
+    module: {
+      type: String,
+      required: true
+    },
+    action: {
+      type: String,
+      required: true
+    },
+    scope: {
+      type: String,
+      enum: ['own', 'team', 'all'],
+      default: 'all'
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,105 @@
+// models/StatusWorkflow.js
+const mongoose = require('mongoose');
+
+const statusWorkflowSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+
+  // Scope - requirement specific, client specific, or the global default
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    index: true
+  },
+  requirementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Requirement',
+    index: true
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+
+  // States
+  states: {
+    type: [String],
+    validate: {
+      validator: (states) => states.length > 0,
+      message: 'A workflow needs at least one state'
+    }
+  },
+  initialState: {
+    type: String,
+    required: true
+  },
+
+  // Transitions
+  transitions: [{
+    from: {
+      type: String,
+      required: true
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    requiredFields: [String],
+    allowedRoles: [String],
+    hooks: [{
+      type: {
+        type: String,
+        enum: ['email', 'metrics', 'activity'],
+        required: true
+      },
+      template: String,
+      subject: String
+    }]
+  }],
+
+  // Metadata
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+statusWorkflowSchema.index({ clientId: 1, requirementId: 1, isActive: 1 });
+
+// Make sure every transition and the initial state refer to known states
+statusWorkflowSchema.pre('validate', function(next) {
+  const states = new Set(this.states);
+
+  if (this.initialState && !states.has(this.initialState)) {
+    this.invalidate('initialState', `Initial state ${this.initialState} is not one of the workflow states`);
+  }
+
+  this.transitions.forEach((transition, index) => {
+    if (!states.has(transition.from)) {
+      this.invalidate(`transitions.${index}.from`, `Unknown state ${transition.from}`);
+    }
+    if (!states.has(transition.to)) {
+      this.invalidate(`transitions.${index}.to`, `Unknown state ${transition.to}`);
+    }
+  });
+
+  next();
+});
+
+module.exports = mongoose.model('StatusWorkflow', statusWorkflowSchema);
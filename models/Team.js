@@ -0,0 +1,70 @@
+// models/Team.js
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: String,
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Clients whose requirements the team works on
+  clients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+teamSchema.index({ lead: 1, isActive: 1 });
+teamSchema.index({ members: 1, isActive: 1 });
+teamSchema.index({ clients: 1 });
+
+// The lead always counts as a member
+teamSchema.pre('save', function(next) {
+  if (this.lead && !this.members.some(member => member.toString() === this.lead.toString())) {
+    this.members.push(this.lead);
+  }
+  next();
+});
+
+// Active teams a user leads or belongs to
+teamSchema.statics.findForUser = function(userId) {
+  return this.find({
+    isActive: true,
+    $or: [{ lead: userId }, { members: userId }]
+  });
+};
+
+// Every change is recorded as an Activity
+teamSchema.plugin(auditTrail, {
+  entityType: 'Team'
+});
+
+module.exports = mongoose.model('Team', teamSchema);
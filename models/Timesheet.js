@@ -0,0 +1,214 @@
+// models/Timesheet.js
+const mongoose = require('mongoose');
+
+const timesheetSchema = new mongoose.Schema({
+  // Associations - a timesheet belongs to a joined contract placement
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate',
+    required: true,
+    index: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+    index: true
+  },
+  requirementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Requirement'
+  },
+
+  // Billing period
+  period: {
+    start: {
+      type: Date,
+      required: true
+    },
+    end: {
+      type: Date,
+      required: true
+    }
+  },
+  // Copied from Client.timesheetConfig when the timesheet is created
+  timesheetType: {
+    type: String,
+    enum: ['Day', 'Hour'],
+    default: 'Day'
+  },
+  workingHoursPerDay: {
+    type: Number,
+    default: 8
+  },
+
+  // Daily entries
+  entries: [{
+    date: {
+      type: Date,
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['work', 'leave', 'holiday', 'weekoff'],
+      default: 'work'
+    },
+    days: {
+      type: Number,
+      enum: [0.5, 1],
+      default: 1
+    },
+    hours: Number,
+    leaveType: String,
+    notes: String
+  }],
+
+  // Computed from the entries on save
+  totals: {
+    workedDays: Number,
+    workedHours: Number,
+    leaveDays: Number,
+    billableDays: Number,
+    billableHours: Number
+  },
+
+  // Leave taken against the client's leave policy
+  leaveCheck: {
+    status: {
+      type: String,
+      enum: ['within', 'exceeds', 'not_configured']
+    },
+    allowedDays: Number,
+    leaveDays: Number,
+    excessDays: Number,
+    policy: String
+  },
+
+  // Approval flow: draft -> submitted -> approved / rejected -> submitted ...
+  status: {
+    type: String,
+    enum: ['draft', 'submitted', 'approved', 'rejected'],
+    default: 'draft'
+  },
+  submittedAt: Date,
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lateSubmissionReason: String,
+  review: {
+    decision: {
+      type: String,
+      enum: ['approved', 'rejected']
+    },
+    // Client SPOC who decided - recorded by the user entering the decision
+    spoc: {
+      spocId: mongoose.Schema.Types.ObjectId,
+      name: String,
+      email: String
+    },
+    remarks: String,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  },
+  history: [{
+    action: {
+      type: String,
+      enum: ['created', 'updated', 'submitted', 'approved', 'rejected']
+    },
+    remarks: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Set once billed
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+timesheetSchema.index({ applicationId: 1, 'period.start': 1 }, { unique: true });
+timesheetSchema.index({ clientId: 1, status: 1, 'period.start': 1 });
+
+// Validate the period and entries
+timesheetSchema.pre('validate', function(next) {
+  if (this.period?.start && this.period?.end && this.period.end < this.period.start) {
+    this.invalidate('period.end', 'Timesheet period must end after it starts');
+  }
+
+  const seen = new Set();
+  for (const entry of this.entries) {
+    const day = new Date(entry.date).toDateString();
+
+    if (entry.date < this.period.start || entry.date > this.period.end) {
+      this.invalidate('entries', `Entry for ${day} is outside the timesheet period`);
+    }
+    if (seen.has(day)) {
+      this.invalidate('entries', `More than one entry for ${day}`);
+    }
+    if (this.timesheetType === 'Hour' && entry.type === 'work' && !(entry.hours > 0 && entry.hours <= 24)) {
+      this.invalidate('entries', `Hours worked on ${day} must be between 0 and 24`);
+    }
+    seen.add(day);
+  }
+
+  next();
+});
+
+// Recompute totals from the entries
+timesheetSchema.pre('save', function(next) {
+  if (this.isModified('entries') || this.isNew) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const work = this.entries.filter(entry => entry.type === 'work');
+    const leave = this.entries.filter(entry => entry.type === 'leave');
+    const hoursPerDay = this.workingHoursPerDay || 8;
+
+    const workedHours = this.timesheetType === 'Hour'
+      ? work.reduce((sum, entry) => sum + (entry.hours || 0), 0)
+      : work.reduce((sum, entry) => sum + (entry.days || 1) * hoursPerDay, 0);
+    const workedDays = this.timesheetType === 'Hour'
+      ? workedHours / hoursPerDay
+      : work.reduce((sum, entry) => sum + (entry.days || 1), 0);
+
+    this.totals = {
+      workedDays: round(workedDays),
+      workedHours: round(workedHours),
+      leaveDays: round(leave.reduce((sum, entry) => sum + (entry.days || 1), 0)),
+      billableDays: round(workedDays),
+      billableHours: round(workedHours)
+    };
+  }
+
+  next();
+});
+
+// Method to check if entries can still be changed
+timesheetSchema.methods.isEditable = function() {
+  return ['draft', 'rejected'].includes(this.status);
+};
+
+module.exports = mongoose.model('Timesheet', timesheetSchema);
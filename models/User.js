@@ -2,6 +2,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const Role = require('./Role');
+const { ROLES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -27,14 +29,37 @@ const userSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // A built-in role from config/permissions.js or the name of a custom Role
   role: {
     type: String,
-    enum: ['super_admin', 'admin', 'recruiter', 'hr', 'client', 'vendor'],
-    default: 'recruiter'
+    default: 'recruiter',
+    validate: {
+      validator: async function(value) {
+        if (ROLES[value]) return true;
+        return !!(await Role.exists({ name: value, isActive: true }));
+      },
+      message: props => `${props.value} is not a known role`
+    }
   },
+  // Organisation an external user belongs to - client users see only their
+  // client's data and vendor users only their agency's (DataScopeService)
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  },
+  agencyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Agency'
+  },
+  // Grants on top of the role
   permissions: [{
     module: String,
-    actions: [String]
+    actions: [String],
+    scope: {
+      type: String,
+      enum: ['own', 'team', 'all'],
+      default: 'all'
+    }
   }],
   isActive: {
     type: Boolean,
@@ -55,6 +80,11 @@ const userSchema = new mongoose.Schema({
     default: 0
   },
   lockUntil: Date,
+  calendarFeedToken: {
+    type: String,
+    select: false,
+    index: true
+  },
   twoFactorSecret: String,
   twoFactorEnabled: {
     type: Boolean,
@@ -67,6 +97,8 @@ const userSchema = new mongoose.Schema({
 // Indexes
 userSchema.index({ email: 1, isActive: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ clientId: 1 }, { sparse: true });
+userSchema.index({ agencyId: 1 }, { sparse: true });
 
 // Virtual for lock status
 userSchema.virtual('isLocked').get(function() {
@@ -127,4 +159,16 @@ userSchema.methods.createPasswordResetToken = function() {
   return resetToken;
 };
 
+// Instance method to create the iCal feed token (only the hash is stored)
+userSchema.methods.createCalendarFeedToken = function() {
+  const feedToken = crypto.randomBytes(32).toString('hex');
+  
+  this.calendarFeedToken = crypto
+    .createHash('sha256')
+    .update(feedToken)
+    .digest('hex');
+  
+  return feedToken;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,157 @@
+// models/plugins/auditTrail.js
+const Activity = require('../Activity');
+const RequestContext = require('../../utils/requestContext');
+const encryption = require('../../utils/encryption');
+
+// Bookkeeping paths that never make it into a diff
+const IGNORED_PATHS = ['_id', '__v', 'createdAt', 'updatedAt', 'lastUpdatedBy'];
+
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// Dates, ObjectIds and subdocument arrays compared and stored as plain JSON
+const toPlain = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+const snapshot = doc => doc.toObject({ depopulate: true, getters: false, virtuals: false });
+
+// Records every create, update and delete of the model as an Activity with a
+// field-level before/after diff. Actor, IP and user agent come from the request context.
+module.exports = function auditTrail(schema, { entityType, ignore = [], sensitive = [] }) {
+  const ignored = [...IGNORED_PATHS, ...ignore];
+
+  const matches = (list, path) => list.some(item => path === item || path.startsWith(`${item}.`));
+
+  // Sensitive values are stored masked; encrypted fields are sensitive by default
+  const present = (path, value) => {
+    if (value === undefined || value === null) return value;
+    if (!matches([...sensitive, ...(schema.statics.encryptedFields || [])], path)) return toPlain(value);
+
+    try {
+      return encryption.mask(encryption.decryptField(value));
+    } catch (error) {
+      return '[encrypted]';
+    }
+  };
+
+  const diff = (before = {}, after = {}, prefix = '', changes = []) => {
+    for (const key of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (matches(ignored, path)) continue;
+
+      const previous = before?.[key];
+      const next = after?.[key];
+
+      if (isPlainObject(previous) || isPlainObject(next)) {
+        diff(isPlainObject(previous) ? previous : {}, isPlainObject(next) ? next : {}, path, changes);
+      } else if (JSON.stringify(toPlain(previous)) !== JSON.stringify(toPlain(next))) {
+        changes.push({ path, before: present(path, previous), after: present(path, next) });
+      }
+    }
+
+    return changes;
+  };
+
+  // Written in the caller's session so a rolled back transaction leaves no trace
+  const record = async (type, entityId, changes = [], session = null) => {
+    const context = RequestContext.get() || {};
+    const actorType = context.user ? 'user' : context.candidate ? 'candidate' : context.spoc ? 'client_spoc' : 'system';
+    const statusChange = changes.find(change => change.path === 'status');
+
+    let description;
+    if (type === 'create') {
+      description = `${entityType} created`;
+    } else if (type === 'delete') {
+      description = `${entityType} deleted`;
+    } else if (statusChange) {
+      description = `${entityType} status changed from ${statusChange.before ?? 'none'} to ${statusChange.after}`;
+    } else {
+      description = `${entityType} updated: ${changes.map(change => change.path).join(', ')}`;
+    }
+
+    try {
+      await Activity.create([{
+        type: type === 'update' && statusChange ? 'status_change' : type,
+        description,
+        entityType,
+        entityId,
+        changes,
+        actorType,
+        performedBy: context.user?._id,
+        metadata: context.magicLink
+          ? { magicLinkId: context.magicLink._id, ...(context.spoc && { spocId: context.spoc._id }) }
+          : undefined,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      }], { session });
+    } catch (error) {
+      // The audit trail must never fail the change itself
+      console.error(`Failed to record audit trail for ${entityType} ${entityId}:`, error.message);
+    }
+  };
+
+  // Keep the loaded state to diff against on save
+  schema.post('init', function() {
+    this.$locals.auditSnapshot = snapshot(this);
+  });
+
+  schema.pre('save', function(next) {
+    this.$locals.auditIsNew = this.isNew;
+
+    if (!this.isNew) {
+      const roots = new Set(this.directModifiedPaths().map(path => path.split('.')[0]));
+      const before = {};
+      const after = {};
+      const current = snapshot(this);
+
+      for (const root of roots) {
+        before[root] = this.$locals.auditSnapshot?.[root];
+        after[root] = current[root];
+      }
+
+      this.$locals.auditChanges = diff(before, after);
+    }
+
+    next();
+  });
+
+  schema.post('save', async function() {
+    if (this.$locals.auditIsNew) {
+      await record('create', this._id, diff({}, snapshot(this)), this.$session());
+    } else if (this.$locals.auditChanges?.length) {
+      await record('update', this._id, this.$locals.auditChanges, this.$session());
+    }
+
+    this.$locals.auditSnapshot = snapshot(this);
+    this.$locals.auditChanges = null;
+  });
+
+  // Query updates - diff the stored document before and after
+  schema.pre(['findOneAndUpdate', 'updateOne'], { document: false, query: true }, async function() {
+    this._auditBefore = await this.model.findOne(this.getFilter()).session(this.getOptions().session || null).lean();
+  });
+
+  schema.post(['findOneAndUpdate', 'updateOne'], { document: false, query: true }, async function() {
+    if (!this._auditBefore) return;
+
+    const session = this.getOptions().session || null;
+    const after = await this.model.findById(this._auditBefore._id).session(session).lean();
+    const changes = diff(this._auditBefore, after || {});
+
+    if (changes.length) await record('update', this._auditBefore._id, changes, session);
+  });
+
+  // Deletes keep the removed state as the "before" side
+  schema.pre(['findOneAndDelete', 'deleteOne'], { document: false, query: true }, async function() {
+    this._auditBefore = await this.model.findOne(this.getFilter()).session(this.getOptions().session || null).lean();
+  });
+
+  schema.post(['findOneAndDelete', 'deleteOne'], { document: false, query: true }, async function() {
+    if (this._auditBefore) {
+      await record('delete', this._auditBefore._id, diff(this._auditBefore, {}), this.getOptions().session || null);
+    }
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function() {
+    await record('delete', this._id, diff(snapshot(this), {}), this.$session());
+  });
+};
@@ -0,0 +1,52 @@
+// models/plugins/encryptedFields.js
+const encryption = require('../../utils/encryption');
+
+const setPath = (obj, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((value, key) => value?.[key], obj);
+  if (target && target[last] !== undefined) target[last] = value;
+};
+
+// Encrypts the given string paths at rest. Reading the path on a document gives the
+// plaintext; JSON output only ever carries the masked form.
+module.exports = function encryptedFields(schema, { fields }) {
+  for (const path of fields) {
+    schema.path(path)
+      .set(value => encryption.encryptField(value))
+      .get(value => encryption.decryptField(value));
+  }
+
+  const toJSON = schema.get('toJSON') || {};
+  schema.set('toJSON', {
+    ...toJSON,
+    transform(doc, ret, options) {
+      for (const path of fields) {
+        setPath(ret, path, encryption.mask(doc.get(path)));
+      }
+      return toJSON.transform ? toJSON.transform(doc, ret, options) : ret;
+    }
+  });
+
+  schema.statics.encryptedFields = fields;
+
+  // Paths still in plaintext or written with an older key
+  schema.methods.getStaleEncryptedFields = function() {
+    return fields.filter(path => {
+      const stored = this.get(path, null, { getters: false });
+      if (stored === undefined || stored === null || stored === '') return false;
+      return encryption.getKeyVersion(stored) !== encryption.currentVersion;
+    });
+  };
+
+  // Write the paths again with the current key
+  schema.methods.reencryptFields = function() {
+    const stale = this.getStaleEncryptedFields();
+
+    for (const path of stale) {
+      this.set(path, this.get(path));
+    }
+
+    return stale;
+  };
+};
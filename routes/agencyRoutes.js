@@ -1,7 +1,7 @@
 // routes/agencyRoutes.js
 const express = require('express');
 const agencyController = require('../controllers/agencyController');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, checkPermission } = require('../middleware/auth');
 const { uploadFields } = require('../middleware/upload');
 
 const router = express.Router();
@@ -27,7 +27,7 @@ router.use(protect);
 router
   .route('/')
   .get(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('agencies', 'read'),
     agencyController.getAgencies
   );
 
@@ -35,32 +35,32 @@ router
   .route('/:id')
   .get(agencyController.getAgency)
   .patch(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('agencies', 'update'),
     uploadFields([
       { name: 'documents', maxCount: 10 }
     ]),
     agencyController.updateAgency
   )
   .delete(
-    restrictTo('admin', 'super_admin'),
+    checkPermission('agencies', 'delete'),
     agencyController.deleteAgency
   );
 
 // Verification
 router.patch('/:id/verify',
-  restrictTo('admin', 'super_admin'),
+  checkPermission('agencies', 'verify'),
   agencyController.verifyAgency
 );
 
 // Status management
 router.patch('/:id/status',
-  restrictTo('admin', 'super_admin', 'hr'),
+  checkPermission('agencies', 'update'),
   agencyController.updateAgencyStatus
 );
 
 // Performance metrics
 router.get('/:id/performance',
-  restrictTo('admin', 'super_admin', 'hr'),
+  checkPermission('agencies', 'read'),
   agencyController.getAgencyPerformance
 );
 
@@ -77,7 +77,7 @@ router.post('/freelancer/register',
 );
 
 router.get('/freelancers',
-  restrictTo('admin', 'super_admin', 'hr'),
+  checkPermission('agencies', 'read'),
   agencyController.getFreelancers
 );
 
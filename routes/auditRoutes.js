@@ -0,0 +1,28 @@
+// routes/auditRoutes.js
+const express = require('express');
+const auditController = require('../controllers/auditController');
+const { protect, checkPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Change history of any audited record
+router.get('/history/:entityType/:entityId',
+  checkPermission('audit', 'history'),
+  auditController.getEntityHistory
+);
+
+// Sensitive field reveals
+router.get('/reveals',
+  checkPermission('audit', 'reveals'),
+  auditController.getReveals
+);
+
+router.get('/reveals/summary',
+  checkPermission('audit', 'reveals'),
+  auditController.getRevealSummary
+);
+
+module.exports = router;
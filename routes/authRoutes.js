@@ -1,7 +1,7 @@
 // routes/authRoutes.js
 const express = require('express');
 const authController = require('../controllers/authController');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, checkPermission } = require('../middleware/auth');
 const validation = require('../middleware/validation');
 const { createRateLimiter } = require('../middleware/security');
 
@@ -70,7 +70,7 @@ router.post('/verify-2fa', authController.verify2FA);
 router.post('/disable-2fa', authController.disable2FA);
 
 // ===== ADMIN ROUTES =====
-router.use(restrictTo('admin', 'super_admin'));
+router.use(checkPermission('users', 'manage'));
 
 router.get('/users', authController.getAllUsers);
 router.post('/users', authController.createUser);
@@ -0,0 +1,48 @@
+// routes/bgvCaseRoutes.js
+const express = require('express');
+const bgvCaseController = require('../controllers/bgvCaseController');
+const { protect, checkPermission } = require('../middleware/auth');
+const { uploadSingle } = require('../middleware/upload');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// BGV case operations
+router
+  .route('/')
+  .get(bgvCaseController.getCases)
+  .post(
+    checkPermission('bgv_cases', 'create'),
+    bgvCaseController.initiateCase
+  );
+
+router
+  .route('/:id')
+  .get(bgvCaseController.getCase)
+  .patch(
+    checkPermission('bgv_cases', 'update'),
+    bgvCaseController.updateCase
+  );
+
+router.patch(
+  '/:id/checks/:checkId',
+  checkPermission('bgv_cases', 'update'),
+  bgvCaseController.updateCheck
+);
+
+router.patch(
+  '/:id/close',
+  checkPermission('bgv_cases', 'update'),
+  uploadSingle('report'),
+  bgvCaseController.closeCase
+);
+
+router.patch(
+  '/:id/cancel',
+  checkPermission('bgv_cases', 'update'),
+  bgvCaseController.cancelCase
+);
+
+module.exports = router;
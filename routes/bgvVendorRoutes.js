@@ -1,7 +1,8 @@
 // routes/bgvVendorRoutes.js
 const express = require('express');
 const bgvVendorController = require('../controllers/bgvVendorController');
-const { protect, restrictTo } = require('../middleware/auth');
+const bgvStatementController = require('../controllers/bgvStatementController');
+const { protect, checkPermission } = require('../middleware/auth');
 const { uploadFields } = require('../middleware/upload');
 const validation = require('../middleware/validation');
 
@@ -15,7 +16,7 @@ router
   .route('/')
   .get(bgvVendorController.getVendors)
   .post(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('bgv_vendors', 'create'),
     uploadFields([
       { name: 'documents', maxCount: 10 }
     ]),
@@ -26,33 +27,63 @@ router
   .route('/:id')
   .get(bgvVendorController.getVendor)
   .patch(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('bgv_vendors', 'update'),
     uploadFields([
       { name: 'documents', maxCount: 10 }
     ]),
     bgvVendorController.updateVendor
   )
   .delete(
-    restrictTo('admin', 'super_admin'),
+    checkPermission('bgv_vendors', 'delete'),
     bgvVendorController.deleteVendor
   );
 
+// SLA dashboard
+router.get('/:id/sla-dashboard', bgvVendorController.getSlaDashboard);
+
+// Monthly statements
+router
+  .route('/:id/statements')
+  .get(
+    checkPermission('bgv_vendors', 'statements'),
+    bgvStatementController.getStatements
+  )
+  .post(
+    checkPermission('bgv_vendors', 'statements'),
+    bgvStatementController.generateStatement
+  );
+
+router.get('/:id/statements/:statementId',
+  checkPermission('bgv_vendors', 'statements'),
+  bgvStatementController.getStatement
+);
+
+router.get('/:id/statements/:statementId/download',
+  checkPermission('bgv_vendors', 'statements'),
+  bgvStatementController.downloadStatement
+);
+
+router.patch('/:id/statements/:statementId/payment',
+  checkPermission('bgv_vendors', 'record_payment'),
+  bgvStatementController.updatePayment
+);
+
 // SPOC management
 router
   .route('/:id/spoc')
   .post(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('bgv_vendors', 'update'),
     bgvVendorController.addSpoc
   );
 
 router
   .route('/:id/spoc/:spocId')
   .patch(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('bgv_vendors', 'update'),
     bgvVendorController.updateSpoc
   )
   .delete(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('bgv_vendors', 'update'),
     bgvVendorController.removeSpoc
   );
 
@@ -60,7 +91,7 @@ router
 router
   .route('/:id/documents')
   .post(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('bgv_vendors', 'update'),
     uploadFields([
       { name: 'document', maxCount: 1 }
     ]),
@@ -68,7 +99,7 @@ router
   );
 
 router.delete('/:id/documents/:documentId',
-  restrictTo('admin', 'super_admin', 'hr'),
+  checkPermission('bgv_vendors', 'update'),
   bgvVendorController.removeDocument
 );
 
@@ -0,0 +1,21 @@
+// routes/calendarRoutes.js
+const express = require('express');
+const calendarController = require('../controllers/calendarController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// ===== PUBLIC ROUTES =====
+
+// iCal feed - calendar apps cannot send auth headers, the token is the credential
+router.get('/feed/:token.ics', calendarController.getFeed);
+
+// ===== PROTECTED ROUTES =====
+router.use(protect);
+
+router
+  .route('/feed-url')
+  .post(calendarController.createFeedUrl)
+  .delete(calendarController.revokeFeedUrl);
+
+module.exports = router;
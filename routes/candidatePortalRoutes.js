@@ -0,0 +1,52 @@
+// routes/candidatePortalRoutes.js
+const express = require('express');
+const candidatePortalController = require('../controllers/candidatePortalController');
+const { protectCandidateLink } = require('../middleware/auth');
+const { uploadFields } = require('../middleware/upload');
+const { createRateLimiter } = require('../middleware/security');
+
+const router = express.Router();
+
+const portalLimiter = createRateLimiter(15 * 60 * 1000, 60); // 60 requests per 15 minutes
+
+// ===== PUBLIC ROUTES - candidate self-service link =====
+// Every route is scoped to the candidate the token was issued for
+
+router.get('/:token',
+  portalLimiter,
+  protectCandidateLink,
+  candidatePortalController.getProfile
+);
+
+router.post('/:token/steps/:step',
+  portalLimiter,
+  protectCandidateLink,
+  uploadFields([
+    { name: 'passportImage', maxCount: 1 },
+    { name: 'certificate_0', maxCount: 1 },
+    { name: 'certificate_1', maxCount: 1 },
+    { name: 'certificate_2', maxCount: 1 },
+    { name: 'certificate_3', maxCount: 1 },
+    { name: 'certificate_4', maxCount: 1 },
+    { name: 'aadhaar', maxCount: 1 },
+    { name: 'pan', maxCount: 1 },
+    { name: 'panSelfie', maxCount: 1 },
+    { name: 'passport', maxCount: 1 },
+    { name: 'bankDoc', maxCount: 1 }
+  ]),
+  candidatePortalController.saveStep
+);
+
+router.get('/:token/files',
+  portalLimiter,
+  protectCandidateLink,
+  candidatePortalController.getFiles
+);
+
+router.get('/:token/files/:fileId',
+  portalLimiter,
+  protectCandidateLink,
+  candidatePortalController.downloadFile
+);
+
+module.exports = router;
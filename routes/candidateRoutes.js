@@ -1,8 +1,10 @@
 // routes/candidateRoutes.js
 const express = require('express');
 const candidateController = require('../controllers/candidateController');
-const { protect, restrictTo } = require('../middleware/auth');
-const { uploadFields } = require('../middleware/upload');
+const applicationController = require('../controllers/applicationController');
+const matchingController = require('../controllers/matchingController');
+const { protect, checkPermission } = require('../middleware/auth');
+const { uploadFields, uploadSingle } = require('../middleware/upload');
 const validation = require('../middleware/validation');
 
 const router = express.Router();
@@ -13,8 +15,12 @@ router.use(protect);
 // Candidate operations
 router
   .route('/')
-  .get(candidateController.getCandidates)
+  .get(
+    checkPermission('candidates', 'read'),
+    candidateController.getCandidates
+  )
   .post(
+    checkPermission('candidates', 'update'),
     uploadFields([
       { name: 'passportImage', maxCount: 1 },
       { name: 'certificates', maxCount: 10 },
@@ -26,6 +32,7 @@ router
 
 // Multi-step form endpoint
 router.post('/step',
+  checkPermission('candidates', 'update'),
   uploadFields([
     { name: 'passportImage', maxCount: 1 },
     { name: 'certificate_0', maxCount: 1 },
@@ -42,19 +49,30 @@ router.post('/step',
   candidateController.upsertCandidate
 );
 
+// Resume parsing - returns a draft to review before saving
+router.post('/resume/parse',
+  checkPermission('candidates', 'update'),
+  uploadSingle('resume'),
+  candidateController.parseResume
+);
+
 // Search candidates
 router.get('/search', candidateController.searchCandidates);
 
 // Export candidates
 router.get('/export', 
-  restrictTo('admin', 'super_admin', 'hr'),
+  checkPermission('candidates', 'export'),
   candidateController.exportCandidates
 );
 
 router
   .route('/:id')
-  .get(candidateController.getCandidate)
+  .get(
+    checkPermission('candidates', 'read'),
+    candidateController.getCandidate
+  )
   .patch(
+    checkPermission('candidates', 'update'),
     uploadFields([
       { name: 'documents', maxCount: 10 }
     ]),
@@ -63,20 +81,108 @@ router
 
 // Status management
 router.patch('/:id/status',
-  restrictTo('admin', 'super_admin', 'hr', 'recruiter'),
+  checkPermission('candidates', 'status'),
   validation.validateStatusUpdate,
   candidateController.updateCandidateStatus
 );
 
 // Assignment
 router.patch('/:id/assign',
-  restrictTo('admin', 'super_admin', 'hr'),
+  checkPermission('candidates', 'assign'),
   candidateController.assignCandidate
 );
 
+// Reveal a sensitive KYC or bank field
+router.post('/:id/reveal',
+  checkPermission('candidates', 'reveal'),
+  candidateController.revealField
+);
+
+// Candidate self-service link
+router
+  .route('/:id/portal-link')
+  .get(
+    checkPermission('candidates', 'portal_link'),
+    candidateController.getPortalLink
+  )
+  .post(
+    checkPermission('candidates', 'portal_link'),
+    candidateController.sendPortalLink
+  )
+  .delete(
+    checkPermission('candidates', 'portal_link'),
+    candidateController.revokePortalLink
+  );
+
+// Duplicates
+router.get('/:id/duplicates',
+  candidateController.getDuplicates
+);
+
+router.post('/:id/merge',
+  checkPermission('candidates', 'merge'),
+  candidateController.mergeCandidate
+);
+
+// Verification policy
+router.get('/:id/policy-checks',
+  candidateController.getPolicyChecks
+);
+
 // Notes
 router.post('/:id/notes',
   candidateController.addNote
 );
 
+// Applications
+router.get('/:id/applications',
+  applicationController.getCandidateApplications
+);
+
+router.patch('/:id/applications/:applicationId/stage',
+  checkPermission('applications', 'update'),
+  applicationController.moveStage
+);
+
+router.patch('/:id/applications/:applicationId/withdraw',
+  checkPermission('applications', 'update'),
+  applicationController.withdraw
+);
+
+router.post('/:id/applications/:applicationId/blocklist/rescreen',
+  checkPermission('applications', 'update'),
+  applicationController.rescreenBlocklist
+);
+
+router.patch('/:id/applications/:applicationId/blocklist/override',
+  checkPermission('applications', 'override_blocklist'),
+  applicationController.overrideBlocklist
+);
+
+router.post('/:id/applications/:applicationId/policy/recheck',
+  checkPermission('applications', 'update'),
+  applicationController.recheckPolicy
+);
+
+router.patch('/:id/applications/:applicationId/policy/override',
+  checkPermission('applications', 'override_policy'),
+  applicationController.overridePolicy
+);
+
+router.post('/:id/applications/:applicationId/margin-approval',
+  checkPermission('applications', 'update'),
+  applicationController.requestMarginApproval
+);
+
+router.patch('/:id/applications/:applicationId/margin-approval/decision',
+  checkPermission('applications', 'approve_margin'),
+  applicationController.decideMarginApproval
+);
+
+// Match scoring
+router.get('/:id/matches',
+  checkPermission('matching', 'read'),
+  matchingController.getCandidateMatches
+);
+
 module.exports = router;
\ No newline at end of file
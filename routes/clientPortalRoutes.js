@@ -0,0 +1,71 @@
+// routes/clientPortalRoutes.js
+const express = require('express');
+const clientPortalController = require('../controllers/clientPortalController');
+const { protectClientLink } = require('../middleware/auth');
+const { createRateLimiter } = require('../middleware/security');
+
+const router = express.Router();
+
+const portalLimiter = createRateLimiter(15 * 60 * 1000, 100); // 100 requests per 15 minutes
+
+// ===== PUBLIC ROUTES - client SPOC link =====
+// Every route is scoped to the client and SPOC the token was issued for
+
+router.get('/:token',
+  portalLimiter,
+  protectClientLink,
+  clientPortalController.getProfile
+);
+
+// Requirements
+router.get('/:token/requirements',
+  portalLimiter,
+  protectClientLink,
+  clientPortalController.getRequirements
+);
+
+// Submissions
+router.get('/:token/submissions',
+  portalLimiter,
+  protectClientLink,
+  clientPortalController.getSubmissions
+);
+
+router.get('/:token/submissions/:applicationId',
+  portalLimiter,
+  protectClientLink,
+  clientPortalController.getSubmission
+);
+
+router.post('/:token/submissions/:applicationId/decision',
+  portalLimiter,
+  protectClientLink,
+  clientPortalController.decide
+);
+
+router.post('/:token/submissions/:applicationId/interview-slots',
+  portalLimiter,
+  protectClientLink,
+  clientPortalController.proposeSlots
+);
+
+// Timesheets
+router.get('/:token/timesheets',
+  portalLimiter,
+  protectClientLink,
+  clientPortalController.getTimesheets
+);
+
+router.patch('/:token/timesheets/:id/approve',
+  portalLimiter,
+  protectClientLink,
+  clientPortalController.approveTimesheet
+);
+
+router.patch('/:token/timesheets/:id/reject',
+  portalLimiter,
+  protectClientLink,
+  clientPortalController.rejectTimesheet
+);
+
+module.exports = router;
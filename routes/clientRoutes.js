@@ -1,7 +1,7 @@
 // routes/clientRoutes.js
 const express = require('express');
 const clientController = require('../controllers/clientController');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, checkPermission } = require('../middleware/auth');
 const { uploadFields, uploadSingle } = require('../middleware/upload');
 const validation = require('../middleware/validation');
 
@@ -15,7 +15,7 @@ router
   .route('/')
   .get(clientController.getClients)
   .post(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('clients', 'create'),
     uploadFields([
       { name: 'candidate_docs', maxCount: 10 },
       { name: 'client_docs', maxCount: 10 },
@@ -28,7 +28,7 @@ router
 
 // Statistics route - must come before /:id to avoid conflicts
 router.get('/stats/overview', 
-  restrictTo('admin', 'super_admin'),
+  checkPermission('clients', 'stats'),
   clientController.getClientStats
 );
 
@@ -36,15 +36,16 @@ router
   .route('/:id')
   .get(clientController.getClient)
   .patch(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('clients', 'update'),
     uploadFields([
       { name: 'candidate_docs', maxCount: 10 },
       { name: 'client_docs', maxCount: 10 }
     ]),
+    validation.validateLeavePolicy,
     clientController.updateClient
   )
   .delete(
-    restrictTo('admin', 'super_admin'),
+    checkPermission('clients', 'delete'),
     clientController.deleteClient
   );
 
@@ -52,7 +53,7 @@ router
 router
   .route('/:id/spoc')
   .post(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('clients', 'update'),
     validation.validateSpoc,
     clientController.addSpoc
   );
@@ -60,44 +61,60 @@ router
 router
   .route('/:id/spoc/:spocId')
   .patch(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('clients', 'update'),
     clientController.updateSpoc
   )
   .delete(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('clients', 'update'),
     clientController.removeSpoc
   );
 
+// Client portal link for a SPOC
+router
+  .route('/:id/spoc/:spocId/portal-link')
+  .get(
+    checkPermission('clients', 'portal_link'),
+    clientController.getPortalLink
+  )
+  .post(
+    checkPermission('clients', 'portal_link'),
+    clientController.sendPortalLink
+  )
+  .delete(
+    checkPermission('clients', 'portal_link'),
+    clientController.revokePortalLink
+  );
+
 // Blocklist management endpoints
 router
   .route('/:id/blocklist/companies')
   .get(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('clients', 'blocklist'),
     clientController.getBlocklistedCompanies
   )
   .post(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('clients', 'blocklist'),
     uploadSingle('file'),
     clientController.uploadBlocklistedCompanies
   )
   .delete(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('clients', 'blocklist'),
     clientController.clearBlocklistedCompanies
   );
 
 router
   .route('/:id/blocklist/universities')
   .get(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('clients', 'blocklist'),
     clientController.getBlocklistedUniversities
   )
   .post(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('clients', 'blocklist'),
     uploadSingle('file'),
     clientController.uploadBlocklistedUniversities
   )
   .delete(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('clients', 'blocklist'),
     clientController.clearBlocklistedUniversities
   );
 
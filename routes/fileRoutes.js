@@ -1,7 +1,7 @@
 // routes/fileRoutes.js
 const express = require('express');
 const fileController = require('../controllers/fileController');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, checkPermission } = require('../middleware/auth');
 const { uploadSingle } = require('../middleware/upload');
 
 const router = express.Router();
@@ -20,13 +20,13 @@ router.delete('/:id',
 
 // Verify document
 router.patch('/:id/verify',
-  restrictTo('admin', 'super_admin', 'hr'),
+  checkPermission('files', 'verify'),
   fileController.verifyDocument
 );
 
 // Bulk operations
 router.post('/bulk-verify',
-  restrictTo('admin', 'super_admin', 'hr'),
+  checkPermission('files', 'verify'),
   fileController.bulkVerifyDocuments
 );
 
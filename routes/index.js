@@ -9,6 +9,19 @@ const recruiterRoutes = require('./recruiterRoutes');
 const agencyRoutes = require('./agencyRoutes');
 const fileRoutes = require('./fileRoutes');
 const workflowRoutes = require('./workflowRoutes');
+const statusWorkflowRoutes = require('./statusWorkflowRoutes');
+const interviewRoutes = require('./interviewRoutes');
+const calendarRoutes = require('./calendarRoutes');
+const bgvCaseRoutes = require('./bgvCaseRoutes');
+const invoiceRoutes = require('./invoiceRoutes');
+const timesheetRoutes = require('./timesheetRoutes');
+const leaveRoutes = require('./leaveRoutes');
+const offerRoutes = require('./offerRoutes');
+const candidatePortalRoutes = require('./candidatePortalRoutes');
+const clientPortalRoutes = require('./clientPortalRoutes');
+const auditRoutes = require('./auditRoutes');
+const roleRoutes = require('./roleRoutes');
+const teamRoutes = require('./teamRoutes');
 
 const router = express.Router();
 
@@ -24,6 +37,19 @@ router.use(`${v1}/recruiters`, recruiterRoutes);
 router.use(`${v1}/agencies`, agencyRoutes);
 router.use(`${v1}/files`, fileRoutes);
 router.use(`${v1}/workflows`, workflowRoutes);
+router.use(`${v1}/status-workflows`, statusWorkflowRoutes);
+router.use(`${v1}/interviews`, interviewRoutes);
+router.use(`${v1}/calendar`, calendarRoutes);
+router.use(`${v1}/bgv-cases`, bgvCaseRoutes);
+router.use(`${v1}/invoices`, invoiceRoutes);
+router.use(`${v1}/timesheets`, timesheetRoutes);
+router.use(`${v1}/leave-ledgers`, leaveRoutes);
+router.use(`${v1}/offers`, offerRoutes);
+router.use(`${v1}/candidate-portal`, candidatePortalRoutes);
+router.use(`${v1}/client-portal`, clientPortalRoutes);
+router.use(`${v1}/audit`, auditRoutes);
+router.use(`${v1}/roles`, roleRoutes);
+router.use(`${v1}/teams`, teamRoutes);
 
 // Health check
 router.get(`${v1}/health`, (req, res) => {
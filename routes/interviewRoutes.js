@@ -0,0 +1,46 @@
+// routes/interviewRoutes.js
+const express = require('express');
+const interviewController = require('../controllers/interviewController');
+const { protect, checkPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Interview operations
+router
+  .route('/')
+  .get(interviewController.getInterviews)
+  .post(
+    checkPermission('interviews', 'create'),
+    interviewController.scheduleInterview
+  );
+
+// Interviewer availability - must come before /:id
+router.get('/conflicts', interviewController.checkConflicts);
+
+router
+  .route('/:id')
+  .get(interviewController.getInterview)
+  .patch(
+    checkPermission('interviews', 'update'),
+    interviewController.updateInterview
+  );
+
+router.patch(
+  '/:id/reschedule',
+  checkPermission('interviews', 'update'),
+  interviewController.rescheduleInterview
+);
+
+router.patch(
+  '/:id/status',
+  checkPermission('interviews', 'update'),
+  interviewController.updateInterviewStatus
+);
+
+// Any interviewer can submit feedback for their own interview
+router.post('/:id/feedback', interviewController.submitFeedback);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+// routes/invoiceRoutes.js
+const express = require('express');
+const invoiceController = require('../controllers/invoiceController');
+const { protect, checkPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Invoice operations
+router
+  .route('/')
+  .get(checkPermission('invoices', 'read'), invoiceController.getInvoices)
+  .post(checkPermission('invoices', 'create'), invoiceController.generateInvoice);
+
+// Receivables ageing - must come before /:id
+router.get('/ageing', checkPermission('invoices', 'read'), invoiceController.getAgeing);
+
+router.get('/:id', checkPermission('invoices', 'read'), invoiceController.getInvoice);
+router.get('/:id/pdf', checkPermission('invoices', 'read'), invoiceController.downloadInvoice);
+
+router.post('/:id/payments', checkPermission('invoices', 'record_payment'), invoiceController.recordPayment);
+
+router.patch('/:id/cancel',
+  checkPermission('invoices', 'cancel'),
+  invoiceController.cancelInvoice
+);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 // routes/jobPostingRoutes.js
 const express = require('express');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, checkPermission } = require('../middleware/auth');
 const validation = require('../middleware/validation');
 
 const router = express.Router();
@@ -9,7 +9,7 @@ router.use(protect);
 
 // Job posting is essentially a requirement with additional fields
 router.post('/post',
-  restrictTo('admin', 'super_admin', 'hr', 'client'),
+  checkPermission('job_postings', 'create'),
   validation.validateRequirement,
   async (req, res, next) => {
     try {
@@ -0,0 +1,24 @@
+// routes/leaveRoutes.js
+const express = require('express');
+const leaveController = require('../controllers/leaveController');
+const { protect, checkPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Leave ledger of a placed consultant
+router.get('/:applicationId', checkPermission('leave', 'read'), leaveController.getLedger);
+
+router.post('/:applicationId/encashments',
+  checkPermission('leave', 'encash'),
+  leaveController.encashLeave
+);
+
+router.post('/:applicationId/adjustments',
+  checkPermission('leave', 'adjust'),
+  leaveController.adjustLeave
+);
+
+module.exports = router;
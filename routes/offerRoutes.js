@@ -0,0 +1,39 @@
+// routes/offerRoutes.js
+const express = require('express');
+const offerController = require('../controllers/offerController');
+const { protect, checkPermission } = require('../middleware/auth');
+const { createRateLimiter } = require('../middleware/security');
+
+const router = express.Router();
+
+const responseLimiter = createRateLimiter(15 * 60 * 1000, 20); // 20 requests per 15 minutes
+
+// ===== PUBLIC ROUTES - candidate offer link =====
+
+router.get('/respond/:token', responseLimiter, offerController.viewOffer);
+router.get('/respond/:token/pdf', responseLimiter, offerController.downloadOfferByToken);
+router.post('/respond/:token/accept', responseLimiter, offerController.acceptOffer);
+router.post('/respond/:token/decline', responseLimiter, offerController.declineOffer);
+
+// ===== PROTECTED ROUTES =====
+
+router.use(protect);
+
+// Offer operations
+router
+  .route('/')
+  .get(checkPermission('offers', 'read'), offerController.getOffers)
+  .post(checkPermission('offers', 'create'), offerController.createOffer);
+
+router.get('/:id', checkPermission('offers', 'read'), offerController.getOffer);
+router.get('/:id/pdf', checkPermission('offers', 'read'), offerController.downloadOffer);
+
+router.post('/:id/revisions', checkPermission('offers', 'update'), offerController.reviseOffer);
+router.post('/:id/send', checkPermission('offers', 'send'), offerController.sendOffer);
+
+router.patch('/:id/withdraw',
+  checkPermission('offers', 'withdraw'),
+  offerController.withdrawOffer
+);
+
+module.exports = router;
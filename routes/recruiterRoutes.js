@@ -1,7 +1,7 @@
 // routes/recruiterRoutes.js
 const express = require('express');
 const recruiterController = require('../controllers/recruiterController');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, checkPermission } = require('../middleware/auth');
 const validation = require('../middleware/validation');
 
 const router = express.Router();
@@ -11,10 +11,12 @@ router.use(protect);
 
 // Recruiter workflow
 router.post('/call-form',
+  checkPermission('candidates', 'update'),
   recruiterController.saveRecruiterCall
 );
 
 router.post('/selection',
+  checkPermission('applications', 'update'),
   recruiterController.createSelection
 );
 
@@ -48,12 +50,12 @@ router.post('/activities',
 
 // Team management (for team leads)
 router.get('/team',
-  restrictTo('team_lead', 'admin', 'super_admin'),
+  checkPermission('recruiters', 'team'),
   recruiterController.getTeamMembers
 );
 
 router.get('/team/performance',
-  restrictTo('team_lead', 'admin', 'super_admin'),
+  checkPermission('recruiters', 'team'),
   recruiterController.getTeamPerformance
 );
 
@@ -1,7 +1,9 @@
 // routes/requirementRoutes.js
 const express = require('express');
 const requirementController = require('../controllers/requirementController');
-const { protect, restrictTo } = require('../middleware/auth');
+const applicationController = require('../controllers/applicationController');
+const matchingController = require('../controllers/matchingController');
+const { protect, checkPermission } = require('../middleware/auth');
 const { uploadFields } = require('../middleware/upload');
 const validation = require('../middleware/validation');
 
@@ -13,50 +15,59 @@ router.use(protect);
 // Requirement CRUD operations
 router
   .route('/')
-  .get(requirementController.getRequirements)
+  .get(
+    checkPermission('requirements', 'read'),
+    requirementController.getRequirements
+  )
   .post(
-    restrictTo('admin', 'super_admin', 'hr', 'recruiter'),
+    checkPermission('requirements', 'create'),
     validation.validateRequirement,
     requirementController.createRequirement
   );
 
 // Bulk operations
 router.post('/bulk-create',
-  restrictTo('admin', 'super_admin'),
+  checkPermission('requirements', 'bulk_create'),
   requirementController.bulkCreateRequirements
 );
 
 // Search and filter
-router.get('/search', requirementController.searchRequirements);
+router.get('/search',
+  checkPermission('requirements', 'read'),
+  requirementController.searchRequirements
+);
 
 // Statistics
 router.get('/stats', 
-  restrictTo('admin', 'super_admin', 'hr'),
+  checkPermission('requirements', 'stats'),
   requirementController.getRequirementStats
 );
 
 // Single requirement operations
 router
   .route('/:id')
-  .get(requirementController.getRequirement)
+  .get(
+    checkPermission('requirements', 'read'),
+    requirementController.getRequirement
+  )
   .patch(
-    restrictTo('admin', 'super_admin', 'hr'),
+    checkPermission('requirements', 'update'),
     requirementController.updateRequirement
   )
   .delete(
-    restrictTo('admin', 'super_admin'),
+    checkPermission('requirements', 'delete'),
     requirementController.deleteRequirement
   );
 
 // Allocation
 router.post('/:id/allocate',
-  restrictTo('admin', 'super_admin', 'hr'),
+  checkPermission('requirements', 'allocate'),
   requirementController.allocateRequirement
 );
 
 // Status management
 router.patch('/:id/status',
-  restrictTo('admin', 'super_admin', 'hr'),
+  checkPermission('requirements', 'status'),
   requirementController.updateRequirementStatus
 );
 
@@ -65,9 +76,66 @@ router.post('/:id/candidates/:candidateId',
   requirementController.mapCandidateToRequirement
 );
 
+// Applications
+router.get('/:id/applications',
+  applicationController.getRequirementApplications
+);
+
+router.patch('/:id/applications/:applicationId/stage',
+  checkPermission('applications', 'update'),
+  applicationController.moveStage
+);
+
+router.patch('/:id/applications/:applicationId/withdraw',
+  checkPermission('applications', 'update'),
+  applicationController.withdraw
+);
+
+router.post('/:id/applications/:applicationId/blocklist/rescreen',
+  checkPermission('applications', 'update'),
+  applicationController.rescreenBlocklist
+);
+
+router.patch('/:id/applications/:applicationId/blocklist/override',
+  checkPermission('applications', 'override_blocklist'),
+  applicationController.overrideBlocklist
+);
+
+router.post('/:id/applications/:applicationId/policy/recheck',
+  checkPermission('applications', 'update'),
+  applicationController.recheckPolicy
+);
+
+router.patch('/:id/applications/:applicationId/policy/override',
+  checkPermission('applications', 'override_policy'),
+  applicationController.overridePolicy
+);
+
+router.post('/:id/applications/:applicationId/margin-approval',
+  checkPermission('applications', 'update'),
+  applicationController.requestMarginApproval
+);
+
+router.patch('/:id/applications/:applicationId/margin-approval/decision',
+  checkPermission('applications', 'approve_margin'),
+  applicationController.decideMarginApproval
+);
+
+// Margin simulation
+router.post('/:id/margin-simulation',
+  checkPermission('requirements', 'simulate_margin'),
+  requirementController.simulateMargin
+);
+
+// Match scoring
+router.get('/:id/matches',
+  checkPermission('matching', 'read'),
+  matchingController.getRequirementMatches
+);
+
 // Clone requirement
 router.post('/:id/clone',
-  restrictTo('admin', 'super_admin', 'hr'),
+  checkPermission('requirements', 'clone'),
   requirementController.cloneRequirement
 );
 
@@ -0,0 +1,52 @@
+// routes/roleRoutes.js
+const express = require('express');
+const roleController = require('../controllers/roleController');
+const { protect, checkPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Effective permissions of the logged in user
+router.get('/me', roleController.getMyPermissions);
+
+// Grantable permissions - must come before /:name
+router.get('/catalog',
+  checkPermission('roles', 'read'),
+  roleController.getCatalog
+);
+
+router
+  .route('/')
+  .get(
+    checkPermission('roles', 'read'),
+    roleController.getRoles
+  )
+  .post(
+    checkPermission('roles', 'manage'),
+    roleController.createRole
+  );
+
+router
+  .route('/:name')
+  .get(
+    checkPermission('roles', 'read'),
+    roleController.getRole
+  )
+  .patch(
+    checkPermission('roles', 'manage'),
+    roleController.updateRole
+  )
+  .delete(
+    checkPermission('roles', 'manage'),
+    roleController.deleteRole
+  );
+
+// Role assignment
+router.post('/:name/assign',
+  checkPermission('roles', 'manage'),
+  roleController.assignRole
+);
+
+module.exports = router;
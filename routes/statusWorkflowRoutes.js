@@ -0,0 +1,35 @@
+// routes/statusWorkflowRoutes.js
+const express = require('express');
+const statusWorkflowController = require('../controllers/statusWorkflowController');
+const { protect, checkPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Status workflow CRUD operations
+router
+  .route('/')
+  .get(statusWorkflowController.getWorkflows)
+  .post(
+    checkPermission('status_workflows', 'create'),
+    statusWorkflowController.createWorkflow
+  );
+
+// Workflow that applies to a client or requirement - must come before /:id
+router.get('/effective', statusWorkflowController.getEffectiveWorkflow);
+
+router
+  .route('/:id')
+  .get(statusWorkflowController.getWorkflow)
+  .patch(
+    checkPermission('status_workflows', 'update'),
+    statusWorkflowController.updateWorkflow
+  )
+  .delete(
+    checkPermission('status_workflows', 'delete'),
+    statusWorkflowController.deleteWorkflow
+  );
+
+module.exports = router;
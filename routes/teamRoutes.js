@@ -0,0 +1,49 @@
+// routes/teamRoutes.js
+const express = require('express');
+const teamController = require('../controllers/teamController');
+const { protect, checkPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Team operations
+router
+  .route('/')
+  .get(
+    checkPermission('teams', 'read'),
+    teamController.getTeams
+  )
+  .post(
+    checkPermission('teams', 'manage'),
+    teamController.createTeam
+  );
+
+router
+  .route('/:id')
+  .get(
+    checkPermission('teams', 'read'),
+    teamController.getTeam
+  )
+  .patch(
+    checkPermission('teams', 'manage'),
+    teamController.updateTeam
+  )
+  .delete(
+    checkPermission('teams', 'manage'),
+    teamController.deleteTeam
+  );
+
+// Membership
+router.post('/:id/members',
+  checkPermission('teams', 'manage'),
+  teamController.addMembers
+);
+
+router.delete('/:id/members/:userId',
+  checkPermission('teams', 'manage'),
+  teamController.removeMember
+);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+// routes/timesheetRoutes.js
+const express = require('express');
+const timesheetController = require('../controllers/timesheetController');
+const { protect, checkPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Timesheet operations
+router
+  .route('/')
+  .get(checkPermission('timesheets', 'read'), timesheetController.getTimesheets)
+  .post(checkPermission('timesheets', 'create'), timesheetController.createTimesheet);
+
+// Billable summary for invoicing - must come before /:id
+router.get('/billable',
+  checkPermission('timesheets', 'billable'),
+  timesheetController.getBillableSummary
+);
+
+router
+  .route('/:id')
+  .get(checkPermission('timesheets', 'read'), timesheetController.getTimesheet)
+  .patch(checkPermission('timesheets', 'update'), timesheetController.updateTimesheet);
+
+router.patch('/:id/submit', checkPermission('timesheets', 'update'), timesheetController.submitTimesheet);
+
+// Client SPOC decisions are recorded by internal staff
+router.patch('/:id/approve',
+  checkPermission('timesheets', 'approve'),
+  timesheetController.approveTimesheet
+);
+
+router.patch('/:id/reject',
+  checkPermission('timesheets', 'approve'),
+  timesheetController.rejectTimesheet
+);
+
+module.exports = router;
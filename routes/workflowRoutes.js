@@ -1,7 +1,7 @@
 // routes/workflowRoutes.js
 const express = require('express');
 const workflowController = require('../controllers/workflowController');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, checkPermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -25,18 +25,18 @@ router.post('/:entityType/:entityId/validate',
 
 // Reports
 router.get('/reports/pipeline',
-  restrictTo('admin', 'super_admin', 'hr'),
+  checkPermission('reports', 'read'),
   workflowController.getPipelineReport
 );
 
 router.post('/reports/generate',
-  restrictTo('admin', 'super_admin', 'hr'),
+  checkPermission('reports', 'read'),
   workflowController.generateReport
 );
 
 // Export data
 router.get('/export/:type',
-  restrictTo('admin', 'super_admin', 'hr'),
+  checkPermission('reports', 'export'),
   workflowController.exportData
 );
 
@@ -0,0 +1,103 @@
+// scripts/rotateEncryptionKeys.js
+//
+// Re-encrypts KYC and bank fields with the current key version and rebuilds the
+// PAN/Aadhaar blind indexes. Also encrypts values stored before encryption was added.
+//
+// To rotate: add the new key to ENCRYPTION_KEYS (keep the old ones), point
+// ENCRYPTION_KEY_VERSION at it, run this script, then drop the old keys.
+//
+// Usage: node scripts/rotateEncryptionKeys.js [--dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Candidate = require('../models/Candidate');
+const Agency = require('../models/Agency');
+const encryption = require('../utils/encryption');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Blind indexes kept next to the encrypted Candidate fields
+const CANDIDATE_INDEXES = [
+  { type: 'pan', field: 'kyc.panNumber', index: 'kyc.panHash' },
+  { type: 'aadhaar', field: 'kyc.aadhaarNumber', index: 'kyc.aadhaarHash' }
+];
+
+function rebuildCandidateIndexes(candidate) {
+  const rebuilt = [];
+
+  for (const { type, field, index } of CANDIDATE_INDEXES) {
+    const hash = Candidate.hashIdentifier(type, candidate.get(field));
+    if (hash !== candidate.get(index)) {
+      candidate.set(index, hash);
+      rebuilt.push(index);
+    }
+  }
+
+  return rebuilt;
+}
+
+async function rotate(Model, { extraFields = [], rebuild } = {}) {
+  const fields = [...Model.encryptedFields, ...extraFields];
+  const summary = { scanned: 0, updated: 0, fields: 0, indexes: 0, failed: 0 };
+
+  const cursor = Model
+    .find({ $or: Model.encryptedFields.map(field => ({ [field]: { $exists: true, $nin: [null, ''] } })) })
+    .select(fields.map(field => `+${field}`).join(' '))
+    .cursor();
+
+  for await (const doc of cursor) {
+    summary.scanned++;
+
+    try {
+      const stale = doc.reencryptFields();
+      const rebuilt = rebuild ? rebuild(doc) : [];
+
+      if (!stale.length && !rebuilt.length) continue;
+
+      summary.updated++;
+      summary.fields += stale.length;
+      summary.indexes += rebuilt.length;
+
+      if (!dryRun) {
+        await doc.save({ validateBeforeSave: false });
+      }
+    } catch (error) {
+      summary.failed++;
+      console.error(`${Model.modelName} ${doc._id}: ${error.message}`);
+    }
+  }
+
+  return summary;
+}
+
+async function rotateEncryptionKeys() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+    console.log(`Writing with key version ${encryption.currentVersion}${dryRun ? ' (dry run - nothing is saved)' : ''}`);
+
+    const results = {
+      Candidate: await rotate(Candidate, {
+        extraFields: CANDIDATE_INDEXES.map(({ index }) => index),
+        rebuild: rebuildCandidateIndexes
+      }),
+      Agency: await rotate(Agency)
+    };
+
+    console.table(results);
+
+    const failed = Object.values(results).reduce((sum, result) => sum + result.failed, 0);
+    if (failed) {
+      console.error(`${failed} documents could not be re-encrypted - check that all old key versions are configured`);
+      process.exit(1);
+    }
+
+    console.log('Key rotation completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Key rotation failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run rotation
+rotateEncryptionKeys();
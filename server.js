@@ -17,6 +17,7 @@ const { globalErrorHandler } = require('./middleware/errorHandler');
 const { setupSecurity } = require('./middleware/security');
 const { serveFile } = require('./middleware/serveFiles');
 const { isLoggedIn } = require('./middleware/auth');
+const RequestContext = require('./utils/requestContext');
 
 // Initialize express app
 const app = express();
@@ -35,6 +36,9 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
+// Request context (actor, IP, user agent) for the audit trail
+app.use(RequestContext.middleware);
+
 // Compression middleware
 app.use(compression());
 
@@ -375,4 +379,18 @@ setInterval(async () => {
   }
 }, 60 * 60 * 1000); // Check every hour
 
+// Escalate overdue BGV cases
+const BGVService = require('./services/bgvService');
+
+setInterval(async () => {
+  try {
+    const summary = await BGVService.processEscalations();
+    if (summary.escalated) {
+      console.log(`BGV escalations raised for ${summary.escalated} case(s)`);
+    }
+  } catch (error) {
+    console.error('BGV escalation error:', error);
+  }
+}, 15 * 60 * 1000); // Check every 15 minutes
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,416 @@
+// services/applicationService.js
+const mongoose = require('mongoose');
+const Application = require('../models/Application');
+const Candidate = require('../models/Candidate');
+const Requirement = require('../models/Requirement');
+const Activity = require('../models/Activity');
+const StatusWorkflowService = require('./statusWorkflowService');
+const BlocklistService = require('./blocklistService');
+const VerificationPolicyService = require('./verificationPolicyService');
+const { AppError } = require('../utils/appError');
+
+// Stages that count towards each requirement metric once reached
+const METRIC_STAGES = {
+  submitted: ['Submitted', 'Shortlisted', 'Interview', 'Selected', 'Offered', 'Joined'],
+  shortlisted: ['Shortlisted', 'Interview', 'Selected', 'Offered', 'Joined'],
+  interviewed: ['Interview', 'Selected', 'Offered', 'Joined'],
+  selected: ['Selected', 'Offered', 'Joined'],
+  joined: ['Joined']
+};
+
+class ApplicationService {
+  // Query conditions for applications that have ever reached a metric's stages
+  reachedStageFilter(metric) {
+    const stages = METRIC_STAGES[metric];
+    return { $or: [{ stage: { $in: stages } }, { 'stageHistory.stage': { $in: stages } }] };
+  }
+
+  // Create an application for a candidate against a requirement
+  async createApplication({ candidate, requirement, stage, user, owner, reason }) {
+    const existing = await Application.findOne({
+      candidateId: candidate._id,
+      requirementId: requirement._id
+    });
+
+    // A candidate keeps one application per requirement - a withdrawn or rejected
+    // one is re-opened rather than blocking the candidate from being mapped again
+    const reopening = existing?.isActive && ['Withdrawn', 'Rejected'].includes(existing.stage);
+
+    if (existing && !reopening) {
+      throw new AppError('Candidate is already mapped to this requirement', 400);
+    }
+
+    const workflow = await StatusWorkflowService.resolveWorkflow({
+      requirementId: requirement._id,
+      clientId: requirement.clientId?._id || requirement.clientId
+    });
+
+    stage = stage || workflow.initialState;
+
+    if (!workflow.states.includes(stage)) {
+      throw new AppError(
+        `${stage} is not a stage of the ${workflow.name} workflow`,
+        400,
+        { validStates: workflow.states }
+      );
+    }
+
+    await StatusWorkflowService.assertStateGuards(stage, {
+      candidate,
+      requirementId: requirement._id
+    });
+
+    const clientId = requirement.clientId?._id || requirement.clientId;
+    const blocklist = await BlocklistService.screenCandidate(candidate, clientId);
+
+    // Flagged candidates can be mapped, but not straight into a later stage
+    if (blocklist.status !== 'clear' && stage !== workflow.initialState) {
+      throw new AppError(
+        `Candidate matches the client's blocklist and can only be mapped at ${workflow.initialState}`,
+        400,
+        { blocklist }
+      );
+    }
+
+    // Education must meet the client's verification policy before submission - a failing
+    // candidate can be mapped, but is held at the first stage until an admin overrides it
+    const policy = await VerificationPolicyService.evaluateForClient(candidate, clientId);
+
+    if (policy.status === 'fail' && stage !== workflow.initialState) {
+      throw new AppError(
+        `Candidate does not meet the client's verification policy and can only be mapped at ${workflow.initialState}`,
+        400,
+        { policy }
+      );
+    }
+
+    let application;
+
+    if (reopening) {
+      application = existing;
+      application.stageHistory.push({
+        fromStage: application.stage,
+        stage,
+        reason: reason || 'Mapped again',
+        changedBy: user._id
+      });
+      application.set({
+        clientId,
+        stage,
+        owner: owner || candidate.assignedTo || user._id,
+        submittedBy: user._id,
+        submittedAt: new Date(),
+        compliance: { blocklist, policy },
+        // The earlier run's withdrawal and margin check no longer apply
+        withdrawnAt: undefined,
+        withdrawnBy: undefined,
+        withdrawReason: undefined,
+        marginApproval: undefined
+      });
+      await application.save();
+    } else {
+      application = await Application.create({
+        candidateId: candidate._id,
+        requirementId: requirement._id,
+        clientId,
+        stage,
+        stageHistory: [{
+          stage,
+          reason,
+          changedBy: user._id
+        }],
+        owner: owner || candidate.assignedTo || user._id,
+        submittedBy: user._id,
+        compliance: { blocklist, policy }
+      });
+    }
+
+    await this.recalculateRequirementMetrics(requirement._id);
+
+    return application;
+  }
+
+  // Move an application to a new stage through the applicable status workflow
+  async moveStage(application, stage, { user, reason, payload = {}, ipAddress, userAgent } = {}) {
+    if (!application.isActive || application.stage === 'Withdrawn') {
+      throw new AppError('Withdrawn applications cannot be moved', 400);
+    }
+
+    if (stage === 'Withdrawn') {
+      throw new AppError('Use the withdraw endpoint to withdraw an application', 400);
+    }
+
+    // Blocklist matches hold the application until an admin overrides them
+    if (application.isBlocklisted() && stage !== 'Rejected') {
+      throw new AppError(
+        'Candidate matches the client\'s blocklist - an admin override is required before moving this application',
+        400,
+        { blocklist: application.compliance.blocklist }
+      );
+    }
+
+    if (application.failsPolicy() && stage !== 'Rejected') {
+      throw new AppError(
+        'Candidate does not meet the client\'s verification policy - an admin override is required before moving this application',
+        400,
+        { policy: application.compliance.policy }
+      );
+    }
+
+    const candidate = await Candidate.findById(application.candidateId);
+    const workflow = await StatusWorkflowService.resolveWorkflow({
+      requirementId: application.requirementId,
+      clientId: application.clientId
+    });
+
+    const fromStage = application.stage;
+    const transition = await StatusWorkflowService.assertTransition(workflow, fromStage, stage, {
+      user,
+      payload: { reason, ...payload },
+      candidate,
+      application,
+      requirementId: application.requirementId
+    });
+
+    application.stageHistory.push({
+      fromStage,
+      stage,
+      reason,
+      changedBy: user?._id
+    });
+    application.stage = stage;
+
+    await application.save();
+    await this.recalculateRequirementMetrics(application.requirementId);
+
+    await StatusWorkflowService.runHooks(transition, {
+      candidate,
+      application,
+      requirementId: application.requirementId,
+      from: fromStage,
+      to: stage,
+      user,
+      reason,
+      ipAddress,
+      userAgent
+    });
+
+    return application;
+  }
+
+  // Withdraw an application from the pipeline
+  async withdraw(application, { user, reason } = {}) {
+    if (application.stage === 'Withdrawn') {
+      throw new AppError('Application is already withdrawn', 400);
+    }
+
+    if (application.stage === 'Joined') {
+      throw new AppError('Joined applications cannot be withdrawn', 400);
+    }
+
+    application.stageHistory.push({
+      fromStage: application.stage,
+      stage: 'Withdrawn',
+      reason,
+      changedBy: user?._id
+    });
+    application.stage = 'Withdrawn';
+    application.withdrawnAt = new Date();
+    application.withdrawnBy = user?._id;
+    application.withdrawReason = reason;
+
+    await application.save();
+    await this.recalculateRequirementMetrics(application.requirementId);
+
+    return application;
+  }
+
+  // Re-run blocklist screening, e.g. after the candidate's history or the blocklist changed
+  async rescreenBlocklist(application) {
+    const candidate = await Candidate.findById(application.candidateId);
+
+    if (!candidate) {
+      throw new AppError('Candidate of this application no longer exists', 404);
+    }
+
+    const previous = application.compliance?.blocklist;
+    const blocklist = await BlocklistService.screenCandidate(candidate, application.clientId);
+
+    // An override stands as long as no new entries are matched
+    if (previous?.status === 'overridden' && blocklist.status === 'flagged') {
+      const overridden = new Set(previous.matches.map(match => match.matchedEntry));
+      if (blocklist.matches.every(match => overridden.has(match.matchedEntry))) {
+        blocklist.status = 'overridden';
+        blocklist.override = previous.override;
+      }
+    }
+
+    application.set('compliance.blocklist', blocklist);
+    await application.save();
+
+    return application;
+  }
+
+  // Let a flagged application continue - admins must record why
+  async overrideBlocklist(application, { user, note, ipAddress, userAgent } = {}) {
+    if (!note || !note.trim()) {
+      throw new AppError('A note explaining the override is required', 400);
+    }
+
+    if (!application.isBlocklisted()) {
+      throw new AppError('Application has no blocklist match to override', 400);
+    }
+
+    const blocklist = application.compliance.blocklist;
+    blocklist.status = 'overridden';
+    blocklist.override = {
+      note: note.trim(),
+      by: user._id,
+      at: new Date()
+    };
+
+    await application.save();
+
+    await Activity.create({
+      type: 'update',
+      description: `Blocklist match overridden for ${application.applicationCode}`,
+      entityType: 'Candidate',
+      entityId: application.candidateId,
+      metadata: {
+        applicationId: application._id,
+        requirementId: application.requirementId,
+        note: blocklist.override.note,
+        matches: blocklist.matches.map(match => ({
+          field: match.field,
+          value: match.value,
+          matchedEntry: match.matchedEntry
+        }))
+      },
+      performedBy: user._id,
+      ipAddress,
+      userAgent
+    });
+
+    return application;
+  }
+
+  // Re-check the verification policy, e.g. after the candidate's education was corrected
+  async recheckPolicy(application) {
+    const candidate = await Candidate.findById(application.candidateId);
+
+    if (!candidate) {
+      throw new AppError('Candidate of this application no longer exists', 404);
+    }
+
+    const previous = application.compliance?.policy;
+    const policy = await VerificationPolicyService.evaluateForClient(candidate, application.clientId);
+
+    // An override stands as long as the same rules still fail
+    if (previous?.status === 'overridden' && policy.status === 'fail') {
+      const overridden = new Set(previous.rules.filter(rule => rule.status === 'fail').map(rule => rule.rule));
+      if (policy.rules.filter(rule => rule.status === 'fail').every(rule => overridden.has(rule.rule))) {
+        policy.status = 'overridden';
+        policy.override = previous.override;
+      }
+    }
+
+    application.set('compliance.policy', policy);
+    await application.save();
+
+    return application;
+  }
+
+  // Let an application that fails the verification policy continue - admins must record why
+  async overridePolicy(application, { user, note, ipAddress, userAgent } = {}) {
+    if (!note || !note.trim()) {
+      throw new AppError('A note explaining the override is required', 400);
+    }
+
+    if (!application.failsPolicy()) {
+      throw new AppError('Application does not fail the verification policy', 400);
+    }
+
+    const policy = application.compliance.policy;
+    policy.status = 'overridden';
+    policy.override = {
+      note: note.trim(),
+      by: user._id,
+      at: new Date()
+    };
+
+    await application.save();
+
+    await Activity.create({
+      type: 'update',
+      description: `Verification policy failure overridden for ${application.applicationCode}`,
+      entityType: 'Candidate',
+      entityId: application.candidateId,
+      metadata: {
+        applicationId: application._id,
+        requirementId: application.requirementId,
+        note: policy.override.note,
+        rules: policy.rules
+          .filter(rule => rule.status === 'fail')
+          .map(rule => ({ rule: rule.rule, reasons: rule.reasons }))
+      },
+      performedBy: user._id,
+      ipAddress,
+      userAgent
+    });
+
+    return application;
+  }
+
+  // Recompute Requirement.metrics and filledCount from its applications
+  async recalculateRequirementMetrics(requirementId) {
+    const reachedAny = (stages) => ({
+      $cond: [
+        { $gt: [{ $size: { $setIntersection: ['$reached', stages] } }, 0] },
+        1,
+        0
+      ]
+    });
+
+    const [result] = await Application.aggregate([
+      {
+        $match: { requirementId: new mongoose.Types.ObjectId(requirementId.toString()) }
+      },
+      {
+        $project: {
+          stage: 1,
+          reached: { $setUnion: ['$stageHistory.stage', ['$stage']] }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          totalApplications: { $sum: 1 },
+          shortlisted: { $sum: reachedAny(METRIC_STAGES.shortlisted) },
+          interviewed: { $sum: reachedAny(METRIC_STAGES.interviewed) },
+          selected: { $sum: reachedAny(METRIC_STAGES.selected) },
+          joined: { $sum: reachedAny(METRIC_STAGES.joined) },
+          filled: {
+            $sum: { $cond: [{ $eq: ['$stage', 'Joined'] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+
+    const metrics = {
+      totalApplications: result?.totalApplications || 0,
+      shortlisted: result?.shortlisted || 0,
+      interviewed: result?.interviewed || 0,
+      selected: result?.selected || 0,
+      joined: result?.joined || 0
+    };
+
+    await Requirement.findByIdAndUpdate(requirementId, {
+      metrics,
+      filledCount: result?.filled || 0
+    });
+
+    return metrics;
+  }
+}
+
+module.exports = new ApplicationService();
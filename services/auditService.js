@@ -0,0 +1,91 @@
+// services/auditService.js
+const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+const { AppError } = require('../utils/appError');
+
+// Models carrying the audit trail plugin
+const AUDITED_ENTITIES = ['Candidate', 'Client', 'Requirement', 'BGVVendor', 'Agency', 'Team'];
+
+class AuditService {
+  // Timeline of a record, newest first
+  async getHistory(entityType, entityId, { page = 1, limit = 50 } = {}) {
+    this.assertEntity(entityType, entityId);
+
+    const query = { entityType, entityId };
+
+    const [activities, total] = await Promise.all([
+      Activity
+        .find(query)
+        .populate('performedBy', 'firstName lastName email role')
+        .sort('-createdAt')
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Activity.countDocuments(query)
+    ]);
+
+    return { activities, total };
+  }
+
+  // State of a record at a point in time: start from the stored document and undo
+  // every change recorded after it. Sensitive fields come back masked.
+  async reconstruct(entityType, entityId, asOf) {
+    this.assertEntity(entityType, entityId);
+
+    asOf = new Date(asOf);
+    if (isNaN(asOf)) {
+      throw new AppError('Please provide a valid date for asOf', 400);
+    }
+
+    const [current, later] = await Promise.all([
+      mongoose.model(entityType).findById(entityId).lean(),
+      Activity
+        .find({ entityType, entityId, createdAt: { $gt: asOf } })
+        .sort('-createdAt')
+        .lean()
+    ]);
+
+    if (!current && !later.length) {
+      throw new AppError(`No ${entityType} found with that ID`, 404);
+    }
+
+    let state = current ? JSON.parse(JSON.stringify(current)) : {};
+
+    for (const activity of later) {
+      if (activity.type === 'create') return null;
+      if (activity.type === 'delete') state = {};
+
+      for (const change of activity.changes || []) {
+        this.setPath(state, change.path, change.before);
+      }
+    }
+
+    return state;
+  }
+
+  assertEntity(entityType, entityId) {
+    if (!AUDITED_ENTITIES.includes(entityType)) {
+      throw new AppError(`Entity type must be one of ${AUDITED_ENTITIES.join(', ')}`, 400);
+    }
+
+    if (!mongoose.isValidObjectId(entityId)) {
+      throw new AppError(`Invalid ID: ${entityId}`, 400);
+    }
+  }
+
+  setPath(obj, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((node, key) => {
+      if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+      return node[key];
+    }, obj);
+
+    if (value === undefined) {
+      delete target[last];
+    } else {
+      target[last] = value;
+    }
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,368 @@
+// services/bgvBillingService.js
+const excel = require('exceljs');
+const PDFDocument = require('pdfkit');
+const BGVCase = require('../models/BGVCase');
+const BGVVendor = require('../models/BGVVendor');
+const BGVStatement = require('../models/BGVStatement');
+const config = require('../config/constants');
+const { AppError } = require('../utils/appError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CHECK_NAMES = {
+  educationVerification: 'Education',
+  employmentVerification: 'Employment',
+  addressVerification: 'Address',
+  criminalCheck: 'Criminal',
+  referenceCheck: 'Reference',
+  drugTest: 'Drug Test',
+  creditCheck: 'Credit'
+};
+
+class BGVBillingService {
+  // Generate the monthly statement of a vendor from the cases closed in that month
+  async generateStatement(vendorId, { year, month, regenerate = false }, user) {
+    year = parseInt(year, 10);
+    month = parseInt(month, 10);
+
+    if (!year || !month || month < 1 || month > 12) {
+      throw new AppError('Please provide a valid year and month', 400);
+    }
+
+    const start = new Date(year, month - 1, 1);
+    const end = new Date(year, month, 1);
+
+    if (end > new Date()) {
+      throw new AppError('Statements can only be generated for completed months', 400);
+    }
+
+    const vendor = await BGVVendor.findById(vendorId).select('vendorName clientId pricing invoicePaymentTerms');
+    if (!vendor) {
+      throw new AppError('No vendor found with that ID', 404);
+    }
+
+    const standardRate = vendor.pricing?.standard?.perCase;
+    if (standardRate == null) {
+      throw new AppError('Vendor has no per-case price configured', 400);
+    }
+
+    const existing = await BGVStatement.findOne({ vendorId, 'period.year': year, 'period.month': month });
+    if (existing && !regenerate) {
+      throw new AppError('A statement already exists for this period', 400, { statementId: existing._id });
+    }
+    if (existing && existing.paymentStatus === 'paid') {
+      throw new AppError('Paid statements cannot be regenerated', 400);
+    }
+
+    const cases = await BGVCase
+      .find({ vendorId, status: 'closed', closedAt: { $gte: start, $lt: end } })
+      .populate('candidateId', 'personalDetails')
+      .sort('closedAt');
+
+    const { lineItems, pricing, totals } = this.computeCharges(cases, vendor.pricing);
+    const statementDate = new Date();
+
+    const statement = existing || new BGVStatement({ vendorId, period: { year, month, start, end } });
+
+    statement.set({
+      clientId: vendor.clientId,
+      lineItems,
+      pricing,
+      totals,
+      statementDate,
+      dueDate: new Date(statementDate.getTime() + (vendor.invoicePaymentTerms ?? 30) * DAY_MS),
+      paymentStatus: 'pending',
+      generatedBy: statement.generatedBy || user._id,
+      lastUpdatedBy: user._id
+    });
+
+    await statement.save();
+
+    return statement;
+  }
+
+  // Price each case, then apply the bulk discount tier matching the month's volume
+  computeCharges(cases, vendorPricing = {}) {
+    const standardRate = vendorPricing.standard?.perCase || 0;
+    // Express cases are billed at the express per-case price when set, otherwise at the
+    // standard rate plus the surcharge - never both
+    const expressPerCase = vendorPricing.express?.perCase;
+    const expressRate = expressPerCase ?? standardRate;
+    const surchargePercentage = expressPerCase == null ? vendorPricing.express?.surchargePercentage || 0 : 0;
+
+    const lineItems = cases.map(bgvCase => {
+      const express = bgvCase.priority === 'express';
+      const rate = express ? expressRate : standardRate;
+      const surcharge = express ? this.round(rate * surchargePercentage / 100) : 0;
+
+      return {
+        caseId: bgvCase._id,
+        caseCode: bgvCase.caseCode,
+        candidateName: bgvCase.candidateId?.fullName,
+        priority: bgvCase.priority,
+        checks: bgvCase.checks.map(check => check.type),
+        closedAt: bgvCase.closedAt,
+        rate,
+        surcharge,
+        amount: this.round(rate + surcharge)
+      };
+    });
+
+    const standardItems = lineItems.filter(item => item.priority !== 'express');
+    const expressItems = lineItems.filter(item => item.priority === 'express');
+
+    const standardAmount = this.sum(standardItems.map(item => item.amount));
+    const expressAmount = this.sum(expressItems.map(item => item.amount));
+    const expressSurcharge = this.sum(expressItems.map(item => item.surcharge));
+
+    // Tiers are part of standard pricing, so the discount applies to standard cases only
+    const tier = this.findDiscountTier(vendorPricing.standard?.bulkDiscount, lineItems.length);
+    const discountAmount = tier ? this.round(standardAmount * tier.discountPercentage / 100) : 0;
+
+    return {
+      lineItems,
+      pricing: {
+        standardRate,
+        expressRate,
+        surchargePercentage,
+        discountTier: tier
+      },
+      totals: {
+        caseCount: lineItems.length,
+        standardCases: standardItems.length,
+        expressCases: expressItems.length,
+        standardAmount,
+        expressAmount,
+        expressSurcharge,
+        discountAmount,
+        total: this.round(standardAmount + expressAmount - discountAmount)
+      }
+    };
+  }
+
+  // Tier whose case range contains the count; an open maxCases means no upper bound
+  findDiscountTier(bulkDiscount, caseCount) {
+    if (!bulkDiscount?.enabled || !caseCount) return null;
+
+    const tier = (bulkDiscount.tiers || [])
+      .filter(t => caseCount >= (t.minCases || 0) && (t.maxCases == null || caseCount <= t.maxCases))
+      .sort((a, b) => (b.discountPercentage || 0) - (a.discountPercentage || 0))[0];
+
+    return tier
+      ? { minCases: tier.minCases, maxCases: tier.maxCases, discountPercentage: tier.discountPercentage || 0 }
+      : null;
+  }
+
+  // Record payment status of a statement
+  async updatePayment(statement, { paymentStatus, paidAt, paymentReference, remarks }, user) {
+    if (statement.paymentStatus === 'cancelled') {
+      throw new AppError('Cancelled statements cannot be updated', 400);
+    }
+
+    if (paymentStatus) statement.paymentStatus = paymentStatus;
+
+    if (statement.paymentStatus === 'paid') {
+      statement.paidAt = paidAt ? new Date(paidAt) : (statement.paidAt || new Date());
+    } else {
+      statement.paidAt = undefined;
+    }
+
+    if (paymentReference !== undefined) statement.paymentReference = paymentReference;
+    if (remarks !== undefined) statement.remarks = remarks;
+    statement.lastUpdatedBy = user._id;
+
+    await statement.save();
+
+    return statement;
+  }
+
+  // Excel sheet with one row per case
+  async exportToExcel(statement, vendor) {
+    const workbook = new excel.Workbook();
+    const worksheet = workbook.addWorksheet('Statement');
+
+    worksheet.columns = [
+      { header: 'Case ID', key: 'caseCode', width: 15 },
+      { header: 'Candidate', key: 'candidateName', width: 25 },
+      { header: 'Priority', key: 'priority', width: 12 },
+      { header: 'Checks', key: 'checks', width: 40 },
+      { header: 'Closed On', key: 'closedAt', width: 15 },
+      { header: 'Rate', key: 'rate', width: 12 },
+      { header: 'Surcharge', key: 'surcharge', width: 12 },
+      { header: 'Amount', key: 'amount', width: 12 }
+    ];
+
+    worksheet.addRows(statement.lineItems.map(item => ({
+      caseCode: item.caseCode,
+      candidateName: item.candidateName,
+      priority: item.priority,
+      checks: item.checks.map(type => CHECK_NAMES[type] || type).join(', '),
+      closedAt: new Date(item.closedAt).toLocaleDateString(),
+      rate: item.rate,
+      surcharge: item.surcharge,
+      amount: item.amount
+    })));
+
+    // Style the header row
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FFE0E0E0' }
+    };
+
+    ['rate', 'surcharge', 'amount'].forEach(key => {
+      worksheet.getColumn(key).numFmt = '#,##0.00';
+    });
+
+    // Totals below the line items
+    worksheet.addRow([]);
+    for (const [label, value, isAmount] of this.getTotalRows(statement)) {
+      const row = worksheet.addRow({ surcharge: label, amount: value });
+      row.font = { bold: label === 'Total' };
+      row.getCell('amount').numFmt = isAmount ? '#,##0.00' : '0';
+    }
+
+    const summary = workbook.addWorksheet('Summary');
+    summary.addRows([
+      ['Vendor', vendor?.vendorName],
+      ['Statement', statement.statementNumber],
+      ['Period', this.formatPeriod(statement)],
+      ['Statement Date', new Date(statement.statementDate).toLocaleDateString()],
+      ['Due Date', new Date(statement.dueDate).toLocaleDateString()],
+      ['Payment Status', statement.paymentStatus],
+      [],
+      ...this.getTotalRows(statement).map(([label, value]) => [label, value])
+    ]);
+    summary.getColumn(1).width = 25;
+    summary.getColumn(1).font = { bold: true };
+    summary.getColumn(2).width = 25;
+
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    return {
+      buffer,
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    };
+  }
+
+  // PDF statement with a summary and the case table
+  exportToPdf(statement, vendor) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 40 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve({
+        buffer: Buffer.concat(chunks),
+        contentType: 'application/pdf'
+      }));
+      doc.on('error', reject);
+
+      doc.fontSize(18).text(config.app.name, { align: 'left' });
+      doc.fontSize(14).text('BGV Vendor Statement', { align: 'left' });
+      doc.moveDown();
+
+      doc.fontSize(10);
+      [
+        ['Vendor', vendor?.vendorName],
+        ['Statement', statement.statementNumber],
+        ['Period', this.formatPeriod(statement)],
+        ['Statement Date', new Date(statement.statementDate).toLocaleDateString()],
+        ['Due Date', new Date(statement.dueDate).toLocaleDateString()],
+        ['Payment Status', statement.paymentStatus]
+      ].forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+        doc.font('Helvetica').text(value || '-');
+      });
+      doc.moveDown();
+
+      // Case table
+      const columns = [
+        { header: 'Case ID', width: 70, value: item => item.caseCode },
+        { header: 'Candidate', width: 120, value: item => item.candidateName || '-' },
+        { header: 'Priority', width: 55, value: item => item.priority },
+        { header: 'Closed On', width: 65, value: item => new Date(item.closedAt).toLocaleDateString() },
+        { header: 'Rate', width: 65, value: item => this.formatAmount(item.rate), align: 'right' },
+        { header: 'Surcharge', width: 65, value: item => this.formatAmount(item.surcharge), align: 'right' },
+        { header: 'Amount', width: 75, value: item => this.formatAmount(item.amount), align: 'right' }
+      ];
+
+      const drawRow = (values, bold) => {
+        if (doc.y > doc.page.height - 80) doc.addPage();
+
+        const y = doc.y;
+        let x = doc.page.margins.left;
+
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        columns.forEach((column, index) => {
+          doc.text(String(values[index] ?? ''), x, y, {
+            width: column.width - 5,
+            align: column.align || 'left',
+            lineBreak: false,
+            ellipsis: true
+          });
+          x += column.width;
+        });
+        doc.x = doc.page.margins.left;
+        doc.y = y + 16;
+      };
+
+      drawRow(columns.map(column => column.header), true);
+      statement.lineItems.forEach(item => drawRow(columns.map(column => column.value(item))));
+
+      if (!statement.lineItems.length) {
+        doc.font('Helvetica').fontSize(9).text('No cases were closed in this period.');
+      }
+
+      // Totals
+      doc.moveDown();
+      for (const [label, value, isAmount] of this.getTotalRows(statement)) {
+        doc.font(label === 'Total' ? 'Helvetica-Bold' : 'Helvetica').fontSize(10)
+          .text(`${label}: ${isAmount ? this.formatAmount(value) : value}`, { align: 'right' });
+      }
+
+      doc.end();
+    });
+  }
+
+  // Summary lines shared by the PDF and Excel exports - [label, value, isAmount]
+  getTotalRows(statement) {
+    const { totals, pricing } = statement;
+    const rows = [
+      ['Cases', totals.caseCount, false],
+      ['Standard Cases', totals.standardCases, false],
+      ['Express Cases', totals.expressCases, false],
+      ['Standard Amount', totals.standardAmount, true],
+      ['Express Amount', totals.expressAmount, true],
+      ['Express Surcharge (incl.)', totals.expressSurcharge, true]
+    ];
+
+    if (pricing?.discountTier?.discountPercentage) {
+      rows.push([`Bulk Discount (${pricing.discountTier.discountPercentage}%)`, -totals.discountAmount, true]);
+    }
+
+    rows.push(['Total', totals.total, true]);
+
+    return rows;
+  }
+
+  formatPeriod(statement) {
+    return new Date(statement.period.year, statement.period.month - 1, 1)
+      .toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+  }
+
+  formatAmount(value) {
+    return Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+
+  sum(values) {
+    return this.round(values.reduce((total, value) => total + (value || 0), 0));
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new BGVBillingService();
@@ -0,0 +1,433 @@
+// services/bgvService.js
+const mongoose = require('mongoose');
+const BGVCase = require('../models/BGVCase');
+const BGVVendor = require('../models/BGVVendor');
+const Candidate = require('../models/Candidate');
+const Application = require('../models/Application');
+const User = require('../models/User');
+const { FileService } = require('./fileService');
+const EmailService = require('./emailService');
+const { AppError } = require('../utils/appError');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class BGVService {
+  // Initiate a case with a vendor for the requested checks
+  async initiateCase(data, user) {
+    const { candidateId, vendorId, checks = [], priority = 'standard', applicationId, remarks } = data;
+
+    const candidate = await Candidate.findById(candidateId).select('_id');
+    if (!candidate) {
+      throw new AppError('No candidate found with that ID', 404);
+    }
+
+    const vendor = await BGVVendor.findOne({ _id: vendorId, isActive: true });
+    if (!vendor) {
+      throw new AppError('No vendor found with that ID', 404);
+    }
+
+    if (vendor.status !== 'Active') {
+      throw new AppError(`Vendor is ${vendor.status} and cannot take new cases`, 400);
+    }
+
+    const requested = [...new Set(checks)];
+    if (!requested.length) {
+      throw new AppError('Please select at least one check', 400);
+    }
+
+    const notOffered = requested.filter(type => !vendor.servicesOffered?.[type]);
+    if (notOffered.length) {
+      throw new AppError('Vendor does not offer some of the requested checks', 400, {
+        notOffered,
+        offered: this.getOfferedChecks(vendor)
+      });
+    }
+
+    let application = null;
+    if (applicationId) {
+      application = await Application.findOne({ _id: applicationId, candidateId });
+      if (!application) {
+        throw new AppError('No application of this candidate found with that ID', 404);
+      }
+    }
+
+    const open = await BGVCase.findOne({
+      candidateId,
+      vendorId,
+      status: { $nin: ['closed', 'cancelled'] }
+    });
+    if (open) {
+      throw new AppError(`Candidate already has an open case (${open.caseCode}) with this vendor`, 400);
+    }
+
+    const tatDays = this.getTATDays(vendor, priority);
+    const initiatedAt = new Date();
+
+    return BGVCase.create({
+      candidateId,
+      vendorId,
+      clientId: application?.clientId || vendor.clientId,
+      requirementId: application?.requirementId,
+      applicationId: application?._id,
+      priority,
+      tatDays,
+      initiatedAt,
+      dueDate: new Date(initiatedAt.getTime() + tatDays * DAY_MS),
+      checks: requested.map(type => ({ type })),
+      remarks,
+      initiatedBy: user._id
+    });
+  }
+
+  // Update the status or result of a single check
+  async updateCheck(bgvCase, checkId, { status, result, remarks }, user) {
+    this.assertOpen(bgvCase);
+
+    const check = bgvCase.checks.id(checkId);
+    if (!check) {
+      throw new AppError('No check found with that ID on this case', 404);
+    }
+
+    if (result && status && status !== 'completed') {
+      throw new AppError('A result can only be recorded on a completed check', 400);
+    }
+
+    if (status) check.status = status;
+    if (result) check.status = 'completed';
+    if (result !== undefined) check.result = result;
+    if (remarks !== undefined) check.remarks = remarks;
+
+    if (check.status === 'completed') {
+      if (!check.result) {
+        throw new AppError('Please provide the result of the completed check', 400);
+      }
+      check.completedAt = check.completedAt || new Date();
+    } else {
+      check.result = undefined;
+      check.completedAt = undefined;
+    }
+
+    check.updatedBy = user._id;
+    bgvCase.status = this.deriveStatus(bgvCase);
+    bgvCase.lastUpdatedBy = user._id;
+
+    await bgvCase.save();
+
+    return bgvCase;
+  }
+
+  // Close a case once every check has a result
+  async closeCase(bgvCase, { reportFile, reportFileId, remarks }, user) {
+    this.assertOpen(bgvCase);
+
+    const pending = bgvCase.checks.filter(check => check.status !== 'completed');
+    if (pending.length) {
+      throw new AppError('All checks must be completed before closing the case', 400, {
+        pendingChecks: pending.map(check => check.type)
+      });
+    }
+
+    if (reportFile) {
+      const report = await FileService.uploadSingle(
+        reportFile,
+        'Candidate',
+        bgvCase.candidateId,
+        user._id,
+        'bgv_report'
+      );
+      bgvCase.reportFileId = report._id;
+    } else if (reportFileId) {
+      bgvCase.reportFileId = reportFileId;
+    }
+
+    if (!bgvCase.reportFileId) {
+      throw new AppError('Please attach the vendor report to close the case', 400);
+    }
+
+    const closedAt = new Date();
+
+    bgvCase.status = 'closed';
+    bgvCase.overallResult = this.getOverallResult(bgvCase.checks);
+    bgvCase.closedAt = closedAt;
+    bgvCase.closedBy = user._id;
+    bgvCase.actualTATDays = Math.round(((closedAt - bgvCase.initiatedAt) / DAY_MS) * 10) / 10;
+    bgvCase.deliveredOnTime = closedAt <= bgvCase.dueDate;
+    bgvCase.lastUpdatedBy = user._id;
+    if (remarks !== undefined) bgvCase.remarks = remarks;
+
+    await bgvCase.save();
+    await this.recalculateVendorMetrics(bgvCase.vendorId);
+
+    return bgvCase;
+  }
+
+  // Cancel an open case
+  async cancelCase(bgvCase, { reason }, user) {
+    this.assertOpen(bgvCase);
+
+    bgvCase.status = 'cancelled';
+    bgvCase.cancellation = {
+      reason,
+      cancelledBy: user._id,
+      cancelledAt: new Date()
+    };
+    bgvCase.lastUpdatedBy = user._id;
+
+    await bgvCase.save();
+
+    return bgvCase;
+  }
+
+  // Recompute BGVVendor.performanceMetrics from closed cases
+  async recalculateVendorMetrics(vendorId) {
+    const [result] = await BGVCase.aggregate([
+      { $match: { vendorId: new mongoose.Types.ObjectId(vendorId.toString()), status: 'closed' } },
+      {
+        $group: {
+          _id: null,
+          closedCases: { $sum: 1 },
+          avgTATDays: { $avg: '$actualTATDays' },
+          onTime: { $sum: { $cond: ['$deliveredOnTime', 1, 0] } },
+          verified: {
+            $sum: { $cond: [{ $ne: ['$overallResult', 'unable_to_verify'] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+
+    const round = (value) => Math.round(value * 10) / 10;
+
+    const metrics = {
+      avgTATDays: result ? round(result.avgTATDays) : null,
+      onTimeDeliveryRate: result ? round((result.onTime / result.closedCases) * 100) : null,
+      // Share of cases the vendor could reach a verdict on
+      accuracyRate: result ? round((result.verified / result.closedCases) * 100) : null,
+      lastUpdated: new Date()
+    };
+
+    await BGVVendor.findByIdAndUpdate(vendorId, { performanceMetrics: metrics });
+
+    return metrics;
+  }
+
+  // Escalate open cases that have crossed a timeframe of their vendor's escalation matrix
+  async processEscalations(now = new Date()) {
+    const cases = await BGVCase
+      .find({
+        status: { $nin: ['closed', 'cancelled'] },
+        dueDate: { $lt: now }
+      })
+      .populate('vendorId', 'vendorName spocDetails slaDetails.escalationMatrix')
+      .populate('candidateId', 'personalDetails')
+      .populate('initiatedBy', 'firstName lastName email');
+
+    const summary = { checked: cases.length, escalated: 0, notified: 0, failed: 0 };
+
+    for (const bgvCase of cases) {
+      const due = this.getDueEscalations(bgvCase, now);
+      if (!due.length) continue;
+
+      const escalations = [];
+      for (const step of due) {
+        escalations.push({
+          level: step.level,
+          escalationTo: step.escalationTo,
+          recipients: await this.resolveEscalationContacts(bgvCase.vendorId, step.escalationTo),
+          hoursOverdue: Math.floor((now - bgvCase.dueDate) / HOUR_MS),
+          escalatedAt: now
+        });
+      }
+
+      // Claim the escalation first so a second scheduler never mails the same level twice
+      const claimed = await BGVCase.updateOne(
+        { _id: bgvCase._id, escalationLevel: bgvCase.escalationLevel },
+        {
+          $set: { escalationLevel: due[due.length - 1].level },
+          $push: { escalations: { $each: escalations } }
+        }
+      );
+
+      if (!claimed.modifiedCount) continue;
+      summary.escalated++;
+
+      for (const escalation of escalations) {
+        const update = await this.notifyEscalation(bgvCase, escalation);
+
+        if (update.notified) summary.notified++;
+        else summary.failed++;
+
+        await BGVCase.updateOne(
+          { _id: bgvCase._id },
+          {
+            $set: {
+              'escalations.$[entry].notified': update.notified,
+              'escalations.$[entry].error': update.error
+            }
+          },
+          { arrayFilters: [{ 'entry.level': escalation.level, 'entry.escalatedAt': now }] }
+        );
+      }
+    }
+
+    return summary;
+  }
+
+  // Matrix levels above the case's current level whose timeframe has passed
+  getDueEscalations(bgvCase, now) {
+    const hoursOverdue = (now - bgvCase.dueDate) / HOUR_MS;
+
+    return [...(bgvCase.vendorId?.slaDetails?.escalationMatrix || [])]
+      .filter(step => step.level > (bgvCase.escalationLevel || 0))
+      .filter(step => (step.timeframe || 0) <= hoursOverdue)
+      .sort((a, b) => a.level - b.level);
+  }
+
+  // escalationTo may be an email, a vendor SPOC (name, designation or functional role) or a user role
+  async resolveEscalationContacts(vendor, escalationTo) {
+    const target = String(escalationTo || '').trim();
+    if (!target) return [];
+
+    if (EMAIL_PATTERN.test(target)) return [target.toLowerCase()];
+
+    const wanted = target.toLowerCase();
+    const spocs = (vendor?.spocDetails || [])
+      .filter(spoc => spoc.status !== 'Inactive')
+      .filter(spoc =>
+        spoc.name?.toLowerCase() === wanted ||
+        spoc.designation?.toLowerCase() === wanted ||
+        (spoc.functionalRoles || []).some(role => role.toLowerCase() === wanted)
+      );
+
+    if (spocs.length) return [...new Set(spocs.map(spoc => spoc.email))];
+
+    const users = await User
+      .find({ role: wanted.replace(/\s+/g, '_'), isActive: true })
+      .select('email');
+
+    return users.map(user => user.email);
+  }
+
+  // Email an escalation, falling back to whoever initiated the case
+  async notifyEscalation(bgvCase, escalation) {
+    const recipients = escalation.recipients.length
+      ? escalation.recipients
+      : [bgvCase.initiatedBy?.email].filter(Boolean);
+
+    if (!recipients.length) {
+      return { notified: false, error: `No contact found for "${escalation.escalationTo}"` };
+    }
+
+    try {
+      await EmailService.sendBGVEscalation(recipients, {
+        caseCode: bgvCase.caseCode,
+        caseId: bgvCase._id,
+        level: escalation.level,
+        vendorName: bgvCase.vendorId?.vendorName,
+        candidateName: bgvCase.candidateId?.fullName,
+        priority: bgvCase.priority,
+        dueDate: bgvCase.dueDate,
+        hoursOverdue: escalation.hoursOverdue,
+        pendingChecks: bgvCase.checks
+          .filter(check => check.status !== 'completed')
+          .map(check => check.type)
+      });
+
+      return {
+        notified: true,
+        error: escalation.recipients.length ? undefined : `No contact found for "${escalation.escalationTo}", sent to the case initiator`
+      };
+    } catch (error) {
+      return { notified: false, error: error.message };
+    }
+  }
+
+  // SLA view of a vendor's cases - open, due soon, breached and escalated
+  async getSlaDashboard(vendorId, now = new Date()) {
+    const vendor = await BGVVendor
+      .findById(vendorId)
+      .select('vendorName slaDetails performanceMetrics');
+
+    if (!vendor) {
+      throw new AppError('No vendor found with that ID', 404);
+    }
+
+    const openCases = await BGVCase
+      .find({ vendorId, status: { $nin: ['closed', 'cancelled'] } })
+      .select('candidateId priority status dueDate initiatedAt escalationLevel escalations checks')
+      .populate('candidateId', 'personalDetails')
+      .sort('dueDate');
+
+    const soon = new Date(now.getTime() + DAY_MS);
+    const breached = openCases.filter(bgvCase => bgvCase.dueDate < now);
+
+    const byLevel = {};
+    for (const bgvCase of breached) {
+      byLevel[bgvCase.escalationLevel] = (byLevel[bgvCase.escalationLevel] || 0) + 1;
+    }
+
+    return {
+      vendor,
+      summary: {
+        open: openCases.length,
+        dueWithin24Hours: openCases.filter(bgvCase => bgvCase.dueDate >= now && bgvCase.dueDate <= soon).length,
+        breached: breached.length,
+        breachedByEscalationLevel: byLevel
+      },
+      breachedCases: breached.map(bgvCase => ({
+        _id: bgvCase._id,
+        caseCode: bgvCase.caseCode,
+        candidate: bgvCase.candidateId,
+        priority: bgvCase.priority,
+        status: bgvCase.status,
+        dueDate: bgvCase.dueDate,
+        hoursOverdue: Math.floor((now - bgvCase.dueDate) / HOUR_MS),
+        escalationLevel: bgvCase.escalationLevel,
+        lastEscalation: bgvCase.escalations[bgvCase.escalations.length - 1] || null,
+        pendingChecks: bgvCase.checks
+          .filter(check => check.status !== 'completed')
+          .map(check => check.type)
+      }))
+    };
+  }
+
+  // Case status follows its checks until it is closed
+  deriveStatus(bgvCase) {
+    const statuses = bgvCase.checks.map(check => check.status);
+
+    if (statuses.includes('insufficiency')) return 'insufficiency';
+    if (statuses.every(status => status === 'pending')) return 'initiated';
+    return 'in_progress';
+  }
+
+  // Discrepancy outranks unable to verify, which outranks clear
+  getOverallResult(checks) {
+    const results = checks.map(check => check.result);
+
+    if (results.includes('discrepancy')) return 'discrepancy';
+    if (results.includes('unable_to_verify')) return 'unable_to_verify';
+    return 'clear';
+  }
+
+  // TAT of the vendor for a priority
+  getTATDays(vendor, priority) {
+    const sla = vendor.slaDetails || {};
+    return priority === 'express' ? (sla.expressTAT ?? 3) : (sla.standardTAT ?? 7);
+  }
+
+  // Checks the vendor has switched on
+  getOfferedChecks(vendor) {
+    return BGVCase.CHECK_TYPES.filter(type => vendor.servicesOffered?.[type]);
+  }
+
+  // Closed and cancelled cases cannot change
+  assertOpen(bgvCase) {
+    if (!bgvCase.isOpen()) {
+      throw new AppError(`Case is already ${bgvCase.status}`, 400);
+    }
+  }
+}
+
+module.exports = new BGVService();
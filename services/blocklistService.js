@@ -0,0 +1,201 @@
+// services/blocklistService.js
+const Client = require('../models/Client');
+const FileDocument = require('../models/FileDocument');
+const WorkflowService = require('./workflowService');
+const { stringSimilarity } = require('../utils/similarity');
+
+// Names at least this similar after normalisation count as a match
+const MIN_FUZZY_SCORE = 0.85;
+
+// Parsed blocklists are kept for a while - a re-upload gets a new file ID
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Words dropped before comparing company names
+const COMPANY_NOISE = [
+  'the', 'pvt', 'private', 'ltd', 'limited', 'llp', 'llc', 'inc', 'incorporated',
+  'corp', 'corporation', 'co', 'company', 'plc', 'gmbh', 'india', 'technologies',
+  'technology', 'tech', 'solutions', 'services', 'software', 'systems', 'group'
+];
+
+// Words dropped before comparing university names
+const UNIVERSITY_NOISE = [
+  'the', 'of', 'and', 'university', 'univ', 'college', 'institute', 'school',
+  'deemed', 'to', 'be', 'for', 'in', 'at'
+];
+
+// Candidate fields checked against each blocklist
+const CHECKS = [
+  { type: 'company', section: 'employment', field: 'payrollCompany' },
+  { type: 'company', section: 'employment', field: 'clientCompany' },
+  { type: 'university', section: 'education', field: 'university' }
+];
+
+class BlocklistService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  // Screen a candidate's employers and universities against a client's blocklists
+  async screenCandidate(candidate, clientId) {
+    const result = {
+      status: 'clear',
+      matches: [],
+      checkedAt: new Date()
+    };
+
+    if (!clientId) return result;
+
+    const client = await Client.findById(clientId).select('verificationPolicy.blocklistUploads');
+    const uploads = client?.verificationPolicy?.blocklistUploads || {};
+
+    let blocklists;
+    try {
+      blocklists = {
+        company: await this.loadEntries(uploads.blocklistedCompaniesFileId, 'company'),
+        university: await this.loadEntries(uploads.blocklistedUniversitiesFileId, 'university')
+      };
+    } catch (error) {
+      // A broken blocklist file must not silently clear the candidate
+      return { ...result, status: 'error', error: error.message };
+    }
+
+    for (const check of CHECKS) {
+      const entries = blocklists[check.type];
+      if (!entries.length) continue;
+
+      (candidate[check.section] || []).forEach((record, index) => {
+        const value = record?.[check.field];
+        if (!value) return;
+
+        const match = this.findMatch(value, entries, check.type);
+        if (!match) return;
+
+        result.matches.push({
+          type: check.type,
+          field: `${check.section}.${index}.${check.field}`,
+          value,
+          matchedEntry: match.entry.name,
+          entryReason: match.entry.reason,
+          matchReason: match.reason,
+          score: match.score
+        });
+      });
+    }
+
+    if (result.matches.length) result.status = 'flagged';
+
+    return result;
+  }
+
+  // Parsed and normalised entries of a blocklist file
+  async loadEntries(fileId, type) {
+    if (!fileId) return [];
+
+    const key = fileId.toString();
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.entries;
+
+    const file = await FileDocument.findById(fileId).select('fileType isDeleted');
+    if (!file || file.isDeleted) return [];
+
+    const rows = await WorkflowService.parseBlocklistFile(file);
+
+    const entries = rows
+      .map(row => this.toEntry(row))
+      .filter(entry => entry.name)
+      .map(entry => ({ ...entry, normalised: this.normalise(entry.name, type) }))
+      .filter(entry => entry.normalised);
+
+    this.cache.set(key, { entries, expiresAt: Date.now() + CACHE_TTL_MS });
+
+    return entries;
+  }
+
+  // CSV rows keep their own headers; fall back to the first two columns
+  toEntry(row) {
+    const values = Object.entries(row || {});
+    const pick = (pattern, position) => {
+      const found = values.find(([header]) => pattern.test(header.trim()));
+      const value = found ? found[1] : values[position]?.[1];
+      return value?.text ?? value?.result ?? value;
+    };
+
+    return {
+      name: String(pick(/^(name|company|university|institution)/i, 0) ?? '').trim(),
+      reason: String(pick(/^(reason|remarks?|comments?)/i, 1) ?? '').trim()
+    };
+  }
+
+  // Best blocklist match for a value, if any
+  findMatch(value, entries, type) {
+    const normalised = this.normalise(value, type);
+    if (!normalised) return null;
+
+    let best = null;
+
+    for (const entry of entries) {
+      const match = this.compare(normalised, entry.normalised);
+      if (match && (!best || match.score > best.score)) {
+        best = { ...match, entry };
+        if (match.score === 1) break;
+      }
+    }
+
+    return best;
+  }
+
+  // Exact, whole-word containment, or close spelling
+  compare(value, entry) {
+    if (value === entry) {
+      return { score: 1, reason: 'exact' };
+    }
+
+    const valueWords = value.split(' ');
+    const entryWords = entry.split(' ');
+    const [shorter, longer] = valueWords.length <= entryWords.length
+      ? [valueWords, entryWords]
+      : [entryWords, valueWords];
+
+    // "Infosys" against "Infosys BPO" - single short words are too loose to contain
+    if (shorter.join('').length >= 4 && this.containsSequence(longer, shorter)) {
+      return {
+        score: Math.round((shorter.length / longer.length) * 100) / 100,
+        reason: 'contains'
+      };
+    }
+
+    const similarity = stringSimilarity(value, entry);
+    if (similarity >= MIN_FUZZY_SCORE) {
+      return { score: Math.round(similarity * 100) / 100, reason: 'similar' };
+    }
+
+    return null;
+  }
+
+  // Whether words appear in order within a longer list of words
+  containsSequence(words, sequence) {
+    for (let i = 0; i + sequence.length <= words.length; i++) {
+      if (sequence.every((word, j) => words[i + j] === word)) return true;
+    }
+    return false;
+  }
+
+  // Lowercase, strip punctuation, legal suffixes and filler words
+  normalise(name, type) {
+    const noise = type === 'university' ? UNIVERSITY_NOISE : COMPANY_NOISE;
+
+    const words = String(name || '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9 ]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean);
+
+    const significant = words.filter(word => !noise.includes(word));
+
+    // Keep the full name when it is made up only of filler words
+    return (significant.length ? significant : words).join(' ');
+  }
+}
+
+module.exports = new BlocklistService();
@@ -0,0 +1,203 @@
+// services/calendarService.js
+const config = require('../config/constants');
+
+// RFC 5545 limits content lines to 75 octets
+const MAX_LINE_OCTETS = 75;
+
+class CalendarService {
+  constructor() {
+    this.host = new URL(config.app.url).hostname;
+  }
+
+  // Build a VCALENDAR document for the given method and events
+  buildCalendar({ method = 'PUBLISH', name, events = [] }) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:-//${this.escapeText(config.app.name)}//ATS//EN`,
+      'CALSCALE:GREGORIAN',
+      `METHOD:${method}`
+    ];
+
+    if (name) {
+      lines.push(`X-WR-CALNAME:${this.escapeText(name)}`);
+    }
+
+    for (const event of events) {
+      lines.push(...this.buildEventLines(event, method));
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  // Build the VEVENT lines of a single event
+  buildEventLines(event, method) {
+    const cancelled = method === 'CANCEL' || event.status === 'CANCELLED';
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${this.formatDateTime(new Date())}`,
+      // A cancellation supersedes the request it cancels
+      `SEQUENCE:${(event.sequence || 0) + (cancelled ? 1 : 0)}`,
+      `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+    ];
+
+    if (event.allDay) {
+      const end = new Date(event.start);
+      end.setUTCDate(end.getUTCDate() + 1);
+      lines.push(`DTSTART;VALUE=DATE:${this.formatDate(event.start)}`);
+      lines.push(`DTEND;VALUE=DATE:${this.formatDate(end)}`);
+    } else {
+      lines.push(`DTSTART:${this.formatDateTime(event.start)}`);
+      lines.push(`DTEND:${this.formatDateTime(event.end)}`);
+    }
+
+    lines.push(`SUMMARY:${this.escapeText(event.summary)}`);
+
+    if (event.description) lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${this.escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+
+    if (event.organizer?.email) {
+      lines.push(`ORGANIZER${this.formatCommonName(event.organizer.name)}:mailto:${event.organizer.email}`);
+    }
+
+    for (const attendee of event.attendees || []) {
+      if (!attendee.email) continue;
+      lines.push(
+        `ATTENDEE${this.formatCommonName(attendee.name)};ROLE=${attendee.role || 'REQ-PARTICIPANT'};PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${attendee.email}`
+      );
+    }
+
+    if (!cancelled && event.reminderMinutes) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${this.escapeText(event.summary)}`,
+        `TRIGGER:-PT${event.reminderMinutes}M`,
+        'END:VALARM'
+      );
+    }
+
+    lines.push('END:VEVENT');
+
+    return lines;
+  }
+
+  // Build the event for an interview slot
+  buildInterviewEvent(interview, { candidate, requirement, interviewers = [], slot } = {}) {
+    const candidateName = candidate?.fullName || 'Candidate';
+    const roundName = interview.round?.name || `Round ${(interview.round?.index || 0) + 1}`;
+    const jobTitle = requirement?.jobTitle;
+
+    const description = [
+      `${roundName} interview with ${candidateName}${jobTitle ? ` for ${jobTitle}` : ''}`,
+      interview.round?.mode && `Mode: ${interview.round.mode}`,
+      interview.meetingLink && `Join: ${interview.meetingLink}`,
+      interview.instructions
+    ].filter(Boolean).join('\n');
+
+    return {
+      uid: this.getInterviewUid(interview, slot),
+      start: slot?.start || interview.scheduledStart,
+      end: slot?.end || interview.scheduledEnd,
+      status: interview.isActiveSlot?.() === false ? 'CANCELLED' : 'CONFIRMED',
+      summary: `Interview: ${candidateName} - ${roundName}${jobTitle ? ` (${jobTitle})` : ''}`,
+      description,
+      location: interview.location || interview.meetingLink,
+      url: interview.meetingLink,
+      organizer: this.getOrganizer(),
+      attendees: [
+        { name: candidateName, email: candidate?.contactInfo?.email },
+        ...interviewers.map(user => ({
+          name: `${user.firstName} ${user.lastName}`,
+          email: user.email
+        }))
+      ],
+      reminderMinutes: 30
+    };
+  }
+
+  // Build the all-day event for an expected joining date
+  buildJoiningEvent({ candidate, joiningDate, position, companyName, referenceId }) {
+    const candidateName = candidate?.fullName || 'Candidate';
+
+    return {
+      uid: `joining-${referenceId || candidate?._id}@${this.host}`,
+      allDay: true,
+      start: joiningDate,
+      summary: `Joining: ${candidateName}${position ? ` - ${position}` : ''}${companyName ? ` at ${companyName}` : ''}`,
+      description: `Expected joining date of ${candidateName}`,
+      organizer: this.getOrganizer(),
+      attendees: [
+        { name: candidateName, email: candidate?.contactInfo?.email }
+      ],
+      reminderMinutes: 24 * 60
+    };
+  }
+
+  // Each interview slot gets its own UID so a reschedule can cancel the old slot
+  getInterviewUid(interview, slot) {
+    const slotNumber = slot?.number ?? (interview.rescheduleHistory?.length || 0);
+    return `interview-${interview._id}-${slotNumber}@${this.host}`;
+  }
+
+  // Organizer of generated events
+  getOrganizer() {
+    return {
+      name: process.env.EMAIL_FROM_NAME || config.app.name,
+      email: process.env.EMAIL_FROM || process.env.EMAIL_USERNAME || config.email.from
+    };
+  }
+
+  // Format a date-time in UTC: 20240131T093000Z
+  formatDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // Format a date: 20240131
+  formatDate(date) {
+    return new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+  }
+
+  // CN parameter for organizer/attendee lines
+  formatCommonName(name) {
+    return name ? `;CN="${String(name).replace(/"/g, '\'')}"` : '';
+  }
+
+  // Escape TEXT values (RFC 5545 section 3.3.11)
+  escapeText(value) {
+    return String(value ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Fold lines longer than 75 octets without splitting multi-byte characters
+  foldLine(line) {
+    if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+    const parts = [];
+    let current = '';
+    let limit = MAX_LINE_OCTETS;
+
+    for (const char of line) {
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = '';
+        // Continuation lines start with a space, which counts towards the limit
+        limit = MAX_LINE_OCTETS - 1;
+      }
+      current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = new CalendarService();
@@ -0,0 +1,276 @@
+// services/candidatePortalService.js
+const Candidate = require('../models/Candidate');
+const FileDocument = require('../models/FileDocument');
+const User = require('../models/User');
+const MagicLinkService = require('./magicLinkService');
+const WorkflowService = require('./workflowService');
+const EmailService = require('./emailService');
+const { FileService } = require('./fileService');
+const config = require('../config/constants');
+const { AppError } = require('../utils/appError');
+
+const PURPOSE = 'candidate_onboarding';
+
+// Steps a candidate fills in; financial and recruiter call stay with the recruiter
+const SELF_SERVICE_STEPS = {
+  personal: 'Personal Details',
+  education: 'Education',
+  employment: 'Employment',
+  kyc: 'KYC'
+};
+
+const STAGE_ORDER = ['Personal Details', 'Education', 'Employment', 'KYC', 'Financial', 'Review', 'Complete'];
+
+// Fields of their own record a candidate can see
+const PORTAL_FIELDS = [
+  'personalDetails',
+  'contactInfo',
+  'emergencyContact',
+  'education',
+  'employment',
+  'offerStatus',
+  'keySkills',
+  'kyc',
+  'bankDetails',
+  'address',
+  'workflowStage'
+];
+
+// Fields a candidate can change at each step. The email is the key recruiters and links
+// rely on, and file references only come from the record or from files uploaded with the step.
+const EDITABLE_FIELDS = {
+  personalDetails: ['firstName', 'middleName', 'lastName', 'dateOfBirth', 'gender', 'maritalStatus'],
+  contactInfo: ['phoneNo', 'whatsappNo', 'alternatePhone'],
+  emergencyContact: ['contactPerson', 'contactPhone', 'relationship'],
+  education: ['educationType', 'schoolCollegeName', 'modeOfEducation', 'specialization', 'startDate', 'endDate',
+    'marksGrade', 'university', 'city', 'state'],
+  employment: ['employmentType', 'workingStatus', 'designation', 'workLocation', 'payrollCompany', 'clientCompany',
+    'endClient', 'startDate', 'estimatedLastWorkingDate', 'lastWorkingDate', 'expectedJoiningDate', 'noticePeriod'],
+  employmentDocument: ['available', 'remarks'],
+  offerStatus: ['inAnotherPipeline', 'pipelineDetails', 'offerInHand', 'offerDetails'],
+  keySkills: ['name', 'experience'],
+  kyc: ['aadhaarNumber', 'panNumber', 'passportNumber'],
+  bankDetails: ['accountChoice', 'accountNumber', 'ifscCode', 'branchName'],
+  permanentAddress: ['line1', 'line2', 'city', 'state', 'pincode'],
+  currentAddress: ['sameAsPermanent', 'line1', 'line2', 'city', 'state', 'pincode']
+};
+
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter(field => source?.[field] !== undefined).map(field => [field, source[field]])
+);
+
+const list = value => Array.isArray(value) ? value : [];
+
+class CandidatePortalService {
+  // Email the candidate a link to complete their own profile
+  async invite(candidate, user, { expiresInHours } = {}) {
+    if (!candidate.contactInfo?.email) {
+      throw new AppError('Candidate has no email address to send the link to', 400);
+    }
+
+    if (candidate.mergedInto) {
+      throw new AppError('Candidate was merged into another record', 400);
+    }
+
+    const { link, token } = await MagicLinkService.issue({
+      purpose: PURPOSE,
+      subjectType: 'Candidate',
+      subjectId: candidate._id,
+      email: candidate.contactInfo.email,
+      expiresInHours: Number(expiresInHours) || config.magicLink.candidateOnboardingHours
+    }, user);
+
+    await EmailService.sendCandidatePortalInvite(
+      candidate,
+      `${config.app.url}/candidate-portal/${token}`,
+      link.expiresAt
+    );
+
+    return link;
+  }
+
+  async revoke(candidate, user) {
+    return MagicLinkService.revoke({
+      purpose: PURPOSE,
+      subjectType: 'Candidate',
+      subjectId: candidate._id
+    }, user);
+  }
+
+  async getActiveLink(candidate) {
+    return MagicLinkService.getActive({
+      purpose: PURPOSE,
+      subjectType: 'Candidate',
+      subjectId: candidate._id
+    });
+  }
+
+  // Resolve a portal token to the candidate it was issued for
+  async authenticate(token, { ipAddress } = {}) {
+    const link = await MagicLinkService.verify(token, PURPOSE, { ipAddress });
+    const candidate = await Candidate.findById(link.subjectId);
+
+    if (!candidate || candidate.mergedInto) {
+      throw new AppError('This link is not valid. Please ask for a new one.', 401);
+    }
+
+    return { link, candidate };
+  }
+
+  // Save a step filled in by the candidate and let the recruiter know
+  async saveStep(candidate, link, step, data, files) {
+    if (!SELF_SERVICE_STEPS[step]) {
+      throw new AppError(`Step must be one of ${Object.keys(SELF_SERVICE_STEPS).join(', ')}`, 400);
+    }
+
+    if (!data) {
+      throw new AppError('Please provide the details for this step', 400);
+    }
+
+    // Files are recorded against the recruiter who issued the link
+    const previousStage = candidate.workflowStage;
+    await WorkflowService.applyCandidateStep(candidate, step, this.editableData(candidate, step, data), files, link.createdBy);
+
+    // Going back to correct an earlier step should not undo later progress
+    if (STAGE_ORDER.indexOf(previousStage) > STAGE_ORDER.indexOf(candidate.workflowStage)) {
+      candidate.workflowStage = previousStage;
+    }
+
+    await candidate.save();
+
+    await this.notifyRecruiter(candidate, link, SELF_SERVICE_STEPS[step]);
+
+    return candidate;
+  }
+
+  // The candidate's step data cut down to what they may change. File references they send
+  // are kept only where the record already links that file; new files come with the upload.
+  editableData(candidate, step, data) {
+    const linked = ids => {
+      const allowed = new Set(ids.filter(Boolean).map(String));
+      return id => (id && allowed.has(String(id)) ? id : undefined);
+    };
+
+    switch (step) {
+      case 'personal':
+        return {
+          personalDetails: {
+            ...pick(data.personalDetails, EDITABLE_FIELDS.personalDetails),
+            passportImageId: candidate.personalDetails?.passportImageId
+          },
+          contactInfo: {
+            ...pick(data.contactInfo, EDITABLE_FIELDS.contactInfo),
+            email: candidate.contactInfo?.email
+          },
+          emergencyContact: pick(data.emergencyContact, EDITABLE_FIELDS.emergencyContact)
+        };
+
+      case 'education': {
+        const certificate = linked(list(candidate.education).map(entry => entry.certificateId));
+
+        return {
+          education: list(data.education).map(entry => ({
+            ...pick(entry, EDITABLE_FIELDS.education),
+            certificateId: certificate(entry?.certificateId)
+          }))
+        };
+      }
+
+      case 'employment': {
+        const document = linked(list(candidate.employment).flatMap(entry =>
+          Object.values((entry.toObject ? entry.toObject() : entry).documents || {}).map(doc => doc?.fileId)
+        ));
+
+        return {
+          employment: list(data.employment).map(entry => ({
+            ...pick(entry, EDITABLE_FIELDS.employment),
+            documents: Object.fromEntries(Object.entries(entry?.documents || {}).map(([name, doc]) => [
+              name,
+              { ...pick(doc, EDITABLE_FIELDS.employmentDocument), fileId: document(doc?.fileId) }
+            ]))
+          })),
+          offerStatus: {
+            ...pick(data.offerStatus, EDITABLE_FIELDS.offerStatus),
+            offerProofId: candidate.offerStatus?.offerProofId
+          },
+          keySkills: data.keySkills && list(data.keySkills).map(skill => pick(skill, EDITABLE_FIELDS.keySkills))
+        };
+      }
+
+      case 'kyc':
+        // KYC and bank documents left out here stay linked - see WorkflowService.applyCandidateStep
+        return {
+          kyc: pick(data.kyc, EDITABLE_FIELDS.kyc),
+          bankDetails: pick(data.bankDetails, EDITABLE_FIELDS.bankDetails),
+          address: {
+            permanent: pick(data.address?.permanent, EDITABLE_FIELDS.permanentAddress),
+            current: {
+              ...pick(data.address?.current, EDITABLE_FIELDS.currentAddress),
+              rentalAgreementId: candidate.address?.current?.rentalAgreementId,
+              utilityBillId: candidate.address?.current?.utilityBillId
+            }
+          }
+        };
+
+      default:
+        return {};
+    }
+  }
+
+  // Documents uploaded against the candidate
+  async getFiles(candidate) {
+    return FileDocument
+      .find({ entityType: 'Candidate', entityId: candidate._id, isDeleted: false })
+      .select('originalName fileType mimeType size category isVerified createdAt')
+      .sort('-createdAt');
+  }
+
+  async getFile(candidate, fileId) {
+    const file = await FileDocument.findOne({
+      _id: fileId,
+      entityType: 'Candidate',
+      entityId: candidate._id,
+      isDeleted: false
+    });
+
+    if (!file) {
+      throw new AppError('File not found', 404);
+    }
+
+    const content = await FileService.getFileBuffer(file._id);
+
+    return { file, ...content };
+  }
+
+  // What the candidate sees of their own record - KYC and bank numbers stay masked
+  toPortalView(candidate) {
+    const record = candidate.toJSON();
+    const view = { _id: record._id, fullName: candidate.fullName };
+
+    for (const field of PORTAL_FIELDS) {
+      if (record[field] !== undefined) view[field] = record[field];
+    }
+
+    const pending = Object.keys(SELF_SERVICE_STEPS).find(step => SELF_SERVICE_STEPS[step] === candidate.workflowStage);
+
+    return {
+      candidate: view,
+      steps: Object.keys(SELF_SERVICE_STEPS),
+      nextStep: pending || null
+    };
+  }
+
+  async notifyRecruiter(candidate, link, stepName) {
+    try {
+      const recruiter = await User.findById(candidate.assignedTo || candidate.createdBy || link.createdBy)
+        .select('email firstName');
+      if (!recruiter?.email) return;
+
+      await EmailService.sendCandidateStepCompleted(recruiter, candidate, stepName);
+    } catch (error) {
+      console.error('Failed to notify recruiter of candidate update:', error.message);
+    }
+  }
+}
+
+module.exports = new CandidatePortalService();
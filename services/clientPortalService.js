@@ -0,0 +1,375 @@
+// services/clientPortalService.js
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const Requirement = require('../models/Requirement');
+const Application = require('../models/Application');
+const FileDocument = require('../models/FileDocument');
+const Timesheet = require('../models/Timesheet');
+const User = require('../models/User');
+const MagicLinkService = require('./magicLinkService');
+const ApplicationService = require('./applicationService');
+const TimesheetService = require('./timesheetService');
+const DataScopeService = require('./dataScopeService');
+const ResumeParserService = require('./resumeParserService');
+const EmailService = require('./emailService');
+const { FileService } = require('./fileService');
+const config = require('../config/constants');
+const { AppError } = require('../utils/appError');
+
+const PURPOSE = 'client_portal';
+
+// Stage an application moves to for each SPOC decision
+const DECISIONS = {
+  shortlist: { stage: 'Shortlisted', action: 'shortlisted' },
+  reject: { stage: 'Rejected', action: 'rejected' }
+};
+
+// Requirement fields a SPOC sees
+const REQUIREMENT_FIELDS = 'jobTitle employmentType keySkills workMode jobLocation workExpMin workExpMax ' +
+  'educationalQualification jobDescription numInterviewRounds interviewRounds vacancyCount filledCount ' +
+  'status metrics publishedAt createdAt';
+
+// Candidate fields shown with a submission - PII is further redacted until shortlisting
+const CANDIDATE_FIELDS = 'personalDetails education employment keySkills contactInfo address status';
+
+// Statuses a SPOC may list - drafts stay internal
+const REQUIREMENT_STATUSES = ['Active', 'On Hold', 'Closed', 'Cancelled'];
+const TIMESHEET_STATUSES = ['submitted', 'approved', 'rejected'];
+
+const MAX_SLOTS = 5;
+
+class ClientPortalService {
+  // Email a client SPOC a link to the client portal
+  async invite(client, spocId, user, { expiresInHours } = {}) {
+    const spoc = this.getActiveSpoc(client, spocId);
+
+    const { link, token } = await MagicLinkService.issue({
+      purpose: PURPOSE,
+      subjectType: 'Client',
+      subjectId: client._id,
+      spocId: spoc._id,
+      email: spoc.email,
+      expiresInHours: Number(expiresInHours) || config.magicLink.clientPortalHours
+    }, user);
+
+    await EmailService.sendClientPortalInvite(
+      client,
+      spoc,
+      `${config.app.url}/client-portal/${token}`,
+      link.expiresAt
+    );
+
+    return link;
+  }
+
+  async revoke(client, spocId, user) {
+    return MagicLinkService.revoke({
+      purpose: PURPOSE,
+      subjectType: 'Client',
+      subjectId: client._id,
+      spocId
+    }, user);
+  }
+
+  async getActiveLink(client, spocId) {
+    return MagicLinkService.getActive({
+      purpose: PURPOSE,
+      subjectType: 'Client',
+      subjectId: client._id,
+      spocId
+    });
+  }
+
+  // Resolve a portal token to the client and SPOC it was issued for.
+  // A SPOC who is deactivated or removed loses access straight away.
+  async authenticate(token, { ipAddress } = {}) {
+    const link = await MagicLinkService.verify(token, PURPOSE, { ipAddress });
+    const client = await Client.findById(link.subjectId);
+    const spoc = client?.spocDetails.id(link.spocId);
+
+    if (!client || !client.isActive || !spoc || spoc.status !== 'Active') {
+      throw new AppError('This link is not valid. Please ask for a new one.', 401);
+    }
+
+    return { link, client, spoc };
+  }
+
+  // Open requirements of the client
+  async getRequirements(client, { status, page = 1, limit = 20 } = {}) {
+    const query = {
+      clientId: client._id,
+      status: status ? this.visibleStatus(status, REQUIREMENT_STATUSES) : { $in: REQUIREMENT_STATUSES }
+    };
+
+    const [requirements, total] = await Promise.all([
+      Requirement
+        .find(query)
+        .select(REQUIREMENT_FIELDS)
+        .sort('-createdAt')
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Requirement.countDocuments(query)
+    ]);
+
+    return { requirements, total };
+  }
+
+  // Applications submitted to the client, candidates redacted as for client users
+  async getSubmissions(client, { requirementId, stage, page = 1, limit = 20 } = {}) {
+    const query = { clientId: client._id, ...ApplicationService.reachedStageFilter('submitted') };
+
+    if (requirementId) query.requirementId = this.toObjectId(requirementId);
+    if (stage) query.stage = stage;
+
+    const [applications, total] = await Promise.all([
+      Application
+        .find(query)
+        .select('candidateId requirementId stage stageHistory submittedAt clientActions')
+        .populate('candidateId', CANDIDATE_FIELDS)
+        .populate('requirementId', 'jobTitle jobLocation')
+        .sort('-submittedAt')
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Application.countDocuments(query)
+    ]);
+
+    const submissions = await DataScopeService.presentApplications(this.asClientUser(client), applications);
+
+    return { submissions, total };
+  }
+
+  // One submission with the candidate's redacted resume
+  async getSubmission(client, applicationId) {
+    const application = await this.getApplication(client, applicationId);
+    await application.populate([
+      { path: 'candidateId', select: CANDIDATE_FIELDS },
+      { path: 'requirementId', select: 'jobTitle jobLocation numInterviewRounds interviewRounds' }
+    ]);
+
+    const [submission] = await DataScopeService.presentApplications(this.asClientUser(client), [application]);
+    submission.resume = await this.getRedactedResume(application.candidateId);
+
+    return submission;
+  }
+
+  // Shortlist or reject a submission
+  async decide(client, spoc, link, applicationId, { decision, reason }, { ipAddress } = {}) {
+    const outcome = DECISIONS[decision];
+    if (!outcome) {
+      throw new AppError(`Decision must be one of ${Object.keys(DECISIONS).join(', ')}`, 400);
+    }
+
+    reason = reason && String(reason).trim();
+    if (decision === 'reject' && !reason) {
+      throw new AppError('Please provide a reason for rejecting the candidate', 400);
+    }
+
+    const application = await this.getApplication(client, applicationId);
+
+    await ApplicationService.moveStage(application, outcome.stage, {
+      user: this.asActingUser(link),
+      reason: `${spoc.name} (client): ${reason || outcome.action}`,
+      ipAddress
+    });
+
+    await this.recordAction(application, spoc, link, { action: outcome.action, reason, ipAddress });
+    await this.notifyOwner(application, client, spoc, { action: outcome.action, reason });
+
+    return application;
+  }
+
+  // Offer interview slots for the recruiter to schedule
+  async proposeSlots(client, spoc, link, applicationId, { slots, notes }, { ipAddress } = {}) {
+    if (!Array.isArray(slots) || !slots.length || slots.length > MAX_SLOTS) {
+      throw new AppError(`Please propose between 1 and ${MAX_SLOTS} interview slots`, 400);
+    }
+
+    const parsed = slots.map(slot => ({ start: new Date(slot.start), end: new Date(slot.end) }));
+
+    if (parsed.some(slot => isNaN(slot.start) || isNaN(slot.end) || slot.end <= slot.start)) {
+      throw new AppError('Every slot needs a valid start and an end after it', 400);
+    }
+
+    if (parsed.some(slot => slot.start <= new Date())) {
+      throw new AppError('Interview slots must be in the future', 400);
+    }
+
+    const application = await this.getApplication(client, applicationId);
+
+    if (!application.isActive || ['Rejected', 'Withdrawn', 'Joined'].includes(application.stage)) {
+      throw new AppError(`Cannot propose interviews for an application that is ${application.stage}`, 400);
+    }
+
+    await this.recordAction(application, spoc, link, {
+      action: 'interview_slots_proposed',
+      reason: notes,
+      slots: parsed,
+      ipAddress
+    });
+    await this.notifyOwner(application, client, spoc, { action: 'interview_slots_proposed', reason: notes, slots: parsed });
+
+    return application;
+  }
+
+  // Timesheets of the client's consultants
+  async getTimesheets(client, { status = 'submitted', page = 1, limit = 20 } = {}) {
+    const query = { clientId: client._id, status: this.visibleStatus(status, TIMESHEET_STATUSES) };
+
+    const [timesheets, total] = await Promise.all([
+      Timesheet
+        .find(query)
+        .select('applicationId candidateId requirementId period timesheetType entries totals leaveCheck status submittedAt review')
+        .populate('candidateId', 'personalDetails.firstName personalDetails.lastName')
+        .populate('requirementId', 'jobTitle')
+        .sort('period.start')
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Timesheet.countDocuments(query)
+    ]);
+
+    return { timesheets, total };
+  }
+
+  // Approve or reject a timesheet as the SPOC
+  async reviewTimesheet(client, spoc, link, timesheetId, { decision, remarks }, { ipAddress } = {}) {
+    const timesheet = await Timesheet.findOne({ _id: this.toObjectId(timesheetId), clientId: client._id });
+    if (!timesheet) {
+      throw new AppError('No timesheet found with that ID', 404);
+    }
+
+    await TimesheetService.reviewTimesheet(
+      timesheet,
+      { decision, spocId: spoc._id, remarks },
+      this.asActingUser(link)
+    );
+
+    const application = await Application.findById(timesheet.applicationId);
+    if (application) {
+      await this.recordAction(application, spoc, link, {
+        action: decision === 'approved' ? 'timesheet_approved' : 'timesheet_rejected',
+        reason: remarks,
+        timesheetId: timesheet._id,
+        ipAddress
+      });
+    }
+
+    return timesheet;
+  }
+
+  async getApplication(client, applicationId) {
+    const application = await Application.findOne({
+      _id: this.toObjectId(applicationId),
+      clientId: client._id,
+      ...ApplicationService.reachedStageFilter('submitted')
+    });
+
+    if (!application) {
+      throw new AppError('No submission found with that ID', 404);
+    }
+
+    return application;
+  }
+
+  async recordAction(application, spoc, link, { action, reason, slots, timesheetId, ipAddress }) {
+    application.clientActions.push({
+      action,
+      spoc: { spocId: spoc._id, name: spoc.name, email: spoc.email },
+      reason,
+      slots,
+      timesheetId,
+      magicLinkId: link._id,
+      ipAddress
+    });
+
+    await application.save();
+  }
+
+  // Latest resume of the candidate with contact details and names removed
+  async getRedactedResume(candidate) {
+    if (!candidate?._id) return null;
+
+    const file = await FileDocument
+      .findOne({ entityType: 'Candidate', entityId: candidate._id, category: 'resume', isDeleted: { $ne: true } })
+      .sort('-createdAt');
+
+    if (!file) return null;
+
+    try {
+      const { buffer, mimeType } = await FileService.getFileBuffer(file._id);
+      const text = await ResumeParserService.extractText(buffer, mimeType, file.originalName);
+      const { firstName, middleName, lastName } = candidate.personalDetails || {};
+
+      return {
+        fileId: file._id,
+        text: ResumeParserService.redact(text, [firstName, middleName, lastName]),
+        redacted: true
+      };
+    } catch (error) {
+      // A resume that can't be read is left out rather than failing the request
+      console.error(`Failed to read resume ${file._id}:`, error.message);
+      return null;
+    }
+  }
+
+  // Let the recruiter who owns the application know what the client did
+  async notifyOwner(application, client, spoc, details) {
+    try {
+      const owner = await User.findById(application.owner || application.submittedBy).select('email firstName');
+      if (!owner?.email) return;
+
+      await application.populate([
+        { path: 'candidateId', select: 'personalDetails' },
+        { path: 'requirementId', select: 'jobTitle' }
+      ]);
+
+      await EmailService.sendClientPortalAction(owner, {
+        client,
+        spoc,
+        application,
+        ...details
+      });
+    } catch (error) {
+      console.error('Failed to notify recruiter of client portal action:', error.message);
+    }
+  }
+
+  // Client users and SPOCs see candidates the same way
+  asClientUser(client) {
+    return { role: 'client', clientId: client._id };
+  }
+
+  // SPOC actions are recorded against the user who issued the link
+  asActingUser(link) {
+    return { _id: link.createdBy, role: 'client' };
+  }
+
+  visibleStatus(status, statuses) {
+    if (!statuses.includes(status)) {
+      throw new AppError(`Status must be one of ${statuses.join(', ')}`, 400);
+    }
+    return status;
+  }
+
+  getActiveSpoc(client, spocId) {
+    const spoc = client.spocDetails.id(spocId);
+
+    if (!spoc) {
+      throw new AppError('No SPOC found with that ID', 404);
+    }
+
+    if (spoc.status !== 'Active') {
+      throw new AppError('SPOC is inactive', 400);
+    }
+
+    return spoc;
+  }
+
+  toObjectId(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      throw new AppError(`Invalid ID: ${id}`, 400);
+    }
+    return new mongoose.Types.ObjectId(id);
+  }
+}
+
+module.exports = new ClientPortalService();
@@ -0,0 +1,224 @@
+// services/dataScopeService.js
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Client = require('../models/Client');
+const Candidate = require('../models/Candidate');
+const Requirement = require('../models/Requirement');
+const Application = require('../models/Application');
+const ApplicationService = require('./applicationService');
+const { AppError } = require('../utils/appError');
+
+// Internal data no external user sees
+const INTERNAL_PATHS = ['kyc', 'bankDetails', 'financialInfo', 'notes', 'recruiterCallData', 'tags', 'assignedTo', 'createdBy', 'lastUpdatedBy'];
+
+// Candidate PII a client only sees once the candidate is shortlisted for them
+const PII_PATHS = [
+  'personalDetails.middleName',
+  'personalDetails.dateOfBirth',
+  'personalDetails.passportImageId',
+  'contactInfo',
+  'emergencyContact',
+  'address'
+];
+
+const MODELS = { candidate: Candidate, requirement: Requirement, client: Client };
+
+// Row-level scoping for external users. Client users are limited to their client's
+// requirements and the candidates submitted to it; vendor users to requirements
+// allocated to their agency and the candidates the agency submitted.
+// Every filter returns null for internal users, who are not narrowed here.
+class DataScopeService {
+  // { type, id } of the organisation an external user belongs to, or null
+  getParty(user) {
+    if (user.role === 'client' || user.clientId) return { type: 'client', id: user.clientId };
+    if (user.role === 'vendor' || user.agencyId) return { type: 'vendor', id: user.agencyId };
+    return null;
+  }
+
+  isExternal(user) {
+    return !!this.getParty(user);
+  }
+
+  async candidateFilter(user) {
+    const party = this.getParty(user);
+    if (!party) return null;
+    if (!party.id) return { _id: { $in: [] } };
+
+    if (party.type === 'client') {
+      const candidateIds = await Application
+        .find({ clientId: party.id, ...ApplicationService.reachedStageFilter('submitted') })
+        .distinct('candidateId');
+
+      return { _id: { $in: candidateIds } };
+    }
+
+    const agencyUsers = await this.getAgencyUserIds(party.id);
+    const candidateIds = await Application
+      .find({ submittedBy: { $in: agencyUsers } })
+      .distinct('candidateId');
+
+    return { $or: [{ createdBy: { $in: agencyUsers } }, { _id: { $in: candidateIds } }] };
+  }
+
+  async requirementFilter(user) {
+    const party = this.getParty(user);
+    if (!party) return null;
+    if (!party.id) return { _id: { $in: [] } };
+
+    return party.type === 'client'
+      ? { clientId: party.id }
+      : this.vendorAllocation(party.id);
+  }
+
+  async clientFilter(user) {
+    const party = this.getParty(user);
+    if (!party) return null;
+    if (!party.id) return { _id: { $in: [] } };
+
+    if (party.type === 'client') return { _id: party.id };
+
+    const clientIds = await Requirement
+      .find(this.vendorAllocation(party.id))
+      .distinct('clientId');
+
+    return { _id: { $in: clientIds } };
+  }
+
+  async applicationFilter(user) {
+    const party = this.getParty(user);
+    if (!party) return null;
+    if (!party.id) return { _id: { $in: [] } };
+
+    return party.type === 'client'
+      ? { clientId: party.id, ...ApplicationService.reachedStageFilter('submitted') }
+      : { submittedBy: { $in: await this.getAgencyUserIds(party.id) } };
+  }
+
+  // Add the user's scope to a query in place
+  async scopeQuery(user, kind, query = {}) {
+    const filter = await this[`${kind}Filter`](user);
+    if (filter) {
+      query.$and = [...(query.$and || []), filter];
+    }
+    return query;
+  }
+
+  // Records outside the scope are reported as missing rather than forbidden
+  async assertAccess(user, kind, id) {
+    const filter = await this[`${kind}Filter`](user);
+    if (!filter) return;
+
+    if (!mongoose.isValidObjectId(id) || !(await MODELS[kind].exists({ $and: [{ _id: id }, filter] }))) {
+      throw new AppError(`No ${kind} found with that ID`, 404);
+    }
+  }
+
+  // Candidates as an external user may see them. Internal users get the documents unchanged.
+  async presentCandidates(user, candidates) {
+    const party = this.getParty(user);
+    if (!party) return candidates;
+
+    const revealed = party.type === 'client'
+      ? await this.getShortlistedCandidateIds(party.id, candidates.map(candidate => candidate._id))
+      : null;
+
+    return candidates.map(candidate => {
+      const view = candidate.toJSON ? candidate.toJSON() : { ...candidate };
+      INTERNAL_PATHS.forEach(path => this.unset(view, path));
+
+      if (revealed && !revealed.has(candidate._id.toString())) {
+        PII_PATHS.forEach(path => this.unset(view, path));
+        if (view.personalDetails?.lastName) {
+          view.personalDetails.lastName = `${view.personalDetails.lastName.charAt(0)}.`;
+        }
+        view.piiRedacted = true;
+      }
+
+      return view;
+    });
+  }
+
+  async presentCandidate(user, candidate) {
+    const [view] = await this.presentCandidates(user, [candidate]);
+    return view;
+  }
+
+  // Applications with their populated candidate presented as above
+  async presentApplications(user, applications) {
+    if (!this.isExternal(user)) return applications;
+
+    const views = applications.map(application => application.toJSON());
+    const candidates = applications.map(application => application.candidateId).filter(candidate => candidate?._id);
+    const presented = await this.presentCandidates(user, candidates);
+    const byId = new Map(presented.map(candidate => [candidate._id.toString(), candidate]));
+
+    return views.map(view => {
+      delete view.compliance;
+      delete view.marginApproval;
+      if (view.candidateId?._id) view.candidateId = byId.get(view.candidateId._id.toString());
+      return view;
+    });
+  }
+
+  // Duplicate matches as an external user may see them - the score and reasons only,
+  // with the matched record identified just when it is in the user's scope
+  async presentDuplicates(user, duplicates) {
+    const filter = await this.candidateFilter(user);
+    if (!filter || !duplicates.length) return duplicates;
+
+    const visible = await Candidate
+      .find({ $and: [{ _id: { $in: duplicates.map(duplicate => duplicate.candidate._id) } }, filter] })
+      .distinct('_id');
+    const ids = new Set(visible.map(id => id.toString()));
+
+    return duplicates.map(({ candidate, score, reasons }) => ({
+      candidate: ids.has(candidate._id.toString())
+        ? { _id: candidate._id, candidateCode: candidate.candidateCode, status: candidate.status }
+        : null,
+      score,
+      reasons
+    }));
+  }
+
+  // Requirements without the allocation, which names other recruiters and agencies
+  presentRequirement(user, requirement) {
+    if (!this.isExternal(user)) return requirement;
+
+    const view = requirement.toJSON();
+    delete view.allocation;
+    return view;
+  }
+
+  // Requirements open to every vendor or allocated to the agency
+  vendorAllocation(agencyId) {
+    return { $or: [{ 'allocation.all': true }, { 'allocation.vendors.vendorId': agencyId }] };
+  }
+
+  // Candidates whose application to the client has reached shortlisting
+  async getShortlistedCandidateIds(clientId, candidateIds) {
+    if (!clientId) return new Set();
+
+    const shortlisted = await Application
+      .find({
+        clientId,
+        candidateId: { $in: candidateIds },
+        ...ApplicationService.reachedStageFilter('shortlisted')
+      })
+      .distinct('candidateId');
+
+    return new Set(shortlisted.map(id => id.toString()));
+  }
+
+  async getAgencyUserIds(agencyId) {
+    return User.find({ agencyId }).distinct('_id');
+  }
+
+  unset(obj, path) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => node?.[key], obj);
+    if (parent) delete parent[last];
+  }
+}
+
+module.exports = new DataScopeService();
@@ -0,0 +1,376 @@
+// services/duplicateService.js
+const Candidate = require('../models/Candidate');
+const Application = require('../models/Application');
+const Interview = require('../models/Interview');
+const FileDocument = require('../models/FileDocument');
+const Activity = require('../models/Activity');
+const { AppError } = require('../utils/appError');
+const { stringSimilarity } = require('../utils/similarity');
+
+// Candidates scoring below this are not reported as duplicates
+const MIN_DUPLICATE_SCORE = 0.6;
+
+// Name similarity needed for a name-only match
+const NAME_MATCH_THRESHOLD = 0.85;
+
+// Candidate sections whose empty fields are filled from the merged record
+const FILLABLE_SECTIONS = [
+  'personalDetails', 'contactInfo', 'emergencyContact', 'offerStatus',
+  'kyc', 'bankDetails', 'address', 'financialInfo', 'recruiterCallData'
+];
+
+// Fields excluded from the default projection that a merge must carry over
+const HIDDEN_FIELDS = '+kyc.aadhaarNumber +kyc.panNumber +kyc.passportNumber +kyc.panHash +kyc.aadhaarHash +bankDetails.accountNumber';
+
+class DuplicateService {
+  // Find existing candidates that look like the same person
+  async findDuplicates({ personalDetails = {}, contactInfo = {}, kyc = {} }, { excludeId } = {}) {
+    const phones = [contactInfo.phoneNo, contactInfo.whatsappNo, contactInfo.alternatePhone]
+      .map(phone => Candidate.normalizePhone(phone))
+      .filter(Boolean);
+    const email = contactInfo.email?.toLowerCase().trim();
+    const panHash = Candidate.hashIdentifier('pan', kyc.panNumber) || kyc.panHash;
+    const aadhaarHash = Candidate.hashIdentifier('aadhaar', kyc.aadhaarNumber) || kyc.aadhaarHash;
+    const dateOfBirth = this.toDate(personalDetails.dateOfBirth);
+    const firstName = personalDetails.firstName?.trim();
+
+    const conditions = [];
+
+    if (email) conditions.push({ 'contactInfo.email': email });
+    if (phones.length) {
+      conditions.push({ 'contactInfo.phoneKeys': { $in: phones } });
+      // Records saved before phone keys existed
+      conditions.push({ 'contactInfo.phoneNo': { $in: phones.flatMap(p => [p, `0${p}`, `91${p}`, `+91${p}`]) } });
+    }
+    if (panHash) conditions.push({ 'kyc.panHash': panHash });
+    if (aadhaarHash) conditions.push({ 'kyc.aadhaarHash': aadhaarHash });
+    if (dateOfBirth) conditions.push({ 'personalDetails.dateOfBirth': dateOfBirth });
+    // Name typos rarely touch the first letter - narrow name-only matches with it
+    if (firstName && personalDetails.lastName) {
+      conditions.push({
+        'personalDetails.firstName': new RegExp(`^${this.escapeRegex(firstName[0])}`, 'i'),
+        'personalDetails.lastName': new RegExp(`^${this.escapeRegex(personalDetails.lastName.trim()[0])}`, 'i')
+      });
+    }
+
+    if (!conditions.length) return [];
+
+    const query = { $or: conditions, mergedInto: { $exists: false } };
+    if (excludeId) query._id = { $ne: excludeId };
+
+    const existing = await Candidate
+      .find(query)
+      .select('personalDetails contactInfo status createdBy createdAt +kyc.panHash +kyc.aadhaarHash')
+      .limit(200);
+
+    return existing
+      .map(candidate => this.scoreDuplicate(candidate, { personalDetails, email, phones, panHash, aadhaarHash, dateOfBirth }))
+      .filter(match => match.score >= MIN_DUPLICATE_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 10);
+  }
+
+  // Duplicates of an existing candidate
+  async findDuplicatesOf(candidateId) {
+    const candidate = await Candidate.findById(candidateId).select(HIDDEN_FIELDS);
+
+    if (!candidate) {
+      throw new AppError('No candidate found with that ID', 404);
+    }
+
+    return this.findDuplicates(candidate.toObject(), { excludeId: candidate._id });
+  }
+
+  // Score how likely an existing candidate is the same person, with reasons
+  scoreDuplicate(candidate, { personalDetails, email, phones, panHash, aadhaarHash, dateOfBirth }) {
+    const reasons = [];
+    let score = 0;
+
+    const nameSimilarity = this.nameSimilarity(
+      `${personalDetails.firstName || ''} ${personalDetails.lastName || ''}`,
+      `${candidate.personalDetails?.firstName || ''} ${candidate.personalDetails?.lastName || ''}`
+    );
+
+    if (panHash && candidate.kyc?.panHash === panHash) {
+      reasons.push('Same PAN');
+      score = Math.max(score, 1);
+    }
+
+    if (aadhaarHash && candidate.kyc?.aadhaarHash === aadhaarHash) {
+      reasons.push('Same Aadhaar');
+      score = Math.max(score, 1);
+    }
+
+    if (email && candidate.contactInfo?.email === email) {
+      reasons.push('Same email');
+      score = Math.max(score, 0.95);
+    }
+
+    const existingPhones = new Set([
+      ...(candidate.contactInfo?.phoneKeys || []),
+      Candidate.normalizePhone(candidate.contactInfo?.phoneNo)
+    ].filter(Boolean));
+
+    if (phones.some(phone => existingPhones.has(phone))) {
+      reasons.push('Same phone number');
+      // A shared phone with a different name is often a family member
+      score = Math.max(score, nameSimilarity >= 0.6 ? 0.9 : 0.7);
+    }
+
+    const existingDob = this.toDate(candidate.personalDetails?.dateOfBirth);
+    const sameDob = dateOfBirth && existingDob && existingDob.getTime() === dateOfBirth.getTime();
+
+    if (sameDob) {
+      reasons.push('Same date of birth');
+      if (nameSimilarity >= 0.75) score = Math.max(score, 0.85);
+    }
+
+    if (nameSimilarity >= NAME_MATCH_THRESHOLD) {
+      reasons.push(nameSimilarity === 1 ? 'Same name' : 'Similar name');
+      score = Math.max(score, sameDob ? 0.9 : 0.6);
+    }
+
+    return {
+      candidate: {
+        _id: candidate._id,
+        candidateCode: candidate.candidateCode,
+        fullName: candidate.fullName,
+        email: candidate.contactInfo?.email,
+        phoneNo: candidate.contactInfo?.phoneNo,
+        dateOfBirth: candidate.personalDetails?.dateOfBirth,
+        status: candidate.status,
+        createdAt: candidate.createdAt
+      },
+      score: Math.round(score * 100) / 100,
+      nameSimilarity: Math.round(nameSimilarity * 100) / 100,
+      reasons
+    };
+  }
+
+  // Merge a duplicate candidate into the surviving record
+  async mergeCandidates(survivorId, duplicateId, { user, ipAddress, userAgent }) {
+    if (survivorId.toString() === duplicateId.toString()) {
+      throw new AppError('A candidate cannot be merged into itself', 400);
+    }
+
+    const [survivor, duplicate] = await Promise.all([
+      Candidate.findById(survivorId).select(HIDDEN_FIELDS),
+      Candidate.findById(duplicateId).select(HIDDEN_FIELDS)
+    ]);
+
+    if (!survivor || !duplicate) {
+      throw new AppError('No candidate found with that ID', 404);
+    }
+
+    if (survivor.mergedInto || duplicate.mergedInto) {
+      throw new AppError('Candidate has already been merged', 400);
+    }
+
+    const summary = {
+      fieldsFilled: [],
+      notes: duplicate.notes.length,
+      education: 0,
+      employment: 0,
+      files: 0,
+      applicationsMoved: 0,
+      applicationsSkipped: 0,
+      activities: 0
+    };
+
+    // Fill fields the survivor is missing
+    const source = duplicate.toObject({ depopulate: true });
+    for (const section of FILLABLE_SECTIONS) {
+      this.fillMissing(survivor, source[section], section, summary.fieldsFilled);
+    }
+
+    // Keep the duplicate's phone as an alternate when it differs
+    const survivorPhone = Candidate.normalizePhone(survivor.contactInfo.phoneNo);
+    const duplicatePhone = Candidate.normalizePhone(duplicate.contactInfo.phoneNo);
+    if (duplicatePhone && duplicatePhone !== survivorPhone && !survivor.contactInfo.alternatePhone) {
+      survivor.contactInfo.alternatePhone = duplicate.contactInfo.phoneNo;
+      summary.fieldsFilled.push('contactInfo.alternatePhone');
+    }
+
+    // Notes, in date order
+    survivor.notes = [...survivor.notes, ...duplicate.notes]
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    // Education and employment entries the survivor does not already have
+    summary.education = this.mergeEntries(survivor.education, duplicate.education, entry =>
+      [entry.educationType, entry.schoolCollegeName, entry.endDate && new Date(entry.endDate).getFullYear()]
+    );
+    summary.employment = this.mergeEntries(survivor.employment, duplicate.employment, entry =>
+      [entry.payrollCompany || entry.clientCompany, entry.designation, entry.startDate && new Date(entry.startDate).getFullYear()]
+    );
+
+    // Skills - keep the higher experience
+    for (const skill of duplicate.keySkills || []) {
+      const existing = survivor.keySkills.find(s => this.normalise(s.name) === this.normalise(skill.name));
+      if (!existing) {
+        survivor.keySkills.push({ name: skill.name, experience: skill.experience });
+      } else if ((skill.experience || 0) > (existing.experience || 0)) {
+        existing.experience = skill.experience;
+      }
+    }
+
+    survivor.tags = [...new Set([...(survivor.tags || []), ...(duplicate.tags || [])])];
+    survivor.lastUpdatedBy = user._id;
+
+    await survivor.save();
+
+    // Files
+    const files = await FileDocument.updateMany(
+      { entityType: 'Candidate', entityId: duplicate._id },
+      { entityId: survivor._id }
+    );
+    summary.files = files.modifiedCount;
+
+    // Applications - the survivor's own application wins for a shared requirement
+    const survivorRequirements = new Set(
+      (await Application.find({ candidateId: survivor._id }).select('requirementId'))
+        .map(a => a.requirementId.toString())
+    );
+    const duplicateApplications = await Application.find({ candidateId: duplicate._id });
+    const affectedRequirements = new Set();
+
+    for (const application of duplicateApplications) {
+      affectedRequirements.add(application.requirementId.toString());
+
+      if (survivorRequirements.has(application.requirementId.toString())) {
+        application.isActive = false;
+        application.withdrawReason = `Merged into candidate ${survivor.candidateCode}`;
+        await application.save();
+        summary.applicationsSkipped++;
+        continue;
+      }
+
+      application.candidateId = survivor._id;
+      await application.save();
+      await Interview.updateMany({ applicationId: application._id }, { candidateId: survivor._id });
+      summary.applicationsMoved++;
+    }
+
+    // History - activities follow the surviving record
+    const activities = await Activity.updateMany(
+      { entityType: 'Candidate', entityId: duplicate._id },
+      [{
+        $set: {
+          entityId: survivor._id,
+          metadata: { $mergeObjects: ['$metadata', { mergedFrom: duplicate._id }] }
+        }
+      }]
+    );
+    summary.activities = activities.modifiedCount;
+
+    duplicate.mergedInto = survivor._id;
+    duplicate.mergedAt = new Date();
+    duplicate.isActive = false;
+    duplicate.lastUpdatedBy = user._id;
+    await duplicate.save();
+
+    if (affectedRequirements.size) {
+      const ApplicationService = require('./applicationService');
+      for (const requirementId of affectedRequirements) {
+        await ApplicationService.recalculateRequirementMetrics(requirementId);
+      }
+    }
+
+    await Activity.create({
+      type: 'merge',
+      description: `Merged duplicate candidate ${duplicate.candidateCode} (${duplicate.fullName}) into ${survivor.candidateCode}`,
+      entityType: 'Candidate',
+      entityId: survivor._id,
+      metadata: {
+        mergedCandidateId: duplicate._id,
+        mergedEmail: duplicate.contactInfo.email,
+        ...summary
+      },
+      performedBy: user._id,
+      ipAddress,
+      userAgent
+    });
+
+    return { candidate: survivor, summary };
+  }
+
+  // Copy leaf values from source into empty paths of the target document
+  fillMissing(target, source, prefix, filled) {
+    if (!source || typeof source !== 'object') return;
+
+    for (const [key, value] of Object.entries(source)) {
+      const path = `${prefix}.${key}`;
+
+      if (value === undefined || value === null || value === '' || key === '_id') continue;
+
+      if (value.constructor === Object) {
+        this.fillMissing(target, value, path, filled);
+        continue;
+      }
+
+      const current = target.get(path);
+      const isEmpty = current === undefined || current === null || current === '' ||
+        (Array.isArray(current) && current.length === 0);
+
+      if (isEmpty) {
+        target.set(path, value);
+        filled.push(path);
+      }
+    }
+  }
+
+  // Append source entries whose key is not already present; returns the number added
+  mergeEntries(target, source, keyOf) {
+    const keys = new Set(target.map(entry => this.entryKey(keyOf(entry))));
+    let added = 0;
+
+    for (const entry of source) {
+      const key = this.entryKey(keyOf(entry));
+      if (keys.has(key)) continue;
+
+      const { _id, ...rest } = entry.toObject();
+      target.push(rest);
+      keys.add(key);
+      added++;
+    }
+
+    return added;
+  }
+
+  // Comparable key for an education/employment entry
+  entryKey(parts) {
+    return parts.map(part => this.normalise(part)).join('|');
+  }
+
+  // Lower-case alphanumerics only
+  normalise(value) {
+    return String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  // Similarity of two names (0-1), ignoring order and case
+  nameSimilarity(a, b) {
+    const tokens = name => name.toLowerCase().replace(/[^a-z ]/g, ' ').split(/\s+/).filter(Boolean);
+    const left = tokens(a);
+    const right = tokens(b);
+
+    if (!left.length || !right.length) return 0;
+
+    const forward = stringSimilarity(left.join(' '), right.join(' '));
+    const sorted = stringSimilarity([...left].sort().join(' '), [...right].sort().join(' '));
+
+    return Math.max(forward, sorted);
+  }
+
+  // Parse a date, ignoring invalid values
+  toDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  // Escape user input for use in a RegExp
+  escapeRegex(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = new DuplicateService();
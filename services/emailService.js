@@ -4,6 +4,7 @@ const pug = require('pug');
 const htmlToText = require('html-to-text');
 const path = require('path');
 const config = require('../config/constants');
+const CalendarService = require('./calendarService');
 
 class EmailService {
   constructor() {
@@ -56,7 +57,7 @@ class EmailService {
   }
   
   // Main send method - sends email directly
-  async send(to, subject, template, data) {
+  async send(to, subject, template, data, options = {}) {
     try {
       console.log(`📨 Sending email directly...`);
       console.log(`   To: ${to}`);
@@ -102,7 +103,9 @@ class EmailService {
         to,
         subject,
         html,
-        text
+        text,
+        attachments: options.attachments,
+        icalEvent: options.icalEvent
       };
       
       console.log(`   From: ${mailOptions.from}`);
@@ -267,14 +270,14 @@ class EmailService {
     );
   }
   
-  async sendCandidateStatusUpdate(candidate) {
+  async sendCandidateStatusUpdate(candidate, status = candidate.status) {
     return this.send(
       candidate.contactInfo.email,
-      `Application Status Update - ${candidate.status}`,
+      `Application Status Update - ${status}`,
       'candidateStatusUpdate',
       {
         candidateName: candidate.fullName || `${candidate.personalDetails.firstName} ${candidate.personalDetails.lastName}`,
-        status: candidate.status,
+        status,
         jobTitle: candidate.appliedPosition || 'Position',
         trackingUrl: `${config.app.url}/candidate/track/${candidate._id}`
       }
@@ -316,7 +319,76 @@ class EmailService {
     );
   }
   
-  async sendInterviewInvitation(candidate, interview) {
+  async sendCandidatePortalInvite(candidate, portalUrl, expiresAt) {
+    return this.send(
+      candidate.contactInfo.email,
+      'Complete Your Profile',
+      'candidatePortalInvite',
+      {
+        candidateName: candidate.fullName || `${candidate.personalDetails.firstName} ${candidate.personalDetails.lastName}`,
+        portalUrl,
+        expiresAt: new Date(expiresAt).toLocaleString()
+      }
+    );
+  }
+  
+  async sendCandidateStepCompleted(recruiter, candidate, stepName) {
+    return this.send(
+      recruiter.email,
+      `Candidate Updated ${stepName} - ${candidate.fullName}`,
+      'candidateStepCompleted',
+      {
+        userName: recruiter.firstName,
+        candidateName: candidate.fullName || `${candidate.personalDetails.firstName} ${candidate.personalDetails.lastName}`,
+        stepName,
+        workflowStage: candidate.workflowStage,
+        candidateUrl: `${config.app.url}/candidates/${candidate._id}`
+      }
+    );
+  }
+  
+  async sendClientPortalInvite(client, spoc, portalUrl, expiresAt) {
+    return this.send(
+      spoc.email,
+      `Review Candidates for ${client.businessDetails.clientName}`,
+      'clientPortalInvite',
+      {
+        spocName: spoc.name,
+        clientName: client.businessDetails.clientName,
+        portalUrl,
+        expiresAt: new Date(expiresAt).toLocaleString()
+      }
+    );
+  }
+  
+  async sendClientPortalAction(recruiter, { client, spoc, application, action, reason, slots }) {
+    const candidate = application.candidateId;
+    const actions = {
+      shortlisted: 'Shortlisted',
+      rejected: 'Rejected',
+      interview_slots_proposed: 'Proposed Interview Slots'
+    };
+    
+    return this.send(
+      recruiter.email,
+      `Client ${actions[action]} - ${application.applicationCode}`,
+      'clientPortalAction',
+      {
+        userName: recruiter.firstName,
+        actionLabel: actions[action],
+        clientName: client.businessDetails.clientName,
+        spocName: spoc.name,
+        applicationCode: application.applicationCode,
+        candidateName: candidate?.personalDetails && `${candidate.personalDetails.firstName} ${candidate.personalDetails.lastName}`,
+        jobTitle: application.requirementId?.jobTitle,
+        reason,
+        slots: (slots || []).map(slot => `${slot.start.toLocaleString()} - ${slot.end.toLocaleString()}`),
+        applicationUrl: `${config.app.url}/candidates/${candidate?._id || candidate}/applications`
+      }
+    );
+  }
+  
+  async sendInterviewInvitation(candidate, interview, calendar) {
     return this.send(
       candidate.contactInfo.email,
       'Interview Invitation',
@@ -330,11 +402,63 @@ class EmailService {
         companyName: interview.companyName,
         joinLink: interview.joinLink,
         instructions: interview.instructions
-      }
+      },
+      this.getCalendarOptions(calendar)
+    );
+  }
+  
+  async sendInterviewerInvitation(user, interview, calendar) {
+    return this.send(
+      user.email,
+      `Interview Scheduled - ${interview.candidateName}`,
+      'interviewerInvitation',
+      {
+        interviewerName: user.firstName,
+        candidateName: interview.candidateName,
+        roundName: interview.roundName,
+        interviewDate: new Date(interview.scheduledDate).toLocaleDateString(),
+        interviewTime: interview.scheduledTime,
+        interviewMode: interview.mode,
+        jobTitle: interview.jobTitle,
+        joinLink: interview.joinLink,
+        interviewUrl: `${config.app.url}/interviews/${interview.id}`
+      },
+      this.getCalendarOptions(calendar)
+    );
+  }
+  
+  async sendInterviewCancellation(recipient, interview, calendar) {
+    return this.send(
+      recipient.email,
+      interview.rescheduled ? 'Interview Rescheduled' : 'Interview Cancelled',
+      'interviewCancellation',
+      {
+        recipientName: recipient.name,
+        jobTitle: interview.jobTitle,
+        interviewDate: new Date(interview.scheduledDate).toLocaleDateString(),
+        interviewTime: interview.scheduledTime,
+        rescheduled: interview.rescheduled,
+        reason: interview.reason
+      },
+      this.getCalendarOptions(calendar)
     );
   }
   
   async sendOfferLetter(candidate, offer) {
+    const calendar = offer.joiningDate && {
+      method: 'REQUEST',
+      content: CalendarService.buildCalendar({
+        method: 'REQUEST',
+        events: [CalendarService.buildJoiningEvent({
+          candidate,
+          joiningDate: offer.joiningDate,
+          position: offer.position,
+          companyName: offer.companyName,
+          referenceId: offer.id || candidate._id
+        })]
+      })
+    };
+    
     return this.send(
       candidate.contactInfo.email,
       'Job Offer - Congratulations!',
@@ -348,10 +472,89 @@ class EmailService {
         offerValidTill: new Date(offer.validTill).toLocaleDateString(),
         acceptUrl: `${config.app.url}/offer/accept/${offer.token}`,
         declineUrl: `${config.app.url}/offer/decline/${offer.token}`
+      },
+      this.getCalendarOptions(calendar)
+    );
+  }
+  
+  async sendJoiningDateReminder(candidate, selection) {
+    return this.send(
+      candidate.contactInfo.email,
+      'Your Joining Date',
+      'joiningDate',
+      {
+        candidateName: candidate.fullName || `${candidate.personalDetails.firstName} ${candidate.personalDetails.lastName}`,
+        position: selection.position,
+        companyName: selection.companyName,
+        joiningDate: new Date(selection.joiningDate).toLocaleDateString()
+      },
+      this.getCalendarOptions({
+        method: 'REQUEST',
+        content: CalendarService.buildCalendar({
+          method: 'REQUEST',
+          events: [CalendarService.buildJoiningEvent({
+            candidate,
+            joiningDate: selection.joiningDate,
+            position: selection.position,
+            companyName: selection.companyName
+          })]
+        })
+      })
+    );
+  }
+  
+  async sendBGVEscalation(recipients, escalation) {
+    return this.send(
+      recipients.join(', '),
+      `BGV Escalation Level ${escalation.level} - ${escalation.caseCode}`,
+      'bgvEscalation',
+      {
+        caseCode: escalation.caseCode,
+        level: escalation.level,
+        vendorName: escalation.vendorName,
+        candidateName: escalation.candidateName,
+        priority: escalation.priority,
+        dueDate: new Date(escalation.dueDate).toLocaleDateString(),
+        hoursOverdue: escalation.hoursOverdue,
+        pendingChecks: escalation.pendingChecks,
+        caseUrl: `${config.app.url}/bgv-cases/${escalation.caseId}`
       }
     );
   }
   
+  async sendMarginApprovalRequest(recipients, approval) {
+    return this.send(
+      recipients.join(', '),
+      `Margin Approval Required - ${approval.applicationCode}`,
+      'marginApproval',
+      {
+        applicationCode: approval.applicationCode,
+        candidateName: approval.candidateName,
+        jobTitle: approval.jobTitle,
+        offeredCTC: approval.offeredCTC,
+        ctcPeriod: approval.ctcPeriod,
+        marginPercentage: approval.marginPercentage,
+        floorPercentage: approval.floorPercentage,
+        maxOffer: approval.maxOffer,
+        remarks: approval.remarks,
+        approvalUrl: `${config.app.url}/applications/${approval.applicationId}/margin-approval`
+      }
+    );
+  }
+  
+  // Attach an iCalendar invite (REQUEST/CANCEL) to a mail
+  getCalendarOptions(calendar) {
+    if (!calendar?.content) return {};
+    
+    return {
+      icalEvent: {
+        method: calendar.method,
+        filename: calendar.method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+        content: calendar.content
+      }
+    };
+  }
+  
   async sendRequirementAllocation(user, requirement) {
     return this.send(
       user.email,
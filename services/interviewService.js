@@ -0,0 +1,352 @@
+// services/interviewService.js
+const Interview = require('../models/Interview');
+const Application = require('../models/Application');
+const Requirement = require('../models/Requirement');
+const Candidate = require('../models/Candidate');
+const User = require('../models/User');
+const EmailService = require('./emailService');
+const CalendarService = require('./calendarService');
+const { AppError } = require('../utils/appError');
+
+class InterviewService {
+  // Schedule an interview for an application round
+  async scheduleInterview(data, user) {
+    const { applicationId, candidateId, requirementId, roundIndex, scheduledStart, scheduledEnd } = data;
+
+    const application = applicationId
+      ? await Application.findById(applicationId)
+      : await Application.findOne({ candidateId, requirementId });
+
+    if (!application) {
+      throw new AppError('No application found for this candidate and requirement', 404);
+    }
+
+    if (!application.isOpen()) {
+      throw new AppError(`Cannot schedule interviews for an application at ${application.stage}`, 400);
+    }
+
+    const requirement = await Requirement.findById(application.requirementId);
+    const round = requirement?.interviewRounds?.[roundIndex];
+
+    if (!round) {
+      throw new AppError('Invalid interview round for this requirement', 400);
+    }
+
+    const interviewers = data.interviewers?.length ? data.interviewers : round.interviewers;
+
+    await this.assertNoConflicts(interviewers, scheduledStart, scheduledEnd);
+
+    const interview = await Interview.create({
+      applicationId: application._id,
+      candidateId: application.candidateId,
+      requirementId: application.requirementId,
+      clientId: application.clientId,
+      round: {
+        index: roundIndex,
+        name: round.name,
+        mode: round.mode,
+        type: round.type,
+        isMandatory: round.isMandatory !== false
+      },
+      scheduledStart,
+      scheduledEnd,
+      timezone: data.timezone,
+      interviewers,
+      location: data.location,
+      meetingLink: data.meetingLink,
+      instructions: data.instructions,
+      scheduledBy: user._id
+    });
+
+    await this.sendInvitations(interview);
+
+    return interview;
+  }
+
+  // Reschedule an interview to a new slot
+  async rescheduleInterview(interview, { scheduledStart, scheduledEnd, reason, interviewers }, user) {
+    if (!interview.isActiveSlot()) {
+      throw new AppError(`Cannot reschedule a ${interview.status} interview`, 400);
+    }
+
+    const nextInterviewers = interviewers?.length ? interviewers : interview.interviewers;
+
+    await this.assertNoConflicts(nextInterviewers, scheduledStart, scheduledEnd, interview._id);
+
+    const previousSlot = {
+      number: interview.rescheduleHistory.length,
+      start: interview.scheduledStart,
+      end: interview.scheduledEnd,
+      interviewers: [...interview.interviewers]
+    };
+
+    interview.rescheduleHistory.push({
+      previousStart: interview.scheduledStart,
+      previousEnd: interview.scheduledEnd,
+      reason,
+      rescheduledBy: user._id
+    });
+    interview.scheduledStart = scheduledStart;
+    interview.scheduledEnd = scheduledEnd;
+    interview.interviewers = nextInterviewers;
+    interview.status = 'rescheduled';
+    interview.lastUpdatedBy = user._id;
+
+    await interview.save();
+
+    // Cancel the old slot in everyone's calendar, then invite to the new one
+    await this.sendCancellations(interview, { slot: previousSlot, reason, rescheduled: true });
+    await this.sendInvitations(interview);
+
+    return interview;
+  }
+
+  // Mark an interview as no-show, completed or cancelled
+  async updateStatus(interview, status, { reason } = {}, user) {
+    if (!['no-show', 'completed', 'cancelled'].includes(status)) {
+      throw new AppError('Status must be one of no-show, completed or cancelled', 400);
+    }
+
+    if (!interview.isActiveSlot()) {
+      throw new AppError(`Interview is already ${interview.status}`, 400);
+    }
+
+    interview.status = status;
+    interview.lastUpdatedBy = user._id;
+
+    if (status === 'cancelled') {
+      interview.cancellation = {
+        reason,
+        cancelledBy: user._id,
+        cancelledAt: new Date()
+      };
+    }
+
+    await interview.save();
+
+    if (status === 'cancelled') {
+      await this.sendCancellations(interview, { reason });
+    }
+
+    return interview;
+  }
+
+  // Record an interviewer's structured feedback
+  async submitFeedback(interview, feedback, user) {
+    if (['cancelled', 'no-show'].includes(interview.status)) {
+      throw new AppError(`Cannot add feedback to a ${interview.status} interview`, 400);
+    }
+
+    const interviewerId = (feedback.interviewer || user._id).toString();
+    const isInterviewer = interview.interviewers.some(i => i.toString() === interviewerId);
+
+    if (!isInterviewer) {
+      throw new AppError('Feedback can only be recorded for an interviewer of this interview', 400);
+    }
+
+    if (interviewerId !== user._id.toString() && !['admin', 'super_admin', 'hr'].includes(user.role)) {
+      throw new AppError('You can only submit your own feedback', 403);
+    }
+
+    // Replace any earlier feedback from the same interviewer
+    interview.feedback = interview.feedback.filter(f => f.interviewer.toString() !== interviewerId);
+    interview.feedback.push({
+      ...feedback,
+      interviewer: interviewerId,
+      submittedAt: new Date()
+    });
+
+    if (interview.isActiveSlot()) {
+      interview.status = 'completed';
+    }
+    interview.lastUpdatedBy = user._id;
+
+    await interview.save();
+
+    return interview;
+  }
+
+  // Find interviews that overlap the slot for any of the interviewers
+  findConflicts(interviewers, start, end, excludeId) {
+    const query = {
+      interviewers: { $in: interviewers },
+      status: { $in: ['scheduled', 'rescheduled'] },
+      scheduledStart: { $lt: new Date(end) },
+      scheduledEnd: { $gt: new Date(start) }
+    };
+
+    if (excludeId) query._id = { $ne: excludeId };
+
+    return Interview
+      .find(query)
+      .select('interviewers scheduledStart scheduledEnd round.name candidateId');
+  }
+
+  // Block double-booking of interviewers
+  async assertNoConflicts(interviewers, start, end, excludeId) {
+    if (!interviewers?.length) return;
+
+    const conflicts = await this.findConflicts(interviewers, start, end, excludeId);
+
+    if (conflicts.length) {
+      const requested = new Set(interviewers.map(i => i.toString()));
+      const busy = [...new Set(
+        conflicts.flatMap(c => c.interviewers.map(i => i.toString())).filter(i => requested.has(i))
+      )];
+
+      throw new AppError('One or more interviewers are already booked for this slot', 409, {
+        busyInterviewers: busy,
+        conflicts: conflicts.map(c => ({
+          interviewId: c._id,
+          scheduledStart: c.scheduledStart,
+          scheduledEnd: c.scheduledEnd
+        }))
+      });
+    }
+  }
+
+  // List mandatory rounds of a requirement that have no feedback yet for a candidate
+  async getPendingMandatoryRounds(candidateId, requirementId) {
+    const requirement = await Requirement.findById(requirementId).select('interviewRounds');
+
+    if (!requirement?.interviewRounds?.length) return [];
+
+    const interviews = await Interview
+      .find({ candidateId, requirementId, status: 'completed' })
+      .select('round.index feedback');
+
+    const roundsWithFeedback = new Set(
+      interviews
+        .filter(i => i.feedback.length > 0)
+        .map(i => i.round.index)
+    );
+
+    return requirement.interviewRounds
+      .map((round, index) => ({ index, name: round.name, isMandatory: round.isMandatory !== false }))
+      .filter(round => round.isMandatory && !roundsWithFeedback.has(round.index));
+  }
+
+  // Upcoming interviews of an interviewer as an iCalendar feed
+  async buildInterviewerFeed(user) {
+    const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+    const interviews = await Interview
+      .find({
+        interviewers: user._id,
+        status: { $in: ['scheduled', 'rescheduled'] },
+        scheduledStart: { $gte: since }
+      })
+      .populate('candidateId', 'personalDetails contactInfo')
+      .populate('requirementId', 'jobTitle')
+      .populate('interviewers', 'firstName lastName email')
+      .sort('scheduledStart')
+      .limit(500);
+
+    const events = interviews.map(interview => CalendarService.buildInterviewEvent(interview, {
+      candidate: interview.candidateId,
+      requirement: interview.requirementId,
+      interviewers: interview.interviewers
+    }));
+
+    return CalendarService.buildCalendar({
+      method: 'PUBLISH',
+      name: `Interviews - ${user.firstName} ${user.lastName}`,
+      events
+    });
+  }
+
+  // Load the records an interview invite refers to
+  async loadCalendarContext(interview, interviewerIds = interview.interviewers) {
+    const [candidate, requirement, interviewers] = await Promise.all([
+      Candidate.findById(interview.candidateId).select('personalDetails contactInfo'),
+      Requirement.findById(interview.requirementId).select('jobTitle companyName'),
+      User.find({ _id: { $in: interviewerIds } }).select('firstName lastName email')
+    ]);
+
+    return { candidate, requirement, interviewers };
+  }
+
+  // Send invitations with a calendar REQUEST to the candidate and interviewers
+  async sendInvitations(interview) {
+    try {
+      const context = await this.loadCalendarContext(interview);
+      const { candidate, requirement, interviewers } = context;
+
+      const calendar = {
+        method: 'REQUEST',
+        content: CalendarService.buildCalendar({
+          method: 'REQUEST',
+          events: [CalendarService.buildInterviewEvent(interview, context)]
+        })
+      };
+
+      const details = {
+        id: interview._id,
+        candidateName: candidate?.fullName,
+        roundName: interview.round.name,
+        scheduledDate: interview.scheduledStart,
+        scheduledTime: this.formatTime(interview),
+        mode: interview.round.mode,
+        jobTitle: requirement?.jobTitle,
+        companyName: requirement?.companyName,
+        joinLink: interview.meetingLink,
+        instructions: interview.instructions
+      };
+
+      if (candidate?.contactInfo?.email) {
+        await EmailService.sendInterviewInvitation(candidate, details, calendar);
+      }
+
+      for (const interviewer of interviewers) {
+        await EmailService.sendInterviewerInvitation(interviewer, details, calendar);
+      }
+    } catch (error) {
+      console.error('Interview invitation error:', error.message);
+    }
+  }
+
+  // Send a calendar CANCEL for a slot to the candidate and interviewers
+  async sendCancellations(interview, { slot, reason, rescheduled = false } = {}) {
+    try {
+      const context = await this.loadCalendarContext(interview, slot?.interviewers);
+      const { candidate, requirement, interviewers } = context;
+
+      const calendar = {
+        method: 'CANCEL',
+        content: CalendarService.buildCalendar({
+          method: 'CANCEL',
+          events: [CalendarService.buildInterviewEvent(interview, { ...context, slot })]
+        })
+      };
+
+      const start = slot?.start || interview.scheduledStart;
+      const details = {
+        jobTitle: requirement?.jobTitle,
+        scheduledDate: start,
+        scheduledTime: this.formatTime(interview, start),
+        rescheduled,
+        reason
+      };
+
+      const recipients = [
+        { name: candidate?.fullName, email: candidate?.contactInfo?.email },
+        ...interviewers.map(user => ({ name: user.firstName, email: user.email }))
+      ];
+
+      for (const recipient of recipients.filter(r => r.email)) {
+        await EmailService.sendInterviewCancellation(recipient, details, calendar);
+      }
+    } catch (error) {
+      console.error('Interview cancellation error:', error.message);
+    }
+  }
+
+  // Format the slot start in the interview's timezone
+  formatTime(interview, start = interview.scheduledStart) {
+    return new Date(start).toLocaleTimeString('en-IN', {
+      timeZone: interview.timezone
+    });
+  }
+}
+
+module.exports = new InterviewService();
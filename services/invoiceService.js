@@ -0,0 +1,522 @@
+// services/invoiceService.js
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Client = require('../models/Client');
+const Application = require('../models/Application');
+const TimesheetService = require('./timesheetService');
+const config = require('../config/constants');
+const { AppError } = require('../utils/appError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days past due for each ageing bucket
+const AGEING_BUCKETS = [
+  { key: 'current', label: 'Not due', min: -Infinity, max: 0 },
+  { key: '1-30', label: '1-30 days', min: 1, max: 30 },
+  { key: '31-60', label: '31-60 days', min: 31, max: 60 },
+  { key: '61-90', label: '61-90 days', min: 61, max: 90 },
+  { key: '90+', label: 'Over 90 days', min: 91, max: Infinity }
+];
+
+// Invoice type for each client business type
+const INVOICE_TYPES = {
+  Permanent: 'permanent',
+  Contract: 'contract',
+  RPO: 'rpo'
+};
+
+class InvoiceService {
+  // Generate an invoice for a client's joined candidates
+  async generateInvoice(data, user) {
+    const { clientId, applicationIds, periodStart, periodEnd, quantities = {}, placeOfSupply, notes } = data;
+
+    const client = await Client.findById(clientId);
+    if (!client) {
+      throw new AppError('No client found with that ID', 404);
+    }
+
+    const invoiceType = data.invoiceType || INVOICE_TYPES[client.businessType];
+    if (!Object.values(INVOICE_TYPES).includes(invoiceType)) {
+      throw new AppError('Please provide a valid invoice type', 400);
+    }
+
+    const invoiceDate = data.invoiceDate ? new Date(data.invoiceDate) : new Date();
+    let period;
+
+    if (invoiceType === 'contract') {
+      if (!periodStart || !periodEnd) {
+        throw new AppError('Please provide the billing period of the contract invoice', 400);
+      }
+      period = { start: this.startOfDay(periodStart), end: this.startOfDay(periodEnd) };
+      if (period.end < period.start) {
+        throw new AppError('Billing period ends before it starts', 400);
+      }
+    }
+
+    const applications = await this.getBillableApplications(client._id, invoiceType, { applicationIds, period });
+
+    if (!applications.length) {
+      throw new AppError('No joined candidates left to invoice for this client', 400);
+    }
+
+    // Approved timesheets of the period, by application
+    const timesheets = new Map();
+    if (invoiceType === 'contract') {
+      const summary = await TimesheetService.getBillableSummary({
+        clientId: client._id,
+        periodStart: period.start,
+        periodEnd: period.end,
+        applicationIds: applications.map(a => a._id)
+      });
+      summary.forEach(placement => timesheets.set(placement.applicationId.toString(), placement));
+    }
+
+    const lineItems = [];
+    const skipped = [];
+
+    for (const application of applications) {
+      const line = invoiceType === 'contract'
+        ? this.buildContractLine(application, client, period, quantities[application._id], timesheets.get(application._id.toString()))
+        : this.buildPlacementLine(application, client, invoiceType);
+
+      if (line.error) skipped.push({ applicationId: application._id, reason: line.error });
+      else lineItems.push(line);
+    }
+
+    if (!lineItems.length) {
+      throw new AppError('None of the joined candidates could be priced', 400, { skipped });
+    }
+
+    const subtotal = this.round(lineItems.reduce((sum, line) => sum + line.amount, 0));
+    const billToStateCode = placeOfSupply || this.getStateCode(client.billingInfo?.gstNumber);
+    const tax = this.calculateTax(subtotal, billToStateCode);
+    const paymentTerms = client.billingInfo?.paymentTerms ?? config.billing.defaultPaymentTerms;
+
+    const { invoiceNumber, financialYear, sequence } = await this.nextInvoiceNumber(invoiceDate);
+
+    const invoice = await Invoice.create({
+      invoiceNumber,
+      financialYear,
+      sequence,
+      clientId: client._id,
+      invoiceType,
+      period,
+      billTo: {
+        name: client.businessDetails?.clientName,
+        address: client.addressDetails?.billingAddress,
+        gstNumber: client.billingInfo?.gstNumber,
+        stateCode: billToStateCode
+      },
+      lineItems,
+      subtotal,
+      tax,
+      total: this.round(subtotal + tax.totalTax),
+      invoiceDate,
+      paymentTerms,
+      dueDate: new Date(invoiceDate.getTime() + paymentTerms * DAY_MS),
+      notes,
+      createdBy: user._id
+    });
+
+    await TimesheetService.setInvoice(lineItems.flatMap(line => line.timesheetIds || []), invoice._id);
+
+    return { invoice, skipped };
+  }
+
+  // Joined applications of the client not yet billed (for the period, on contract)
+  async getBillableApplications(clientId, invoiceType, { applicationIds, period }) {
+    const query = { clientId, stage: 'Joined', isActive: true };
+    if (applicationIds?.length) query._id = { $in: applicationIds };
+
+    const applications = await Application
+      .find(query)
+      .populate('candidateId', 'personalDetails financialInfo')
+      .populate('requirementId', 'jobTitle departmentCategory');
+
+    const billed = { invoiceType, status: { $ne: 'cancelled' } };
+
+    if (invoiceType === 'contract') {
+      // Overlapping contract periods would bill the same days twice
+      billed['period.start'] = { $lte: period.end };
+      billed['period.end'] = { $gte: period.start };
+    }
+
+    const invoiced = await Invoice.distinct('lineItems.applicationId', {
+      ...billed,
+      'lineItems.applicationId': { $in: applications.map(a => a._id) }
+    });
+    const invoicedIds = new Set(invoiced.map(id => id.toString()));
+
+    return applications.filter(application => {
+      if (invoicedIds.has(application._id.toString())) return false;
+      if (invoiceType !== 'contract') return true;
+
+      const joinedAt = application.getJoinedAt();
+      return !joinedAt || joinedAt <= period.end;
+    });
+  }
+
+  // Permanent and RPO placements are billed once
+  buildPlacementLine(application, client, invoiceType) {
+    const candidate = application.candidateId;
+    const requirement = application.requirementId;
+    let rate;
+
+    if (invoiceType === 'rpo') {
+      const entry = this.findRpoEntry(client.rpoEntries, requirement);
+      if (!entry) return { error: 'No RPO entry matches the requirement' };
+      rate = entry.invoiceValue;
+    } else {
+      rate = candidate?.financialInfo?.billRate;
+    }
+
+    if (!rate) return { error: 'No placement fee recorded' };
+
+    return {
+      candidateId: candidate._id,
+      applicationId: application._id,
+      requirementId: requirement?._id,
+      description: `${invoiceType === 'rpo' ? 'RPO fee' : 'Placement fee'} - ${candidate.fullName}${requirement?.jobTitle ? ` (${requirement.jobTitle})` : ''}`,
+      billingRule: 'Fixed',
+      quantity: 1,
+      unit: 'placement',
+      rate,
+      amount: this.round(rate)
+    };
+  }
+
+  // Contract candidates are billed from their approved timesheets, or for the working days of the period they were on board
+  buildContractLine(application, client, period, quantity, timesheet) {
+    const candidate = application.candidateId;
+    const rate = candidate?.financialInfo?.billRate;
+    const billingRule = client.billingInfo?.billingRule || 'Per day';
+    const approved = timesheet?.timesheetIds.length ? timesheet : null;
+
+    if (!rate) return { error: 'No bill rate recorded' };
+
+    // Clients on timesheets are only billed for approved time
+    if (quantity === undefined && billingRule !== 'Fixed' && client.timesheetConfig?.timesheetType && !approved) {
+      return { error: timesheet?.pending.length ? 'Timesheet for the period is not approved yet' : 'No approved timesheet for the period' };
+    }
+
+    const joinedAt = application.getJoinedAt();
+    const from = joinedAt && joinedAt > period.start ? this.startOfDay(joinedAt) : period.start;
+    const workingDays = this.countWorkingDays(from, period.end);
+
+    let unit;
+    if (billingRule === 'Per hour') {
+      unit = 'hours';
+      quantity = quantity ?? approved?.billableHours ?? workingDays * (client.timesheetConfig?.workingHoursPerDay || 8);
+    } else if (billingRule === 'Fixed') {
+      // Fixed monthly rate, prorated when the candidate joined during the period
+      unit = 'month';
+      quantity = quantity ?? Math.round((workingDays / (this.countWorkingDays(period.start, period.end) || 1)) * 100) / 100;
+    } else {
+      unit = 'days';
+      quantity = quantity ?? approved?.billableDays ?? workingDays;
+    }
+
+    quantity = Number(quantity);
+    if (!quantity || quantity < 0) return { error: 'Nothing to bill for the period' };
+
+    return {
+      candidateId: candidate._id,
+      applicationId: application._id,
+      requirementId: application.requirementId?._id,
+      description: `${candidate.fullName}${application.requirementId?.jobTitle ? ` - ${application.requirementId.jobTitle}` : ''} (${this.formatDate(period.start)} to ${this.formatDate(period.end)})`,
+      billingRule,
+      quantity,
+      unit,
+      rate,
+      amount: this.round(rate * quantity),
+      timesheetIds: approved && billingRule !== 'Fixed' ? approved.timesheetIds : []
+    };
+  }
+
+  // RPO entry for the requirement's category, or the only entry there is
+  findRpoEntry(entries = [], requirement) {
+    const category = String(requirement?.departmentCategory || '').trim().toLowerCase();
+    const match = entries.find(entry => category && String(entry.skillCategory || '').trim().toLowerCase() === category);
+
+    return match || (entries.length === 1 ? entries[0] : null);
+  }
+
+  // CGST + SGST within the supplier's state, IGST across states
+  calculateTax(subtotal, placeOfSupply) {
+    const gstRate = config.billing.gstRate;
+    const supplierState = config.billing.stateCode;
+    const intraState = Boolean(supplierState && placeOfSupply && supplierState === placeOfSupply);
+    const half = this.round(subtotal * gstRate / 200);
+
+    const tax = {
+      supplyType: intraState ? 'intra_state' : 'inter_state',
+      placeOfSupply,
+      gstRate,
+      cgstAmount: intraState ? half : 0,
+      sgstAmount: intraState ? half : 0,
+      igstAmount: intraState ? 0 : this.round(subtotal * gstRate / 100)
+    };
+    tax.totalTax = this.round(tax.cgstAmount + tax.sgstAmount + tax.igstAmount);
+
+    return tax;
+  }
+
+  // Take the next invoice number of the financial year of a date
+  async nextInvoiceNumber(invoiceDate) {
+    const financialYear = this.getFinancialYear(invoiceDate);
+    const sequence = await Counter.next(`invoice-${financialYear}`);
+
+    return {
+      financialYear,
+      sequence,
+      invoiceNumber: `${config.billing.invoicePrefix}/${financialYear}/${String(sequence).padStart(4, '0')}`
+    };
+  }
+
+  // Indian financial year: April 2026 - March 2027 is "2026-27"
+  getFinancialYear(date) {
+    const d = new Date(date);
+    const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  }
+
+  // First two digits of a GSTIN are the state code
+  getStateCode(gstNumber) {
+    const code = String(gstNumber || '').trim().slice(0, 2);
+    return /^\d{2}$/.test(code) ? code : undefined;
+  }
+
+  // Record a payment against an invoice
+  async recordPayment(invoice, { amount, paidAt, mode, reference }, user) {
+    if (invoice.status === 'cancelled') {
+      throw new AppError('Payments cannot be recorded on a cancelled invoice', 400);
+    }
+
+    amount = this.round(Number(amount));
+    if (!amount || amount <= 0) {
+      throw new AppError('Please provide a positive payment amount', 400);
+    }
+
+    if (amount > invoice.balance) {
+      throw new AppError(`Payment exceeds the outstanding balance of ${invoice.balance}`, 400);
+    }
+
+    invoice.payments.push({
+      amount,
+      paidAt: paidAt ? new Date(paidAt) : new Date(),
+      mode,
+      reference,
+      recordedBy: user._id
+    });
+    invoice.lastUpdatedBy = user._id;
+
+    await invoice.save();
+
+    return invoice;
+  }
+
+  // Cancel an invoice - the number stays used so the sequence has no gaps
+  async cancelInvoice(invoice, { reason }, user) {
+    if (invoice.status === 'cancelled') {
+      throw new AppError('Invoice is already cancelled', 400);
+    }
+
+    if (invoice.amountPaid > 0) {
+      throw new AppError('Invoices with payments recorded cannot be cancelled', 400);
+    }
+
+    invoice.status = 'cancelled';
+    invoice.cancellation = {
+      reason,
+      cancelledBy: user._id,
+      cancelledAt: new Date()
+    };
+    invoice.lastUpdatedBy = user._id;
+
+    await invoice.save();
+
+    // Release the timesheets so they can be billed again
+    await TimesheetService.setInvoice(invoice.lineItems.flatMap(line => line.timesheetIds || []), null);
+
+    return invoice;
+  }
+
+  // Outstanding balances grouped by days past due
+  async getAgeing({ clientId, asOf = new Date() } = {}) {
+    const query = { status: { $in: ['issued', 'partially_paid'] } };
+    if (clientId) query.clientId = clientId;
+
+    const invoices = await Invoice
+      .find(query)
+      .select('invoiceNumber clientId billTo.name dueDate total balance')
+      .sort('dueDate');
+
+    const emptyBuckets = () => AGEING_BUCKETS.map(bucket => ({
+      bucket: bucket.key,
+      label: bucket.label,
+      count: 0,
+      amount: 0
+    }));
+
+    const summary = emptyBuckets();
+    const clients = new Map();
+
+    for (const invoice of invoices) {
+      const daysOverdue = Math.floor((asOf - invoice.dueDate) / DAY_MS);
+      const index = AGEING_BUCKETS.findIndex(bucket => daysOverdue >= bucket.min && daysOverdue <= bucket.max);
+      const key = invoice.clientId.toString();
+
+      if (!clients.has(key)) {
+        clients.set(key, { clientId: invoice.clientId, clientName: invoice.billTo?.name, outstanding: 0, buckets: emptyBuckets() });
+      }
+      const client = clients.get(key);
+
+      for (const buckets of [summary, client.buckets]) {
+        buckets[index].count++;
+        buckets[index].amount = this.round(buckets[index].amount + invoice.balance);
+      }
+      client.outstanding = this.round(client.outstanding + invoice.balance);
+    }
+
+    return {
+      asOf,
+      outstanding: this.round(summary.reduce((sum, bucket) => sum + bucket.amount, 0)),
+      buckets: summary,
+      clients: [...clients.values()].sort((a, b) => b.outstanding - a.outstanding)
+    };
+  }
+
+  // Tax invoice PDF
+  exportToPdf(invoice) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 40 });
+      const chunks = [];
+      const billing = config.billing;
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve({
+        buffer: Buffer.concat(chunks),
+        contentType: 'application/pdf'
+      }));
+      doc.on('error', reject);
+
+      // Supplier
+      doc.fontSize(16).font('Helvetica-Bold').text(billing.companyName);
+      doc.fontSize(9).font('Helvetica');
+      if (billing.companyAddress) doc.text(billing.companyAddress);
+      if (billing.gstNumber) doc.text(`GSTIN: ${billing.gstNumber}`);
+      doc.moveDown();
+
+      doc.fontSize(14).font('Helvetica-Bold').text(invoice.status === 'cancelled' ? 'TAX INVOICE (CANCELLED)' : 'TAX INVOICE', { align: 'right' });
+      doc.moveDown(0.5);
+
+      // Invoice and customer details
+      doc.fontSize(10);
+      [
+        ['Invoice No', invoice.invoiceNumber],
+        ['Invoice Date', this.formatDate(invoice.invoiceDate)],
+        ['Due Date', this.formatDate(invoice.dueDate)],
+        invoice.period?.start && ['Billing Period', `${this.formatDate(invoice.period.start)} to ${this.formatDate(invoice.period.end)}`],
+        ['Bill To', invoice.billTo?.name],
+        ['Address', invoice.billTo?.address],
+        invoice.billTo?.gstNumber && ['GSTIN', invoice.billTo.gstNumber],
+        ['Place of Supply', invoice.tax?.placeOfSupply || '-']
+      ].filter(Boolean).forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+        doc.font('Helvetica').text(value || '-');
+      });
+      doc.moveDown();
+
+      // Line items
+      const columns = [
+        { header: '#', width: 25, value: (item, index) => index + 1 },
+        { header: 'Description', width: 240, value: item => item.description },
+        { header: 'Qty', width: 60, value: item => `${item.quantity} ${item.unit || ''}`.trim(), align: 'right' },
+        { header: 'Rate', width: 85, value: item => this.formatAmount(item.rate), align: 'right' },
+        { header: 'Amount', width: 100, value: item => this.formatAmount(item.amount), align: 'right' }
+      ];
+
+      const drawRow = (values, bold) => {
+        if (doc.y > doc.page.height - 100) doc.addPage();
+
+        const y = doc.y;
+        let x = doc.page.margins.left;
+        let height = 0;
+
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        columns.forEach((column, index) => {
+          const text = String(values[index] ?? '');
+          const options = { width: column.width - 5, align: column.align || 'left' };
+          doc.text(text, x, y, options);
+          height = Math.max(height, doc.heightOfString(text, options));
+          x += column.width;
+        });
+        doc.x = doc.page.margins.left;
+        doc.y = y + height + 6;
+      };
+
+      drawRow(columns.map(column => column.header), true);
+      invoice.lineItems.forEach((item, index) => drawRow(columns.map(column => column.value(item, index))));
+
+      // Totals
+      doc.moveDown();
+      const tax = invoice.tax || {};
+      const totals = [['Subtotal', invoice.subtotal]];
+
+      if (tax.supplyType === 'intra_state') {
+        totals.push([`CGST @ ${tax.gstRate / 2}%`, tax.cgstAmount], [`SGST @ ${tax.gstRate / 2}%`, tax.sgstAmount]);
+      } else {
+        totals.push([`IGST @ ${tax.gstRate}%`, tax.igstAmount]);
+      }
+
+      totals.push(['Total', invoice.total]);
+      if (invoice.amountPaid) totals.push(['Paid', invoice.amountPaid], ['Balance Due', invoice.balance]);
+
+      for (const [label, value] of totals) {
+        doc.font(['Total', 'Balance Due'].includes(label) ? 'Helvetica-Bold' : 'Helvetica').fontSize(10)
+          .text(`${label}: ${invoice.currency} ${this.formatAmount(value)}`, { align: 'right' });
+      }
+
+      doc.moveDown();
+      doc.font('Helvetica').fontSize(9).text(`Payment due within ${invoice.paymentTerms} days of the invoice date.`);
+      if (invoice.notes) doc.text(invoice.notes);
+
+      doc.end();
+    });
+  }
+
+  // Monday to Friday between two dates, both inclusive
+  countWorkingDays(from, to) {
+    let count = 0;
+    const day = this.startOfDay(from);
+    const end = this.startOfDay(to);
+
+    while (day <= end) {
+      if (day.getDay() !== 0 && day.getDay() !== 6) count++;
+      day.setDate(day.getDate() + 1);
+    }
+
+    return count;
+  }
+
+  startOfDay(date) {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+  }
+
+  formatDate(date) {
+    return new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+  }
+
+  formatAmount(value) {
+    return Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,338 @@
+// services/leaveService.js
+const LeaveLedger = require('../models/LeaveLedger');
+const { AppError } = require('../utils/appError');
+
+// Leave days beyond the balance, or of a type the policy does not pay for
+const LOSS_OF_PAY = 'LOP';
+
+class LeaveService {
+  // Ledger of a placed consultant, created on first use
+  async getLedger(application) {
+    const ledger = await LeaveLedger.findOne({ applicationId: application._id });
+    if (ledger) return ledger;
+
+    return LeaveLedger.create({
+      applicationId: application._id,
+      candidateId: application.candidateId,
+      clientId: application.clientId,
+      joinedAt: application.getJoinedAt() || application.updatedAt || new Date()
+    });
+  }
+
+  // Balances per leave type as of a date: monthly accruals, year-end carry-forward and the ledger movements
+  computeBalances(ledger, leavePolicy, asOf = new Date(), { excludeTimesheetId } = {}) {
+    const probationEndsAt = this.getProbationEnd(ledger.joinedAt, leavePolicy);
+    const balances = new Map();
+
+    const balanceOf = (code, config) => {
+      if (!balances.has(code)) {
+        balances.set(code, {
+          code,
+          name: undefined,
+          paid: false,
+          accrued: 0,
+          availed: 0,
+          encashed: 0,
+          adjusted: 0,
+          carriedForward: 0,
+          lapsed: 0,
+          lopDays: 0,
+          balance: 0
+        });
+      }
+
+      // Name and paid status follow the phase in force - a type may only exist after probation
+      const entry = balances.get(code);
+      if (config) {
+        entry.name = config.name;
+        entry.paid = config.paid !== false;
+      }
+      return entry;
+    };
+
+    const transactions = ledger.transactions
+      .filter(tx => !excludeTimesheetId || String(tx.timesheetId) !== String(excludeTimesheetId))
+      .filter(tx => tx.date <= asOf)
+      .sort((a, b) => a.date - b.date);
+
+    const joinedAt = new Date(ledger.joinedAt);
+    const month = new Date(joinedAt.getFullYear(), joinedAt.getMonth(), 1);
+    let next = 0;
+
+    while (month <= asOf) {
+      const leaveTypes = this.getLeaveTypes(leavePolicy, month < probationEndsAt ? 'preProbation' : 'postProbation');
+
+      // Year end: unused days carry forward up to the limit, the rest lapse
+      if (month.getMonth() === 0 && month > joinedAt) {
+        for (const entry of balances.values()) {
+          const config = leaveTypes.find(type => type.code === entry.code);
+          const keep = config?.carryForward?.allowed ? Math.min(entry.balance, config.carryForward.maxDays ?? Infinity) : 0;
+
+          entry.lapsed = this.round(entry.lapsed + entry.balance - keep);
+          entry.carriedForward = keep;
+          entry.balance = keep;
+        }
+      }
+
+      // Credit at the start of the month, prorated for the joining month
+      const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+      const share = month < joinedAt ? (daysInMonth - joinedAt.getDate() + 1) / daysInMonth : 1;
+
+      for (const config of leaveTypes) {
+        const entry = balanceOf(config.code, config);
+        const credit = this.round(config.accrualPerMonth * share);
+        entry.accrued = this.round(entry.accrued + credit);
+        entry.balance = this.round(entry.balance + credit);
+      }
+
+      const monthEnd = new Date(month.getFullYear(), month.getMonth() + 1, 1);
+      while (next < transactions.length && transactions[next].date < monthEnd) {
+        this.applyTransaction(balanceOf(transactions[next].leaveType, leaveTypes.find(type => type.code === transactions[next].leaveType)), transactions[next]);
+        next++;
+      }
+
+      month.setMonth(month.getMonth() + 1);
+    }
+
+    const phase = asOf < probationEndsAt ? 'preProbation' : 'postProbation';
+    const leaveTypes = [...balances.values()];
+
+    return {
+      asOf,
+      joinedAt: ledger.joinedAt,
+      probationEndsAt,
+      phase,
+      leaveTypes,
+      totals: {
+        balance: this.round(leaveTypes.filter(entry => entry.paid).reduce((sum, entry) => sum + entry.balance, 0)),
+        lopDays: this.round(leaveTypes.reduce((sum, entry) => sum + entry.lopDays, 0))
+      }
+    };
+  }
+
+  applyTransaction(entry, tx) {
+    if (tx.kind === 'adjustment') {
+      entry.adjusted = this.round(entry.adjusted + tx.days);
+      entry.balance = this.round(Math.max(0, entry.balance + tx.days));
+    } else if (tx.kind === 'encashed') {
+      entry.encashed = this.round(entry.encashed + tx.days);
+      entry.balance = this.round(Math.max(0, entry.balance - tx.days));
+    } else {
+      // Days beyond the balance, or of an unpaid type, are loss of pay
+      const covered = entry.paid ? Math.min(entry.balance, tx.days) : 0;
+      entry.availed = this.round(entry.availed + tx.days);
+      entry.balance = this.round(entry.balance - covered);
+      entry.lopDays = this.round(entry.lopDays + tx.days - covered);
+    }
+  }
+
+  // Check the leave of a timesheet against the balances at the end of its period
+  async checkTimesheetLeave(timesheet, client, application) {
+    const leaveDays = timesheet.entries
+      .filter(entry => entry.type === 'leave')
+      .reduce((sum, entry) => sum + (entry.days || 1), 0);
+
+    const leavePolicy = client?.leavePolicy;
+    if (!this.hasPolicy(leavePolicy)) {
+      return { status: 'not_configured', leaveDays };
+    }
+
+    const ledger = await LeaveLedger.findOne({ applicationId: timesheet.applicationId })
+      || new LeaveLedger({ joinedAt: application?.getJoinedAt() || timesheet.period.start });
+    const summary = this.computeBalances(ledger, leavePolicy, this.endOfDay(timesheet.period.end), {
+      excludeTimesheetId: timesheet._id
+    });
+
+    const allocated = this.allocateLeave(timesheet, summary);
+    const excessDays = allocated
+      .filter(item => item.leaveType === LOSS_OF_PAY)
+      .reduce((sum, item) => sum + item.days, 0);
+
+    return {
+      status: excessDays > 0 ? 'exceeds' : 'within',
+      allowedDays: summary.totals.balance,
+      leaveDays,
+      excessDays: this.round(excessDays),
+      policy: summary.phase
+    };
+  }
+
+  // Post the leave of an approved timesheet to the ledger, replacing anything posted for it before
+  async recordTimesheetLeave(timesheet, client, application, user) {
+    if (!this.hasPolicy(client?.leavePolicy)) return null;
+
+    const ledger = await this.getLedger(application);
+    ledger.transactions = ledger.transactions.filter(tx => String(tx.timesheetId) !== String(timesheet._id));
+
+    const summary = this.computeBalances(ledger, client.leavePolicy, this.endOfDay(timesheet.period.end));
+
+    for (const item of this.allocateLeave(timesheet, summary)) {
+      ledger.transactions.push({
+        kind: 'availed',
+        leaveType: item.leaveType,
+        days: item.days,
+        date: item.date,
+        timesheetId: timesheet._id,
+        recordedBy: user._id
+      });
+    }
+
+    await ledger.save();
+
+    return ledger;
+  }
+
+  // Split the leave entries of a timesheet over the balances; what is not covered is loss of pay
+  allocateLeave(timesheet, summary) {
+    const available = new Map(summary.leaveTypes.filter(entry => entry.paid).map(entry => [entry.code, entry.balance]));
+    const allocated = [];
+
+    const take = (code, date, days) => {
+      const covered = Math.min(available.get(code) || 0, days);
+      if (covered > 0) {
+        available.set(code, this.round(available.get(code) - covered));
+        allocated.push({ date, leaveType: code, days: covered });
+      }
+      return this.round(days - covered);
+    };
+
+    const entries = timesheet.entries
+      .filter(entry => entry.type === 'leave')
+      .sort((a, b) => a.date - b.date);
+
+    for (const entry of entries) {
+      const code = entry.leaveType && String(entry.leaveType).trim().toUpperCase();
+      let remaining = entry.days || 1;
+
+      if (code) {
+        remaining = take(code, entry.date, remaining);
+      } else {
+        // No type given - use whichever paid leave is left
+        for (const paidCode of available.keys()) {
+          if (remaining <= 0) break;
+          remaining = take(paidCode, entry.date, remaining);
+        }
+      }
+
+      if (remaining > 0) allocated.push({ date: entry.date, leaveType: LOSS_OF_PAY, days: remaining });
+    }
+
+    return allocated;
+  }
+
+  // Encash unused days where the leave type allows it
+  async encashLeave(application, leavePolicy, { leaveType, days, remarks }, user) {
+    const ledger = await this.getLedger(application);
+    const code = String(leaveType || '').trim().toUpperCase();
+    days = Number(days);
+
+    if (!days || days <= 0) {
+      throw new AppError('Please provide the number of days to encash', 400);
+    }
+
+    const summary = this.computeBalances(ledger, leavePolicy);
+    const config = this.getLeaveTypes(leavePolicy, summary.phase).find(type => type.code === code);
+
+    if (!config?.encashment?.allowed) {
+      throw new AppError(`Leave type ${code} cannot be encashed under the client policy`, 400);
+    }
+
+    const balance = summary.leaveTypes.find(entry => entry.code === code)?.balance || 0;
+    if (days > balance) {
+      throw new AppError(`Only ${balance} days of ${code} are available`, 400);
+    }
+
+    if (config.encashment.maxDaysPerYear !== undefined && config.encashment.maxDaysPerYear !== null) {
+      const year = new Date().getFullYear();
+      const encashed = ledger.transactions
+        .filter(tx => tx.kind === 'encashed' && tx.leaveType === code && tx.date.getFullYear() === year)
+        .reduce((sum, tx) => sum + tx.days, 0);
+
+      if (encashed + days > config.encashment.maxDaysPerYear) {
+        throw new AppError(`At most ${config.encashment.maxDaysPerYear} days of ${code} can be encashed in a year (${encashed} already encashed)`, 400);
+      }
+    }
+
+    ledger.transactions.push({
+      kind: 'encashed',
+      leaveType: code,
+      days,
+      date: new Date(),
+      remarks,
+      recordedBy: user._id
+    });
+
+    await ledger.save();
+
+    return ledger;
+  }
+
+  // Manual correction of a balance
+  async adjustLeave(application, { leaveType, days, remarks }, user) {
+    days = Number(days);
+
+    if (!leaveType || !days) {
+      throw new AppError('Please provide the leave type and the days to adjust', 400);
+    }
+
+    if (!remarks) {
+      throw new AppError('Please provide a reason for the adjustment', 400);
+    }
+
+    const ledger = await this.getLedger(application);
+
+    ledger.transactions.push({
+      kind: 'adjustment',
+      leaveType,
+      days,
+      date: new Date(),
+      remarks,
+      recordedBy: user._id
+    });
+
+    await ledger.save();
+
+    return ledger;
+  }
+
+  // Paid leave days accrued per month once confirmed, used to cost leave in margins
+  getPaidLeaveDaysPerMonth(leavePolicy) {
+    for (const phase of ['postProbation', 'preProbation']) {
+      const leaveTypes = this.getLeaveTypes(leavePolicy, phase);
+      if (leaveTypes.length) {
+        return this.round(leaveTypes
+          .filter(type => type.paid !== false)
+          .reduce((sum, type) => sum + type.accrualPerMonth, 0));
+      }
+    }
+
+    return null;
+  }
+
+  getLeaveTypes(leavePolicy, phase) {
+    return leavePolicy?.[phase]?.leaveTypes || [];
+  }
+
+  hasPolicy(leavePolicy) {
+    return this.getLeaveTypes(leavePolicy, 'preProbation').length > 0
+      || this.getLeaveTypes(leavePolicy, 'postProbation').length > 0;
+  }
+
+  getProbationEnd(joinedAt, leavePolicy) {
+    const months = leavePolicy?.probationMonths ?? 6;
+    const date = new Date(joinedAt);
+    return new Date(date.getFullYear(), date.getMonth() + months, date.getDate());
+  }
+
+  endOfDay(date) {
+    const d = new Date(date);
+    d.setHours(23, 59, 59, 999);
+    return d;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new LeaveService();
@@ -0,0 +1,82 @@
+// services/magicLinkService.js
+const crypto = require('crypto');
+const MagicLink = require('../models/MagicLink');
+const { AppError } = require('../utils/appError');
+
+class MagicLinkService {
+  // Issue a link for one record, revoking any earlier link for the same purpose
+  async issue({ purpose, subjectType, subjectId, spocId, email, expiresInHours }, user) {
+    await this.revoke({ purpose, subjectType, subjectId, spocId }, user);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const link = await MagicLink.create({
+      tokenHash: this.hashToken(token),
+      purpose,
+      subjectType,
+      subjectId,
+      spocId,
+      email,
+      expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+      createdBy: user._id
+    });
+
+    return { link, token };
+  }
+
+  // Resolve a token to its link, recording the use
+  async verify(token, purpose, { ipAddress } = {}) {
+    const link = token && await MagicLink.findOne({ tokenHash: this.hashToken(token), purpose });
+
+    if (!link || link.revokedAt) {
+      throw new AppError('This link is not valid. Please ask for a new one.', 401);
+    }
+
+    if (link.expiresAt <= new Date()) {
+      throw new AppError('This link has expired. Please ask for a new one.', 401);
+    }
+
+    link.lastUsedAt = new Date();
+    link.lastUsedIp = ipAddress;
+    link.useCount += 1;
+    await link.save();
+
+    return link;
+  }
+
+  // Revoke the active links of a record
+  async revoke({ purpose, subjectType, subjectId, spocId }, user) {
+    const result = await MagicLink.updateMany(
+      {
+        purpose,
+        subjectType,
+        subjectId,
+        ...(spocId && { spocId }),
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        revokedAt: new Date(),
+        revokedBy: user?._id
+      }
+    );
+
+    return result.modifiedCount;
+  }
+
+  async getActive({ purpose, subjectType, subjectId, spocId }) {
+    return MagicLink.findOne({
+      purpose,
+      subjectType,
+      subjectId,
+      ...(spocId && { spocId }),
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort('-createdAt');
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = new MagicLinkService();
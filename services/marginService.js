@@ -0,0 +1,322 @@
+// services/marginService.js
+const Client = require('../models/Client');
+const Candidate = require('../models/Candidate');
+const Requirement = require('../models/Requirement');
+const Application = require('../models/Application');
+const Offer = require('../models/Offer');
+const Activity = require('../models/Activity');
+const User = require('../models/User');
+const WorkflowService = require('./workflowService');
+const EmailService = require('./emailService');
+const config = require('../config/constants');
+const { AppError } = require('../utils/appError');
+
+// Business types billed on a rate, where the offer eats into the margin
+const CONTRACT_TYPES = ['Contract', 'Contract MSP'];
+
+class MarginService {
+  // What-if for a requirement: margin at the expected CTC and the highest offer that keeps margin above the floor
+  async simulate(requirement, { expectedCTC, ctcPeriod, billRate, mspFeePercentage, lastWithdrawnSalary, candidateId }) {
+    const client = await Client.findById(requirement.clientId);
+    if (!client) {
+      throw new AppError('No client found for the requirement', 404);
+    }
+
+    const businessType = this.getBusinessType(client);
+    if (!CONTRACT_TYPES.includes(businessType)) {
+      throw new AppError('Margin simulation applies to contract clients only', 400);
+    }
+
+    let candidate = null;
+    if (candidateId) {
+      candidate = await Candidate.findById(candidateId).select('financialInfo recruiterCallData');
+      if (!candidate) {
+        throw new AppError('No candidate found with that ID', 404);
+      }
+    }
+
+    expectedCTC = Number(expectedCTC ?? candidate?.recruiterCallData?.salaryDetails?.expectedCTC);
+    billRate = Number(billRate ?? candidate?.financialInfo?.billRate);
+
+    if (!expectedCTC || expectedCTC <= 0) {
+      throw new AppError('Please provide the expected CTC', 400);
+    }
+
+    if (!billRate || billRate <= 0) {
+      throw new AppError('Please provide the bill rate', 400);
+    }
+
+    ctcPeriod = ctcPeriod || (requirement.salaryType === 'monthly' ? 'monthly' : 'annual');
+    if (!['annual', 'monthly'].includes(ctcPeriod)) {
+      throw new AppError('CTC period must be annual or monthly', 400);
+    }
+
+    const perMonth = (value) => ctcPeriod === 'annual' ? value / 12 : value;
+    const monthlyBillRate = this.toMonthlyBillRate(billRate, client);
+    const monthlySalary = perMonth(expectedCTC);
+
+    mspFeePercentage = businessType === 'Contract MSP'
+      ? Number(mspFeePercentage ?? candidate?.financialInfo?.mspFeePercentage ?? client.businessDetails?.mspPercentage) || 0
+      : 0;
+
+    const lastSalary = Number(lastWithdrawnSalary ?? candidate?.recruiterCallData?.salaryDetails?.currentCTC) || undefined;
+    const metrics = WorkflowService.calculateFinancialMetrics({
+      businessType,
+      lastWithdrawnSalary: lastSalary && perMonth(lastSalary),
+      offeredSalary: monthlySalary,
+      billRate: monthlyBillRate,
+      mspFeePercentage
+    }, client.leavePolicy);
+    if (!isFinite(metrics.hikePercentage)) delete metrics.hikePercentage;
+
+    const floor = this.getFloor(client, businessType);
+    const maxMonthlySalary = this.getMaxMonthlySalary(monthlyBillRate, {
+      floorPercentage: floor.percentage,
+      mspFeePercentage,
+      leaveDaysPerMonth: metrics.leaveDaysPerMonth
+    });
+    const maxOffer = this.roundDown(ctcPeriod === 'annual' ? maxMonthlySalary * 12 : maxMonthlySalary);
+    const marginPercentage = this.round(metrics.afterLeaveCostMarginPercentage);
+
+    return {
+      requirementId: requirement._id,
+      clientId: client._id,
+      businessType,
+      ctcPeriod,
+      billRate,
+      monthlyBillRate: this.round(monthlyBillRate),
+      mspFeePercentage,
+      leaveDaysPerMonth: metrics.leaveDaysPerMonth,
+      floor,
+      expected: {
+        ctc: expectedCTC,
+        monthlySalary: this.round(monthlySalary),
+        marginPercentage,
+        metrics
+      },
+      maxOffer,
+      maxMonthlySalary: this.roundDown(maxMonthlySalary),
+      headroom: this.round(maxOffer - expectedCTC),
+      meetsFloor: marginPercentage >= floor.percentage,
+      requiresApproval: marginPercentage < floor.percentage
+    };
+  }
+
+  // Highest monthly salary where (bill - MSP fee - salary - leave cost) / bill stays at the floor
+  getMaxMonthlySalary(monthlyBillRate, { floorPercentage, mspFeePercentage, leaveDaysPerMonth }) {
+    const afterMsp = 1 - (mspFeePercentage || 0) / 100;
+    const leaveShare = leaveDaysPerMonth / config.margin.workingDaysPerMonth;
+
+    return Math.max(0, monthlyBillRate * (afterMsp - floorPercentage / 100) / (afterMsp + leaveShare));
+  }
+
+  // Client floor, or the default for its business type
+  getFloor(client, businessType = this.getBusinessType(client)) {
+    const clientFloor = client.marginPolicy?.minMarginPercentage;
+
+    if (clientFloor !== undefined && clientFloor !== null) {
+      return { percentage: clientFloor, source: 'client' };
+    }
+
+    return { percentage: config.margin.floors[businessType] ?? 0, source: 'default' };
+  }
+
+  getBusinessType(client) {
+    return client?.subType || client?.businessType;
+  }
+
+  // Bill rates are agreed per day, hour or month - margins are worked out per month
+  toMonthlyBillRate(billRate, client) {
+    const days = config.margin.workingDaysPerMonth;
+
+    switch (client.billingInfo?.billingRule) {
+      case 'Per day':
+        return billRate * days;
+      case 'Per hour':
+        return billRate * days * (client.timesheetConfig?.workingHoursPerDay || 8);
+      default:
+        return billRate;
+    }
+  }
+
+  // Check the margin of the offer to be made on an application. Unlike the what-if
+  // simulation, the bill rate and MSP fee always come from the candidate and client records.
+  async requestApproval(application, { offeredCTC, ctcPeriod, remarks }, { user, ipAddress, userAgent }) {
+    if (!application.isOpen()) {
+      throw new AppError('Margin checks can only be run on open applications', 400);
+    }
+
+    const candidate = await Candidate.findById(application.candidateId).select('financialInfo');
+    if (!(candidate?.financialInfo?.billRate > 0)) {
+      throw new AppError('Record the bill rate in the candidate\'s financial details before running the margin check', 400);
+    }
+
+    const requirement = await Requirement.findById(application.requirementId).select('clientId salaryType jobTitle');
+    const simulation = await this.simulate(requirement, {
+      expectedCTC: offeredCTC,
+      ctcPeriod,
+      candidateId: application.candidateId
+    });
+
+    application.marginApproval = {
+      status: simulation.meetsFloor ? 'not_required' : 'pending',
+      offeredCTC: simulation.expected.ctc,
+      ctcPeriod: simulation.ctcPeriod,
+      monthlyBillRate: simulation.monthlyBillRate,
+      monthlySalary: simulation.expected.monthlySalary,
+      marginPercentage: simulation.expected.marginPercentage,
+      floorPercentage: simulation.floor.percentage,
+      maxOffer: simulation.maxOffer,
+      requestedBy: user._id,
+      requestedAt: new Date(),
+      remarks
+    };
+
+    await application.save();
+
+    await Activity.create({
+      type: 'update',
+      description: simulation.meetsFloor
+        ? `Offer margin ${simulation.expected.marginPercentage}% meets the floor for ${application.applicationCode}`
+        : `Offer margin ${simulation.expected.marginPercentage}% is below the ${simulation.floor.percentage}% floor - finance approval requested for ${application.applicationCode}`,
+      entityType: 'Candidate',
+      entityId: application.candidateId,
+      metadata: {
+        applicationId: application._id,
+        requirementId: application.requirementId,
+        marginApproval: application.marginApproval.toObject()
+      },
+      performedBy: user._id,
+      ipAddress,
+      userAgent
+    });
+
+    if (!simulation.meetsFloor) {
+      await this.notifyFinance(application, requirement);
+    }
+
+    return { application, simulation };
+  }
+
+  // Finance decision on an offer below the floor
+  async decideApproval(application, { decision, remarks }, { user, ipAddress, userAgent }) {
+    if (!['approved', 'rejected'].includes(decision)) {
+      throw new AppError('Decision must be approved or rejected', 400);
+    }
+
+    if (application.marginApproval?.status !== 'pending') {
+      throw new AppError('Application has no offer waiting for margin approval', 400);
+    }
+
+    if (decision === 'rejected' && !remarks) {
+      throw new AppError('Please provide a reason for rejecting the offer', 400);
+    }
+
+    application.marginApproval.status = decision;
+    application.marginApproval.decidedBy = user._id;
+    application.marginApproval.decidedAt = new Date();
+    if (remarks) application.marginApproval.remarks = remarks;
+
+    await application.save();
+
+    await Activity.create({
+      type: 'update',
+      description: `Offer margin of ${application.marginApproval.marginPercentage}% ${decision} by finance for ${application.applicationCode}`,
+      entityType: 'Candidate',
+      entityId: application.candidateId,
+      metadata: {
+        applicationId: application._id,
+        requirementId: application.requirementId,
+        decision,
+        remarks
+      },
+      performedBy: user._id,
+      ipAddress,
+      userAgent
+    });
+
+    return application;
+  }
+
+  // Guard for Offered - contract offers need a margin check, and finance approval below the floor
+  async checkOfferApproval({ application, candidate, requirementId }) {
+    if (!application && candidate && requirementId) {
+      application = await Application.findOne({ candidateId: candidate._id, requirementId });
+    }
+
+    if (!application) {
+      return ['Map the candidate to the requirement and run the margin check before making an offer'];
+    }
+
+    const client = await Client.findById(application.clientId).select('businessType subType');
+    if (!CONTRACT_TYPES.includes(this.getBusinessType(client))) return [];
+
+    switch (application.marginApproval?.status) {
+      case 'not_required':
+      case 'approved':
+        return this.checkOfferedCTC(application);
+      case 'pending':
+        return [`Offer margin of ${application.marginApproval.marginPercentage}% is below the ${application.marginApproval.floorPercentage}% floor and is waiting for finance approval`];
+      case 'rejected':
+        return ['Finance rejected the offer margin - run the margin check again with a revised offer'];
+      default:
+        return ['Run the margin check for the offer before moving to Offered'];
+    }
+  }
+
+  // The open offer may not go above the CTC the margin check was run on
+  async checkOfferedCTC(application) {
+    const offer = await Offer
+      .findOne({ applicationId: application._id, status: { $in: ['draft', 'sent'] } })
+      .sort('-createdAt');
+    const total = offer?.current?.ctc?.total;
+    if (!total) return [];
+
+    // Offer CTCs are annual
+    const { offeredCTC, ctcPeriod } = application.marginApproval;
+    const checkedCTC = ctcPeriod === 'monthly' ? offeredCTC * 12 : offeredCTC;
+
+    if (total > checkedCTC) {
+      return [`Offer ${offer.offerCode} CTC of ${total} is above the ${checkedCTC} the margin check was run on - run the margin check again for the offered CTC`];
+    }
+
+    return [];
+  }
+
+  // A revised offer needs its own margin check
+  async resetApproval(application) {
+    if (!application?.marginApproval?.status) return;
+
+    application.marginApproval.status = undefined;
+    await application.save();
+  }
+
+  async notifyFinance(application, requirement) {
+    try {
+      const approvers = await User.find({ role: 'finance', isActive: true }).select('email');
+      if (!approvers.length) return;
+
+      const candidate = await Candidate.findById(application.candidateId).select('personalDetails');
+
+      await EmailService.sendMarginApprovalRequest(approvers.map(user => user.email), {
+        applicationId: application._id,
+        applicationCode: application.applicationCode,
+        candidateName: candidate?.fullName,
+        jobTitle: requirement?.jobTitle,
+        ...application.marginApproval.toObject()
+      });
+    } catch (error) {
+      console.error('Failed to notify finance of margin approval:', error.message);
+    }
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  roundDown(value) {
+    return Math.floor(value * 100) / 100;
+  }
+}
+
+module.exports = new MarginService();
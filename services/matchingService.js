@@ -0,0 +1,338 @@
+// services/matchingService.js
+const Candidate = require('../models/Candidate');
+const Requirement = require('../models/Requirement');
+const Application = require('../models/Application');
+const { normaliseSkill, skillKeys } = require('../utils/similarity');
+
+// Share of the overall score for each factor
+const WEIGHTS = {
+  skills: 40,
+  experience: 20,
+  salary: 20,
+  location: 20
+};
+
+// Older names of cities still used in resumes and job posts
+const CITY_ALIASES = {
+  bangalore: 'bengaluru',
+  gurgaon: 'gurugram',
+  bombay: 'mumbai',
+  madras: 'chennai',
+  calcutta: 'kolkata',
+  poona: 'pune',
+  trivandrum: 'thiruvananthapuram',
+  vizag: 'visakhapatnam',
+  mysore: 'mysuru'
+};
+
+// Most candidates scored per request - the rest are filtered out before scoring
+const MAX_POOL = 500;
+
+const CANDIDATE_FIELDS = 'personalDetails contactInfo keySkills recruiterCallData status assignedTo';
+const REQUIREMENT_FIELDS = 'jobTitle clientId keySkills workExpMin workExpMax salaryType salaryMin salaryMax jobLocation workMode relocateCandidates status';
+
+class MatchingService {
+  // Rank candidates for a requirement
+  async matchCandidates(requirement, { page = 1, limit = 20, minScore = 0, eligibleOnly = false } = {}) {
+    const query = { isActive: true, status: { $nin: ['Rejected', 'Joined'] } };
+
+    // Only consider candidates sharing at least one skill with the requirement
+    const skillConditions = this.skillConditions(requirement.keySkills);
+    if (skillConditions.length) {
+      query.$or = skillConditions;
+    }
+
+    const candidates = await Candidate
+      .find(query)
+      .select(CANDIDATE_FIELDS)
+      .sort('-updatedAt')
+      .limit(MAX_POOL);
+
+    const applied = await Application
+      .find({ requirementId: requirement._id, candidateId: { $in: candidates.map(c => c._id) } })
+      .select('candidateId stage');
+    const stages = new Map(applied.map(a => [a.candidateId.toString(), a.stage]));
+
+    const matches = candidates.map(candidate => ({
+      candidate,
+      applicationStage: stages.get(candidate._id.toString()) || null,
+      ...this.score(candidate, requirement)
+    }));
+
+    return this.rank(matches, { page, limit, minScore, eligibleOnly });
+  }
+
+  // Rank open requirements for a candidate
+  async matchRequirements(candidate, { page = 1, limit = 20, minScore = 0, eligibleOnly = false, clientId } = {}) {
+    const query = { isActive: true, status: 'Active' };
+    if (clientId) query.clientId = clientId;
+
+    const skillConditions = this.skillConditions(candidate.keySkills);
+    if (skillConditions.length) {
+      query.$or = [...skillConditions, { keySkills: { $size: 0 } }];
+    }
+
+    const requirements = await Requirement
+      .find(query)
+      .select(REQUIREMENT_FIELDS)
+      .populate('clientId', 'businessDetails.clientName')
+      .sort('-createdAt')
+      .limit(MAX_POOL);
+
+    const applied = await Application
+      .find({ candidateId: candidate._id, requirementId: { $in: requirements.map(r => r._id) } })
+      .select('requirementId stage');
+    const stages = new Map(applied.map(a => [a.requirementId.toString(), a.stage]));
+
+    const matches = requirements.map(requirement => ({
+      requirement,
+      applicationStage: stages.get(requirement._id.toString()) || null,
+      ...this.score(candidate, requirement)
+    }));
+
+    return this.rank(matches, { page, limit, minScore, eligibleOnly });
+  }
+
+  // Score a candidate against a requirement with an explainable breakdown
+  score(candidate, requirement) {
+    const breakdown = {
+      skills: this.scoreSkills(candidate, requirement),
+      experience: this.scoreExperience(candidate, requirement),
+      salary: this.scoreSalary(candidate, requirement),
+      location: this.scoreLocation(candidate, requirement)
+    };
+
+    // Factors without data on either side are left out rather than counted as zero
+    const scored = Object.entries(breakdown).filter(([, factor]) => factor.score !== null);
+    const totalWeight = scored.reduce((sum, [key]) => sum + WEIGHTS[key], 0);
+    const score = totalWeight
+      ? Math.round(scored.reduce((sum, [key, factor]) => sum + factor.score * WEIGHTS[key], 0) / totalWeight)
+      : 0;
+
+    for (const [key, factor] of Object.entries(breakdown)) {
+      factor.weight = WEIGHTS[key];
+    }
+
+    return {
+      score,
+      eligible: breakdown.skills.missingMandatory.length === 0 && breakdown.location.fit !== 'not_willing',
+      breakdown
+    };
+  }
+
+  // Skills - mandatory skills count double; short experience earns partial credit
+  scoreSkills(candidate, requirement) {
+    const required = requirement.keySkills || [];
+    const result = {
+      score: null,
+      matched: [],
+      missingMandatory: [],
+      missingOptional: [],
+      experienceShortfalls: []
+    };
+
+    if (!required.length) return result;
+
+    const candidateSkills = new Map(
+      (candidate.keySkills || []).map(skill => [normaliseSkill(skill.name), skill])
+    );
+
+    let earned = 0;
+    let possible = 0;
+
+    for (const skill of required) {
+      const weight = skill.isMandatory !== false ? 2 : 1;
+      const match = candidateSkills.get(normaliseSkill(skill.name));
+      possible += weight;
+
+      if (!match) {
+        (skill.isMandatory !== false ? result.missingMandatory : result.missingOptional).push(skill.name);
+        continue;
+      }
+
+      result.matched.push(skill.name);
+
+      if (skill.experience && (match.experience ?? 0) < skill.experience) {
+        result.experienceShortfalls.push({
+          skill: skill.name,
+          required: skill.experience,
+          actual: match.experience ?? null
+        });
+        earned += weight * Math.max(0.5, (match.experience || 0) / skill.experience);
+      } else {
+        earned += weight;
+      }
+    }
+
+    result.score = Math.round((earned / possible) * 100);
+
+    return result;
+  }
+
+  // Total experience against the requirement range
+  scoreExperience(candidate, requirement) {
+    const years = this.parseYears(candidate.recruiterCallData?.totalExperience);
+    const { workExpMin: min, workExpMax: max } = requirement;
+    const result = { score: null, candidateYears: years, min: min ?? null, max: max ?? null, gap: 0 };
+
+    if (years === null || (min == null && max == null)) return result;
+
+    if (min != null && years < min) {
+      result.gap = Math.round((years - min) * 10) / 10;
+      result.score = Math.max(0, Math.round(100 - (min - years) * 25));
+    } else if (max != null && years > max) {
+      result.gap = Math.round((years - max) * 10) / 10;
+      // Over-experienced candidates are penalised more gently
+      result.score = Math.max(0, Math.round(100 - (years - max) * 15));
+    } else {
+      result.score = 100;
+    }
+
+    return result;
+  }
+
+  // Expected CTC against the budget - both compared as annual amounts
+  scoreSalary(candidate, requirement) {
+    const expected = this.toAnnual(candidate.recruiterCallData?.salaryDetails?.expectedCTC, 'annual');
+    const budgetMin = this.toAnnual(requirement.salaryMin, requirement.salaryType);
+    const budgetMax = this.toAnnual(requirement.salaryMax, requirement.salaryType);
+    const result = { score: null, expectedCTC: expected, budgetMin, budgetMax, gap: 0, gapPercentage: 0 };
+
+    if (expected === null || budgetMax === null) return result;
+
+    if (expected <= budgetMax) {
+      result.score = 100;
+      // Negative gap means headroom within the budget
+      result.gap = expected - budgetMax;
+    } else {
+      result.gap = expected - budgetMax;
+      result.gapPercentage = Math.round((result.gap / budgetMax) * 1000) / 10;
+      // Lose 4 points per percent over budget
+      result.score = Math.max(0, Math.round(100 - result.gapPercentage * 4));
+    }
+
+    return result;
+  }
+
+  // Location fit - same city, remote, or willingness to relocate
+  scoreLocation(candidate, requirement) {
+    const callData = candidate.recruiterCallData || {};
+    const currentCity = callData.currentCity;
+    const result = { score: null, fit: 'unknown', currentCity: currentCity || null, jobLocation: requirement.jobLocation };
+
+    if (requirement.workMode === 'remote') {
+      return { ...result, score: 100, fit: 'remote' };
+    }
+
+    if (currentCity && this.sameCity(currentCity, requirement.jobLocation)) {
+      return { ...result, score: 100, fit: 'same_city' };
+    }
+
+    if (this.isYes(callData.jobLocationOk) || this.isYes(callData.relocationDetails?.willingToRelocate)) {
+      return {
+        ...result,
+        score: requirement.relocateCandidates === false ? 60 : 85,
+        fit: 'willing_to_relocate'
+      };
+    }
+
+    if (this.isNo(callData.jobLocationOk) || this.isNo(callData.relocationDetails?.willingToRelocate)) {
+      return { ...result, score: 0, fit: 'not_willing' };
+    }
+
+    if (currentCity) {
+      return { ...result, score: 30, fit: 'different_city' };
+    }
+
+    return result;
+  }
+
+  // Sort, filter and paginate scored matches
+  rank(matches, { page, limit, minScore, eligibleOnly }) {
+    const filtered = matches
+      .filter(match => match.score >= minScore)
+      .filter(match => !eligibleOnly || match.eligible)
+      .sort((a, b) => (b.eligible - a.eligible) || (b.score - a.score));
+
+    const start = (page - 1) * limit;
+
+    return {
+      total: filtered.length,
+      matches: filtered.slice(start, start + limit * 1)
+    };
+  }
+
+  // Pre-filter on the same normalised skill keys scoring compares
+  skillConditions(skills) {
+    const keys = skillKeys(skills || []);
+    if (!keys.length) return [];
+
+    return [
+      { skillKeys: { $in: keys } },
+      // Records saved before skill keys existed
+      { 'skillKeys.0': { $exists: false }, 'keySkills.name': { $in: keys.map(key => this.skillPattern(key)) } }
+    ];
+  }
+
+  // Skill name with any case and punctuation that normalises to the key
+  skillPattern(key) {
+    const separator = '[^a-z0-9+#]*';
+    const escaped = [...key].map(char => char.replace(/[+#]/g, '\\$&'));
+    return new RegExp(`^${separator}${escaped.join(separator)}${separator}$`, 'i');
+  }
+
+  // City part of a location, under its current name
+  normaliseCity(city) {
+    const name = String(city || '').split(',')[0].toLowerCase().replace(/[^a-z ]/g, '').trim();
+    return CITY_ALIASES[name] || name;
+  }
+
+  // Job locations may list several cities: "Bengaluru / Hyderabad"
+  sameCity(city, jobLocation) {
+    const target = this.normaliseCity(city);
+    return String(jobLocation || '')
+      .split(/[/|;]|\bor\b/i)
+      .some(location => this.normaliseCity(location) === target);
+  }
+
+  // "5", "5.5 years", "4 yrs 6 months"
+  parseYears(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return value;
+
+    const text = String(value);
+    const years = text.match(/(\d+(?:\.\d+)?)\s*y/i);
+    const months = text.match(/(\d+)\s*m/i);
+
+    if (!years && !months) {
+      const number = parseFloat(text);
+      return Number.isNaN(number) ? null : number;
+    }
+
+    return Math.round(((years ? +years[1] : 0) + (months ? +months[1] / 12 : 0)) * 10) / 10;
+  }
+
+  // Annualise a salary; small figures are taken as lakhs (e.g. 12 = 12 LPA)
+  toAnnual(amount, salaryType) {
+    if (amount === undefined || amount === null || amount === '') return null;
+
+    let value = Number(amount);
+    if (Number.isNaN(value)) return null;
+
+    if (value < 1000) value *= 100000;
+    if (salaryType === 'monthly') value *= 12;
+
+    return Math.round(value);
+  }
+
+  // Recruiter call answers are free text
+  isYes(value) {
+    return /^(y|yes|true|ok)$/i.test(String(value || '').trim());
+  }
+
+  isNo(value) {
+    return /^(n|no|false)$/i.test(String(value || '').trim());
+  }
+}
+
+module.exports = new MatchingService();
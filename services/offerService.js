@@ -0,0 +1,433 @@
+// services/offerService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const PDFDocument = require('pdfkit');
+const Offer = require('../models/Offer');
+const Application = require('../models/Application');
+const Candidate = require('../models/Candidate');
+const Client = require('../models/Client');
+const Requirement = require('../models/Requirement');
+const Activity = require('../models/Activity');
+const User = require('../models/User');
+const ApplicationService = require('./applicationService');
+const StatusWorkflowService = require('./statusWorkflowService');
+const MarginService = require('./marginService');
+const EmailService = require('./emailService');
+const { FileService } = require('./fileService');
+const { AppError } = require('../utils/appError');
+
+// Used when the client has no offer template of its own
+const DEFAULT_TEMPLATE = {
+  subject: 'Offer of Employment - {{designation}}',
+  body: [
+    'Dear {{candidateName}},',
+    'We are pleased to offer you the position of {{designation}} with {{companyName}}{{locationText}}. Your annual cost to company will be {{currency}} {{totalCTC}}, as set out below.',
+    'Your date of joining will be {{joiningDate}}. Please accept this offer on or before {{validUntil}}, after which it will lapse.'
+  ].join('\n\n'),
+  terms: [
+    'This offer is subject to satisfactory background verification.',
+    'Please bring originals of your educational and employment documents on the day of joining.'
+  ]
+};
+
+class OfferService {
+  // Create an offer for a selected candidate
+  async createOffer(data, user) {
+    const application = await Application.findById(data.applicationId);
+    if (!application) {
+      throw new AppError('No application found with that ID', 404);
+    }
+
+    if (!application.isOpen()) {
+      throw new AppError(`Offers cannot be made on a ${application.stage} application`, 400);
+    }
+
+    const open = await Offer.findOne({
+      applicationId: application._id,
+      status: { $in: ['draft', 'sent'] }
+    });
+    if (open) {
+      throw new AppError(`Application already has an open offer (${open.offerCode}) - revise it instead`, 400);
+    }
+
+    const offer = new Offer({
+      applicationId: application._id,
+      candidateId: application.candidateId,
+      clientId: application.clientId,
+      requirementId: application.requirementId,
+      createdBy: user._id
+    });
+
+    await this.addVersion(offer, this.pickTerms(data), user);
+
+    return offer;
+  }
+
+  // Issue a new version of the offer; any link already sent stops working
+  async reviseOffer(offer, data, user) {
+    if (['accepted', 'withdrawn'].includes(offer.status)) {
+      throw new AppError(`Offer is ${offer.status} and cannot be revised`, 400);
+    }
+
+    if (!data.reason) {
+      throw new AppError('Please provide a reason for revising the offer', 400);
+    }
+
+    const current = offer.current.toObject();
+    delete current._id;
+
+    await this.addVersion(offer, {
+      ...current,
+      ...this.pickTerms(data),
+      reason: data.reason
+    }, user);
+
+    await MarginService.resetApproval(await Application.findById(offer.applicationId));
+
+    return offer;
+  }
+
+  async addVersion(offer, terms, user) {
+    const version = offer.versions.length ? Math.max(...offer.versions.map(v => v.version)) + 1 : 1;
+
+    offer.versions.push({
+      ...terms,
+      version,
+      fileId: undefined,
+      createdBy: user._id,
+      createdAt: new Date()
+    });
+    offer.currentVersion = version;
+    offer.status = 'draft';
+    offer.tokenHash = undefined;
+    offer.tokenVersion = undefined;
+
+    // Validate before spending a PDF on it
+    await offer.validate();
+
+    const { buffer } = await this.generatePdf(offer);
+    const file = await FileService.uploadSingle({
+      originalname: `${offer.offerCode}.pdf`,
+      buffer,
+      mimetype: 'application/pdf',
+      size: buffer.length
+    }, 'Candidate', offer.candidateId, user._id, 'offer_letter');
+
+    offer.current.fileId = file._id;
+
+    await offer.save();
+  }
+
+  pickTerms(data) {
+    const terms = {};
+
+    for (const field of ['designation', 'location', 'joiningDate', 'validUntil', 'notes']) {
+      if (data[field] !== undefined) terms[field] = data[field];
+    }
+
+    if (data.ctc) {
+      terms.ctc = {
+        currency: data.ctc.currency || 'INR',
+        components: data.ctc.components
+      };
+    }
+
+    return terms;
+  }
+
+  // Send the offer to the candidate with a signed link that expires with the offer
+  async sendOffer(offer, user) {
+    if (!offer.isOpen()) {
+      throw new AppError(`Offer is ${offer.status} and cannot be sent`, 400);
+    }
+
+    const version = offer.current;
+    if (this.endOfDay(version.validUntil) < new Date()) {
+      throw new AppError('Offer validity has passed - revise the offer with a new validity date', 400);
+    }
+
+    const application = await Application.findById(offer.applicationId);
+    const candidate = await Candidate.findById(offer.candidateId);
+
+    if (!candidate?.contactInfo?.email) {
+      throw new AppError('Candidate has no email address to send the offer to', 400);
+    }
+
+    // Acceptance moves the application to Offered, so that move must be open now
+    const workflow = await StatusWorkflowService.resolveWorkflow({
+      requirementId: application.requirementId,
+      clientId: application.clientId
+    });
+    await StatusWorkflowService.assertTransition(workflow, application.stage, 'Offered', {
+      user,
+      candidate,
+      application,
+      requirementId: application.requirementId
+    });
+
+    const token = jwt.sign(
+      { offerId: offer._id.toString(), version: offer.currentVersion, purpose: 'offer' },
+      this.getSecret(),
+      { expiresIn: Math.max(60, Math.floor((this.endOfDay(version.validUntil) - Date.now()) / 1000)) }
+    );
+
+    offer.tokenHash = this.hashToken(token);
+    offer.tokenVersion = offer.currentVersion;
+    offer.status = 'sent';
+    offer.sentAt = new Date();
+    offer.sentBy = user._id;
+
+    await offer.save();
+
+    const client = await Client.findById(offer.clientId).select('businessDetails.clientName offerTemplate');
+
+    await EmailService.sendOfferLetter(candidate, {
+      id: offer.offerCode,
+      position: version.designation,
+      companyName: client?.offerTemplate?.issuerName || client?.businessDetails?.clientName,
+      salary: `${version.ctc.currency} ${this.formatAmount(version.ctc.total)} per annum`,
+      joiningDate: version.joiningDate,
+      validTill: version.validUntil,
+      token
+    });
+
+    return offer;
+  }
+
+  // Find the offer a candidate link points to
+  async resolveToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, this.getSecret());
+    } catch (error) {
+      throw new AppError(error.name === 'TokenExpiredError' ? 'This offer link has expired' : 'Invalid offer link', 400);
+    }
+
+    if (decoded.purpose !== 'offer') {
+      throw new AppError('Invalid offer link', 400);
+    }
+
+    const offer = await Offer.findById(decoded.offerId).select('+tokenHash');
+
+    // Revising the offer replaces the hash, so older links stop here
+    if (!offer || offer.tokenHash !== this.hashToken(token) || offer.tokenVersion !== decoded.version) {
+      throw new AppError('This offer link is no longer valid', 400);
+    }
+
+    if (offer.status === 'sent' && this.endOfDay(offer.current.validUntil) < new Date()) {
+      offer.status = 'expired';
+      await offer.save();
+    }
+
+    return offer;
+  }
+
+  // Candidate accepts or declines through the link
+  async respond(token, action, { reason, ipAddress, userAgent } = {}) {
+    const offer = await this.resolveToken(token);
+
+    if (offer.status !== 'sent') {
+      throw new AppError(`This offer is ${offer.status} and can no longer be answered`, 400);
+    }
+
+    if (action === 'accepted') {
+      const application = await Application.findById(offer.applicationId);
+      const sender = await User.findById(offer.sentBy);
+
+      if (application.stage !== 'Offered') {
+        await ApplicationService.moveStage(application, 'Offered', {
+          user: sender,
+          reason: `Offer ${offer.offerCode} accepted by the candidate`,
+          ipAddress,
+          userAgent
+        });
+      }
+    }
+
+    offer.status = action;
+    offer.response = {
+      action,
+      version: offer.currentVersion,
+      reason,
+      respondedAt: new Date(),
+      ipAddress,
+      userAgent
+    };
+
+    await offer.save();
+
+    await Activity.create({
+      type: 'status_change',
+      description: `Offer ${offer.offerCode} ${action} by the candidate`,
+      entityType: 'Candidate',
+      entityId: offer.candidateId,
+      metadata: {
+        offerId: offer._id,
+        applicationId: offer.applicationId,
+        version: offer.currentVersion,
+        reason
+      },
+      performedBy: offer.sentBy,
+      ipAddress,
+      userAgent
+    });
+
+    return offer;
+  }
+
+  // Withdraw an offer that has not been accepted
+  async withdrawOffer(offer, { reason }, user) {
+    if (!offer.isOpen() && offer.status !== 'expired') {
+      throw new AppError(`Offer is ${offer.status} and cannot be withdrawn`, 400);
+    }
+
+    offer.status = 'withdrawn';
+    offer.tokenHash = undefined;
+    offer.withdrawal = {
+      reason,
+      withdrawnBy: user._id,
+      withdrawnAt: new Date()
+    };
+
+    await offer.save();
+
+    return offer;
+  }
+
+  // Offer letter PDF of the current version, from the client's template
+  async generatePdf(offer) {
+    const version = offer.current;
+    const [candidate, client, requirement] = await Promise.all([
+      Candidate.findById(offer.candidateId).select('personalDetails contactInfo'),
+      Client.findById(offer.clientId).select('businessDetails.clientName addressDetails offerTemplate'),
+      Requirement.findById(offer.requirementId).select('jobTitle jobLocation')
+    ]);
+
+    const template = { ...DEFAULT_TEMPLATE, ...this.compact(client?.toObject().offerTemplate || {}) };
+    const companyName = template.issuerName || client?.businessDetails?.clientName || '';
+    const location = version.location || requirement?.jobLocation;
+    const values = {
+      candidateName: candidate?.fullName || '',
+      designation: version.designation,
+      companyName,
+      location: location || '',
+      locationText: location ? ` at ${location}` : '',
+      currency: version.ctc.currency,
+      totalCTC: this.formatAmount(version.ctc.total),
+      fixedCTC: this.formatAmount(version.ctc.fixed),
+      variableCTC: this.formatAmount(version.ctc.variable),
+      joiningDate: this.formatDate(version.joiningDate),
+      validUntil: this.formatDate(version.validUntil),
+      offerCode: offer.offerCode
+    };
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve({
+        buffer: Buffer.concat(chunks),
+        contentType: 'application/pdf'
+      }));
+      doc.on('error', reject);
+
+      // Letterhead
+      doc.fontSize(16).font('Helvetica-Bold').text(companyName);
+      doc.fontSize(9).font('Helvetica');
+      if (client?.addressDetails?.primaryAddress) doc.text(client.addressDetails.primaryAddress);
+      doc.moveDown();
+
+      doc.fontSize(10).text(`Ref: ${offer.offerCode}`, { continued: true });
+      doc.text(`Date: ${this.formatDate(version.createdAt || new Date())}`, { align: 'right' });
+      doc.moveDown();
+
+      doc.fontSize(12).font('Helvetica-Bold').text(this.render(template.subject, values));
+      doc.moveDown();
+
+      doc.fontSize(10).font('Helvetica');
+      for (const paragraph of this.render(template.body, values).split(/\n\s*\n/)) {
+        doc.text(paragraph.trim(), { align: 'justify' });
+        doc.moveDown();
+      }
+
+      // CTC breakup
+      doc.font('Helvetica-Bold').text('Compensation (per annum)');
+      doc.moveDown(0.5);
+
+      const rows = version.ctc.components.map(component => [
+        `${component.name}${component.type === 'fixed' ? '' : ` (${component.type})`}`,
+        this.formatAmount(component.amount)
+      ]);
+      rows.push(['Total Cost to Company', this.formatAmount(version.ctc.total)]);
+
+      rows.forEach(([label, amount], index) => {
+        const y = doc.y;
+        const bold = index === rows.length - 1;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+          .text(label, doc.page.margins.left, y, { width: 330 })
+          .text(`${version.ctc.currency} ${amount}`, doc.page.margins.left + 330, y, { width: 165, align: 'right' });
+        doc.x = doc.page.margins.left;
+        doc.moveDown(0.3);
+      });
+      doc.moveDown();
+
+      if (template.terms?.length) {
+        doc.font('Helvetica-Bold').text('Terms');
+        doc.font('Helvetica');
+        template.terms.forEach((term, index) => doc.text(`${index + 1}. ${this.render(term, values)}`));
+        doc.moveDown();
+      }
+
+      if (version.notes) {
+        doc.text(version.notes);
+        doc.moveDown();
+      }
+
+      doc.moveDown();
+      doc.text('Yours sincerely,');
+      doc.moveDown(2);
+      if (template.signatoryName) doc.font('Helvetica-Bold').text(template.signatoryName);
+      if (template.signatoryDesignation) doc.font('Helvetica').text(template.signatoryDesignation);
+      doc.font('Helvetica').text(companyName);
+
+      doc.end();
+    });
+  }
+
+  // Fill {{placeholders}}; unknown ones are left blank
+  render(text, values) {
+    return String(text || '').replace(/{{\s*(\w+)\s*}}/g, (match, key) => values[key] ?? '');
+  }
+
+  // Drop empty template fields so the defaults apply
+  compact(template) {
+    return Object.fromEntries(Object.entries(template).filter(([, value]) =>
+      value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && !value.length)
+    ));
+  }
+
+  getSecret() {
+    return process.env.OFFER_TOKEN_SECRET || process.env.JWT_SECRET;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  endOfDay(date) {
+    const d = new Date(date);
+    d.setHours(23, 59, 59, 999);
+    return d;
+  }
+
+  formatDate(date) {
+    return new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+  }
+
+  formatAmount(value) {
+    return Number(value || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 });
+  }
+}
+
+module.exports = new OfferService();
@@ -0,0 +1,293 @@
+// services/permissionService.js
+const Role = require('../models/Role');
+const User = require('../models/User');
+const TeamService = require('./teamService');
+const { SCOPES, MODULES, ROLES } = require('../config/permissions');
+const { AppError } = require('../utils/appError');
+
+// Custom roles are re-read at most this often; changes through the API clear the cache
+const CACHE_TTL = 60 * 1000;
+
+class PermissionService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  isSystemRole(name) {
+    return Object.prototype.hasOwnProperty.call(ROLES, name);
+  }
+
+  async roleExists(name) {
+    return this.isSystemRole(name) || !!(await Role.exists({ name, isActive: true }));
+  }
+
+  // Permissions of a role as a map of "module:action" -> scope
+  async getRolePermissions(name, seen = new Set()) {
+    const cached = this.cache.get(name);
+    if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+    const permissions = new Map();
+
+    if (this.isSystemRole(name)) {
+      for (const [module, actions] of Object.entries(ROLES[name].permissions)) {
+        for (const [action, scope] of Object.entries(actions)) {
+          permissions.set(`${module}:${action}`, scope);
+        }
+      }
+    } else if (!seen.has(name)) {
+      seen.add(name);
+      const role = await Role.findOne({ name, isActive: true }).lean();
+
+      if (role?.inherits) {
+        for (const [key, scope] of await this.getRolePermissions(role.inherits, seen)) {
+          permissions.set(key, scope);
+        }
+      }
+
+      for (const { module, action, scope } of role?.permissions || []) {
+        this.grant(permissions, `${module}:${action}`, scope);
+      }
+    }
+
+    this.cache.set(name, { permissions, expiresAt: Date.now() + CACHE_TTL });
+    return permissions;
+  }
+
+  // Role permissions plus any granted to the user directly
+  async getUserPermissions(user) {
+    const permissions = new Map(await this.getRolePermissions(user.role));
+
+    for (const { module, actions = [], scope } of user.permissions || []) {
+      for (const action of actions) {
+        this.grant(permissions, `${module}:${action}`, scope || 'all');
+      }
+    }
+
+    return permissions;
+  }
+
+  // Scope the user holds for an action, or null
+  async resolve(user, module, action) {
+    const permissions = await this.getUserPermissions(user);
+    return permissions.get(`${module}:${action}`) || null;
+  }
+
+  // Effective permissions as { module: { action: scope } }
+  async describe(user) {
+    const result = {};
+
+    for (const [key, scope] of await this.getUserPermissions(user)) {
+      const [module, action] = key.split(':');
+      result[module] = { ...result[module], [action]: scope };
+    }
+
+    return result;
+  }
+
+  // Whether a record falls within a scope
+  async hasAccess(user, scope, record, ownerFields = ['createdBy', 'assignedTo']) {
+    if (scope === 'all') return true;
+    if (!scope || !record) return false;
+
+    const owners = (await this.getOwnerIds(user, scope)).map(id => id.toString());
+    return ownerFields.some(field => {
+      const owner = record[field]?._id || record[field];
+      return owner && owners.includes(owner.toString());
+    });
+  }
+
+  // Query filter limiting a list to a scope
+  async scopeFilter(user, scope, ownerFields = ['createdBy', 'assignedTo']) {
+    if (scope === 'all') return {};
+
+    const owners = await this.getOwnerIds(user, scope);
+    return { $or: ownerFields.map(field => ({ [field]: { $in: owners } })) };
+  }
+
+  // Users whose records a scope covers: the user alone, or everyone in their teams
+  async getOwnerIds(user, scope) {
+    return scope === 'team' ? TeamService.getTeammateIds(user._id) : [user._id];
+  }
+
+  // Keep the wider of two scopes
+  grant(permissions, key, scope) {
+    const current = permissions.get(key);
+    if (!current || SCOPES.indexOf(scope) > SCOPES.indexOf(current)) {
+      permissions.set(key, scope);
+    }
+  }
+
+  // Check a list of { module, action, scope } against the catalogue
+  validatePermissions(permissions = []) {
+    if (!Array.isArray(permissions)) {
+      throw new AppError('Permissions must be a list of { module, action, scope }', 400);
+    }
+
+    const invalid = permissions.filter(({ module, action, scope = 'all' }) =>
+      !MODULES[module]?.includes(action) || !SCOPES.includes(scope)
+    );
+
+    if (invalid.length) {
+      throw new AppError('Unknown permissions', 400, {
+        invalid: invalid.map(({ module, action, scope }) => ({ module, action, scope }))
+      });
+    }
+  }
+
+  // Built-in and custom roles with their permissions and user counts
+  async listRoles() {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort('name').lean(),
+      User.aggregate([{ $group: { _id: '$role', users: { $sum: 1 } } }])
+    ]);
+
+    const users = Object.fromEntries(counts.map(({ _id, users }) => [_id, users]));
+
+    const system = Object.entries(ROLES).map(([name, role]) => ({
+      name,
+      label: role.label,
+      system: true,
+      permissions: role.permissions,
+      users: users[name] || 0
+    }));
+
+    const custom = await Promise.all(roles.map(async role => ({
+      ...role,
+      system: false,
+      permissions: await this.describeRole(role.name),
+      users: users[role.name] || 0
+    })));
+
+    return [...system, ...custom];
+  }
+
+  async getRole(name) {
+    if (this.isSystemRole(name)) {
+      return { name, label: ROLES[name].label, system: true, permissions: ROLES[name].permissions };
+    }
+
+    const role = await Role.findOne({ name }).lean();
+    if (!role) {
+      throw new AppError('No role found with that name', 404);
+    }
+
+    return { ...role, system: false, permissions: await this.describeRole(name), grants: role.permissions };
+  }
+
+  async createRole({ name, label, description, inherits, permissions = [] }, user) {
+    if (this.isSystemRole(String(name).toLowerCase())) {
+      throw new AppError(`${name} is a built-in role`, 409);
+    }
+
+    if (await Role.exists({ name: String(name).toLowerCase() })) {
+      throw new AppError(`Role ${name} already exists`, 409);
+    }
+
+    await this.validateRoleDefinition({ name, inherits, permissions });
+
+    const role = await Role.create({ name, label, description, inherits, permissions, createdBy: user._id });
+    this.clearCache();
+
+    return role;
+  }
+
+  async updateRole(name, updates, user) {
+    if (this.isSystemRole(name)) {
+      throw new AppError('Built-in roles cannot be changed', 403);
+    }
+
+    const role = await Role.findOne({ name });
+    if (!role) {
+      throw new AppError('No role found with that name', 404);
+    }
+
+    const { label, description, inherits, permissions, isActive } = updates;
+    await this.validateRoleDefinition({ name, inherits, permissions });
+
+    if (label !== undefined) role.label = label;
+    if (description !== undefined) role.description = description;
+    if (inherits !== undefined) role.inherits = inherits || undefined;
+    if (permissions !== undefined) role.permissions = permissions;
+    if (isActive !== undefined) role.isActive = isActive;
+    role.updatedBy = user._id;
+
+    await role.save();
+    this.clearCache();
+
+    return role;
+  }
+
+  async deleteRole(name) {
+    if (this.isSystemRole(name)) {
+      throw new AppError('Built-in roles cannot be deleted', 403);
+    }
+
+    const role = await Role.findOne({ name });
+    if (!role) {
+      throw new AppError('No role found with that name', 404);
+    }
+
+    const [users, dependants] = await Promise.all([
+      User.countDocuments({ role: name }),
+      Role.find({ inherits: name }).distinct('name')
+    ]);
+
+    if (users || dependants.length) {
+      throw new AppError('Role is still in use', 409, { users, inheritedBy: dependants });
+    }
+
+    await role.deleteOne();
+    this.clearCache();
+  }
+
+  // Only a super admin can hand out or take away super admin
+  async assignRole(userId, name, actor) {
+    if (!(await this.roleExists(name))) {
+      throw new AppError(`${name} is not a known role`, 400);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('No user found with that ID', 404);
+    }
+
+    if ((name === 'super_admin' || user.role === 'super_admin') && actor.role !== 'super_admin') {
+      throw new AppError('Only a super admin can change super admin access', 403);
+    }
+
+    user.role = name;
+    await user.save();
+
+    return user;
+  }
+
+  // Effective permissions of a role as { module: { action: scope } }
+  async describeRole(name) {
+    return this.describe({ role: name });
+  }
+
+  async validateRoleDefinition({ name, inherits, permissions }) {
+    if (permissions !== undefined) this.validatePermissions(permissions);
+
+    if (inherits) {
+      if (!(await this.roleExists(inherits))) {
+        throw new AppError(`${inherits} is not a known role`, 400);
+      }
+
+      // Walk the chain so a role never ends up inheriting from itself
+      let parent = inherits;
+      while (parent && !this.isSystemRole(parent)) {
+        if (parent === name) {
+          throw new AppError('A role cannot inherit from itself', 400);
+        }
+        parent = (await Role.findOne({ name: parent }).lean())?.inherits;
+      }
+    }
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+module.exports = new PermissionService();
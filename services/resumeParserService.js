@@ -0,0 +1,520 @@
+// services/resumeParserService.js
+const path = require('path');
+// Require the library file directly - the package entry runs a debug harness
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+const mongoose = require('mongoose');
+const FileDocument = require('../models/FileDocument');
+const { FileService } = require('./fileService');
+const DataScopeService = require('./dataScopeService');
+const { AppError } = require('../utils/appError');
+
+const PDF_MIME = 'application/pdf';
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const TEXT_MIME = 'text/plain';
+
+// Section headings - a line matching one of these starts a new section
+const SECTION_HEADINGS = {
+  education: /^(education(al)?( details| qualifications?| background)?|academic( details| qualifications?| background| profile)?|qualifications?)$/,
+  employment: /^((work|professional|employment|career|job)\s*(experience|history|details)|experience|work history|employment)$/,
+  other: /^(skills?|technical skills|key skills|projects?|certifications?|achievements?|awards|personal (details|information|profile)|declaration|hobbies|interests|languages( known)?|summary|professional summary|career objective|objective|profile|references?|strengths)$/
+};
+
+// Degree patterns mapped to Candidate.education[].educationType
+const DEGREE_PATTERNS = [
+  { type: 'Doctorate', pattern: /\b(ph\.?\s?d|doctorate)\b/i },
+  { type: 'Post Graduation', pattern: /\b(m\.?\s?tech|m\.?\s?e\b|mba|mca|m\.?\s?sc|m\.?\s?com|m\.?\s?a\b|pgdm|post\s?graduat\w*|master'?s?)\b/i },
+  { type: 'Graduation', pattern: /\b(b\.?\s?tech|b\.?\s?e\b|bca|bba|b\.?\s?sc|b\.?\s?com|b\.?\s?a\b|bachelor'?s?|graduat\w*)\b/i },
+  { type: 'Diploma', pattern: /\b(diploma|polytechnic)\b/i },
+  { type: '12th', pattern: /\b(12th|xii|hsc|intermediate|higher secondary|senior secondary|puc)\b/i },
+  { type: '10th', pattern: /\b(10th|ssc|sslc|matriculation|secondary school|high school)\b/i }
+];
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+const PHONE_PATTERN = /\+?\d[\d\s()-]{8,16}\d/g;
+
+// Identifiers blanked out of resumes shown outside the agency
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b(?:linkedin|github)\.com\/\S+/gi;
+const PAN_PATTERN = /\b[A-Z]{5}\d{4}[A-Z]\b/g;
+const AADHAAR_PATTERN = /\b\d{4}\s?\d{4}\s?\d{4}\b/g;
+
+const INSTITUTION_PATTERN = /\b(college|university|institute|school|academy|vidyalaya|vidyapeeth|iit|nit|iiit|polytechnic)\b/i;
+const COMPANY_PATTERN = /\b(pvt|private|ltd|limited|inc|llp|llc|corp|corporation|technologies|technology|solutions|services|systems|consultancy|consulting|infotech|software|labs|bank|group)\b/i;
+const DESIGNATION_PATTERN = /\b(engineer|developer|manager|analyst|consultant|executive|lead|architect|associate|intern|specialist|officer|administrator|designer|tester|trainee|head|director|programmer|accountant|coordinator|recruiter|representative)\b/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_YEAR = `(?:(?:${MONTHS.join('|')})[a-z]*\\.?[\\s,'-]*\\d{2,4}|\\d{1,2}[/-]\\d{4}|\\d{4})`;
+const DATE_RANGE_PATTERN = new RegExp(`(${MONTH_YEAR})\\s*(?:-|–|—|to|till)\\s*(present|current|till date|to date|now|${MONTH_YEAR})`, 'i');
+
+class ResumeParserService {
+  // Parse a stored candidate resume the user is allowed to read
+  async parseFile(fileId, user) {
+    const file = mongoose.isValidObjectId(fileId) && await FileDocument.findById(fileId);
+
+    if (!file || file.isDeleted || file.category !== 'resume' || file.entityType !== 'Candidate') {
+      throw new AppError('Resume not found', 404);
+    }
+
+    if (!FileService.hasAccess(file, user)) {
+      throw new AppError('You do not have permission to access this file', 403);
+    }
+
+    await DataScopeService.assertAccess(user, 'candidate', file.entityId);
+
+    const { buffer, mimeType, fileType } = await FileService.getFileBuffer(file._id);
+    return this.parse(buffer, { mimeType, fileName: `resume.${fileType}` });
+  }
+
+  // Parse a resume buffer into a candidate draft
+  async parse(buffer, { mimeType, fileName } = {}) {
+    const text = await this.extractText(buffer, mimeType, fileName);
+
+    if (!text || text.trim().length < 20) {
+      throw new AppError('Could not read any text from the resume. Scanned resumes are not supported', 422);
+    }
+
+    const lines = text
+      .split(/\r?\n/)
+      .map(line => line.replace(/[\t ]+/g, ' ').replace(/\s{2,}/g, ' ').trim())
+      .filter(Boolean);
+
+    const sections = this.splitSections(lines);
+
+    const personal = this.extractPersonalDetails(lines);
+    const contact = this.extractContactInfo(text);
+    const education = this.extractEducation(sections.education);
+    const employment = this.extractEmployment(sections.employment);
+
+    const draft = {
+      personalDetails: personal.values,
+      contactInfo: contact.values,
+      education: education.map(entry => entry.values),
+      employment: employment.map(entry => entry.values)
+    };
+
+    const confidence = {
+      personalDetails: personal.confidence,
+      contactInfo: contact.confidence,
+      education: education.map(entry => entry.confidence),
+      employment: employment.map(entry => entry.confidence)
+    };
+
+    return {
+      draft,
+      confidence,
+      overallConfidence: this.averageConfidence(confidence),
+      warnings: this.buildWarnings(draft, sections)
+    };
+  }
+
+  // Extract plain text from PDF, DOCX or text files
+  async extractText(buffer, mimeType, fileName = '') {
+    const extension = path.extname(fileName).toLowerCase();
+
+    try {
+      if (mimeType === PDF_MIME || extension === '.pdf') {
+        const result = await pdfParse(buffer);
+        return result.text;
+      }
+
+      if (mimeType === DOCX_MIME || extension === '.docx') {
+        const result = await mammoth.extractRawText({ buffer });
+        return result.value;
+      }
+    } catch (error) {
+      throw new AppError(`Could not read the resume: ${error.message}`, 422);
+    }
+
+    if (mimeType === TEXT_MIME || extension === '.txt') {
+      return buffer.toString('utf8');
+    }
+
+    throw new AppError('Only PDF, DOCX and plain text resumes can be parsed', 400);
+  }
+
+  // Group lines under the section heading they follow
+  splitSections(lines) {
+    const sections = { header: [], education: [], employment: [], other: [] };
+    let current = 'header';
+
+    for (const line of lines) {
+      const heading = this.matchHeading(line);
+
+      if (heading) {
+        current = heading;
+        continue;
+      }
+
+      sections[current].push(line);
+    }
+
+    return sections;
+  }
+
+  // Identify a section heading line
+  matchHeading(line) {
+    if (line.split(' ').length > 5) return null;
+
+    const normalised = line.toLowerCase().replace(/[:\-–|_*#]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+    for (const [section, pattern] of Object.entries(SECTION_HEADINGS)) {
+      if (pattern.test(normalised)) return section;
+    }
+
+    return null;
+  }
+
+  // Name, date of birth and gender
+  extractPersonalDetails(lines) {
+    const values = {};
+    const confidence = {};
+
+    // Name - an explicit label wins over the first name-like line
+    let name = null;
+    let nameConfidence = 0;
+    const labelled = lines.map(line => line.match(/^(?:full\s+)?name\s*[:\-]\s*(.+)$/i)).find(Boolean);
+
+    if (labelled && this.isNameLike(labelled[1])) {
+      name = labelled[1];
+      nameConfidence = 0.9;
+    } else {
+      const candidateLine = lines.slice(0, 5).find(line => this.isNameLike(line) && !this.matchHeading(line));
+      if (candidateLine) {
+        name = candidateLine;
+        nameConfidence = 0.65;
+      }
+    }
+
+    if (name) {
+      const parts = this.toTitleCase(name).split(' ');
+      values.firstName = parts[0];
+      confidence.firstName = nameConfidence;
+
+      if (parts.length > 1) {
+        values.lastName = parts[parts.length - 1];
+        confidence.lastName = nameConfidence;
+      }
+
+      if (parts.length > 2) {
+        values.middleName = parts.slice(1, -1).join(' ');
+        confidence.middleName = nameConfidence - 0.1;
+      }
+    }
+
+    // Date of birth
+    const dobLine = lines.find(line => /\b(date of birth|d\.?o\.?b\.?|birth ?date)\b/i.test(line));
+    if (dobLine) {
+      const date = this.parseDate(dobLine.replace(/^.*?(date of birth|d\.?o\.?b\.?|birth ?date)\s*[:\-]?\s*/i, ''));
+      if (date) {
+        values.dateOfBirth = date;
+        confidence.dateOfBirth = 0.85;
+      }
+    }
+
+    // Gender
+    const genderLine = lines.find(line => /\b(gender|sex)\s*[:\-]/i.test(line));
+    const gender = genderLine?.match(/\b(male|female|other)\b/i)?.[1];
+    if (gender) {
+      values.gender = this.toTitleCase(gender);
+      confidence.gender = 0.9;
+    }
+
+    return { values, confidence };
+  }
+
+  // Resume text with contact details, links, ID numbers and the given names blanked out
+  redact(text, names = []) {
+    let redacted = text
+      .replace(EMAIL_PATTERN, '[email]')
+      .replace(URL_PATTERN, '[link]')
+      .replace(PAN_PATTERN, '[id]')
+      .replace(AADHAAR_PATTERN, '[id]')
+      .replace(PHONE_PATTERN, match => match.replace(/\D/g, '').length >= 10 ? '[phone]' : match);
+
+    for (const name of names.filter(name => name && name.length > 1)) {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      redacted = redacted.replace(new RegExp(`\\b${escaped}\\b`, 'gi'), '[name]');
+    }
+
+    return redacted;
+  }
+
+  // Email and phone numbers
+  extractContactInfo(text) {
+    const values = {};
+    const confidence = {};
+
+    const emails = [...new Set((text.match(EMAIL_PATTERN) || []).map(e => e.toLowerCase()))];
+    if (emails.length) {
+      values.email = emails[0];
+      confidence.email = emails.length === 1 ? 0.95 : 0.75;
+    }
+
+    const phones = [];
+
+    for (const match of text.match(PHONE_PATTERN) || []) {
+      const digits = match.replace(/\D/g, '');
+      // Skip years, date ranges and pincodes picked up by the loose pattern
+      if (digits.length < 10 || digits.length > 13) continue;
+
+      const indianMobile = digits.match(/^(?:91|0)?([6-9]\d{9})$/);
+      const phone = indianMobile ? indianMobile[1] : `+${digits}`;
+
+      if (!phones.some(p => p.phone === phone)) {
+        phones.push({ phone, confidence: indianMobile ? 0.9 : 0.6 });
+      }
+    }
+
+    // Mobile numbers first - landlines usually belong to an office
+    phones.sort((a, b) => b.confidence - a.confidence);
+
+    if (phones[0]) {
+      values.phoneNo = phones[0].phone;
+      confidence.phoneNo = phones[0].confidence;
+    }
+
+    if (phones[1]) {
+      values.alternatePhone = phones[1].phone;
+      confidence.alternatePhone = phones[1].confidence - 0.1;
+    }
+
+    return { values, confidence };
+  }
+
+  // Education entries - one per line naming a degree
+  extractEducation(lines) {
+    const entries = [];
+
+    lines.forEach((line, index) => {
+      const degree = DEGREE_PATTERNS.find(d => d.pattern.test(line));
+      if (!degree) return;
+
+      const block = [line, ...lines.slice(index + 1, index + 3).filter(l => !DEGREE_PATTERNS.some(d => d.pattern.test(l)))];
+      const blockText = block.join(' | ');
+
+      const values = { educationType: degree.type };
+      const confidence = { educationType: 0.8 };
+
+      const specialization = line.match(/\b(?:in|of)\s+([A-Za-z&.,' ]{3,60}?)(?=\s*(?:[,|(\-–]|from|at|\d|$))/i)?.[1]
+        || line.match(/\(([A-Za-z&.' ]{3,60})\)/)?.[1];
+      if (specialization) {
+        values.specialization = specialization.trim();
+        confidence.specialization = 0.6;
+      }
+
+      const institution = this.findPart(block, INSTITUTION_PATTERN);
+      if (institution) {
+        values.schoolCollegeName = institution;
+        confidence.schoolCollegeName = 0.7;
+      }
+
+      const university = this.findPart(block, /\buniversity\b/i);
+      if (university && university !== institution) {
+        values.university = university;
+        confidence.university = 0.65;
+      }
+
+      const years = (blockText.match(/\b(19[5-9]\d|20\d{2})\b/g) || []).map(Number);
+      if (years.length >= 2) {
+        values.startDate = new Date(Date.UTC(Math.min(...years), 0, 1));
+        values.endDate = new Date(Date.UTC(Math.max(...years), 0, 1));
+        confidence.startDate = 0.6;
+        confidence.endDate = 0.6;
+      } else if (years.length === 1) {
+        values.endDate = new Date(Date.UTC(years[0], 0, 1));
+        confidence.endDate = 0.5;
+      }
+
+      const marks = blockText.match(/(\b\d{2}(?:\.\d{1,2})?\s*%|\b(?:c?gpa|cpi|sgpa)\s*[:\-]?\s*\d{1,2}(?:\.\d{1,2})?(?:\s*\/\s*10)?|\b\d(?:\.\d{1,2})?\s*\/\s*10\b)/i)?.[1];
+      if (marks) {
+        values.marksGrade = marks.trim();
+        confidence.marksGrade = 0.75;
+      }
+
+      entries.push({ values, confidence });
+    });
+
+    return entries;
+  }
+
+  // Employment entries - one per date range
+  extractEmployment(lines) {
+    const entries = [];
+
+    lines.forEach((line, index) => {
+      const range = line.match(DATE_RANGE_PATTERN);
+      if (!range) return;
+
+      // The role and company sit on the same line or the two lines before it
+      const sameLine = line.replace(range[0], '').replace(/[|,()\-–:]+\s*$/, '').trim();
+      const context = [sameLine, ...lines.slice(Math.max(0, index - 2), index).reverse()]
+        .filter(l => l && !DATE_RANGE_PATTERN.test(l));
+
+      const values = {};
+      const confidence = {};
+
+      const atMatch = context
+        .map(l => l.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i))
+        .find(Boolean);
+
+      if (atMatch) {
+        values.designation = atMatch[1].trim();
+        values.payrollCompany = atMatch[2].trim();
+        confidence.designation = 0.75;
+        confidence.payrollCompany = 0.75;
+      } else {
+        const company = this.findPart(context, COMPANY_PATTERN, DESIGNATION_PATTERN);
+        const designation = this.findPart(context, DESIGNATION_PATTERN, COMPANY_PATTERN);
+
+        if (company) {
+          values.payrollCompany = company;
+          confidence.payrollCompany = 0.7;
+        }
+
+        if (designation && designation !== company) {
+          values.designation = designation;
+          confidence.designation = 0.7;
+        } else if (!designation && context[0] && context[0] !== company) {
+          values.designation = context[0];
+          confidence.designation = 0.35;
+        }
+      }
+
+      const startDate = this.parseDate(range[1]);
+      if (startDate) {
+        values.startDate = startDate;
+        confidence.startDate = 0.7;
+      }
+
+      if (/present|current|till date|to date|now/i.test(range[2])) {
+        values.workingStatus = 'Working';
+        confidence.workingStatus = 0.8;
+      } else {
+        const endDate = this.parseDate(range[2]);
+        if (endDate) {
+          values.lastWorkingDate = endDate;
+          confidence.lastWorkingDate = 0.7;
+        }
+        values.workingStatus = 'Relieved';
+        confidence.workingStatus = 0.6;
+      }
+
+      const location = lines[index + 1]?.match(/^(?:location\s*[:\-]\s*)?([A-Z][a-z]+(?:,\s*[A-Z][a-z]+)?)$/)?.[1];
+      if (location) {
+        values.workLocation = location;
+        confidence.workLocation = 0.4;
+      }
+
+      entries.push({ values, confidence });
+    });
+
+    return entries;
+  }
+
+  // Find the comma/pipe separated part of the lines matching a pattern,
+  // preferring parts that do not also match the excluded pattern
+  findPart(lines, pattern, exclude) {
+    const parts = lines
+      .flatMap(line => line.split(/\s*[|,]\s*|\s+[-–]\s+/))
+      .filter(part => pattern.test(part));
+
+    const part = parts.find(p => !exclude || !exclude.test(p)) || parts[0];
+
+    return part ? part.trim() : null;
+  }
+
+  // Parse dd/mm/yyyy, yyyy-mm-dd, 12 Jan 1995, Jan 2020, 01/2020 and 2020 style dates
+  parseDate(value) {
+    if (!value) return null;
+    const text = value.trim().toLowerCase();
+
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) return this.toDate(+match[1], +match[2], +match[3]);
+
+    match = text.match(/^(\d{1,2})[/.\-](\d{1,2})[/.\-](\d{2,4})/);
+    if (match) return this.toDate(this.fullYear(+match[3]), +match[2], +match[1]);
+
+    match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s\-]+([a-z]{3})[a-z]*\.?[\s,\-]+(\d{2,4})/);
+    if (match && MONTHS.includes(match[2])) {
+      return this.toDate(this.fullYear(+match[3]), MONTHS.indexOf(match[2]) + 1, +match[1]);
+    }
+
+    match = text.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})/);
+    if (match && MONTHS.includes(match[1])) {
+      return this.toDate(+match[3], MONTHS.indexOf(match[1]) + 1, +match[2]);
+    }
+
+    match = text.match(/^([a-z]{3})[a-z]*\.?[\s,'\-]*(\d{2,4})/);
+    if (match && MONTHS.includes(match[1])) {
+      return this.toDate(this.fullYear(+match[2]), MONTHS.indexOf(match[1]) + 1, 1);
+    }
+
+    match = text.match(/^(\d{1,2})[/\-](\d{4})/);
+    if (match) return this.toDate(+match[2], +match[1], 1);
+
+    match = text.match(/^(\d{4})\b/);
+    if (match) return this.toDate(+match[1], 1, 1);
+
+    return null;
+  }
+
+  // Build a UTC date, rejecting impossible values
+  toDate(year, month, day) {
+    if (month < 1 || month > 12 || day < 1 || day > 31 || year < 1940 || year > 2100) return null;
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+
+  // Expand two digit years
+  fullYear(year) {
+    if (year >= 100) return year;
+    return year + (year > new Date().getFullYear() % 100 ? 1900 : 2000);
+  }
+
+  // Two to four alphabetic words - typical of a name line
+  isNameLike(line) {
+    const words = line.trim().split(/\s+/);
+    return words.length >= 2 &&
+      words.length <= 4 &&
+      words.every(word => /^[A-Za-z][A-Za-z.'-]*$/.test(word)) &&
+      !/\b(resume|curriculum|vitae|cv|profile)\b/i.test(line);
+  }
+
+  // Title case a name that may be in capitals
+  toTitleCase(value) {
+    return value
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .replace(/(^|[\s.'-])([a-z])/g, (m, sep, char) => sep + char.toUpperCase());
+  }
+
+  // Average confidence across every extracted field
+  averageConfidence(confidence) {
+    const scores = [
+      ...Object.values(confidence.personalDetails),
+      ...Object.values(confidence.contactInfo),
+      ...confidence.education.flatMap(Object.values),
+      ...confidence.employment.flatMap(Object.values)
+    ];
+
+    if (!scores.length) return 0;
+
+    return Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100;
+  }
+
+  // Point the reviewer at what could not be extracted
+  buildWarnings(draft, sections) {
+    const warnings = [];
+
+    if (!draft.personalDetails.firstName) warnings.push('Name could not be identified');
+    if (!draft.contactInfo.email) warnings.push('No email address found');
+    if (!draft.contactInfo.phoneNo) warnings.push('No phone number found');
+    if (!draft.personalDetails.dateOfBirth) warnings.push('Date of birth not found - it is required to save the candidate');
+    if (!sections.education.length) warnings.push('No education section found');
+    if (!sections.employment.length) warnings.push('No experience section found');
+
+    return warnings;
+  }
+}
+
+module.exports = new ResumeParserService();
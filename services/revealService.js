@@ -0,0 +1,134 @@
+// services/revealService.js
+const mongoose = require('mongoose');
+const Candidate = require('../models/Candidate');
+const RevealAudit = require('../models/RevealAudit');
+const { AppError } = require('../utils/appError');
+
+// Sensitive candidate fields that can be revealed, by the name used in requests
+const REVEALABLE_FIELDS = {
+  aadhaarNumber: 'kyc.aadhaarNumber',
+  panNumber: 'kyc.panNumber',
+  passportNumber: 'kyc.passportNumber',
+  accountNumber: 'bankDetails.accountNumber'
+};
+
+const MIN_REASON_LENGTH = 10;
+
+class RevealService {
+  // Return the plaintext of one field, recording who saw it and why
+  async revealCandidateField(candidateId, { field, reason }, { user, ipAddress, userAgent }) {
+    const path = REVEALABLE_FIELDS[field] || Object.values(REVEALABLE_FIELDS).find(value => value === field);
+    if (!path) {
+      throw new AppError(`Field must be one of ${Object.keys(REVEALABLE_FIELDS).join(', ')}`, 400);
+    }
+
+    reason = String(reason || '').trim();
+    if (reason.length < MIN_REASON_LENGTH) {
+      throw new AppError(`Please provide a reason of at least ${MIN_REASON_LENGTH} characters`, 400);
+    }
+
+    const candidate = await Candidate.findById(candidateId).select(`+${path}`);
+    if (!candidate) {
+      throw new AppError('No candidate found with that ID', 404);
+    }
+
+    const value = candidate.get(path);
+    if (!value) {
+      throw new AppError('No value on record for that field', 404);
+    }
+
+    // The value is only returned once the audit record is written
+    const audit = await RevealAudit.create({
+      entityType: 'Candidate',
+      entityId: candidate._id,
+      field: path,
+      reason,
+      revealedBy: user._id,
+      role: user.role,
+      ipAddress,
+      userAgent
+    });
+
+    return { field: path, value, auditId: audit._id, revealedAt: audit.revealedAt };
+  }
+
+  // Reveal records with filters
+  async getReveals({ candidateId, userId, field, dateFrom, dateTo, page = 1, limit = 50 }) {
+    const query = this.buildQuery({ candidateId, userId, field, dateFrom, dateTo });
+
+    const [reveals, total] = await Promise.all([
+      RevealAudit
+        .find(query)
+        .populate('entityId', 'personalDetails.firstName personalDetails.lastName')
+        .populate('revealedBy', 'firstName lastName email role')
+        .sort('-revealedAt')
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      RevealAudit.countDocuments(query)
+    ]);
+
+    return { reveals, total };
+  }
+
+  // Reveal counts grouped per candidate or per user
+  async getSummary(groupBy, filters = {}) {
+    const key = { candidate: '$entityId', user: '$revealedBy' }[groupBy];
+    if (!key) {
+      throw new AppError('Group by must be candidate or user', 400);
+    }
+
+    const lookup = groupBy === 'candidate'
+      ? { from: 'candidates', project: { 'personalDetails.firstName': 1, 'personalDetails.lastName': 1 } }
+      : { from: 'users', project: { firstName: 1, lastName: 1, email: 1, role: 1 } };
+
+    return RevealAudit.aggregate([
+      { $match: this.buildQuery(filters) },
+      {
+        $group: {
+          _id: key,
+          reveals: { $sum: 1 },
+          fields: { $addToSet: '$field' },
+          ...(groupBy === 'candidate'
+            ? { users: { $addToSet: '$revealedBy' } }
+            : { candidates: { $addToSet: '$entityId' } }),
+          lastRevealedAt: { $max: '$revealedAt' }
+        }
+      },
+      {
+        $lookup: {
+          from: lookup.from,
+          localField: '_id',
+          foreignField: '_id',
+          pipeline: [{ $project: lookup.project }],
+          as: groupBy
+        }
+      },
+      { $unwind: { path: `$${groupBy}`, preserveNullAndEmptyArrays: true } },
+      { $sort: { reveals: -1, lastRevealedAt: -1 } }
+    ]);
+  }
+
+  buildQuery({ candidateId, userId, field, dateFrom, dateTo }) {
+    const query = { entityType: 'Candidate' };
+
+    for (const id of [candidateId, userId]) {
+      if (id && !mongoose.isValidObjectId(id)) {
+        throw new AppError(`Invalid ID: ${id}`, 400);
+      }
+    }
+
+    if (candidateId) query.entityId = new mongoose.Types.ObjectId(candidateId);
+    if (userId) query.revealedBy = new mongoose.Types.ObjectId(userId);
+    if (field) query.field = REVEALABLE_FIELDS[field] || field;
+
+    if (dateFrom || dateTo) {
+      query.revealedAt = {};
+      if (dateFrom) query.revealedAt.$gte = new Date(dateFrom);
+      if (dateTo) query.revealedAt.$lte = new Date(dateTo);
+    }
+
+    return query;
+  }
+}
+
+module.exports = new RevealService();
@@ -0,0 +1,253 @@
+// services/statusWorkflowService.js
+const fs = require('fs');
+const path = require('path');
+const StatusWorkflow = require('../models/StatusWorkflow');
+const Requirement = require('../models/Requirement');
+const Activity = require('../models/Activity');
+const EmailService = require('./emailService');
+const { AppError } = require('../utils/appError');
+
+// Templates an email hook can name - layout.pug only wraps the others
+const EMAIL_TEMPLATES = fs.readdirSync(path.join(__dirname, '..', 'views', 'emails'))
+  .filter(file => file.endsWith('.pug') && file !== 'layout.pug')
+  .map(file => path.basename(file, '.pug'));
+
+// Hooks fired on every transition of the built-in workflow
+const DEFAULT_HOOKS = [{ type: 'activity' }, { type: 'email' }, { type: 'metrics' }];
+
+// Built-in workflow used when no client, requirement or default workflow is configured
+const BUILT_IN_TRANSITIONS = {
+  'New': ['Screening', 'Rejected'],
+  'Screening': ['Submitted', 'Rejected', 'On Hold'],
+  'Submitted': ['Shortlisted', 'Interview', 'Rejected', 'On Hold'],
+  'Shortlisted': ['Interview', 'Rejected', 'On Hold'],
+  'Interview': ['Selected', 'Rejected', 'On Hold'],
+  'Selected': ['Offered', 'Rejected'],
+  'Offered': ['Joined', 'Rejected'],
+  'On Hold': ['Screening', 'Submitted', 'Shortlisted', 'Interview', 'Rejected']
+};
+
+const BUILT_IN_WORKFLOW = {
+  name: 'Built-in',
+  isBuiltIn: true,
+  states: ['New', 'Screening', 'Submitted', 'Shortlisted', 'Interview', 'Selected', 'Offered', 'Joined', 'Rejected', 'On Hold'],
+  initialState: 'Submitted',
+  transitions: Object.entries(BUILT_IN_TRANSITIONS).flatMap(([from, targets]) =>
+    targets.map(to => ({ from, to, requiredFields: [], allowedRoles: [], hooks: DEFAULT_HOOKS }))
+  )
+};
+
+// Checks that apply when entering a state, whatever workflow is in use
+const STATE_GUARDS = {
+  'Selected': 'checkMandatoryInterviews',
+  'Offered': 'checkMarginApproval'
+};
+
+class StatusWorkflowService {
+  // Resolve the workflow that applies: requirement > client > default > built-in
+  async resolveWorkflow({ requirementId, clientId } = {}) {
+    if (requirementId && !clientId) {
+      const requirement = await Requirement.findById(requirementId).select('clientId');
+      clientId = requirement?.clientId;
+    }
+
+    const candidates = [];
+    if (requirementId) candidates.push({ requirementId });
+    if (clientId) candidates.push({ clientId, requirementId: null });
+    candidates.push({ isDefault: true });
+
+    for (const scope of candidates) {
+      const workflow = await StatusWorkflow.findOne({ ...scope, isActive: true }).lean();
+      if (workflow) return workflow;
+    }
+
+    return BUILT_IN_WORKFLOW;
+  }
+
+  // Get the states reachable from a state
+  getNextStates(workflow, fromState) {
+    return workflow.transitions
+      .filter(t => t.from === fromState)
+      .map(t => t.to);
+  }
+
+  // Check whether a transition is allowed for the given user and payload
+  validateTransition(workflow, fromState, toState, { user, payload = {}, candidate } = {}) {
+    const validNextStates = this.getNextStates(workflow, fromState);
+    const transition = workflow.transitions.find(t => t.from === fromState && t.to === toState);
+
+    if (!transition) {
+      return {
+        allowed: false,
+        validNextStates,
+        errors: [`Cannot transition from ${fromState} to ${toState}`]
+      };
+    }
+
+    const errors = [];
+
+    if (transition.allowedRoles?.length && !transition.allowedRoles.includes(user?.role)) {
+      errors.push(`Only ${transition.allowedRoles.join(', ')} can move from ${fromState} to ${toState}`);
+    }
+
+    const missingFields = (transition.requiredFields || []).filter(field => {
+      const value = payload[field] ?? candidate?.get?.(field);
+      return value === undefined || value === null || value === '';
+    });
+
+    if (missingFields.length) {
+      errors.push(`Missing required field(s): ${missingFields.join(', ')}`);
+    }
+
+    return {
+      allowed: errors.length === 0,
+      transition,
+      validNextStates,
+      errors
+    };
+  }
+
+  // Validate a transition and throw a 400 listing the valid next states when it is not allowed
+  async assertTransition(workflow, fromState, toState, options = {}) {
+    const result = this.validateTransition(workflow, fromState, toState, options);
+
+    if (result.allowed) {
+      const guardErrors = await this.checkStateGuards(toState, options);
+      result.errors.push(...guardErrors);
+      result.allowed = guardErrors.length === 0;
+    }
+
+    if (!result.allowed) {
+      const nextStates = result.validNextStates.length ? result.validNextStates.join(', ') : 'none';
+      throw new AppError(
+        `${result.errors.join('. ')}. Valid next states from ${fromState}: ${nextStates}`,
+        400,
+        { validNextStates: result.validNextStates }
+      );
+    }
+
+    return result.transition;
+  }
+
+  // Run the guards for entering a state and return their errors
+  async checkStateGuards(state, options = {}) {
+    const guard = STATE_GUARDS[state];
+    return guard ? this[guard](options) : [];
+  }
+
+  // Throw a 400 when a state cannot be entered directly
+  async assertStateGuards(state, options) {
+    const errors = await this.checkStateGuards(state, options);
+
+    if (errors.length) {
+      throw new AppError(errors.join('. '), 400);
+    }
+  }
+
+  // Guard - every mandatory interview round needs feedback before selection
+  async checkMandatoryInterviews({ candidate, requirementId }) {
+    if (!requirementId) {
+      return ['Please provide the requirementId the candidate is being selected for'];
+    }
+
+    const InterviewService = require('./interviewService');
+    const pending = await InterviewService.getPendingMandatoryRounds(candidate?._id, requirementId);
+
+    if (!pending.length) return [];
+
+    return [`Feedback is pending for mandatory interview round(s): ${pending.map(r => r.name || `Round ${r.index + 1}`).join(', ')}`];
+  }
+
+  // Guard - contract offers below the client's margin floor need finance approval
+  async checkMarginApproval(options) {
+    const MarginService = require('./marginService');
+    return MarginService.checkOfferApproval(options);
+  }
+
+  // Fire the side effects configured on a transition
+  async runHooks(transition, context) {
+    for (const hook of transition.hooks || []) {
+      try {
+        if (hook.type === 'email') {
+          await this.runEmailHook(hook, context);
+        } else if (hook.type === 'metrics') {
+          await this.runMetricsHook(context);
+        } else if (hook.type === 'activity') {
+          await this.runActivityHook(context);
+        }
+      } catch (error) {
+        console.error(`Status workflow ${hook.type} hook error:`, error.message);
+      }
+    }
+  }
+
+  // Email hooks may only name a template from views/emails
+  assertHookTemplates(transitions) {
+    const invalid = (Array.isArray(transitions) ? transitions : [])
+      .flatMap(transition => transition?.hooks || [])
+      .map(hook => hook?.template)
+      .filter(template => template && !EMAIL_TEMPLATES.includes(template));
+
+    if (invalid.length) {
+      throw new AppError('Unknown email templates', 400, { invalid, templates: EMAIL_TEMPLATES });
+    }
+  }
+
+  // Email hook - notify the candidate of the new status
+  async runEmailHook(hook, { candidate, to }) {
+    if (!candidate?.contactInfo?.email) return;
+
+    // Templates are checked when the workflow is saved; anything else falls back to the default email
+    if (EMAIL_TEMPLATES.includes(hook.template)) {
+      await EmailService.send(
+        candidate.contactInfo.email,
+        hook.subject || `Application Status Update - ${to}`,
+        hook.template,
+        {
+          candidateName: candidate.fullName,
+          status: to
+        }
+      );
+    } else {
+      await EmailService.sendCandidateStatusUpdate(candidate, to);
+    }
+  }
+
+  // Metrics hook - recompute the requirement metrics
+  async runMetricsHook({ requirementId, application }) {
+    // Application moves already recompute their requirement metrics
+    if (!requirementId || application) return;
+
+    const ApplicationService = require('./applicationService');
+    await ApplicationService.recalculateRequirementMetrics(requirementId);
+  }
+
+  // Activity hook - log the status change
+  async runActivityHook({ candidate, application, requirementId, from, to, user, ipAddress, userAgent, reason }) {
+    if (!candidate || !user) return;
+
+    await Activity.create({
+      type: 'status_change',
+      description: `Status changed from ${from} to ${to}`,
+      entityType: 'Candidate',
+      entityId: candidate._id,
+      metadata: {
+        from,
+        to,
+        reason,
+        requirementId,
+        applicationId: application?._id
+      },
+      performedBy: user._id,
+      ipAddress,
+      userAgent
+    });
+  }
+
+  // Get the built-in workflow definition
+  getBuiltInWorkflow() {
+    return BUILT_IN_WORKFLOW;
+  }
+}
+
+module.exports = new StatusWorkflowService();
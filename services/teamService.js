@@ -0,0 +1,224 @@
+// services/teamService.js
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const Client = require('../models/Client');
+const Candidate = require('../models/Candidate');
+const Requirement = require('../models/Requirement');
+const Application = require('../models/Application');
+const { AppError } = require('../utils/appError');
+
+class TeamService {
+  async createTeam({ name, description, lead, members = [], clients = [] }, user) {
+    await this.validateMembers(lead, members);
+    await this.validateClients(clients);
+
+    return Team.create({ name, description, lead, members, clients, createdBy: user._id });
+  }
+
+  async updateTeam(id, updates, user) {
+    const team = await this.getTeam(id);
+    const { name, description, lead, members, clients, isActive } = updates;
+
+    if (lead !== undefined || members !== undefined) {
+      await this.validateMembers(lead ?? team.lead, members ?? team.members);
+    }
+    if (clients !== undefined) await this.validateClients(clients);
+
+    if (name !== undefined) team.name = name;
+    if (description !== undefined) team.description = description;
+    if (lead !== undefined) team.lead = lead;
+    if (members !== undefined) team.members = members;
+    if (clients !== undefined) team.clients = clients;
+    if (isActive !== undefined) team.isActive = isActive;
+    team.updatedBy = user._id;
+
+    await team.save();
+    return team;
+  }
+
+  // Removing a team also takes it off every requirement it was allocated to
+  async deleteTeam(id) {
+    const team = await this.getTeam(id);
+
+    await Requirement.updateMany(
+      { 'allocation.teams.teamId': team._id },
+      { $pull: { 'allocation.teams': { teamId: team._id } } }
+    );
+
+    await team.deleteOne();
+  }
+
+  async addMembers(id, userIds, user) {
+    const team = await this.getTeam(id);
+    await this.validateMembers(team.lead, userIds);
+
+    for (const userId of userIds) {
+      if (!team.members.some(member => member.toString() === userId.toString())) {
+        team.members.push(userId);
+      }
+    }
+    team.updatedBy = user._id;
+
+    await team.save();
+    return team;
+  }
+
+  async removeMember(id, userId, user) {
+    const team = await this.getTeam(id);
+
+    if (team.lead.toString() === userId.toString()) {
+      throw new AppError('The team lead cannot be removed. Assign a new lead first', 400);
+    }
+
+    team.members = team.members.filter(member => member.toString() !== userId.toString());
+    team.updatedBy = user._id;
+
+    await team.save();
+    return team;
+  }
+
+  async getTeam(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      throw new AppError(`Invalid ID: ${id}`, 400);
+    }
+
+    const team = await Team.findById(id);
+    if (!team) {
+      throw new AppError('No team found with that ID', 404);
+    }
+
+    return team;
+  }
+
+  // Whether a user leads or belongs to a team
+  isMember(team, userId) {
+    const id = userId.toString();
+    return team.lead?.toString() === id ||
+      team.members.some(member => (member._id || member).toString() === id);
+  }
+
+  // Active teams of a user
+  async getTeamIds(userId) {
+    return Team.findForUser(userId).distinct('_id');
+  }
+
+  // Everyone sharing a team with the user, the user included
+  async getTeammateIds(userId) {
+    const teams = await Team.findForUser(userId).select('lead members').lean();
+    const ids = new Set([userId.toString()]);
+
+    for (const team of teams) {
+      ids.add(team.lead.toString());
+      team.members.forEach(member => ids.add(member.toString()));
+    }
+
+    return [...ids].map(id => new mongoose.Types.ObjectId(id));
+  }
+
+  // Active users in any of the given teams
+  async getMembersOf(teamIds) {
+    const teams = await Team.find({ _id: { $in: teamIds }, isActive: true }).select('members').lean();
+    const memberIds = teams.flatMap(team => team.members);
+
+    return User.find({ _id: { $in: memberIds }, isActive: true }).select('firstName lastName email');
+  }
+
+  // Candidate and application numbers per member, grouped by team
+  async getPerformance(teams, { dateFrom, dateTo } = {}) {
+    const range = {};
+    if (dateFrom) range.$gte = new Date(dateFrom);
+    if (dateTo) range.$lte = new Date(dateTo);
+    const hasRange = Object.keys(range).length > 0;
+
+    const memberIds = [...new Set(teams.flatMap(team => team.members.map(member => (member._id || member).toString())))]
+      .map(id => new mongoose.Types.ObjectId(id));
+
+    const [candidateStats, applicationStats] = await Promise.all([
+      Candidate.aggregate([
+        { $match: { createdBy: { $in: memberIds }, ...(hasRange && { createdAt: range }) } },
+        {
+          $group: {
+            _id: '$createdBy',
+            totalCandidates: { $sum: 1 },
+            submitted: {
+              $sum: { $cond: [{ $eq: ['$status', 'Submitted'] }, 1, 0] }
+            },
+            selected: {
+              $sum: { $cond: [{ $eq: ['$status', 'Selected'] }, 1, 0] }
+            }
+          }
+        }
+      ]),
+      Application.aggregate([
+        { $match: { owner: { $in: memberIds }, ...(hasRange && { submittedAt: range }) } },
+        {
+          $group: {
+            _id: '$owner',
+            applications: { $sum: 1 },
+            joined: {
+              $sum: { $cond: [{ $eq: ['$stage', 'Joined'] }, 1, 0] }
+            }
+          }
+        }
+      ])
+    ]);
+
+    const byMember = new Map();
+    for (const stat of [...candidateStats, ...applicationStats]) {
+      const { _id, ...numbers } = stat;
+      byMember.set(_id.toString(), { ...byMember.get(_id.toString()), ...numbers });
+    }
+
+    const empty = { totalCandidates: 0, submitted: 0, selected: 0, applications: 0, joined: 0 };
+
+    return teams.map(team => {
+      const members = team.members.map(member => ({
+        member,
+        ...empty,
+        ...byMember.get((member._id || member).toString())
+      }));
+
+      const totals = members.reduce((sum, member) => {
+        for (const key of Object.keys(empty)) sum[key] += member[key];
+        return sum;
+      }, { ...empty });
+
+      return {
+        team: { _id: team._id, name: team.name, lead: team.lead },
+        totals,
+        members
+      };
+    });
+  }
+
+  async validateMembers(lead, members = []) {
+    const ids = [...new Set([lead, ...members].filter(Boolean).map(id => id.toString()))];
+
+    const invalid = ids.filter(id => !mongoose.isValidObjectId(id));
+    if (invalid.length) {
+      throw new AppError('Invalid user IDs', 400, { invalid });
+    }
+
+    const found = await User.find({ _id: { $in: ids }, isActive: true }).distinct('_id');
+    const missing = ids.filter(id => !found.some(userId => userId.toString() === id));
+
+    if (missing.length) {
+      throw new AppError('Some users do not exist or are inactive', 400, { missing });
+    }
+  }
+
+  async validateClients(clients = []) {
+    const invalid = clients.filter(id => !mongoose.isValidObjectId(id));
+    if (invalid.length) {
+      throw new AppError('Invalid client IDs', 400, { invalid });
+    }
+
+    const found = await Client.countDocuments({ _id: { $in: clients } });
+    if (found !== new Set(clients.map(String)).size) {
+      throw new AppError('Some clients do not exist', 400);
+    }
+  }
+}
+
+module.exports = new TeamService();
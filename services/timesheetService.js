@@ -0,0 +1,280 @@
+// services/timesheetService.js
+const Timesheet = require('../models/Timesheet');
+const Application = require('../models/Application');
+const Client = require('../models/Client');
+const LeaveService = require('./leaveService');
+const { AppError } = require('../utils/appError');
+
+class TimesheetService {
+  // Create a draft timesheet for a joined placement
+  async createTimesheet(data, user) {
+    const { applicationId, periodStart, periodEnd, entries = [] } = data;
+
+    const application = await Application.findById(applicationId);
+    if (!application) {
+      throw new AppError('No application found with that ID', 404);
+    }
+
+    if (application.stage !== 'Joined' || !application.isActive) {
+      throw new AppError('Timesheets can only be filled for joined candidates', 400);
+    }
+
+    const client = await Client.findById(application.clientId);
+    if (!client) {
+      throw new AppError('No client found for the application', 404);
+    }
+
+    const period = {
+      start: this.startOfDay(periodStart),
+      end: this.startOfDay(periodEnd)
+    };
+
+    if (isNaN(period.start) || isNaN(period.end)) {
+      throw new AppError('Please provide a valid timesheet period', 400);
+    }
+
+    const overlapping = await Timesheet.findOne({
+      applicationId,
+      'period.start': { $lte: period.end },
+      'period.end': { $gte: period.start }
+    });
+    if (overlapping) {
+      throw new AppError('Timesheet period overlaps an existing timesheet', 400);
+    }
+
+    this.assertBeforeCutoff(client, period, user);
+
+    const timesheet = new Timesheet({
+      applicationId,
+      candidateId: application.candidateId,
+      clientId: application.clientId,
+      requirementId: application.requirementId,
+      period,
+      timesheetType: client.timesheetConfig?.timesheetType || 'Day',
+      workingHoursPerDay: client.timesheetConfig?.workingHoursPerDay || 8,
+      entries: this.normaliseEntries(entries),
+      history: [{ action: 'created', by: user._id }],
+      createdBy: user._id
+    });
+    timesheet.leaveCheck = await LeaveService.checkTimesheetLeave(timesheet, client, application);
+
+    await timesheet.save();
+
+    return timesheet;
+  }
+
+  // Replace the entries of a draft or rejected timesheet
+  async updateEntries(timesheet, entries, user) {
+    if (!timesheet.isEditable()) {
+      throw new AppError(`Timesheet is ${timesheet.status} and cannot be changed`, 400);
+    }
+
+    const client = await Client.findById(timesheet.clientId);
+    this.assertBeforeCutoff(client, timesheet.period, user);
+
+    const application = await Application.findById(timesheet.applicationId);
+
+    timesheet.entries = this.normaliseEntries(entries);
+    timesheet.leaveCheck = await LeaveService.checkTimesheetLeave(timesheet, client, application);
+    timesheet.history.push({ action: 'updated', by: user._id });
+
+    await timesheet.save();
+
+    return timesheet;
+  }
+
+  // Submit a timesheet for client approval
+  async submitTimesheet(timesheet, { lateSubmissionReason } = {}, user) {
+    if (!timesheet.isEditable()) {
+      throw new AppError(`Timesheet is ${timesheet.status} and cannot be submitted`, 400);
+    }
+
+    if (!timesheet.entries.length) {
+      throw new AppError('Please fill the timesheet before submitting it', 400);
+    }
+
+    const client = await Client.findById(timesheet.clientId);
+    const late = this.assertBeforeCutoff(client, timesheet.period, user);
+    if (late && !lateSubmissionReason) {
+      throw new AppError('Please provide a reason for submitting after the cutoff', 400);
+    }
+
+    const application = await Application.findById(timesheet.applicationId);
+
+    timesheet.status = 'submitted';
+    timesheet.submittedAt = new Date();
+    timesheet.submittedBy = user._id;
+    timesheet.lateSubmissionReason = late ? lateSubmissionReason : undefined;
+    timesheet.leaveCheck = await LeaveService.checkTimesheetLeave(timesheet, client, application);
+    timesheet.history.push({ action: 'submitted', remarks: late ? `Late: ${lateSubmissionReason}` : undefined, by: user._id });
+
+    await timesheet.save();
+
+    return timesheet;
+  }
+
+  // Record the client SPOC's approval or rejection
+  async reviewTimesheet(timesheet, { decision, spocId, remarks }, user) {
+    if (!['approved', 'rejected'].includes(decision)) {
+      throw new AppError('Decision must be approved or rejected', 400);
+    }
+
+    if (timesheet.status !== 'submitted') {
+      throw new AppError('Only submitted timesheets can be approved or rejected', 400);
+    }
+
+    if (decision === 'rejected' && !remarks) {
+      throw new AppError('Please provide a reason for rejecting the timesheet', 400);
+    }
+
+    // Leave beyond the policy must be acknowledged by the approver
+    if (decision === 'approved' && timesheet.leaveCheck?.status === 'exceeds' && !remarks) {
+      throw new AppError('Leave taken exceeds the client leave policy - please add remarks to approve', 400, {
+        leaveCheck: timesheet.leaveCheck
+      });
+    }
+
+    const client = await Client.findById(timesheet.clientId);
+    const spoc = client?.spocDetails.id(spocId);
+
+    if (!spoc || spoc.status !== 'Active') {
+      throw new AppError('Please provide an active SPOC of the client', 400);
+    }
+
+    timesheet.status = decision;
+    timesheet.review = {
+      decision,
+      spoc: {
+        spocId: spoc._id,
+        name: spoc.name,
+        email: spoc.email
+      },
+      remarks,
+      recordedBy: user._id,
+      reviewedAt: new Date()
+    };
+    timesheet.history.push({ action: decision, remarks, by: user._id });
+
+    await timesheet.save();
+
+    // Approved leave is drawn from the consultant's leave balance
+    if (decision === 'approved') {
+      const application = await Application.findById(timesheet.applicationId);
+      await LeaveService.recordTimesheetLeave(timesheet, client, application, user);
+    }
+
+    return timesheet;
+  }
+
+  // Billable days and hours per placement from approved timesheets of a period
+  async getBillableSummary({ clientId, periodStart, periodEnd, applicationIds }) {
+    const query = {
+      clientId,
+      'period.start': { $gte: this.startOfDay(periodStart) },
+      'period.end': { $lte: this.startOfDay(periodEnd) }
+    };
+    if (applicationIds?.length) query.applicationId = { $in: applicationIds };
+
+    const timesheets = await Timesheet
+      .find(query)
+      .select('applicationId candidateId period status totals invoiceId')
+      .sort('period.start');
+
+    const placements = new Map();
+
+    for (const timesheet of timesheets) {
+      const key = timesheet.applicationId.toString();
+
+      if (!placements.has(key)) {
+        placements.set(key, {
+          applicationId: timesheet.applicationId,
+          candidateId: timesheet.candidateId,
+          timesheetIds: [],
+          billableDays: 0,
+          billableHours: 0,
+          leaveDays: 0,
+          pending: [],
+          invoiced: false
+        });
+      }
+      const placement = placements.get(key);
+
+      if (timesheet.status !== 'approved') {
+        placement.pending.push({ timesheetId: timesheet._id, status: timesheet.status, period: timesheet.period });
+        continue;
+      }
+
+      placement.timesheetIds.push(timesheet._id);
+      placement.billableDays = this.round(placement.billableDays + (timesheet.totals?.billableDays || 0));
+      placement.billableHours = this.round(placement.billableHours + (timesheet.totals?.billableHours || 0));
+      placement.leaveDays = this.round(placement.leaveDays + (timesheet.totals?.leaveDays || 0));
+      if (timesheet.invoiceId) placement.invoiced = true;
+    }
+
+    return [...placements.values()];
+  }
+
+  // Mark timesheets as billed, or release them when the invoice is cancelled
+  async setInvoice(timesheetIds, invoiceId) {
+    if (!timesheetIds.length) return;
+
+    await Timesheet.updateMany(
+      { _id: { $in: timesheetIds } },
+      invoiceId ? { invoiceId } : { $unset: { invoiceId: 1 } }
+    );
+  }
+
+  // Throw once the client's cutoff for the period has passed - admins may still go ahead (returns true when late)
+  assertBeforeCutoff(client, period, user) {
+    const cutoff = this.getCutoff(client, period);
+    if (!cutoff || new Date() <= cutoff) return false;
+
+    if (!['admin', 'super_admin'].includes(user.role)) {
+      throw new AppError(`Timesheet cutoff for this period passed on ${cutoff.toDateString()}`, 400);
+    }
+
+    return true;
+  }
+
+  // The cutoff day of month from the client config, in the month after the period ends
+  getCutoff(client, period) {
+    const cutoffDate = client?.timesheetConfig?.cutoffDate;
+    if (!cutoffDate) return null;
+
+    const day = new Date(cutoffDate).getDate();
+    const end = new Date(period.end);
+    const lastDay = new Date(end.getFullYear(), end.getMonth() + 2, 0).getDate();
+    const cutoff = new Date(end.getFullYear(), end.getMonth() + 1, Math.min(day, lastDay));
+    cutoff.setHours(23, 59, 59, 999);
+
+    return cutoff;
+  }
+
+  // One entry per date, at the start of the day
+  normaliseEntries(entries) {
+    if (!Array.isArray(entries)) {
+      throw new AppError('Timesheet entries must be a list', 400);
+    }
+
+    return entries.map(entry => ({
+      date: this.startOfDay(entry.date),
+      type: entry.type || 'work',
+      days: entry.days,
+      hours: entry.hours,
+      leaveType: entry.type === 'leave' ? entry.leaveType : undefined,
+      notes: entry.notes
+    }));
+  }
+
+  startOfDay(date) {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new TimesheetService();
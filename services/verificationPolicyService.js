@@ -0,0 +1,341 @@
+// services/verificationPolicyService.js
+const Client = require('../models/Client');
+const Application = require('../models/Application');
+const config = require('../config/constants');
+
+// Policy keys of Client.verificationPolicy.educationPolicy, lowest level first
+const LEVELS = ['ssc', 'intermediate', 'diploma', 'graduation', 'pg'];
+
+const LEVEL_NAMES = {
+  ssc: 'SSC / 10th',
+  intermediate: 'Intermediate / 12th',
+  diploma: 'Diploma',
+  graduation: 'Graduation',
+  pg: 'Post Graduation'
+};
+
+// Candidate.education[].educationType values mapped to policy levels
+const LEVEL_PATTERNS = [
+  { level: 'pg', pattern: /\b(post\s?graduat\w*|pg|m\.?\s?tech|m\.?\s?e|mba|mca|m\.?\s?sc|m\.?\s?com|m\.?\s?a|pgdm|masters?)\b/i },
+  { level: 'graduation', pattern: /\b(graduat\w*|ug|b\.?\s?tech|b\.?\s?e|bca|bba|b\.?\s?sc|b\.?\s?com|b\.?\s?a|bachelors?|degree)\b/i },
+  { level: 'diploma', pattern: /\b(diploma|polytechnic)\b/i },
+  { level: 'intermediate', pattern: /\b(12th|xii|hsc|intermediate|inter|higher secondary|senior secondary|puc)\b/i },
+  { level: 'ssc', pattern: /\b(10th|x|ssc|sslc|matric\w*|secondary|high school)\b/i }
+];
+
+// Years of schooling a level normally represents, used when dates are missing
+const STANDARD_YEARS = {
+  ssc: 10,
+  intermediate: 12,
+  diploma: 13,
+  graduation: 15,
+  pg: 17
+};
+
+const REGULAR_MODE = /\b(regular|full[\s-]?time)\b/i;
+const NON_REGULAR_MODE = /\b(distance|correspondence|part[\s-]?time|open|online|external|private|weekend|executive)\b/i;
+
+class VerificationPolicyService {
+  // Evaluate a candidate's education against a client's verification policy
+  async evaluateForClient(candidate, clientId) {
+    const client = clientId
+      ? await Client.findById(clientId).select('verificationPolicy')
+      : null;
+
+    return this.evaluate(candidate, client?.verificationPolicy);
+  }
+
+  // Evaluate a candidate against the given clients, or the clients they are mapped to
+  async evaluateCandidate(candidate, clientIds) {
+    if (!clientIds) {
+      clientIds = await Application.distinct('clientId', {
+        candidateId: candidate._id,
+        isActive: true,
+        clientId: { $ne: null }
+      });
+    }
+
+    const clients = await Client
+      .find({ _id: { $in: clientIds } })
+      .select('businessDetails.clientName verificationPolicy');
+
+    return clients.map(client => ({
+      client: {
+        _id: client._id,
+        clientName: client.businessDetails?.clientName
+      },
+      ...this.evaluate(candidate, client.verificationPolicy)
+    }));
+  }
+
+  // Evaluate a candidate's education against a verification policy
+  evaluate(candidate, policy) {
+    const education = this.classifyEducation(candidate.education || []);
+    const rules = [];
+
+    for (const level of LEVELS) {
+      const text = policy?.educationPolicy?.[level];
+      if (!text || !text.trim()) continue;
+
+      rules.push(this.evaluateLevel(level, text.trim(), education));
+    }
+
+    if (policy?.minEducationYears) {
+      rules.push(this.evaluateEducationYears(policy.minEducationYears, education));
+    }
+
+    return {
+      status: this.overallStatus(rules),
+      rules,
+      checkedAt: new Date()
+    };
+  }
+
+  // Check one level's rule - presence, mode, marks and the gap before it
+  evaluateLevel(level, text, education) {
+    const rule = this.parseRule(text);
+    const entries = education.filter(item => item.level === level);
+    const result = {
+      rule: level,
+      description: `${LEVEL_NAMES[level]}: ${text}`,
+      status: 'pass',
+      reasons: [],
+      educationIndexes: entries.map(item => item.index)
+    };
+
+    if (rule.notRequired) {
+      result.reasons.push('Not required by the client');
+      return result;
+    }
+
+    if (!rule.understood) {
+      return this.mark(result, 'needs_review', 'Policy wording could not be evaluated automatically');
+    }
+
+    if (!entries.length) {
+      return rule.required
+        ? this.mark(result, 'fail', `No ${LEVEL_NAMES[level]} entry in the candidate's education`)
+        : result;
+    }
+
+    // The best entry decides - e.g. a regular degree alongside a distance one
+    const outcomes = entries.map(item => this.checkEntry(item, rule, education));
+    const best = outcomes.find(outcome => outcome.status === 'pass')
+      || outcomes.find(outcome => outcome.status === 'needs_review')
+      || outcomes[0];
+
+    result.status = best.status;
+    result.reasons.push(...best.reasons);
+
+    return result;
+  }
+
+  // Check a single education entry against a parsed rule
+  checkEntry(item, rule, education) {
+    const outcome = { status: 'pass', reasons: [] };
+    const entry = item.entry;
+
+    if (rule.regularOnly) {
+      const mode = entry.modeOfEducation || '';
+
+      if (NON_REGULAR_MODE.test(mode)) {
+        this.mark(outcome, 'fail', `Mode of education is ${mode}; the client accepts regular education only`);
+      } else if (!REGULAR_MODE.test(mode)) {
+        this.mark(outcome, 'needs_review', 'Mode of education is not recorded');
+      }
+    }
+
+    if (rule.minPercentage !== null) {
+      const percentage = this.parsePercentage(entry.marksGrade);
+
+      if (percentage === null) {
+        this.mark(outcome, 'needs_review', `Marks "${entry.marksGrade || 'not recorded'}" could not be compared with ${rule.minPercentage}%`);
+      } else if (percentage < rule.minPercentage) {
+        this.mark(outcome, 'fail', `Scored ${percentage}%, below the required ${rule.minPercentage}%`);
+      }
+    }
+
+    if (rule.maxGapMonths !== null) {
+      const previous = this.previousEntry(item, education);
+
+      if (!previous) {
+        // Nothing to measure a gap against
+      } else if (!previous.entry.endDate || !entry.startDate) {
+        this.mark(outcome, 'needs_review', 'Dates are missing, so the education gap cannot be checked');
+      } else {
+        const gap = this.monthsBetween(previous.entry.endDate, entry.startDate);
+
+        if (gap > rule.maxGapMonths) {
+          this.mark(outcome, 'fail', `Gap of ${gap} months before this course exceeds the allowed ${rule.maxGapMonths}`);
+        }
+      }
+    }
+
+    if (entry.startDate && entry.endDate && new Date(entry.endDate) < new Date(entry.startDate)) {
+      this.mark(outcome, 'needs_review', 'End date is before the start date');
+    }
+
+    return outcome;
+  }
+
+  // Years of education implied by the highest qualification
+  evaluateEducationYears(minYears, education) {
+    const result = {
+      rule: 'minEducationYears',
+      description: `Minimum ${minYears} years of education`,
+      status: 'pass',
+      reasons: [],
+      educationIndexes: []
+    };
+
+    const highest = [...education]
+      .filter(item => item.level)
+      .sort((a, b) => LEVELS.indexOf(b.level) - LEVELS.indexOf(a.level))[0];
+
+    if (!highest) {
+      return this.mark(result, 'needs_review', 'Education levels could not be identified');
+    }
+
+    result.educationIndexes.push(highest.index);
+
+    const { years, estimated } = this.educationYears(highest, education);
+
+    if (years >= minYears) {
+      result.reasons.push(`${years} years of education${estimated ? ' (estimated)' : ''}`);
+      return result;
+    }
+
+    return this.mark(
+      result,
+      estimated ? 'needs_review' : 'fail',
+      `${years} years of education${estimated ? ' (estimated from the level, dates are missing)' : ''}, below the required ${minYears}`
+    );
+  }
+
+  // Standard years up to the level below, plus the actual course duration when dated
+  educationYears(highest, education) {
+    const { entry, level } = highest;
+
+    if (level === 'ssc' || !entry.startDate || !entry.endDate) {
+      return { years: STANDARD_YEARS[level], estimated: level !== 'ssc' };
+    }
+
+    // Diplomas are taken after 10th; degrees after 12th or a diploma
+    const base = {
+      intermediate: STANDARD_YEARS.ssc,
+      diploma: STANDARD_YEARS.ssc,
+      graduation: education.some(item => item.level === 'diploma') && !education.some(item => item.level === 'intermediate')
+        ? STANDARD_YEARS.diploma - 1
+        : STANDARD_YEARS.intermediate,
+      pg: STANDARD_YEARS.graduation
+    }[level];
+
+    const duration = Math.round(this.monthsBetween(entry.startDate, entry.endDate) / 12);
+
+    return { years: base + duration, estimated: false };
+  }
+
+  // Read the free-text policy of a level
+  parseRule(text) {
+    const required = /\b(mandatory|required|must|compulsory)\b/i.test(text)
+      && !/\bnot (required|mandatory)\b/i.test(text);
+
+    const rule = {
+      notRequired: !required && /\b(not (required|mandatory|applicable)|optional|n\/?a|any|no restrictions?)\b/i.test(text),
+      required,
+      regularOnly: REGULAR_MODE.test(text) && !/\b(distance|correspondence|open)\b.*\b(allowed|accepted|ok)\b/i.test(text),
+      minPercentage: null,
+      maxGapMonths: null,
+      understood: false
+    };
+
+    const percentage = text.match(/(\d{2}(?:\.\d+)?)\s*%/);
+    if (percentage) rule.minPercentage = parseFloat(percentage[1]);
+
+    // "No gap" means no year lost - the usual break between results and the next admission is fine
+    if (/\bno\s+(year\s+)?gaps?\b/i.test(text)) {
+      rule.maxGapMonths = config.verification.academicBreakMonths;
+    } else {
+      const gap = text.match(/gaps?\D{0,20}?(\d+(?:\.\d+)?)\s*(years?|yrs?|months?)/i);
+      if (gap) {
+        rule.maxGapMonths = Math.round(parseFloat(gap[1]) * (/^m/i.test(gap[2]) ? 1 : 12));
+      }
+    }
+
+    // Any specific condition implies the level must be present
+    if (rule.regularOnly || rule.minPercentage !== null || rule.maxGapMonths !== null) {
+      rule.required = true;
+    }
+
+    rule.understood = rule.notRequired || rule.required;
+
+    return rule;
+  }
+
+  // Attach a policy level to each education entry
+  classifyEducation(education) {
+    return education.map((entry, index) => {
+      const match = LEVEL_PATTERNS.find(({ pattern }) => pattern.test(entry.educationType || ''));
+      return { entry, index, level: match ? match.level : null };
+    });
+  }
+
+  // Entry finished most recently before this one started
+  previousEntry(item, education) {
+    const start = item.entry.startDate ? new Date(item.entry.startDate) : null;
+    const position = LEVELS.indexOf(item.level);
+
+    const earlier = education.filter(other =>
+      other !== item &&
+      other.level &&
+      LEVELS.indexOf(other.level) < position
+    );
+
+    if (!earlier.length) return null;
+
+    return earlier.sort((a, b) => {
+      const aEnd = a.entry.endDate ? new Date(a.entry.endDate) : null;
+      const bEnd = b.entry.endDate ? new Date(b.entry.endDate) : null;
+      // Prefer dated entries that end before the start, latest first
+      const rank = (end) => (!end ? 0 : (!start || end <= start ? 2 : 1));
+      return (rank(bEnd) - rank(aEnd)) || ((bEnd || 0) - (aEnd || 0));
+    })[0];
+  }
+
+  // "72%", "72.5", "8.1 CGPA" (CGPA x 9.5)
+  parsePercentage(marks) {
+    if (!marks) return null;
+
+    const text = String(marks);
+    const number = parseFloat(text.replace(/[^\d.]/g, ' ').trim().split(' ')[0]);
+    if (Number.isNaN(number)) return null;
+
+    if (/%/.test(text) || number > 10) return number;
+
+    return Math.round(number * 9.5 * 10) / 10;
+  }
+
+  // Whole months between two dates (never negative)
+  monthsBetween(from, to) {
+    const start = new Date(from);
+    const end = new Date(to);
+    const months = (end.getFullYear() - start.getFullYear()) * 12 + (end.getMonth() - start.getMonth());
+    return Math.max(0, months);
+  }
+
+  // Downgrade a result and record why; fail outranks needs_review
+  mark(result, status, reason) {
+    if (status === 'fail' || result.status === 'pass') result.status = status;
+    result.reasons.push(reason);
+    return result;
+  }
+
+  // Fail if any rule fails, otherwise needs review if any rule does
+  overallStatus(rules) {
+    if (rules.some(rule => rule.status === 'fail')) return 'fail';
+    if (rules.some(rule => rule.status === 'needs_review')) return 'needs_review';
+    return 'pass';
+  }
+}
+
+module.exports = new VerificationPolicyService();
@@ -7,7 +7,20 @@ const EmailService = require('./emailService');
 const excel = require('exceljs');
 const csv = require('csv-writer');
 const PDFDocument = require('pdfkit');
-const FileService = require('./fileService');
+const { FileService } = require('./fileService');
+const LeaveService = require('./leaveService');
+const { AppError } = require('../utils/appError');
+
+// Paid leave per month when the client has no leave policy on record
+const DEFAULT_LEAVE_DAYS_PER_MONTH = 1.5;
+
+// KYC upload fields of the candidate form and where each file is linked on Candidate.kyc
+const KYC_UPLOADS = {
+  aadhaar: { path: 'aadhaarFileId', category: 'kyc_document' },
+  pan: { path: 'panFileId', category: 'kyc_document' },
+  panSelfie: { path: 'panSelfieId', category: 'photo' },
+  passport: { path: 'passportFileId', category: 'kyc_document' }
+};
 
 class WorkflowService {
   // Client workflow
@@ -86,6 +99,138 @@ class WorkflowService {
     return stageFlow[currentStage] || null;
   }
   
+  // Apply one step of the candidate form and move the candidate to the next stage.
+  // Used by recruiters filling the form and by candidates through the self-service portal.
+  async applyCandidateStep(candidate, step, data, files, uploadedBy) {
+    switch (step) {
+      case 'personal':
+        candidate.personalDetails = data.personalDetails;
+        candidate.contactInfo = data.contactInfo;
+        candidate.emergencyContact = data.emergencyContact;
+        
+        // Handle passport image upload
+        if (files?.passportImage) {
+          const uploadedFile = await FileService.uploadSingle(
+            files.passportImage[0],
+            'Candidate',
+            candidate._id,
+            uploadedBy,
+            'photo'
+          );
+          candidate.personalDetails.passportImageId = uploadedFile._id;
+        }
+        
+        candidate.workflowStage = 'Education';
+        break;
+        
+      case 'education':
+        candidate.education = data.education;
+        
+        // Handle certificate uploads
+        if (files) {
+          for (let i = 0; i < candidate.education.length; i++) {
+            const fileKey = `certificate_${i}`;
+            if (files[fileKey]) {
+              const uploadedFile = await FileService.uploadSingle(
+                files[fileKey][0],
+                'Candidate',
+                candidate._id,
+                uploadedBy,
+                'education_certificate'
+              );
+              candidate.education[i].certificateId = uploadedFile._id;
+            }
+          }
+        }
+        
+        candidate.workflowStage = 'Employment';
+        break;
+        
+      case 'employment':
+        candidate.employment = data.employment;
+        candidate.offerStatus = data.offerStatus;
+        if (data.keySkills) candidate.keySkills = data.keySkills;
+        
+        // Handle document uploads
+        // Similar pattern for employment documents
+        
+        candidate.workflowStage = 'KYC';
+        break;
+        
+      case 'kyc': {
+        // Documents uploaded earlier stay linked unless a new file replaces them
+        const previousFiles = {
+          kyc: Object.fromEntries(Object.values(KYC_UPLOADS).map(({ path }) => [path, candidate.kyc?.[path]])),
+          chequeFileId: candidate.bankDetails?.chequeFileId
+        };
+        
+        candidate.kyc = data.kyc;
+        candidate.bankDetails = data.bankDetails;
+        candidate.address = data.address;
+        
+        for (const [path, fileId] of Object.entries(previousFiles.kyc)) {
+          if (fileId && !candidate.kyc?.[path]) candidate.set(`kyc.${path}`, fileId);
+        }
+        if (previousFiles.chequeFileId && !candidate.bankDetails?.chequeFileId) {
+          candidate.set('bankDetails.chequeFileId', previousFiles.chequeFileId);
+        }
+        
+        // Handle KYC document uploads
+        for (const [fileKey, { path, category }] of Object.entries(KYC_UPLOADS)) {
+          if (files?.[fileKey]) {
+            const uploadedFile = await FileService.uploadSingle(
+              files[fileKey][0],
+              'Candidate',
+              candidate._id,
+              uploadedBy,
+              category
+            );
+            candidate.set(`kyc.${path}`, uploadedFile._id);
+          }
+        }
+        
+        // Handle the cancelled cheque or bank statement
+        if (files?.bankDoc) {
+          const uploadedFile = await FileService.uploadSingle(
+            files.bankDoc[0],
+            'Candidate',
+            candidate._id,
+            uploadedBy,
+            'bank_statement'
+          );
+          candidate.set('bankDetails.chequeFileId', uploadedFile._id);
+        }
+        
+        candidate.workflowStage = 'Financial';
+        break;
+      }
+        
+      case 'financial':
+        candidate.financialInfo = data.financialInfo;
+        
+        // Calculate financial metrics with the client's leave policy
+        const client = data.financialInfo?.clientId
+          ? await Client.findById(data.financialInfo.clientId).select('leavePolicy')
+          : null;
+        candidate.financialInfo.calculated = this.calculateFinancialMetrics(
+          data.financialInfo,
+          client?.leavePolicy
+        );
+        
+        candidate.workflowStage = 'Review';
+        break;
+        
+      case 'recruiterCall':
+        candidate.recruiterCallData = data;
+        break;
+        
+      default:
+        throw new AppError('Invalid step provided', 400);
+    }
+    
+    return candidate;
+  }
+  
   // Validate stage completion
   async validateStageCompletion(entityType, entityId, stageName) {
     const Model = this.getModel(entityType);
@@ -124,8 +269,8 @@ class WorkflowService {
     };
   }
   
-  // Calculate financial metrics
-  calculateFinancialMetrics(financialInfo) {
+  // Calculate financial metrics, costing leave from the client's leave policy
+  calculateFinancialMetrics(financialInfo, leavePolicy) {
     const {
       businessType,
       lastWithdrawnSalary,
@@ -151,8 +296,9 @@ class WorkflowService {
         calculated.grossMarginPercentageAfterMSP = (calculated.grossMarginAmountAfterMSP / billRate) * 100;
       }
       
-      // Leave cost (assuming 1.5 days per month)
-      calculated.leaveCost = (offeredSalary / 21) * 1.5;
+      // Leave cost - paid leave days accrued per month at the daily salary
+      calculated.leaveDaysPerMonth = LeaveService.getPaidLeaveDaysPerMonth(leavePolicy) ?? DEFAULT_LEAVE_DAYS_PER_MONTH;
+      calculated.leaveCost = (offeredSalary / 21) * calculated.leaveDaysPerMonth;
       
       // After leave cost margin
       const baseMargin = businessType === 'Contract MSP' ? 
@@ -170,7 +316,7 @@ class WorkflowService {
   
   // Parse blocklist file (CSV/Excel)
   async parseBlocklistFile(file) {
-    const fileContent = await FileService.FileService.getFileBuffer(file._id);
+    const fileContent = await FileService.getFileBuffer(file._id);
     const entries = [];
     
     if (file.fileType === 'csv') {
@@ -0,0 +1,66 @@
+// tests/middleware/upload.test.js
+const express = require('express');
+const request = require('supertest');
+const RequestContext = require('../../utils/requestContext');
+const { uploadSingle, uploadFields, uploadMultiple } = require('../../middleware/upload');
+
+// App that sets an actor before the upload and reports the context the handler sees
+const buildApp = (uploadMiddleware) => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(RequestContext.middleware);
+  app.use((req, res, next) => {
+    RequestContext.setActor({ user: { _id: 'user-1' } });
+    next();
+  });
+
+  app.post('/', uploadMiddleware, (req, res) => {
+    res.json({ context: RequestContext.get() || null });
+  });
+
+  return app;
+};
+
+const attachment = [Buffer.from('plain text document'), { filename: 'notes.txt', contentType: 'text/plain' }];
+
+describe('upload middleware', () => {
+  it('keeps the request context after a single file upload', async () => {
+    const res = await request(buildApp(uploadSingle('resume')))
+      .post('/')
+      .attach('resume', ...attachment);
+
+    expect(res.status).toBe(200);
+    expect(res.body.context).toMatchObject({ user: { _id: 'user-1' } });
+    expect(res.body.context.ipAddress).toBeDefined();
+  });
+
+  it('keeps the request context after a multi-field upload', async () => {
+    const res = await request(buildApp(uploadFields([{ name: 'documents', maxCount: 2 }])))
+      .post('/')
+      .attach('documents', ...attachment)
+      .field('step', 'personal');
+
+    expect(res.status).toBe(200);
+    expect(res.body.context).toMatchObject({ user: { _id: 'user-1' } });
+  });
+
+  it('keeps the request context after an array upload', async () => {
+    const res = await request(buildApp(uploadMultiple('files', 3)))
+      .post('/')
+      .attach('files', ...attachment)
+      .attach('files', ...attachment);
+
+    expect(res.status).toBe(200);
+    expect(res.body.context).toMatchObject({ user: { _id: 'user-1' } });
+  });
+
+  it('keeps the request context for requests without files', async () => {
+    const res = await request(buildApp(uploadSingle('resume')))
+      .post('/')
+      .send({ step: 'personal' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.context).toMatchObject({ user: { _id: 'user-1' } });
+  });
+});
@@ -0,0 +1,81 @@
+// tests/services/applicationService.test.js
+const mongoose = require('mongoose');
+
+// The email transporter is only set up outside tests
+jest.mock('../../services/emailService', () => ({}));
+
+const ApplicationService = require('../../services/applicationService');
+const StatusWorkflowService = require('../../services/statusWorkflowService');
+const BlocklistService = require('../../services/blocklistService');
+const VerificationPolicyService = require('../../services/verificationPolicyService');
+const Application = require('../../models/Application');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('ApplicationService.createApplication', () => {
+  const user = { _id: id() };
+  const candidate = { _id: id(), assignedTo: id() };
+  const requirement = { _id: id(), clientId: id() };
+
+  const existingAt = stage => {
+    const application = new Application({
+      candidateId: candidate._id,
+      requirementId: requirement._id,
+      clientId: requirement.clientId,
+      stage,
+      stageHistory: [{ stage: 'Sourced', changedBy: user._id }, { fromStage: 'Sourced', stage, changedBy: user._id }],
+      submittedBy: user._id,
+      withdrawnAt: stage === 'Withdrawn' ? new Date() : undefined,
+      withdrawReason: stage === 'Withdrawn' ? 'Not interested' : undefined,
+      marginApproval: { status: 'approved', offeredCTC: 1200000 }
+    });
+    jest.spyOn(application, 'save').mockResolvedValue(application);
+    jest.spyOn(Application, 'findOne').mockResolvedValue(application);
+    return application;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(StatusWorkflowService, 'resolveWorkflow')
+      .mockResolvedValue({ name: 'Default', initialState: 'Sourced', states: ['Sourced', 'Screening', 'Submitted'] });
+    jest.spyOn(StatusWorkflowService, 'assertStateGuards').mockResolvedValue();
+    jest.spyOn(BlocklistService, 'screenCandidate').mockResolvedValue({ status: 'clear', matches: [] });
+    jest.spyOn(VerificationPolicyService, 'evaluateForClient').mockResolvedValue({ status: 'pass', rules: [] });
+    jest.spyOn(ApplicationService, 'recalculateRequirementMetrics').mockResolvedValue();
+    jest.spyOn(Application, 'create').mockImplementation(async doc => doc);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it.each(['Withdrawn', 'Rejected'])('re-opens a %s application', async stage => {
+    const existing = existingAt(stage);
+
+    const application = await ApplicationService.createApplication({ candidate, requirement, user, reason: 'Interested again' });
+
+    expect(application).toBe(existing);
+    expect(Application.create).not.toHaveBeenCalled();
+    expect(existing.save).toHaveBeenCalled();
+    expect(application.stage).toBe('Sourced');
+    expect(application.stageHistory[application.stageHistory.length - 1])
+      .toMatchObject({ fromStage: stage, stage: 'Sourced', reason: 'Interested again' });
+    expect(application.withdrawnAt).toBeUndefined();
+    expect(application.withdrawReason).toBeUndefined();
+    expect(application.marginApproval?.status).toBeUndefined();
+    expect(application.isOpen()).toBe(true);
+  });
+
+  it.each(['Screening', 'Joined'])('refuses a candidate already mapped at %s', async stage => {
+    existingAt(stage);
+
+    await expect(ApplicationService.createApplication({ candidate, requirement, user }))
+      .rejects.toThrow('Candidate is already mapped to this requirement');
+  });
+
+  it('creates an application when there is none', async () => {
+    jest.spyOn(Application, 'findOne').mockResolvedValue(null);
+
+    const application = await ApplicationService.createApplication({ candidate, requirement, user });
+
+    expect(Application.create).toHaveBeenCalled();
+    expect(application).toMatchObject({ stage: 'Sourced', owner: candidate.assignedTo });
+  });
+});
@@ -0,0 +1,44 @@
+// tests/services/bgvBillingService.test.js
+const BGVBillingService = require('../../services/bgvBillingService');
+
+const bgvCase = (priority, n) => ({
+  _id: `case${n}`,
+  caseCode: `BGV-${n}`,
+  priority,
+  checks: [{ type: 'educationVerification' }],
+  closedAt: new Date(2024, 0, n)
+});
+
+const cases = [bgvCase('standard', 1), bgvCase('express', 2)];
+
+describe('BGVBillingService.computeCharges', () => {
+  it('bills express cases at the express price without the surcharge when both are set', () => {
+    const { lineItems, pricing, totals } = BGVBillingService.computeCharges(cases, {
+      standard: { perCase: 1000 },
+      express: { perCase: 1500, surchargePercentage: 50 }
+    });
+
+    expect(lineItems[1]).toMatchObject({ rate: 1500, surcharge: 0, amount: 1500 });
+    expect(pricing).toMatchObject({ expressRate: 1500, surchargePercentage: 0 });
+    expect(totals).toMatchObject({ expressAmount: 1500, expressSurcharge: 0, total: 2500 });
+  });
+
+  it('adds the surcharge to the standard rate when there is no express price', () => {
+    const { lineItems, totals } = BGVBillingService.computeCharges(cases, {
+      standard: { perCase: 1000 },
+      express: { surchargePercentage: 50 }
+    });
+
+    expect(lineItems[1]).toMatchObject({ rate: 1000, surcharge: 500, amount: 1500 });
+    expect(totals).toMatchObject({ expressSurcharge: 500, total: 2500 });
+  });
+
+  it('bills standard cases at the standard rate', () => {
+    const { lineItems } = BGVBillingService.computeCharges(cases, {
+      standard: { perCase: 1000 },
+      express: { perCase: 1500, surchargePercentage: 50 }
+    });
+
+    expect(lineItems[0]).toMatchObject({ rate: 1000, surcharge: 0, amount: 1000 });
+  });
+});
@@ -0,0 +1,70 @@
+// tests/services/candidatePortalService.test.js
+const mongoose = require('mongoose');
+
+// The email transporter is only set up outside tests
+jest.mock('../../services/emailService', () => ({}));
+
+const Candidate = require('../../models/Candidate');
+const CandidatePortalService = require('../../services/candidatePortalService');
+const WorkflowService = require('../../services/workflowService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('CandidatePortalService.editableData', () => {
+  const passportImageId = id();
+  const certificateId = id();
+  const aadhaarFileId = id();
+  const someoneElsesFile = id();
+
+  const candidate = () => new Candidate({
+    personalDetails: { firstName: 'Asha', lastName: 'Rao', dateOfBirth: new Date(1995, 4, 1), passportImageId },
+    contactInfo: { phoneNo: '9876543210', email: 'asha@example.com' },
+    education: [{ educationType: 'Graduation', certificateId }],
+    kyc: { aadhaarFileId }
+  });
+
+  it('keeps the email and photo of the record on the personal step', async () => {
+    const record = candidate();
+    const data = CandidatePortalService.editableData(record, 'personal', {
+      personalDetails: { firstName: 'Asha', lastName: 'Iyer', dateOfBirth: '1995-05-01', passportImageId: someoneElsesFile },
+      contactInfo: { phoneNo: '9876500000', email: 'someone@example.com' },
+      emergencyContact: { contactPerson: 'Ravi', contactPhone: '9000000000' }
+    });
+
+    await WorkflowService.applyCandidateStep(record, 'personal', data, null, id());
+
+    expect(record.personalDetails.lastName).toBe('Iyer');
+    expect(record.personalDetails.passportImageId).toEqual(passportImageId);
+    expect(record.contactInfo.phoneNo).toBe('9876500000');
+    expect(record.contactInfo.email).toBe('asha@example.com');
+  });
+
+  it('keeps only certificates already linked to the candidate', () => {
+    const data = CandidatePortalService.editableData(candidate(), 'education', {
+      education: [
+        { educationType: 'Graduation', certificateId: certificateId.toString() },
+        { educationType: 'Post Graduation', certificateId: someoneElsesFile }
+      ]
+    });
+
+    expect(data.education[0].certificateId).toBe(certificateId.toString());
+    expect(data.education[1]).toEqual({ educationType: 'Post Graduation', certificateId: undefined });
+  });
+
+  it('drops KYC file references and hashes sent by the candidate', async () => {
+    const record = candidate();
+    const data = CandidatePortalService.editableData(record, 'kyc', {
+      kyc: { panNumber: 'ABCDE1234F', aadhaarFileId: someoneElsesFile, panFileId: someoneElsesFile, panHash: 'forged' },
+      bankDetails: { ifscCode: 'HDFC0000001', chequeFileId: someoneElsesFile }
+    });
+
+    expect(data.kyc).toEqual({ panNumber: 'ABCDE1234F' });
+    expect(data.bankDetails).toEqual({ ifscCode: 'HDFC0000001' });
+
+    await WorkflowService.applyCandidateStep(record, 'kyc', data, null, id());
+
+    expect(record.kyc.aadhaarFileId).toEqual(aadhaarFileId);
+    expect(record.kyc.panFileId).toBeUndefined();
+    expect(record.bankDetails.chequeFileId).toBeUndefined();
+  });
+});
@@ -0,0 +1,25 @@
+// tests/services/clientPortalService.test.js
+const mongoose = require('mongoose');
+
+// The email transporter is only set up outside tests
+jest.mock('../../services/emailService', () => ({}));
+
+const ClientPortalService = require('../../services/clientPortalService');
+
+const client = { _id: new mongoose.Types.ObjectId() };
+
+describe('ClientPortalService status filters', () => {
+  it.each(['Draft', { $ne: 'Active' }, ['Draft']])('refuses to list requirements with status %p', async status => {
+    await expect(ClientPortalService.getRequirements(client, { status }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it.each(['draft', { $exists: true }])('refuses to list timesheets with status %p', async status => {
+    await expect(ClientPortalService.getTimesheets(client, { status }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('accepts the statuses a client can see', () => {
+    expect(ClientPortalService.visibleStatus('On Hold', ['Active', 'On Hold'])).toBe('On Hold');
+  });
+});
@@ -0,0 +1,126 @@
+// tests/services/leaveService.test.js
+const LeaveService = require('../../services/leaveService');
+
+const ledger = (joinedAt, transactions = []) => ({ joinedAt, transactions });
+
+const find = (summary, code) => summary.leaveTypes.find(entry => entry.code === code);
+
+describe('LeaveService.computeBalances', () => {
+  describe('accrual', () => {
+    const casualLeave = { code: 'CL', name: 'Casual Leave', accrualPerMonth: 1 };
+    const policy = {
+      probationMonths: 1,
+      preProbation: { leaveTypes: [casualLeave] },
+      postProbation: { leaveTypes: [casualLeave] }
+    };
+
+    it('credits each month and prorates the joining month', () => {
+      // Joined on the 16th of a 31-day month: 16/31 of a month's credit
+      const summary = LeaveService.computeBalances(ledger(new Date(2024, 0, 16)), policy, new Date(2024, 2, 10));
+
+      expect(find(summary, 'CL')).toMatchObject({ accrued: 2.52, balance: 2.52, paid: true, name: 'Casual Leave' });
+      expect(summary.totals.balance).toBe(2.52);
+    });
+
+    it('ignores transactions after the as-of date', () => {
+      const summary = LeaveService.computeBalances(ledger(new Date(2024, 0, 1), [
+        { kind: 'availed', leaveType: 'CL', days: 1, date: new Date(2024, 1, 5) },
+        { kind: 'availed', leaveType: 'CL', days: 1, date: new Date(2024, 4, 5) }
+      ]), policy, new Date(2024, 2, 31));
+
+      expect(find(summary, 'CL')).toMatchObject({ accrued: 3, availed: 1, balance: 2 });
+    });
+
+    it('counts leave beyond the balance as loss of pay', () => {
+      const summary = LeaveService.computeBalances(ledger(new Date(2024, 0, 1), [
+        { kind: 'availed', leaveType: 'CL', days: 3, date: new Date(2024, 1, 5) }
+      ]), policy, new Date(2024, 1, 28));
+
+      expect(find(summary, 'CL')).toMatchObject({ availed: 3, balance: 0, lopDays: 1 });
+      expect(summary.totals.lopDays).toBe(1);
+    });
+  });
+
+  describe('carry-forward', () => {
+    const policy = {
+      probationMonths: 0,
+      postProbation: {
+        leaveTypes: [
+          { code: 'EL', accrualPerMonth: 1.5, carryForward: { allowed: true, maxDays: 5 } },
+          { code: 'CL', accrualPerMonth: 1 }
+        ]
+      }
+    };
+
+    it('carries unused days into the new year up to the limit and lapses the rest', () => {
+      const summary = LeaveService.computeBalances(ledger(new Date(2023, 0, 1)), policy, new Date(2024, 1, 15));
+
+      expect(find(summary, 'EL')).toMatchObject({ carriedForward: 5, lapsed: 13, balance: 8 });
+      expect(find(summary, 'CL')).toMatchObject({ carriedForward: 0, lapsed: 12, balance: 2 });
+    });
+
+    it('carries forward everything when there is no limit', () => {
+      const unlimited = {
+        probationMonths: 0,
+        postProbation: { leaveTypes: [{ code: 'EL', accrualPerMonth: 1, carryForward: { allowed: true } }] }
+      };
+      const summary = LeaveService.computeBalances(ledger(new Date(2023, 0, 1)), unlimited, new Date(2024, 0, 15));
+
+      expect(find(summary, 'EL')).toMatchObject({ carriedForward: 12, lapsed: 0, balance: 13 });
+    });
+  });
+
+  describe('probation', () => {
+    const policy = {
+      probationMonths: 3,
+      preProbation: { leaveTypes: [{ code: 'CL', accrualPerMonth: 1 }] },
+      postProbation: {
+        leaveTypes: [
+          { code: 'CL', accrualPerMonth: 1 },
+          { code: 'EL', name: 'Earned Leave', accrualPerMonth: 1.5 }
+        ]
+      }
+    };
+
+    it('switches to the post-probation leave types once confirmed', () => {
+      const summary = LeaveService.computeBalances(ledger(new Date(2024, 0, 1)), policy, new Date(2024, 5, 15));
+
+      expect(summary.phase).toBe('postProbation');
+      expect(summary.probationEndsAt).toEqual(new Date(2024, 3, 1));
+      expect(find(summary, 'CL').accrued).toBe(6);
+      expect(find(summary, 'EL').accrued).toBe(4.5);
+    });
+
+    it('treats a type adjusted during probation as paid once it applies', () => {
+      const summary = LeaveService.computeBalances(ledger(new Date(2024, 0, 1), [
+        { kind: 'adjustment', leaveType: 'EL', days: 1, date: new Date(2024, 1, 10) }
+      ]), policy, new Date(2024, 5, 15));
+
+      expect(find(summary, 'EL')).toMatchObject({ paid: true, name: 'Earned Leave', accrued: 4.5, adjusted: 1, balance: 5.5 });
+      expect(summary.totals.balance).toBe(11.5);
+    });
+
+    it('counts leave of a type not yet available during probation as loss of pay', () => {
+      const summary = LeaveService.computeBalances(ledger(new Date(2024, 0, 1), [
+        { kind: 'availed', leaveType: 'EL', days: 1, date: new Date(2024, 1, 10) }
+      ]), policy, new Date(2024, 5, 15));
+
+      expect(find(summary, 'EL')).toMatchObject({ paid: true, lopDays: 1, balance: 4.5 });
+    });
+
+    it('allocates leave after probation to the post-probation balance', () => {
+      const summary = LeaveService.computeBalances(ledger(new Date(2024, 0, 1), [
+        { kind: 'adjustment', leaveType: 'EL', days: 1, date: new Date(2024, 1, 10) }
+      ]), policy, new Date(2024, 5, 15));
+
+      const allocated = LeaveService.allocateLeave({
+        entries: [
+          { type: 'leave', leaveType: 'EL', date: new Date(2024, 5, 10), days: 1 },
+          { type: 'leave', leaveType: 'el', date: new Date(2024, 5, 11), days: 1 }
+        ]
+      }, summary);
+
+      expect(allocated.map(item => item.leaveType)).toEqual(['EL', 'EL']);
+    });
+  });
+});
@@ -0,0 +1,34 @@
+// tests/services/matchingService.test.js
+const MatchingService = require('../../services/matchingService');
+const Requirement = require('../../models/Requirement');
+const { skillKeys } = require('../../utils/similarity');
+
+describe('MatchingService skill pre-filter', () => {
+  it('queries the same keys for differently written skills', () => {
+    const [byKey] = MatchingService.skillConditions([{ name: 'Node.js' }, { name: 'NodeJS' }, { name: ' ' }]);
+
+    expect(byKey).toEqual({ skillKeys: { $in: ['nodejs'] } });
+  });
+
+  it('matches older records by any spelling of the skill', () => {
+    const pattern = MatchingService.skillPattern('nodejs');
+
+    expect(['Node.js', 'NodeJS', 'node js', ' NODE.JS '].every(name => pattern.test(name))).toBe(true);
+    expect(pattern.test('Node')).toBe(false);
+    expect(MatchingService.skillPattern('c++').test('C++')).toBe(true);
+    expect(MatchingService.skillPattern('c++').test('C')).toBe(false);
+  });
+
+  it('has no skill condition when there are no skills', () => {
+    expect(MatchingService.skillConditions(undefined)).toEqual([]);
+  });
+
+  it('keeps requirement skill keys in step with keySkills', async () => {
+    const requirement = new Requirement({ keySkills: [{ name: 'Node.js' }, { name: 'React JS' }] });
+
+    await requirement.validate().catch(() => {});
+
+    expect(requirement.skillKeys).toEqual(['nodejs', 'reactjs']);
+    expect(skillKeys([{ name: 'NodeJS' }, { name: 'ReactJS' }])).toEqual(requirement.skillKeys);
+  });
+});
@@ -0,0 +1,36 @@
+// tests/services/statusWorkflowService.test.js
+
+// The email transporter is only set up outside tests
+jest.mock('../../services/emailService', () => ({ send: jest.fn(), sendCandidateStatusUpdate: jest.fn() }));
+
+const EmailService = require('../../services/emailService');
+const StatusWorkflowService = require('../../services/statusWorkflowService');
+
+const transitions = (...templates) => [{
+  from: 'Screening',
+  to: 'Submitted',
+  hooks: templates.map(template => ({ type: 'email', template }))
+}];
+
+describe('StatusWorkflowService email hook templates', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  it('accepts templates from views/emails and hooks without one', () => {
+    expect(() => StatusWorkflowService.assertHookTemplates(transitions('candidateStatusUpdate', undefined))).not.toThrow();
+    expect(() => StatusWorkflowService.assertHookTemplates(undefined)).not.toThrow();
+  });
+
+  it.each(['../../x', 'layout', 'missingTemplate'])('rejects %s', template => {
+    expect(() => StatusWorkflowService.assertHookTemplates(transitions(template)))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'Unknown email templates' }));
+  });
+
+  it('sends the default status email for a stored template that is not allowed', async () => {
+    const candidate = { contactInfo: { email: 'asha@example.com' }, fullName: 'Asha Rao' };
+
+    await StatusWorkflowService.runEmailHook({ type: 'email', template: '../../x' }, { candidate, to: 'Submitted' });
+
+    expect(EmailService.send).not.toHaveBeenCalled();
+    expect(EmailService.sendCandidateStatusUpdate).toHaveBeenCalledWith(candidate, 'Submitted');
+  });
+});
@@ -0,0 +1,101 @@
+// tests/services/verificationPolicyService.test.js
+const VerificationPolicyService = require('../../services/verificationPolicyService');
+const config = require('../../config/constants');
+
+const education = (...entries) => ({ education: entries });
+
+describe('VerificationPolicyService.parseRule', () => {
+  it('reads "no gap" as the normal academic break', () => {
+    const rule = VerificationPolicyService.parseRule('Regular, no gap');
+
+    expect(rule.maxGapMonths).toBe(config.verification.academicBreakMonths);
+    expect(rule.regularOnly).toBe(true);
+    expect(rule.required).toBe(true);
+    expect(rule.understood).toBe(true);
+  });
+
+  it('reads "no year gap" the same way', () => {
+    expect(VerificationPolicyService.parseRule('No year gap allowed').maxGapMonths)
+      .toBe(config.verification.academicBreakMonths);
+  });
+
+  it('reads explicit gaps in years and months', () => {
+    expect(VerificationPolicyService.parseRule('Gap of up to 2 years').maxGapMonths).toBe(24);
+    expect(VerificationPolicyService.parseRule('Max gap 6 months').maxGapMonths).toBe(6);
+    expect(VerificationPolicyService.parseRule('Gap allowed 1.5 yrs').maxGapMonths).toBe(18);
+  });
+
+  it('reads a minimum percentage', () => {
+    const rule = VerificationPolicyService.parseRule('Minimum 60% required');
+
+    expect(rule.minPercentage).toBe(60);
+    expect(rule.required).toBe(true);
+  });
+
+  it('treats "not required" and "optional" as not required', () => {
+    expect(VerificationPolicyService.parseRule('Not required').notRequired).toBe(true);
+    expect(VerificationPolicyService.parseRule('Optional').notRequired).toBe(true);
+    expect(VerificationPolicyService.parseRule('Not mandatory').required).toBe(false);
+  });
+
+  it('does not insist on regular mode when distance is accepted', () => {
+    expect(VerificationPolicyService.parseRule('Regular preferred, distance accepted').regularOnly).toBe(false);
+  });
+
+  it('flags wording it cannot act on', () => {
+    const rule = VerificationPolicyService.parseRule('Should be from a reputed institute');
+
+    expect(rule.understood).toBe(false);
+    expect(rule.maxGapMonths).toBeNull();
+    expect(rule.minPercentage).toBeNull();
+  });
+});
+
+describe('VerificationPolicyService.evaluate', () => {
+  const policy = { educationPolicy: { graduation: 'Regular, no gap' } };
+
+  it('passes a degree starting the summer after 12th under a "no gap" policy', () => {
+    const result = VerificationPolicyService.evaluate(education(
+      { educationType: '12th', startDate: '2011-06-01', endDate: '2013-04-01' },
+      { educationType: 'B.Tech', modeOfEducation: 'Regular', startDate: '2013-07-01', endDate: '2017-05-01' }
+    ), policy);
+
+    expect(result.status).toBe('pass');
+  });
+
+  it('fails a lost year under a "no gap" policy', () => {
+    const result = VerificationPolicyService.evaluate(education(
+      { educationType: '12th', startDate: '2011-06-01', endDate: '2013-04-01' },
+      { educationType: 'B.Tech', modeOfEducation: 'Regular', startDate: '2014-07-01', endDate: '2018-05-01' }
+    ), policy);
+
+    expect(result.status).toBe('fail');
+    expect(result.rules[0].reasons[0]).toMatch(/Gap of 15 months/);
+  });
+
+  it('fails distance education under a regular-only policy', () => {
+    const result = VerificationPolicyService.evaluate(education(
+      { educationType: 'B.Com', modeOfEducation: 'Distance', startDate: '2013-07-01', endDate: '2016-05-01' }
+    ), policy);
+
+    expect(result.status).toBe('fail');
+  });
+
+  it('needs review when dates are missing', () => {
+    const result = VerificationPolicyService.evaluate(education(
+      { educationType: '12th' },
+      { educationType: 'B.Tech', modeOfEducation: 'Regular' }
+    ), policy);
+
+    expect(result.status).toBe('needs_review');
+  });
+
+  it('fails marks below the minimum, converting CGPA', () => {
+    const result = VerificationPolicyService.evaluate(education(
+      { educationType: 'B.Tech', modeOfEducation: 'Regular', marksGrade: '6.0 CGPA' }
+    ), { educationPolicy: { graduation: 'Minimum 60%' } });
+
+    expect(result.status).toBe('fail');
+    expect(result.rules[0].reasons[0]).toMatch(/57/);
+  });
+});
@@ -1,15 +1,67 @@
 // utils/encryption.js
 const crypto = require('crypto');
 
+// Stored form of an encrypted field: enc:v<keyVersion>:<iv>:<authTag>:<ciphertext>
+const FIELD_PREFIX = 'enc';
+
 class EncryptionService {
   constructor() {
     this.algorithm = 'aes-256-gcm';
-    this.secretKey = Buffer.from(process.env.ENCRYPTION_KEY, 'hex');
+    // Keys are read on first use so the app starts without them
+    this.keys = null;
+  }
+  
+  // Keys by version. ENCRYPTION_KEYS holds "version:hexKey" pairs, e.g. "1:abc...,2:def...";
+  // ENCRYPTION_KEY on its own is version 1. New values use ENCRYPTION_KEY_VERSION, or the highest version.
+  loadKeys() {
+    if (this.keys) return this.keys;
+    
+    const keys = new Map();
+    
+    if (process.env.ENCRYPTION_KEY) {
+      keys.set(1, this.parseKey(process.env.ENCRYPTION_KEY, 1));
+    }
+    
+    for (const pair of (process.env.ENCRYPTION_KEYS || '').split(',').filter(Boolean)) {
+      const [version, key] = pair.trim().split(':');
+      keys.set(parseInt(version), this.parseKey(key, version));
+    }
+    
+    if (!keys.size) {
+      throw new Error('No encryption key configured. Set ENCRYPTION_KEY or ENCRYPTION_KEYS');
+    }
+    
+    const currentVersion = parseInt(process.env.ENCRYPTION_KEY_VERSION) || Math.max(...keys.keys());
+    if (!keys.has(currentVersion)) {
+      throw new Error(`Encryption key version ${currentVersion} is not configured`);
+    }
+    
+    this.keys = { byVersion: keys, currentVersion };
+    return this.keys;
   }
   
-  encrypt(text) {
+  parseKey(hex, version) {
+    if (!/^[0-9a-fA-F]{64}$/.test(hex || '')) {
+      throw new Error(`Encryption key version ${version} must be a 64-character hex string`);
+    }
+    return Buffer.from(hex, 'hex');
+  }
+  
+  getKey(version) {
+    const key = this.loadKeys().byVersion.get(version);
+    if (!key) {
+      throw new Error(`Encryption key version ${version} is not configured`);
+    }
+    return key;
+  }
+  
+  get currentVersion() {
+    return this.loadKeys().currentVersion;
+  }
+  
+  encrypt(text, keyVersion = this.currentVersion) {
     const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv(this.algorithm, this.secretKey, iv);
+    const cipher = crypto.createCipheriv(this.algorithm, this.getKey(keyVersion), iv);
     
     let encrypted = cipher.update(text, 'utf8', 'hex');
     encrypted += cipher.final('hex');
@@ -19,14 +71,15 @@ class EncryptionService {
     return {
       encrypted,
       iv: iv.toString('hex'),
-      authTag: authTag.toString('hex')
+      authTag: authTag.toString('hex'),
+      keyVersion
     };
   }
   
   decrypt(encryptedData) {
     const decipher = crypto.createDecipheriv(
       this.algorithm,
-      this.secretKey,
+      this.getKey(encryptedData.keyVersion || 1),
       Buffer.from(encryptedData.iv, 'hex')
     );
     
@@ -38,6 +91,57 @@ class EncryptionService {
     return decrypted;
   }
   
+  // Encrypt a value for storage in a string field
+  encryptField(value) {
+    if (value === undefined || value === null || value === '' || this.isEncrypted(value)) {
+      return value;
+    }
+    
+    const { encrypted, iv, authTag, keyVersion } = this.encrypt(String(value));
+    return [FIELD_PREFIX, `v${keyVersion}`, iv, authTag, encrypted].join(':');
+  }
+  
+  // Decrypt a stored field; values written before encryption are returned as they are
+  decryptField(value) {
+    if (!this.isEncrypted(value)) return value;
+    
+    const [, version, iv, authTag, encrypted] = value.split(':');
+    return this.decrypt({ encrypted, iv, authTag, keyVersion: parseInt(version.slice(1)) });
+  }
+  
+  isEncrypted(value) {
+    return typeof value === 'string' && /^enc:v\d+:[0-9a-f]+:[0-9a-f]+:[0-9a-f]*$/.test(value);
+  }
+  
+  // Key version a stored field was written with; null for plaintext
+  getKeyVersion(value) {
+    return this.isEncrypted(value) ? parseInt(value.split(':')[1].slice(1)) : null;
+  }
+  
+  // Keyed hash for exact-match lookups on encrypted values. BLIND_INDEX_KEY must not
+  // change with the encryption keys, or every stored index has to be rebuilt.
+  blindIndex(value) {
+    const secret = process.env.BLIND_INDEX_KEY || process.env.ENCRYPTION_KEY;
+    if (!secret) {
+      throw new Error('No blind index key configured. Set BLIND_INDEX_KEY');
+    }
+    
+    return crypto
+      .createHmac('sha256', secret)
+      .update(value)
+      .digest('hex');
+  }
+  
+  // Display form showing only the last few characters, e.g. XXXXXXXX1234
+  mask(value, visible = 4) {
+    if (value === undefined || value === null || value === '') return value;
+    
+    const text = String(value).replace(/\s/g, '');
+    const shown = text.length > visible ? text.slice(-visible) : '';
+    
+    return 'X'.repeat(text.length - shown.length) + shown;
+  }
+  
   hashData(data) {
     return crypto
       .createHash('sha256')
@@ -46,4 +150,4 @@ class EncryptionService {
   }
 }
 
-module.exports = new EncryptionService();
\ No newline at end of file
+module.exports = new EncryptionService();
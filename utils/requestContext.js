@@ -0,0 +1,33 @@
+// utils/requestContext.js
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Who is acting and from where, available to code that has no access to req
+// (e.g. Mongoose middleware). Set per request by the middleware below.
+const storage = new AsyncLocalStorage();
+
+class RequestContext {
+  // Express middleware - opens a context for the request
+  middleware = (req, res, next) => {
+    storage.run({
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }, next);
+  };
+
+  // Run work outside a request (scripts, scheduled jobs) under a context
+  run(context, fn) {
+    return storage.run({ ...context }, fn);
+  }
+
+  get() {
+    return storage.getStore();
+  }
+
+  // Record the authenticated actor on the current context
+  setActor(actor) {
+    const context = storage.getStore();
+    if (context) Object.assign(context, actor);
+  }
+}
+
+module.exports = new RequestContext();
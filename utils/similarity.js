@@ -0,0 +1,34 @@
+// utils/similarity.js
+
+// Similarity of two strings (0-1) - 1 minus the normalised Levenshtein distance
+const stringSimilarity = (a, b) => {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const previous = Array.from({ length: b.length + 1 }, (v, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+// Skill names compared without case or punctuation - Node.js, node js and NodeJS all compare equal
+const normaliseSkill = name => String(name || '').toLowerCase().replace(/[^a-z0-9+#]/g, '');
+
+// Distinct normalised keys of a keySkills list
+const skillKeys = (skills = []) => [...new Set(skills.map(skill => normaliseSkill(skill?.name)).filter(Boolean))];
+
+module.exports = { stringSimilarity, normaliseSkill, skillKeys };